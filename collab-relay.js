@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+
+/**
+ * Collaboration Relay for Flowbox
+ * Small WebSocket relay for live collaboration. Clients join one room per
+ * shared document and exchange CRDT operations and cursor presence. The relay
+ * keeps the merged state of every room so late joiners catch up.
+ * See COLLABORATION.md for the protocol.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { URL } = require('url');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 50 * 1024 * 1024;
+const ROOM_PATTERN = /^[\w:/-]{1,200}$/;
+
+// Last-writer-wins order shared with the client: higher clock first, then higher actor id
+function opWins(a, b) {
+  if (!b) return true;
+  if (a.c !== b.c) return a.c > b.c;
+  return String(a.a) > String(b.a);
+}
+
+class CollabConnection {
+  constructor(socket, relay) {
+    this.socket = socket;
+    this.relay = relay;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.fragmentBytes = 0;
+    this.client = null;
+    this.rooms = new Map(); // room -> presence
+    socket.on('data', chunk => this.receive(chunk));
+    socket.on('close', () => relay.disconnect(this));
+    socket.on('error', () => socket.destroy());
+  }
+
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    while (this.buffer.length >= 2) {
+      const first = this.buffer[0];
+      const second = this.buffer[1];
+      let length = second & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (this.buffer.length < 4) return;
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.buffer.length < 10) return;
+        length = Number(this.buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+      if (length > MAX_MESSAGE_BYTES) {
+        this.close(1009);
+        return;
+      }
+      const masked = (second & 0x80) !== 0;
+      const mask = masked ? this.buffer.subarray(offset, offset + 4) : null;
+      if (masked) offset += 4;
+      if (this.buffer.length < offset + length) return;
+      const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+      if (mask) for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+      this.buffer = this.buffer.subarray(offset + length);
+      this.frame(first & 0x0f, (first & 0x80) !== 0, payload);
+    }
+  }
+
+  frame(opcode, fin, payload) {
+    if (opcode === 0x8) return this.close();
+    if (opcode === 0x9) return this.write(0xa, payload);
+    if (opcode === 0xa) return;
+    // The size limit covers the whole message, not just each fragment of it
+    this.fragmentBytes += payload.length;
+    if (this.fragmentBytes > MAX_MESSAGE_BYTES) {
+      this.fragments = [];
+      this.fragmentBytes = 0;
+      this.close(1009);
+      return;
+    }
+    this.fragments.push(payload);
+    if (!fin) return;
+    const text = Buffer.concat(this.fragments).toString('utf8');
+    this.fragments = [];
+    this.fragmentBytes = 0;
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch {
+      return;
+    }
+    this.relay.receive(this, message);
+  }
+
+  write(opcode, payload) {
+    if (this.socket.destroyed) return;
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+
+  send(message) {
+    this.write(0x1, Buffer.from(JSON.stringify(message), 'utf8'));
+  }
+
+  close(code = 1000) {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    this.write(0x8, payload);
+    this.socket.end();
+  }
+}
+
+class CollabRelay {
+  constructor({ port = 8788, host = '127.0.0.1', token = '' } = {}) {
+    this.port = port;
+    this.host = host;
+    this.token = token;
+    this.server = null;
+    this.connections = new Set();
+    this.rooms = new Map(); // room -> { registers: Map<key, op>, members: Set<CollabConnection> }
+  }
+
+  getRoom(name) {
+    if (!this.rooms.has(name)) this.rooms.set(name, { registers: new Map(), members: new Set() });
+    return this.rooms.get(name);
+  }
+
+  broadcast(roomName, message, except = null) {
+    const room = this.rooms.get(roomName);
+    if (!room) return;
+    room.members.forEach(member => {
+      if (member !== except) member.send(message);
+    });
+  }
+
+  receive(conn, message) {
+    const room = message && message.room;
+    if (!message || typeof room !== 'string' || !ROOM_PATTERN.test(room)) return;
+
+    if (message.type === 'join') {
+      const client = message.client || {};
+      conn.client = { id: String(client.id || ''), name: String(client.name || 'Guest'), color: String(client.color || '#888') };
+      const state = this.getRoom(room);
+      const peers = [...state.members]
+        .filter(member => member !== conn)
+        .map(member => ({ ...member.client, presence: member.rooms.get(room) || null }));
+      state.members.add(conn);
+      conn.rooms.set(room, null);
+      conn.send({ type: 'snapshot', room, ops: [...state.registers.values()], peers });
+      this.broadcast(room, { type: 'peer-join', room, client: conn.client }, conn);
+      return;
+    }
+
+    if (!conn.rooms.has(room)) return;
+
+    if (message.type === 'leave') {
+      this.leave(conn, room);
+    } else if (message.type === 'ops' && Array.isArray(message.ops)) {
+      const state = this.getRoom(room);
+      const ops = message.ops.filter(op => op && typeof op.k === 'string' && Number.isFinite(op.c));
+      ops.forEach(op => {
+        if (opWins(op, state.registers.get(op.k))) state.registers.set(op.k, op);
+      });
+      if (ops.length) this.broadcast(room, { type: 'ops', room, ops }, conn);
+    } else if (message.type === 'presence') {
+      conn.rooms.set(room, message.presence || null);
+      this.broadcast(room, { type: 'presence', room, client: conn.client, presence: message.presence || null }, conn);
+    }
+  }
+
+  leave(conn, room) {
+    const state = this.rooms.get(room);
+    conn.rooms.delete(room);
+    if (!state) return;
+    state.members.delete(conn);
+    // Clients send their copy again when they join, so an empty room can go
+    if (!state.members.size) {
+      this.rooms.delete(room);
+      return;
+    }
+    if (conn.client) this.broadcast(room, { type: 'peer-leave', room, clientId: conn.client.id });
+  }
+
+  disconnect(conn) {
+    this.connections.delete(conn);
+    [...conn.rooms.keys()].forEach(room => this.leave(conn, room));
+  }
+
+  upgrade(req, socket) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const key = req.headers['sec-websocket-key'];
+    // Browsers cannot set headers on a WebSocket, so the token travels in the query string
+    if (!key || (this.token && url.searchParams.get('token') !== this.token)) {
+      socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+    this.connections.add(new CollabConnection(socket, this));
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+      res.end(JSON.stringify({ ok: true, app: 'flowbox-collab', rooms: this.rooms.size, clients: this.connections.size }));
+    });
+    this.server.on('upgrade', (req, socket) => this.upgrade(req, socket));
+    return new Promise(resolve => {
+      this.server.listen(this.port, this.host, () => {
+        const { port } = this.server.address();
+        this.port = port;
+        console.log(`🤝 Flowbox collaboration relay listening on ws://${this.host}:${port}`);
+        resolve(this);
+      });
+    });
+  }
+
+  stop() {
+    this.connections.forEach(conn => conn.socket.destroy());
+    this.connections.clear();
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const relay = new CollabRelay({
+    port: Number(process.env.FLOWBOX_COLLAB_PORT) || 8788,
+    host: process.env.FLOWBOX_COLLAB_HOST || '127.0.0.1',
+    token: process.env.FLOWBOX_COLLAB_TOKEN || ''
+  });
+  relay.start().catch(console.error);
+  process.on('SIGINT', () => {
+    console.log('\n👋 Stopping collaboration relay...');
+    relay.stop().then(() => process.exit(0));
+  });
+}
+
+module.exports = CollabRelay;
@@ -8,6 +8,27 @@ window.Components.renderContentNavbar = function renderContentNavbar(mountId, ti
         const mount = typeof mountId === 'string' ? document.getElementById(mountId) : mountId;
         if (!mount) return null;
         
+        // Feature views (stakeholders, interviews, ...) get a titled add button
+        const featureAddButtons = {
+            'Stakeholder Map': { id: 'addStakeholderBtn', label: 'Add stakeholder' },
+            'Interview Summary': { id: 'addInterviewBtn', label: 'Add interview session' },
+            'Competitor Summary': { id: 'addCompetitorBtn', label: 'Add competitor' },
+            'Service Blueprint': { id: 'addBlueprintStageBtn', label: 'Add stage' },
+            'Point of View': { id: 'addDefineItemBtn', label: 'Add POV statement' },
+            'How Might We': { id: 'addDefineItemBtn', label: 'Add HMW' },
+            'Design Principles': { id: 'addDefineItemBtn', label: 'Add principle' },
+            'Success Metrics': { id: 'addDefineItemBtn', label: 'Add metric' },
+            'Design Requirements': { id: 'addDefineItemBtn', label: 'Add requirement' },
+            'Prioritization': { id: 'addPriorityItemBtn', label: 'Add item' },
+            'Ideation Links': { id: 'addLinkBtn', label: 'Add link' },
+            'Low-fi Links': { id: 'addLinkBtn', label: 'Add link' },
+            'Mid-fi Links': { id: 'addLinkBtn', label: 'Add link' },
+            'Hi-fi Main Flow Links': { id: 'addLinkBtn', label: 'Add link' },
+            'Design System Links': { id: 'addLinkBtn', label: 'Add link' },
+            'Final Prototype Links': { id: 'addLinkBtn', label: 'Add link' },
+            'Component Change Links': { id: 'addLinkBtn', label: 'Add link' }
+        };
+
         // Determine the left control group based on title
         let leftControlGroup = '';
         if (title === 'Persona') {
@@ -33,6 +54,18 @@ window.Components.renderContentNavbar = function renderContentNavbar(mountId, ti
                     </button>
                 </div>
             `;
+        } else if (featureAddButtons[title]) {
+            const { id, label } = featureAddButtons[title];
+            leftControlGroup = `
+                <div class="control-group">
+                    <button class="btn btn-secondary icon-only" id="${id}" title="${label}" aria-label="${label}">
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+                            <circle cx="12" cy="12" r="9" stroke="#333" stroke-width="1.5" fill="none"/>
+                            <path d="M12 8v8M8 12h8" stroke="#333" stroke-width="1.5" stroke-linecap="round"/>
+                        </svg>
+                    </button>
+                </div>
+            `;
         } else {
             leftControlGroup = `
                 <div class="control-group">
@@ -42,10 +75,23 @@ window.Components.renderContentNavbar = function renderContentNavbar(mountId, ti
                             <path d="M12 8v8M8 12h8" stroke="#333" stroke-width="1.5" stroke-linecap="round"/>
                         </svg>
                     </button>
+                    ${title === 'To-be Journey Map' ? `
+                    <button class="btn btn-secondary icon-only" id="cloneJourneyBtn" title="Clone from as-is journey" aria-label="Clone from as-is journey">
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+                            <rect x="8" y="8" width="12" height="12" rx="2" stroke="#333" stroke-width="1.5" fill="none"/>
+                            <path d="M16 8V6a2 2 0 0 0-2-2H6a2 2 0 0 0-2 2v8a2 2 0 0 0 2 2h2" stroke="#333" stroke-width="1.5" fill="none"/>
+                        </svg>
+                    </button>
+                    <button class="btn btn-secondary icon-only" id="compareJourneyBtn" title="Compare with as-is journey" aria-label="Compare with as-is journey">
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+                            <rect x="3" y="4" width="7" height="16" rx="1.5" stroke="#333" stroke-width="1.5" fill="none"/>
+                            <rect x="14" y="4" width="7" height="16" rx="1.5" stroke="#333" stroke-width="1.5" fill="none"/>
+                        </svg>
+                    </button>` : ''}
                 </div>
             `;
         }
-        
+
         mount.innerHTML = `
             <div class="table-controls nav-bar">
                 ${leftControlGroup}
@@ -19,13 +19,15 @@ function getDefaultKickoffData() {
         stakeholders: '',
         responsibilities: '',
         image: '',
-        images: {}
+        images: {},
+        // Interview quotes attached as evidence, keyed by field
+        evidence: {}
     };
 }
 
 function loadKickoffData() {
     try {
-        const raw = localStorage.getItem(getScopedKey(BASE_KICKOFF_KEY));
+        const raw = appStorage.getItem(getScopedKey(BASE_KICKOFF_KEY));
         if (!raw) return getDefaultKickoffData();
         const parsed = JSON.parse(raw);
         const merged = { ...getDefaultKickoffData(), ...(parsed || {}) };
@@ -34,6 +36,7 @@ function loadKickoffData() {
             merged.images.background = merged.image;
         }
         if (!merged.images || typeof merged.images !== 'object') merged.images = {};
+        if (!merged.evidence || typeof merged.evidence !== 'object') merged.evidence = {};
         return merged;
     } catch {
         return getDefaultKickoffData();
@@ -43,39 +46,52 @@ function loadKickoffData() {
 function saveKickoffData(data) {
     try {
         const payload = { ...getDefaultKickoffData(), ...(data || {}) };
-        localStorage.setItem(getScopedKey(BASE_KICKOFF_KEY), JSON.stringify(payload));
+        appStorage.setItem(getScopedKey(BASE_KICKOFF_KEY), JSON.stringify(payload));
         updateStorageUsage();
-    } catch {}
+    } catch (err) { reportStorageError(err); }
 }
 
+const KICKOFF_FIELDS = [
+    { key: 'background', label: 'Project Background / Context', ph: 'Overall project background' },
+    { key: 'problem', label: 'Problem / Need', ph: 'What problem or need drives this design?' },
+    { key: 'objectives', label: 'Design Objectives', ph: 'Primary objectives (e.g., improve UX, reduce cost, express brand)' },
+    { key: 'values', label: 'Design Value', ph: 'Value the design must create' },
+    { key: 'scope', label: 'Scope of Design', ph: 'Coverage (e.g., app UX/UI, packaging, logo, etc.)' },
+    { key: 'inScope', label: 'In Scope', ph: 'Items included in scope' },
+    { key: 'outOfScope', label: 'Out of Scope', ph: 'Items explicitly excluded' },
+    { key: 'audience', label: 'Target Audience / User Profile', ph: 'Primary users or audience' },
+    { key: 'audienceNeeds', label: 'Audience Needs / Constraints', ph: 'Behaviors, needs, limitations of target audience' },
+    { key: 'requirements', label: 'Design Requirements', ph: 'Standards or requirements (size, color, platform)' },
+    { key: 'technical', label: 'Technical / Regulatory / Branding', ph: 'Technical factors, regulations, branding constraints' },
+    { key: 'constraints', label: 'Constraints', ph: 'Time, budget, tools, resources' },
+    { key: 'assumptions', label: 'Assumptions', ph: 'Assumptions informing the design' },
+    { key: 'success', label: 'Success Criteria / KPIs', ph: 'How success will be measured (usability score, conversion rate, brand recognition)' },
+    { key: 'stakeholders', label: 'Stakeholders', ph: 'Key stakeholders (design, marketing, executives, etc.)' },
+    { key: 'responsibilities', label: 'Responsibilities', ph: 'Roles and responsibilities' }
+];
+
 function renderKickoffInterface() {
     const mount = document.getElementById('kickoffMount');
     if (!mount) return;
     const data = loadKickoffData();
-    const fields = [
-        { key: 'background', label: 'Project Background / Context', ph: 'Overall project background' },
-        { key: 'problem', label: 'Problem / Need', ph: 'What problem or need drives this design?' },
-        { key: 'objectives', label: 'Design Objectives', ph: 'Primary objectives (e.g., improve UX, reduce cost, express brand)' },
-        { key: 'values', label: 'Design Value', ph: 'Value the design must create' },
-        { key: 'scope', label: 'Scope of Design', ph: 'Coverage (e.g., app UX/UI, packaging, logo, etc.)' },
-        { key: 'inScope', label: 'In Scope', ph: 'Items included in scope' },
-        { key: 'outOfScope', label: 'Out of Scope', ph: 'Items explicitly excluded' },
-        { key: 'audience', label: 'Target Audience / User Profile', ph: 'Primary users or audience' },
-        { key: 'audienceNeeds', label: 'Audience Needs / Constraints', ph: 'Behaviors, needs, limitations of target audience' },
-        { key: 'requirements', label: 'Design Requirements', ph: 'Standards or requirements (size, color, platform)' },
-        { key: 'technical', label: 'Technical / Regulatory / Branding', ph: 'Technical factors, regulations, branding constraints' },
-        { key: 'constraints', label: 'Constraints', ph: 'Time, budget, tools, resources' },
-        { key: 'assumptions', label: 'Assumptions', ph: 'Assumptions informing the design' },
-        { key: 'success', label: 'Success Criteria / KPIs', ph: 'How success will be measured (usability score, conversion rate, brand recognition)' },
-        { key: 'stakeholders', label: 'Stakeholders', ph: 'Key stakeholders (design, marketing, executives, etc.)' },
-        { key: 'responsibilities', label: 'Responsibilities', ph: 'Roles and responsibilities' }
-    ];
+    const fields = KICKOFF_FIELDS;
 
     const itemsHtml = fields.map(f => {
+        const evidence = data.evidence[f.key] || [];
+        const evidenceHtml = evidence.length ? `
+                <div class="ko-evidence">
+                    ${evidence.map(e => `
+                        <blockquote class="ko-evidence-quote" data-quote-id="${e.quoteId}">
+                            <span>“${escapeHtml(e.text)}”</span>
+                            <cite>${escapeHtml(e.participant || 'Interview')}${e.tags && e.tags.length ? ` · ${escapeHtml(e.tags.join(', '))}` : ''}</cite>
+                            <button type="button" class="ko-evidence-remove" title="Remove evidence">×</button>
+                        </blockquote>
+                    `).join('')}
+                </div>` : '';
         return `
             <div class="ko-block ko-field" data-key="${f.key}">
                 <div class="ko-heading">${f.label}</div>
-                <textarea class="ko-paragraph" id="ko_${f.key}" rows="4" placeholder="${f.ph}"></textarea>
+                <textarea class="ko-paragraph" id="ko_${f.key}" rows="4" placeholder="${f.ph}"></textarea>${evidenceHtml}
             </div>
         `;
     }).join('');
@@ -161,340 +177,7257 @@ function renderKickoffInterface() {
     };
 
     fields.forEach(f => wireDnDForKey(f.key, f.label));
-}
-// Data storage helpers (localStorage-backed) with per-project scoping
-const PROJECTS_KEY = 'jmProjects';
-const CURRENT_PROJECT_KEY = 'jmCurrentProjectId';
-const BASE_STORAGE_KEY = 'journeyData';
-const BASE_VERSIONS_KEY = 'journeyVersions';
-const BASE_CHANGES_KEY = 'journeyChanges';
-const BASE_COVER_KEY = 'coverData';
-const BASE_SETTINGS_KEY = 'appSettings';
-const BASE_FLOW_KEY = 'userFlowData';
-const BASE_FLOW_VERSIONS_KEY = 'flowVersions';
-const BASE_PERSONAS_KEY = 'personasData';
-const BASE_KICKOFF_KEY = 'kickoffData';
-const BASE_ACTIVE_TAB_KEY = 'activeTab';
 
-// ===== Device storage (OPFS) sync for installed PWA =====
-// In browser mode: keep using localStorage only.
-// In installed PWA (standalone): mirror localStorage <-> OPFS (Origin Private File System) so data lives on device.
-const IS_STANDALONE = (function() {
-    try {
-        return window.matchMedia && window.matchMedia('(display-mode: standalone)').matches || window.navigator.standalone === true;
-    } catch { return false; }
-})();
-
-const DEVICE_DIR_NAME = 'flowbox';
-const DEVICE_DATA_FILE = 'data.json';
+    // Detach interview evidence from a field
+    mount.querySelectorAll('.ko-evidence-remove').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const key = btn.closest('.ko-field').dataset.key;
+            const quoteId = btn.closest('.ko-evidence-quote').dataset.quoteId;
+            const d = loadKickoffData();
+            d.evidence[key] = (d.evidence[key] || []).filter(e => e.quoteId !== quoteId);
+            saveKickoffData(d);
+            btn.closest('.ko-evidence-quote').remove();
+        });
+    });
+}
 
-// Ask browser to make storage persistent to avoid eviction (installed app)
-(async function ensurePersistentStorage() {
-    try {
-        if (!IS_STANDALONE) return;
-        if (navigator.storage && navigator.storage.persist) {
-            await navigator.storage.persist();
-        }
-    } catch {}
-})();
+// ===== STAKEHOLDER MAP (Power / Interest grid) =====
+const STAKEHOLDER_INFLUENCE_LEVELS = ['high', 'medium', 'low'];
+const STAKEHOLDER_ATTITUDES = ['champion', 'supporter', 'neutral', 'critic', 'blocker'];
+const STAKEHOLDER_QUADRANTS = [
+    { key: 'satisfy', label: 'Keep satisfied', hint: 'High power · Low interest' },
+    { key: 'manage', label: 'Manage closely', hint: 'High power · High interest' },
+    { key: 'monitor', label: 'Monitor', hint: 'Low power · Low interest' },
+    { key: 'inform', label: 'Keep informed', hint: 'Low power · High interest' }
+];
+
+function getDefaultStakeholderMap() {
+    return { stakeholders: [], updatedAt: 0 };
+}
 
-async function isOpfsAvailable() {
-    try { return !!(navigator.storage && navigator.storage.getDirectory); } catch { return false; }
+function createDefaultStakeholder(position = {}) {
+    return {
+        id: generateId('stk'),
+        name: '',
+        role: '',
+        influence: 'medium',
+        attitude: 'neutral',
+        contact: '',
+        notes: '',
+        // x = interest, y = power; both normalized to 0..1 within the grid
+        x: typeof position.x === 'number' ? position.x : 0.5,
+        y: typeof position.y === 'number' ? position.y : 0.5
+    };
 }
 
-async function getOpfsFileHandle() {
-    const root = await navigator.storage.getDirectory();
-    const appDir = await root.getDirectoryHandle(DEVICE_DIR_NAME, { create: true });
-    const fileHandle = await appDir.getFileHandle(DEVICE_DATA_FILE, { create: true });
-    return fileHandle;
+function normalizeStakeholder(raw) {
+    const base = createDefaultStakeholder();
+    const s = { ...base, ...(raw || {}) };
+    if (!STAKEHOLDER_INFLUENCE_LEVELS.includes(s.influence)) s.influence = base.influence;
+    if (!STAKEHOLDER_ATTITUDES.includes(s.attitude)) s.attitude = base.attitude;
+    s.x = Math.max(0, Math.min(1, Number(s.x) || 0));
+    s.y = Math.max(0, Math.min(1, Number(s.y) || 0));
+    return s;
 }
 
-async function readFromDeviceStorage() {
+function loadStakeholderMap() {
     try {
-        if (!(await isOpfsAvailable())) return null;
-        const fh = await getOpfsFileHandle();
-        const file = await fh.getFile();
-        const text = await file.text();
-        if (!text) return null;
-        return JSON.parse(text);
+        const raw = appStorage.getItem(getScopedKey(BASE_STAKEHOLDERS_KEY));
+        if (!raw) return getDefaultStakeholderMap();
+        const parsed = JSON.parse(raw);
+        const list = Array.isArray(parsed && parsed.stakeholders) ? parsed.stakeholders : [];
+        return { stakeholders: list.map(normalizeStakeholder), updatedAt: parsed.updatedAt || 0 };
     } catch {
-        return null;
+        return getDefaultStakeholderMap();
     }
 }
 
-async function writeToDeviceStorage(payload) {
+function saveStakeholderMap(data) {
     try {
-        if (!(await isOpfsAvailable())) return false;
-        const fh = await getOpfsFileHandle();
-        const writable = await fh.createWritable();
-        await writable.write(new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' }));
-        await writable.close();
-        return true;
-    } catch {
-        return false;
-    }
+        const payload = {
+            stakeholders: (data && Array.isArray(data.stakeholders) ? data.stakeholders : []).map(normalizeStakeholder),
+            updatedAt: Date.now()
+        };
+        appStorage.setItem(getScopedKey(BASE_STAKEHOLDERS_KEY), JSON.stringify(payload));
+        updateStorageUsage();
+    } catch (err) { reportStorageError(err); }
 }
 
-function collectLocalStorageSnapshot() {
-    // Reuse the same prefixes used for export/import
-    const prefixes = [
-        PROJECTS_KEY,
-        CURRENT_PROJECT_KEY,
-        BASE_STORAGE_KEY,
-        BASE_VERSIONS_KEY,
-        BASE_CHANGES_KEY,
-        BASE_COVER_KEY,
-        BASE_SETTINGS_KEY,
-        BASE_FLOW_KEY,
-        BASE_FLOW_VERSIONS_KEY,
-        BASE_ACTIVE_TAB_KEY,
-        BASE_PERSONAS_KEY
-    ];
-    const storage = {};
-    for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (!key) continue;
-        if (prefixes.some(p => key === p || key.startsWith(p + ':'))) {
-            storage[key] = localStorage.getItem(key);
-        }
-    }
-    return { meta: { app: 'flowbox', source: 'opfs-mirror', exportedAt: new Date().toISOString() }, storage };
+function getStakeholderQuadrant(stakeholder) {
+    const highPower = stakeholder.y >= 0.5;
+    const highInterest = stakeholder.x >= 0.5;
+    if (highPower) return highInterest ? 'manage' : 'satisfy';
+    return highInterest ? 'inform' : 'monitor';
 }
 
-function applySnapshotToLocalStorage(storage) {
-    try {
-        const keys = Object.keys(storage || {});
-        // Remove existing keys in our namespace to avoid stale values
-        const namespaces = [
-            PROJECTS_KEY,
-            CURRENT_PROJECT_KEY,
-            BASE_STORAGE_KEY,
-            BASE_VERSIONS_KEY,
-            BASE_CHANGES_KEY,
-            BASE_COVER_KEY,
-            BASE_SETTINGS_KEY,
-            BASE_FLOW_KEY,
-            BASE_FLOW_VERSIONS_KEY,
-            BASE_ACTIVE_TAB_KEY,
-            BASE_PERSONAS_KEY
-        ];
-        const toRemove = [];
-        for (let i = 0; i < localStorage.length; i++) {
-            const k = localStorage.key(i);
-            if (!k) continue;
-            if (namespaces.some(p => k === p || k.startsWith(p + ':'))) toRemove.push(k);
-        }
-        toRemove.forEach(k => { try { localStorage.removeItem(k); } catch {} });
-        keys.forEach(k => { try { localStorage.setItem(k, storage[k]); } catch {} });
-    } catch {}
+function renderStakeholderMapInterface() {
+    const mount = document.getElementById('stakeholdersMount');
+    if (!mount) return;
+    const data = loadStakeholderMap();
+
+    const quadrantsHtml = STAKEHOLDER_QUADRANTS.map(q => `
+        <div class="sh-quadrant sh-quadrant-${q.key}">
+            <div class="sh-quadrant-label">${q.label}</div>
+            <div class="sh-quadrant-hint">${q.hint}</div>
+        </div>
+    `).join('');
+
+    const cardsHtml = data.stakeholders.map(s => `
+        <div class="sh-card attitude-${s.attitude}" data-id="${s.id}" style="left:${(s.x * 100).toFixed(2)}%; top:${((1 - s.y) * 100).toFixed(2)}%;" tabindex="0" title="Drag to reposition, click to edit">
+            <div class="sh-card-name">${escapeHtml(s.name || 'Unnamed stakeholder')}</div>
+            ${s.role ? `<div class="sh-card-role">${escapeHtml(s.role)}</div>` : ''}
+            <div class="sh-card-tags">
+                <span class="sh-tag influence-${s.influence}">${s.influence} influence</span>
+                <span class="sh-tag">${s.attitude}</span>
+            </div>
+        </div>
+    `).join('');
+
+    mount.innerHTML = `
+        <section class="stakeholder-map" id="stakeholderMapRoot">
+            <div class="sh-axis sh-axis-y"><span>Power</span></div>
+            <div class="sh-board" id="stakeholderBoard">
+                ${quadrantsHtml}
+                ${cardsHtml}
+                ${data.stakeholders.length ? '' : '<div class="sh-empty">Add a stakeholder, then drag the card to place it on the grid.</div>'}
+            </div>
+            <div class="sh-axis sh-axis-x"><span>Interest</span></div>
+        </section>
+    `;
+
+    const board = mount.querySelector('#stakeholderBoard');
+    board.querySelectorAll('.sh-card').forEach(card => wireStakeholderCardDrag(board, card));
+    // Double click on empty grid space adds a stakeholder at that spot
+    board.addEventListener('dblclick', (e) => {
+        if (e.target.closest('.sh-card')) return;
+        const rect = board.getBoundingClientRect();
+        addStakeholder({
+            x: (e.clientX - rect.left) / rect.width,
+            y: 1 - (e.clientY - rect.top) / rect.height
+        });
+    });
+    setupStakeholderNavbar();
 }
 
-async function hydrateFromDeviceIfStandalone() {
-    try {
-        if (!IS_STANDALONE) return;
-        if (!(await isOpfsAvailable())) return;
-        const devicePayload = await readFromDeviceStorage();
-        if (devicePayload && devicePayload.storage) {
-            applySnapshotToLocalStorage(devicePayload.storage);
-            // Ensure early inline scripts see hydrated state (only once per session)
-            try {
-                if (!sessionStorage.getItem('flowboxHydrated')) {
-                    sessionStorage.setItem('flowboxHydrated', '1');
-                    location.reload();
-                }
-            } catch {}
-        } else {
-            // Initialize device storage with current local snapshot
-            await writeToDeviceStorage(collectLocalStorageSnapshot());
+function wireStakeholderCardDrag(board, card) {
+    const id = card.dataset.id;
+    let start = null;
+    let moved = false;
+
+    const onMove = (e) => {
+        if (!start) return;
+        const dx = e.clientX - start.clientX;
+        const dy = e.clientY - start.clientY;
+        if (!moved && Math.abs(dx) + Math.abs(dy) < 4) return;
+        moved = true;
+        card.classList.add('dragging');
+        const rect = board.getBoundingClientRect();
+        const x = Math.max(0, Math.min(1, start.x + dx / rect.width));
+        const y = Math.max(0, Math.min(1, start.y - dy / rect.height));
+        card.style.left = `${(x * 100).toFixed(2)}%`;
+        card.style.top = `${((1 - y) * 100).toFixed(2)}%`;
+        card.dataset.x = x;
+        card.dataset.y = y;
+    };
+    const onUp = () => {
+        window.removeEventListener('pointermove', onMove);
+        window.removeEventListener('pointerup', onUp);
+        card.classList.remove('dragging');
+        if (!start) return;
+        start = null;
+        if (!moved) {
+            openStakeholderEditor(id);
+            return;
         }
-    } catch {}
+        const data = loadStakeholderMap();
+        const s = data.stakeholders.find(item => item.id === id);
+        if (!s) return;
+        s.x = Number(card.dataset.x);
+        s.y = Number(card.dataset.y);
+        saveStakeholderMap(data);
+    };
+
+    card.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0) return;
+        e.preventDefault();
+        const s = loadStakeholderMap().stakeholders.find(item => item.id === id);
+        if (!s) return;
+        start = { clientX: e.clientX, clientY: e.clientY, x: s.x, y: s.y };
+        moved = false;
+        window.addEventListener('pointermove', onMove);
+        window.addEventListener('pointerup', onUp);
+    });
+    card.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') openStakeholderEditor(id);
+    });
 }
 
-// Setup mirroring of localStorage -> device storage (debounced) when in standalone
-(async function setupDeviceMirroring() {
-    try {
-        if (!IS_STANDALONE) return;
-        if (!(await isOpfsAvailable())) return;
+function addStakeholder(position) {
+    const data = loadStakeholderMap();
+    const stakeholder = createDefaultStakeholder(position);
+    data.stakeholders.push(stakeholder);
+    saveStakeholderMap(data);
+    renderStakeholderMapInterface();
+    openStakeholderEditor(stakeholder.id);
+}
 
-        // Hydrate first
-        await hydrateFromDeviceIfStandalone();
+function openStakeholderEditor(stakeholderId) {
+    const data = loadStakeholderMap();
+    const s = data.stakeholders.find(item => item.id === stakeholderId);
+    if (!s) return;
+    const existing = document.getElementById('stakeholderModal');
+    if (existing) existing.remove();
 
-        let debounceTimer;
-        function scheduleMirror() {
-            clearTimeout(debounceTimer);
-            debounceTimer = setTimeout(async () => {
-                try { await writeToDeviceStorage(collectLocalStorageSnapshot()); } catch {}
-            }, 200);
+    const options = (values, selected) => values.map(v => `<option value="${v}" ${v === selected ? 'selected' : ''}>${v.charAt(0).toUpperCase() + v.slice(1)}</option>`).join('');
+    document.body.insertAdjacentHTML('beforeend', `
+        <div class="modal show" id="stakeholderModal">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>Edit Stakeholder</h3>
+                    <button class="close-btn" data-action="close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <form id="stakeholderForm">
+                        <div class="form-group">
+                            <label for="shNameInput">Name</label>
+                            <input type="text" id="shNameInput" placeholder="Stakeholder name" value="${escapeHtml(s.name)}">
+                        </div>
+                        <div class="form-group">
+                            <label for="shRoleInput">Role</label>
+                            <input type="text" id="shRoleInput" placeholder="Role or team" value="${escapeHtml(s.role)}">
+                        </div>
+                        <div class="form-group">
+                            <label for="shInfluenceInput">Influence</label>
+                            <select id="shInfluenceInput">${options(STAKEHOLDER_INFLUENCE_LEVELS, s.influence)}</select>
+                        </div>
+                        <div class="form-group">
+                            <label for="shAttitudeInput">Attitude</label>
+                            <select id="shAttitudeInput">${options(STAKEHOLDER_ATTITUDES, s.attitude)}</select>
+                        </div>
+                        <div class="form-group">
+                            <label for="shContactInput">Contact</label>
+                            <input type="text" id="shContactInput" placeholder="Email, Slack handle, phone" value="${escapeHtml(s.contact)}">
+                        </div>
+                        <div class="form-group">
+                            <label for="shNotesInput">Notes</label>
+                            <textarea id="shNotesInput" rows="3" placeholder="Expectations, concerns, how to engage">${escapeHtml(s.notes)}</textarea>
+                        </div>
+                    </form>
+                </div>
+                <div class="modal-footer">
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary" data-action="delete">Delete</button>
+                        <button type="button" class="btn btn-secondary" data-action="close">Cancel</button>
+                        <button type="submit" class="btn btn-primary" form="stakeholderForm">Save Changes</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `);
+
+    const modal = document.getElementById('stakeholderModal');
+    const closeModal = () => modal.remove();
+    modal.querySelectorAll('[data-action="close"]').forEach(btn => btn.addEventListener('click', closeModal));
+    modal.addEventListener('click', (e) => { if (e.target === modal) closeModal(); });
+    modal.querySelector('[data-action="delete"]').addEventListener('click', () => {
+        if (!confirm(`Delete ${s.name || 'this stakeholder'}?`)) return;
+        const latest = loadStakeholderMap();
+        latest.stakeholders = latest.stakeholders.filter(item => item.id !== stakeholderId);
+        saveStakeholderMap(latest);
+        closeModal();
+        renderStakeholderMapInterface();
+    });
+    modal.querySelector('#stakeholderForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const latest = loadStakeholderMap();
+        const target = latest.stakeholders.find(item => item.id === stakeholderId);
+        if (!target) { closeModal(); return; }
+        target.name = modal.querySelector('#shNameInput').value.trim();
+        target.role = modal.querySelector('#shRoleInput').value.trim();
+        target.influence = modal.querySelector('#shInfluenceInput').value;
+        target.attitude = modal.querySelector('#shAttitudeInput').value;
+        target.contact = modal.querySelector('#shContactInput').value.trim();
+        target.notes = modal.querySelector('#shNotesInput').value;
+        saveStakeholderMap(latest);
+        closeModal();
+        renderStakeholderMapInterface();
+    });
+    const nameInput = modal.querySelector('#shNameInput');
+    if (nameInput) nameInput.focus();
+}
+
+function saveStakeholderVersion() {
+    const data = loadStakeholderMap();
+    const versions = loadVersions();
+    versions.unshift({
+        id: Date.now().toString(),
+        timestamp: new Date().toISOString(),
+        type: 'stakeholders',
+        name: `Stakeholder Map ${new Date().toLocaleDateString()} ${new Date().toLocaleTimeString()}`,
+        data: JSON.parse(JSON.stringify(data.stakeholders)),
+        stakeholderCount: data.stakeholders.length
+    });
+    saveVersions(capVersionList(versions));
+    showSuccessToast('Stakeholder map version saved');
+}
+
+function openStakeholderHistory() {
+    showVersionHistoryModal({
+        title: 'Stakeholder Map History',
+        versions: loadVersions().filter(v => v.type === 'stakeholders'),
+        describe: (v) => `${v.stakeholderCount || 0} stakeholder${v.stakeholderCount === 1 ? '' : 's'}`,
+        onLoad: (v) => {
+            saveStakeholderMap({ stakeholders: Array.isArray(v.data) ? v.data : [] });
+            renderStakeholderMapInterface();
+            showSuccessToast('Stakeholder map version loaded');
+        },
+        onDelete: (v) => saveVersions(loadVersions().filter(item => item.id !== v.id))
+    });
+}
+
+function exportStakeholderMap(format) {
+    const root = document.getElementById('stakeholderMapRoot');
+    const { stakeholders } = loadStakeholderMap();
+    switch (format) {
+        case 'png':
+        case 'jpeg':
+            exportElementAsImage(root, 'stakeholder-map', format);
+            break;
+        case 'pdf':
+            exportElementAsPDF(root, 'stakeholder-map', 'l');
+            break;
+        case 'csv': {
+            const quote = (v) => `"${String(v == null ? '' : v).replace(/"/g, '""')}"`;
+            const quadrantLabel = (s) => (STAKEHOLDER_QUADRANTS.find(q => q.key === getStakeholderQuadrant(s)) || {}).label;
+            const rows = [
+                ['Name', 'Role', 'Influence', 'Attitude', 'Quadrant', 'Power', 'Interest', 'Contact', 'Notes'].join(','),
+                ...stakeholders.map(s => [
+                    s.name, s.role, s.influence, s.attitude, quadrantLabel(s),
+                    Math.round(s.y * 100), Math.round(s.x * 100), s.contact, s.notes
+                ].map(quote).join(','))
+            ];
+            downloadBlob(new Blob([rows.join('\n')], { type: 'text/csv;charset=utf-8;' }), 'stakeholder-map.csv');
+            break;
         }
+        case 'json':
+            downloadBlob(new Blob([JSON.stringify({ stakeholders }, null, 2)], { type: 'application/json' }), `stakeholder-map-${new Date().toISOString().slice(0, 10)}.json`);
+            break;
+    }
+}
 
-        const originalSetItem = localStorage.setItem.bind(localStorage);
-        const originalRemoveItem = localStorage.removeItem.bind(localStorage);
-        const originalClear = localStorage.clear.bind(localStorage);
+function setupStakeholderNavbar() {
+    bindFeatureNavbar({
+        addBtnId: 'addStakeholderBtn',
+        onAdd: () => addStakeholder(),
+        onSaveVersion: () => saveStakeholderVersion(),
+        onHistory: () => openStakeholderHistory(),
+        onExport: (format) => exportStakeholderMap(format)
+    });
+}
 
-        localStorage.setItem = function(key, value) {
-            const result = originalSetItem(key, value);
-            try { scheduleMirror(); } catch {}
-            return result;
-        };
-        localStorage.removeItem = function(key) {
-            const result = originalRemoveItem(key);
-            try { scheduleMirror(); } catch {}
-            return result;
-        };
-        localStorage.clear = function() {
-            const result = originalClear();
-            try { scheduleMirror(); } catch {}
-            return result;
-        };
+// ===== INTERVIEW SUMMARY (sessions, tagged quotes, evidence links) =====
+function getDefaultInterviewData() {
+    return { sessions: [], selectedSessionId: '' };
+}
 
-        // Also mirror on visibility changes to be safe
-        document.addEventListener('visibilitychange', () => {
-            if (document.visibilityState === 'hidden') {
-                try { writeToDeviceStorage(collectLocalStorageSnapshot()); } catch {}
-            }
-        });
+function createDefaultInterviewSession() {
+    return {
+        id: generateId('iv'),
+        participant: '',
+        date: new Date().toISOString().slice(0, 10),
+        personaId: '',
+        notes: '',
+        quotes: [],
+        createdAt: new Date().toISOString()
+    };
+}
 
-        // Expose manual sync for debugging
-        window.flowboxSyncToDeviceNow = async function() {
-            return await writeToDeviceStorage(collectLocalStorageSnapshot());
+function normalizeInterviewQuote(raw) {
+    const q = { id: generateId('q'), text: '', tags: [], ...(raw || {}) };
+    q.tags = Array.isArray(q.tags) ? q.tags.map(t => String(t).trim()).filter(Boolean) : [];
+    return q;
+}
+
+function loadInterviewData() {
+    try {
+        const raw = appStorage.getItem(getScopedKey(BASE_INTERVIEWS_KEY));
+        if (!raw) return getDefaultInterviewData();
+        const parsed = JSON.parse(raw);
+        const sessions = Array.isArray(parsed && parsed.sessions) ? parsed.sessions : [];
+        return {
+            sessions: sessions.map(s => ({
+                ...createDefaultInterviewSession(),
+                ...s,
+                quotes: Array.isArray(s.quotes) ? s.quotes.map(normalizeInterviewQuote) : []
+            })),
+            selectedSessionId: typeof parsed.selectedSessionId === 'string' ? parsed.selectedSessionId : ''
         };
-    } catch {}
-})();
+    } catch {
+        return getDefaultInterviewData();
+    }
+}
 
-// --- Device storage helpers (export/import to JSON on disk) ---
-async function exportAllAppDataToDevice() {
+function saveInterviewData(data) {
     try {
-        const exportPayload = buildExportPayload();
-        const json = JSON.stringify(exportPayload, null, 2);
-
-        // Try File System Access API first
-        if (window.showSaveFilePicker) {
-            const handle = await window.showSaveFilePicker({
-                suggestedName: `flowbox-data-${new Date().toISOString().replace(/[:.]/g, '-')}.json`,
-                types: [{ description: 'Flowbox Data', accept: { 'application/json': ['.json'] } }]
-            });
-            const writable = await handle.createWritable();
-            await writable.write(new Blob([json], { type: 'application/json' }));
-            await writable.close();
-            alert('Data saved to device.');
-            return;
-        }
+        const payload = { ...getDefaultInterviewData(), ...(data || {}), updatedAt: Date.now() };
+        appStorage.setItem(getScopedKey(BASE_INTERVIEWS_KEY), JSON.stringify(payload));
+        updateStorageUsage();
+    } catch (err) { reportStorageError(err); }
+}
 
-        // Fallback: trigger download via anchor (works without HTTPS)
-        const blob = new Blob([json], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `flowbox-data-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
-        document.body.appendChild(a);
-        a.click();
-        a.remove();
-        URL.revokeObjectURL(url);
-    } catch (err) {
-        console.error('Export failed', err);
-        alert('Failed to save data to device.');
+// Flatten persona boards into a pick list for the session persona link
+function getPersonaOptions() {
+    const options = [];
+    loadPersonaBoards().forEach(board => {
+        (board.personas || []).forEach(persona => {
+            if (!persona || !persona.id) return;
+            options.push({ id: persona.id, label: persona.name || board.name || 'Untitled persona' });
+        });
+    });
+    return options;
+}
+
+// Evidence targets: every journey column plus every kickoff text field
+function getEvidenceTargets() {
+    const columns = getMainJourneyColumns();
+    const journeyTargets = (columns || []).map((col, index) => ({
+        value: `journey:${index}`,
+        label: `Journey · Stage ${index + 1}${col.stage ? `: ${col.stage}` : ''}`
+    }));
+    const kickoffTargets = KICKOFF_FIELDS.map(f => ({ value: `kickoff:${f.key}`, label: `Kick-off · ${f.label}` }));
+    return [...journeyTargets, ...kickoffTargets];
+}
+
+function buildEvidenceRef(session, quote) {
+    return { sessionId: session.id, quoteId: quote.id, text: quote.text, participant: session.participant, tags: quote.tags.slice() };
+}
+
+function attachQuoteEvidence(target, ref) {
+    const [kind, key] = String(target).split(':');
+    if (kind === 'journey') {
+        const index = parseInt(key, 10);
+        const columns = getMainJourneyColumns();
+        const column = columns[index];
+        if (!column) return false;
+        column.evidence = Array.isArray(column.evidence) ? column.evidence : [];
+        if (column.evidence.some(e => e.quoteId === ref.quoteId)) return false;
+        column.evidence.push(ref);
+        saveJourneyData(columns, currentJourneyVariant);
+        if (window.journey && !getOpenJourneyDraft()) window.journey.renderJourneyMap();
+        return true;
+    }
+    if (kind === 'kickoff') {
+        const data = loadKickoffData();
+        const list = Array.isArray(data.evidence[key]) ? data.evidence[key] : [];
+        if (list.some(e => e.quoteId === ref.quoteId)) return false;
+        data.evidence[key] = [...list, ref];
+        saveKickoffData(data);
+        return true;
+    }
+    return false;
+}
+
+// Remove evidence references to the given quotes everywhere they were attached
+function detachQuoteEvidence(quoteIds) {
+    const ids = new Set(quoteIds);
+    if (!ids.size) return;
+    const columns = getMainJourneyColumns();
+    let journeyChanged = false;
+    columns.forEach(column => {
+        if (!Array.isArray(column.evidence)) return;
+        const kept = column.evidence.filter(e => !ids.has(e.quoteId));
+        if (kept.length !== column.evidence.length) { column.evidence = kept; journeyChanged = true; }
+    });
+    if (journeyChanged) {
+        saveJourneyData(columns, currentJourneyVariant);
+        if (window.journey && !getOpenJourneyDraft()) window.journey.renderJourneyMap();
+    }
+    const kickoff = loadKickoffData();
+    let kickoffChanged = false;
+    Object.keys(kickoff.evidence).forEach(key => {
+        const kept = (kickoff.evidence[key] || []).filter(e => !ids.has(e.quoteId));
+        if (kept.length !== (kickoff.evidence[key] || []).length) { kickoff.evidence[key] = kept; kickoffChanged = true; }
+    });
+    if (kickoffChanged) saveKickoffData(kickoff);
+}
+
+function getEvidenceTargetsForQuote(quoteId) {
+    const labels = [];
+    const columns = getMainJourneyColumns();
+    columns.forEach((column, index) => {
+        if ((column.evidence || []).some(e => e.quoteId === quoteId)) labels.push(`Stage ${index + 1}`);
+    });
+    const kickoff = loadKickoffData();
+    KICKOFF_FIELDS.forEach(f => {
+        if ((kickoff.evidence[f.key] || []).some(e => e.quoteId === quoteId)) labels.push(f.label);
+    });
+    return labels;
+}
+
+function renderInterviewInterface() {
+    const mount = document.getElementById('interviewsMount');
+    if (!mount) return;
+    const data = loadInterviewData();
+    const tagFilter = mount.dataset.tagFilter || '';
+    if (!data.sessions.some(s => s.id === data.selectedSessionId)) {
+        data.selectedSessionId = data.sessions[0] ? data.sessions[0].id : '';
+    }
+    const session = data.sessions.find(s => s.id === data.selectedSessionId);
+    const allTags = Array.from(new Set(data.sessions.flatMap(s => s.quotes.flatMap(q => q.tags)))).sort();
+    const personas = getPersonaOptions();
+
+    const sessionsHtml = data.sessions.map(s => {
+        const matches = tagFilter ? s.quotes.filter(q => q.tags.includes(tagFilter)).length : s.quotes.length;
+        if (tagFilter && !matches) return '';
+        return `
+            <button class="iv-session-item ${s.id === data.selectedSessionId ? 'active' : ''}" data-id="${s.id}">
+                <span class="iv-session-name">${escapeHtml(s.participant || 'Unnamed participant')}</span>
+                <span class="iv-session-meta">${escapeHtml(s.date || '')} · ${matches} quote${matches === 1 ? '' : 's'}</span>
+            </button>
+        `;
+    }).join('');
+
+    const targetOptions = getEvidenceTargets().map(t => `<option value="${t.value}">${escapeHtml(t.label)}</option>`).join('');
+    const quotesHtml = session ? session.quotes
+        .filter(q => !tagFilter || q.tags.includes(tagFilter))
+        .map(q => {
+            const linked = getEvidenceTargetsForQuote(q.id);
+            return `
+                <div class="iv-quote" data-quote-id="${q.id}">
+                    <textarea class="iv-quote-text" rows="2" placeholder="Quote">${escapeHtml(q.text)}</textarea>
+                    <div class="iv-quote-row">
+                        <input class="iv-quote-tags" placeholder="Tags (comma separated)" value="${escapeHtml(q.tags.join(', '))}">
+                        <select class="iv-quote-target" ${q.tags.length ? '' : 'disabled title="Tag the quote before attaching it as evidence"'}>
+                            <option value="">Attach as evidence…</option>
+                            ${targetOptions}
+                        </select>
+                        <button class="btn btn-secondary iv-quote-delete" title="Delete quote">Delete</button>
+                    </div>
+                    ${linked.length ? `<div class="iv-quote-links">Evidence for: ${linked.map(escapeHtml).join(', ')}</div>` : ''}
+                </div>
+            `;
+        }).join('') : '';
+
+    const editorHtml = session ? `
+        <div class="iv-editor" data-session-id="${session.id}">
+            <div class="iv-fields">
+                <label>Participant<input id="ivParticipant" value="${escapeHtml(session.participant)}" placeholder="Participant name or code"></label>
+                <label>Date<input id="ivDate" type="date" value="${escapeHtml(session.date)}"></label>
+                <label>Persona
+                    <select id="ivPersona">
+                        <option value="">No persona</option>
+                        ${personas.map(p => `<option value="${p.id}" ${p.id === session.personaId ? 'selected' : ''}>${escapeHtml(p.label)}</option>`).join('')}
+                    </select>
+                </label>
+            </div>
+            <div class="ko-heading">Raw notes</div>
+            <textarea id="ivNotes" class="ko-paragraph" rows="8" placeholder="Paste or type the interview notes">${escapeHtml(session.notes)}</textarea>
+            <div class="iv-quotes-header">
+                <div class="ko-heading">Quotes</div>
+                <div class="iv-quotes-actions">
+                    <button class="btn btn-secondary" id="ivExtractQuote" title="Turn the selected notes text into a quote">Extract selection</button>
+                    <button class="btn btn-secondary" id="ivAddQuote">Add quote</button>
+                    <button class="btn btn-secondary" id="ivDeleteSession">Delete session</button>
+                </div>
+            </div>
+            <div class="iv-quotes">${quotesHtml || '<p class="feature-empty-note">No quotes yet. Select text in the notes and extract it, or add one manually.</p>'}</div>
+        </div>
+    ` : '<div class="iv-editor iv-empty">Add an interview session to start capturing notes and quotes.</div>';
+
+    mount.innerHTML = `
+        <section class="interview-workspace" id="interviewWorkspaceRoot">
+            <aside class="iv-sidebar">
+                <select id="ivTagFilter" class="iv-tag-filter">
+                    <option value="">All tags</option>
+                    ${allTags.map(t => `<option value="${escapeHtml(t)}" ${t === tagFilter ? 'selected' : ''}>${escapeHtml(t)}</option>`).join('')}
+                </select>
+                <div class="iv-session-list">${sessionsHtml || '<p class="feature-empty-note">No sessions</p>'}</div>
+            </aside>
+            ${editorHtml}
+        </section>
+    `;
+
+    wireInterviewInterface(mount, data);
+    setupInterviewNavbar();
+}
+
+function wireInterviewInterface(mount, data) {
+    const updateSession = (mutate, rerender = false) => {
+        const latest = loadInterviewData();
+        const s = latest.sessions.find(item => item.id === data.selectedSessionId);
+        if (!s) return;
+        mutate(s, latest);
+        saveInterviewData(latest);
+        if (rerender) renderInterviewInterface();
+    };
+    const save = debounceMutations((mutate) => updateSession(mutate), 400);
+
+    mount.querySelector('#ivTagFilter').addEventListener('change', (e) => {
+        mount.dataset.tagFilter = e.target.value;
+        renderInterviewInterface();
+    });
+    mount.querySelectorAll('.iv-session-item').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const latest = loadInterviewData();
+            latest.selectedSessionId = btn.dataset.id;
+            saveInterviewData(latest);
+            renderInterviewInterface();
+        });
+    });
+
+    const editor = mount.querySelector('.iv-editor[data-session-id]');
+    if (!editor) return;
+    const bindField = (selector, key, event = 'input') => {
+        const el = editor.querySelector(selector);
+        if (el) el.addEventListener(event, () => save(s => { s[key] = el.value; }));
+    };
+    bindField('#ivParticipant', 'participant');
+    bindField('#ivDate', 'date', 'change');
+    bindField('#ivPersona', 'personaId', 'change');
+    bindField('#ivNotes', 'notes');
+
+    const addQuote = (text) => updateSession(s => { s.quotes.push(normalizeInterviewQuote({ text })); }, true);
+    editor.querySelector('#ivAddQuote').addEventListener('click', () => addQuote(''));
+    editor.querySelector('#ivExtractQuote').addEventListener('click', () => {
+        const notes = editor.querySelector('#ivNotes');
+        const selected = notes.value.slice(notes.selectionStart, notes.selectionEnd).trim();
+        if (!selected) { showToast('Select part of the notes to extract a quote', 'warning'); return; }
+        // Persist pending note edits before the re-render
+        updateSession(s => { s.notes = notes.value; });
+        addQuote(selected);
+    });
+    editor.querySelector('#ivDeleteSession').addEventListener('click', () => {
+        if (!confirm('Delete this interview session and its quotes?')) return;
+        const latest = loadInterviewData();
+        const removed = latest.sessions.find(s => s.id === data.selectedSessionId);
+        latest.sessions = latest.sessions.filter(s => s.id !== data.selectedSessionId);
+        latest.selectedSessionId = '';
+        saveInterviewData(latest);
+        if (removed) detachQuoteEvidence(removed.quotes.map(q => q.id));
+        renderInterviewInterface();
+    });
+
+    editor.querySelectorAll('.iv-quote').forEach(row => {
+        const quoteId = row.dataset.quoteId;
+        const withQuote = (fn) => (s) => { const q = s.quotes.find(item => item.id === quoteId); if (q) fn(q, s); };
+        row.querySelector('.iv-quote-text').addEventListener('input', (e) => save(withQuote(q => { q.text = e.target.value; })));
+        row.querySelector('.iv-quote-tags').addEventListener('change', (e) => {
+            const tags = e.target.value.split(',').map(t => t.trim()).filter(Boolean);
+            updateSession(withQuote(q => { q.tags = Array.from(new Set(tags)); }), true);
+        });
+        row.querySelector('.iv-quote-delete').addEventListener('click', () => {
+            updateSession(s => { s.quotes = s.quotes.filter(q => q.id !== quoteId); }, false);
+            detachQuoteEvidence([quoteId]);
+            renderInterviewInterface();
+        });
+        row.querySelector('.iv-quote-target').addEventListener('change', (e) => {
+            const target = e.target.value;
+            if (!target) return;
+            const latest = loadInterviewData();
+            const s = latest.sessions.find(item => item.id === data.selectedSessionId);
+            const q = s && s.quotes.find(item => item.id === quoteId);
+            if (!q || !q.tags.length) return;
+            if (attachQuoteEvidence(target, buildEvidenceRef(s, q))) showSuccessToast('Quote attached as evidence');
+            else showToast('Quote is already attached there', 'info');
+            renderInterviewInterface();
+        });
+    });
+}
+
+function addInterviewSession() {
+    const data = loadInterviewData();
+    const session = createDefaultInterviewSession();
+    data.sessions.unshift(session);
+    data.selectedSessionId = session.id;
+    saveInterviewData(data);
+    const mount = document.getElementById('interviewsMount');
+    if (mount) mount.dataset.tagFilter = '';
+    renderInterviewInterface();
+    const participant = document.getElementById('ivParticipant');
+    if (participant) participant.focus();
+}
+
+function exportInterviewData(format) {
+    const data = loadInterviewData();
+    const personaNames = Object.fromEntries(getPersonaOptions().map(p => [p.id, p.label]));
+    switch (format) {
+        case 'png':
+        case 'jpeg':
+            exportElementAsImage(document.getElementById('interviewWorkspaceRoot'), 'interview-summary', format);
+            break;
+        case 'pdf':
+            exportElementAsPDF(document.getElementById('interviewWorkspaceRoot'), 'interview-summary');
+            break;
+        case 'csv': {
+            const quote = (v) => `"${String(v == null ? '' : v).replace(/"/g, '""')}"`;
+            const rows = [['Participant', 'Date', 'Persona', 'Quote', 'Tags', 'Evidence for'].join(',')];
+            data.sessions.forEach(s => s.quotes.forEach(q => {
+                rows.push([s.participant, s.date, personaNames[s.personaId] || '', q.text, q.tags.join('; '), getEvidenceTargetsForQuote(q.id).join('; ')].map(quote).join(','));
+            }));
+            downloadBlob(new Blob([rows.join('\n')], { type: 'text/csv;charset=utf-8;' }), 'interview-quotes.csv');
+            break;
+        }
+        case 'json':
+            downloadBlob(new Blob([JSON.stringify({ sessions: data.sessions }, null, 2)], { type: 'application/json' }), `interviews-${new Date().toISOString().slice(0, 10)}.json`);
+            break;
+    }
+}
+
+function setupInterviewNavbar() {
+    bindFeatureNavbar({
+        addBtnId: 'addInterviewBtn',
+        onAdd: () => addInterviewSession(),
+        onExport: (format) => exportInterviewData(format)
+    });
+}
+
+// ===== COMPETITOR ANALYSIS (matrix + generated summary) =====
+const COMPETITOR_SCORE_MAX = 5;
+
+function getDefaultCompetitorData() {
+    return {
+        criteria: [
+            // Fixed ids, so edits made before the first save still find their criterion
+            { id: 'crit_ease_of_use', name: 'Ease of use', type: 'score' },
+            { id: 'crit_pricing', name: 'Pricing', type: 'text' }
+        ],
+        competitors: [],
+        view: 'matrix'
+    };
+}
+
+function createDefaultCompetitor() {
+    return { id: generateId('comp'), name: '', url: '', screenshots: [], cells: {} };
+}
+
+function loadCompetitorData() {
+    try {
+        const raw = appStorage.getItem(getScopedKey(BASE_COMPETITORS_KEY));
+        if (!raw) return getDefaultCompetitorData();
+        const parsed = JSON.parse(raw);
+        return {
+            criteria: Array.isArray(parsed.criteria) ? parsed.criteria.filter(c => c && c.id) : [],
+            competitors: Array.isArray(parsed.competitors)
+                ? parsed.competitors.map(c => ({ ...createDefaultCompetitor(), ...c, screenshots: Array.isArray(c.screenshots) ? c.screenshots.filter(isSafeImageSrc) : [], cells: c.cells || {} }))
+                : [],
+            view: parsed.view === 'summary' ? 'summary' : 'matrix'
+        };
+    } catch {
+        return getDefaultCompetitorData();
+    }
+}
+
+function saveCompetitorData(data) {
+    try {
+        const payload = { ...getDefaultCompetitorData(), ...(data || {}), updatedAt: Date.now() };
+        appStorage.setItem(getScopedKey(BASE_COMPETITORS_KEY), JSON.stringify(payload));
+        updateStorageUsage();
+    } catch (err) { reportStorageError(err); }
+}
+
+function getCompetitorScore(competitor, criterion) {
+    const value = parseFloat(competitor.cells[criterion.id]);
+    return Number.isFinite(value) ? value : null;
+}
+
+// Derive per-criterion leaders and per-competitor strengths/weaknesses from score cells
+function buildCompetitorSummary(data) {
+    const scoreCriteria = data.criteria.filter(c => c.type === 'score');
+    const byCriterion = scoreCriteria.map(criterion => {
+        const scored = data.competitors
+            .map(comp => ({ comp, score: getCompetitorScore(comp, criterion) }))
+            .filter(item => item.score !== null);
+        const average = scored.length ? scored.reduce((sum, item) => sum + item.score, 0) / scored.length : null;
+        const best = scored.length ? Math.max(...scored.map(item => item.score)) : null;
+        return {
+            criterion,
+            average,
+            leaders: scored.filter(item => item.score === best).map(item => item.comp.name || 'Unnamed')
+        };
+    });
+    const byCompetitor = data.competitors.map(comp => {
+        const scores = scoreCriteria.map(c => ({ criterion: c, score: getCompetitorScore(comp, c) })).filter(item => item.score !== null);
+        const total = scores.reduce((sum, item) => sum + item.score, 0);
+        return {
+            competitor: comp,
+            average: scores.length ? total / scores.length : null,
+            strengths: scores.filter(item => item.score >= 4).map(item => item.criterion.name),
+            weaknesses: scores.filter(item => item.score <= 2).map(item => item.criterion.name)
+        };
+    }).sort((a, b) => (b.average || 0) - (a.average || 0));
+    return { byCriterion, byCompetitor };
+}
+
+function renderCompetitorInterface() {
+    const mount = document.getElementById('competitorsMount');
+    if (!mount) return;
+    const data = loadCompetitorData();
+
+    const tabs = `
+        <div class="cp-tabs">
+            <button class="cp-tab ${data.view === 'matrix' ? 'active' : ''}" data-view="matrix">Matrix</button>
+            <button class="cp-tab ${data.view === 'summary' ? 'active' : ''}" data-view="summary">Summary</button>
+        </div>
+    `;
+    mount.innerHTML = `
+        <section class="competitor-analysis" id="competitorAnalysisRoot">
+            ${tabs}
+            ${data.view === 'summary' ? renderCompetitorSummaryHtml(data) : renderCompetitorMatrixHtml(data)}
+        </section>
+    `;
+
+    mount.querySelectorAll('.cp-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            const latest = loadCompetitorData();
+            latest.view = tab.dataset.view;
+            saveCompetitorData(latest);
+            renderCompetitorInterface();
+        });
+    });
+    if (data.view === 'matrix') wireCompetitorMatrix(mount);
+    setupCompetitorNavbar();
+}
+
+function renderCompetitorMatrixHtml(data) {
+    const headerCells = data.criteria.map(c => `
+        <th data-criterion-id="${c.id}">
+            <input class="cp-criterion-name" value="${escapeHtml(c.name)}" placeholder="Criterion">
+            <div class="cp-criterion-controls">
+                <select class="cp-criterion-type">
+                    <option value="score" ${c.type === 'score' ? 'selected' : ''}>Score</option>
+                    <option value="text" ${c.type === 'text' ? 'selected' : ''}>Text</option>
+                </select>
+                <button class="cp-icon-btn cp-criterion-delete" title="Remove criterion">×</button>
+            </div>
+        </th>
+    `).join('');
+
+    const rows = data.competitors.map(comp => {
+        const cells = data.criteria.map(c => {
+            const value = comp.cells[c.id] == null ? '' : comp.cells[c.id];
+            if (c.type === 'score') {
+                return `<td data-criterion-id="${c.id}"><input class="cp-cell cp-score" type="number" min="0" max="${COMPETITOR_SCORE_MAX}" step="1" value="${escapeHtml(value)}" placeholder="–"></td>`;
+            }
+            return `<td data-criterion-id="${c.id}"><textarea class="cp-cell cp-text" rows="2" placeholder="Notes">${escapeHtml(value)}</textarea></td>`;
+        }).join('');
+        const shots = comp.screenshots.map((src, index) => `
+            <div class="cp-shot" data-index="${index}">
+                <img src="${escapeHtml(src)}" alt="${escapeHtml(comp.name)} screenshot ${index + 1}">
+                <button class="cp-icon-btn cp-shot-remove" title="Remove screenshot">×</button>
+            </div>
+        `).join('');
+        return `
+            <tr data-competitor-id="${comp.id}">
+                <th class="cp-row-head">
+                    <input class="cp-name" value="${escapeHtml(comp.name)}" placeholder="Competitor name">
+                    <input class="cp-url" value="${escapeHtml(comp.url)}" placeholder="https://">
+                    <div class="cp-shots">
+                        ${shots}
+                        <label class="cp-shot-add" title="Upload screenshot">
+                            <span class="material-icons-outlined" aria-hidden="true">add_photo_alternate</span>
+                            <input type="file" accept="image/*" class="cp-shot-input" style="display:none">
+                        </label>
+                    </div>
+                    <button class="cp-icon-btn cp-competitor-delete" title="Remove competitor">Remove</button>
+                </th>
+                ${cells}
+            </tr>
+        `;
+    }).join('');
+
+    return `
+        <div class="cp-matrix-wrap">
+            <table class="cp-matrix">
+                <thead>
+                    <tr>
+                        <th class="cp-corner">Competitor</th>
+                        ${headerCells}
+                        <th class="cp-add-col"><button class="btn btn-secondary" id="cpAddCriterion">+ Criterion</button></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows || `<tr><td class="cp-empty" colspan="${data.criteria.length + 2}">Add a competitor to start comparing.</td></tr>`}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+function renderCompetitorSummaryHtml(data) {
+    if (!data.competitors.length) {
+        return '<div class="cp-summary"><p class="feature-empty-note">Add competitors in the matrix to generate a summary.</p></div>';
+    }
+    const summary = buildCompetitorSummary(data);
+    const fmt = (n) => n === null ? '–' : n.toFixed(1);
+    const criteriaHtml = summary.byCriterion.map(item => `
+        <li><strong>${escapeHtml(item.criterion.name || 'Untitled')}</strong>: average ${fmt(item.average)} / ${COMPETITOR_SCORE_MAX}${item.leaders.length ? `, led by ${escapeHtml(item.leaders.join(', '))}` : ''}</li>
+    `).join('');
+    const competitorsHtml = summary.byCompetitor.map(item => {
+        const comp = item.competitor;
+        const textNotes = data.criteria
+            .filter(c => c.type === 'text' && String(comp.cells[c.id] || '').trim())
+            .map(c => `<li><strong>${escapeHtml(c.name)}:</strong> ${escapeHtml(comp.cells[c.id])}</li>`).join('');
+        return `
+            <article class="cp-summary-card">
+                <header>
+                    <h3>${escapeHtml(comp.name || 'Unnamed competitor')}</h3>
+                    <span class="cp-summary-score">${fmt(item.average)}</span>
+                </header>
+                ${comp.url ? (isSafeLinkUrl(comp.url) ? `<a href="${escapeHtml(comp.url.trim())}" target="_blank" rel="noopener">${escapeHtml(comp.url)}</a>` : `<span>${escapeHtml(comp.url)}</span>`) : ''}
+                ${comp.screenshots[0] ? `<img class="cp-summary-shot" src="${escapeHtml(comp.screenshots[0])}" alt="">` : ''}
+                <p><strong>Strengths:</strong> ${item.strengths.length ? escapeHtml(item.strengths.join(', ')) : '—'}</p>
+                <p><strong>Weaknesses:</strong> ${item.weaknesses.length ? escapeHtml(item.weaknesses.join(', ')) : '—'}</p>
+                ${textNotes ? `<ul>${textNotes}</ul>` : ''}
+            </article>
+        `;
+    }).join('');
+    return `
+        <div class="cp-summary">
+            <h2>Competitor summary</h2>
+            <p>${data.competitors.length} competitor${data.competitors.length === 1 ? '' : 's'} compared across ${data.criteria.length} criteri${data.criteria.length === 1 ? 'on' : 'a'}.</p>
+            ${criteriaHtml ? `<h4>By criterion</h4><ul>${criteriaHtml}</ul>` : ''}
+            <h4>By competitor (ranked by average score)</h4>
+            <div class="cp-summary-grid">${competitorsHtml}</div>
+        </div>
+    `;
+}
+
+function wireCompetitorMatrix(mount) {
+    const update = (mutate, rerender = false) => {
+        const latest = loadCompetitorData();
+        mutate(latest);
+        saveCompetitorData(latest);
+        if (rerender) renderCompetitorInterface();
+    };
+    const saveLater = debounceMutations(update, 400);
+    const findCompetitor = (data, id) => data.competitors.find(c => c.id === id);
+
+    const addCriterionBtn = mount.querySelector('#cpAddCriterion');
+    if (addCriterionBtn) {
+        addCriterionBtn.addEventListener('click', () => update(d => {
+            d.criteria.push({ id: generateId('crit'), name: '', type: 'score' });
+        }, true));
+    }
+    mount.querySelectorAll('th[data-criterion-id]').forEach(th => {
+        const id = th.dataset.criterionId;
+        th.querySelector('.cp-criterion-name').addEventListener('input', (e) => saveLater(d => {
+            const c = d.criteria.find(item => item.id === id);
+            if (c) c.name = e.target.value;
+        }));
+        th.querySelector('.cp-criterion-type').addEventListener('change', (e) => update(d => {
+            const c = d.criteria.find(item => item.id === id);
+            if (c) c.type = e.target.value;
+        }, true));
+        th.querySelector('.cp-criterion-delete').addEventListener('click', () => {
+            if (!confirm('Remove this criterion and its values?')) return;
+            update(d => {
+                d.criteria = d.criteria.filter(item => item.id !== id);
+                d.competitors.forEach(comp => { delete comp.cells[id]; });
+            }, true);
+        });
+    });
+
+    mount.querySelectorAll('tr[data-competitor-id]').forEach(row => {
+        const id = row.dataset.competitorId;
+        row.querySelector('.cp-name').addEventListener('input', (e) => saveLater(d => {
+            const comp = findCompetitor(d, id);
+            if (comp) comp.name = e.target.value;
+        }));
+        row.querySelector('.cp-url').addEventListener('input', (e) => saveLater(d => {
+            const comp = findCompetitor(d, id);
+            if (comp) comp.url = e.target.value.trim();
+        }));
+        row.querySelectorAll('td[data-criterion-id]').forEach(td => {
+            const criterionId = td.dataset.criterionId;
+            const input = td.querySelector('.cp-cell');
+            input.addEventListener('input', () => saveLater(d => {
+                const comp = findCompetitor(d, id);
+                if (!comp) return;
+                if (input.classList.contains('cp-score')) {
+                    const n = parseFloat(input.value);
+                    comp.cells[criterionId] = Number.isFinite(n) ? Math.max(0, Math.min(COMPETITOR_SCORE_MAX, n)) : '';
+                } else {
+                    comp.cells[criterionId] = input.value;
+                }
+            }));
+        });
+        row.querySelector('.cp-competitor-delete').addEventListener('click', () => {
+            if (!confirm('Remove this competitor?')) return;
+            update(d => { d.competitors = d.competitors.filter(c => c.id !== id); }, true);
+        });
+        row.querySelectorAll('.cp-shot-remove').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const index = parseInt(btn.closest('.cp-shot').dataset.index, 10);
+                update(d => {
+                    const comp = findCompetitor(d, id);
+                    if (comp) comp.screenshots.splice(index, 1);
+                }, true);
+            });
+        });
+        row.querySelector('.cp-shot-input').addEventListener('change', (e) => {
+            const file = e.target.files && e.target.files[0];
+            if (!file) return;
+            const journey = window.journey || JourneyMap.prototype;
+            if (!journey.validateImageFile(file)) return;
+            journey.compressImageFile(file, { maxWidth: 1200, maxHeight: 1200, quality: 0.8, format: 'image/jpeg' })
+                .then(dataUrl => update(d => {
+                    const comp = findCompetitor(d, id);
+                    if (comp) comp.screenshots.push(dataUrl);
+                }, true))
+                .catch(err => {
+                    console.error('Failed to process screenshot:', err);
+                    showToast('Failed to process screenshot', 'error');
+                });
+        });
+    });
+}
+
+function addCompetitor() {
+    const data = loadCompetitorData();
+    data.competitors.push(createDefaultCompetitor());
+    data.view = 'matrix';
+    saveCompetitorData(data);
+    renderCompetitorInterface();
+    const names = document.querySelectorAll('#competitorsMount .cp-name');
+    if (names.length) names[names.length - 1].focus();
+}
+
+function exportCompetitorData(format) {
+    const data = loadCompetitorData();
+    const root = document.getElementById('competitorAnalysisRoot');
+    switch (format) {
+        case 'png':
+        case 'jpeg':
+            exportElementAsImage(root, 'competitor-analysis', format);
+            break;
+        case 'pdf':
+            exportElementAsPDF(root, 'competitor-analysis', 'l');
+            break;
+        case 'csv': {
+            const quote = (v) => `"${String(v == null ? '' : v).replace(/"/g, '""')}"`;
+            const rows = [
+                ['Competitor', 'URL', ...data.criteria.map(c => c.name)].map(quote).join(','),
+                ...data.competitors.map(comp => [comp.name, comp.url, ...data.criteria.map(c => comp.cells[c.id])].map(quote).join(','))
+            ];
+            downloadBlob(new Blob([rows.join('\n')], { type: 'text/csv;charset=utf-8;' }), 'competitor-matrix.csv');
+            break;
+        }
+        case 'json':
+            downloadBlob(new Blob([JSON.stringify({ criteria: data.criteria, competitors: data.competitors }, null, 2)], { type: 'application/json' }), `competitors-${new Date().toISOString().slice(0, 10)}.json`);
+            break;
+    }
+}
+
+function setupCompetitorNavbar() {
+    bindFeatureNavbar({
+        addBtnId: 'addCompetitorBtn',
+        onAdd: () => addCompetitor(),
+        onExport: (format) => exportCompetitorData(format)
+    });
+}
+
+// ===== SERVICE BLUEPRINT (lanes laid out on the journey stage grid) =====
+const BLUEPRINT_LANES = [
+    { key: 'customer', label: 'Customer Actions' },
+    { key: 'frontstage', label: 'Frontstage' },
+    { key: 'visibility', label: 'Line of Visibility', divider: true },
+    { key: 'backstage', label: 'Backstage' },
+    { key: 'support', label: 'Support Processes' }
+];
+
+function getDefaultBlueprintData() {
+    return { stages: [], cells: {}, connectors: [] };
+}
+
+function createBlueprintStage(fields = {}) {
+    return { id: generateId('bps'), name: '', touchPoint: '', ...fields };
+}
+
+function getBlueprintCellKey(laneKey, stageId) {
+    return `${laneKey}:${stageId}`;
+}
+
+function loadBlueprintData() {
+    try {
+        const raw = appStorage.getItem(getScopedKey(BASE_BLUEPRINT_KEY));
+        if (!raw) return getDefaultBlueprintData();
+        const parsed = JSON.parse(raw);
+        return {
+            stages: Array.isArray(parsed.stages) ? parsed.stages.map(s => createBlueprintStage(s)) : [],
+            cells: parsed.cells && typeof parsed.cells === 'object' ? parsed.cells : {},
+            connectors: Array.isArray(parsed.connectors) ? parsed.connectors : []
+        };
+    } catch {
+        return getDefaultBlueprintData();
+    }
+}
+
+function saveBlueprintData(data) {
+    try {
+        const payload = { ...getDefaultBlueprintData(), ...(data || {}), updatedAt: Date.now() };
+        appStorage.setItem(getScopedKey(BASE_BLUEPRINT_KEY), JSON.stringify(payload));
+        updateStorageUsage();
+    } catch (err) { reportStorageError(err); }
+}
+
+// Copy stages and touch points from the journey columns. Customer actions are
+// seeded from column activities only where the blueprint cell is still empty.
+function importBlueprintStagesFromJourney() {
+    const columns = getMainJourneyColumns();
+    if (!columns || !columns.length) {
+        showToast('The journey map has no stages to import yet', 'warning');
+        return;
+    }
+    const data = loadBlueprintData();
+    if (data.stages.length && !confirm('Replace the blueprint stages with the journey map stages? Lane content for matching positions is kept.')) return;
+    const previous = data.stages;
+    data.stages = columns.map((col, index) => createBlueprintStage({
+        id: previous[index] ? previous[index].id : generateId('bps'),
+        name: col.stage || `Stage ${index + 1}`,
+        touchPoint: col.touchPoint || ''
+    }));
+    const keep = new Set(data.stages.map(s => s.id));
+    Object.keys(data.cells).forEach(key => { if (!keep.has(key.split(':')[1])) delete data.cells[key]; });
+    data.connectors = data.connectors.filter(c => keep.has(c.from.stageId) && keep.has(c.to.stageId));
+    columns.forEach((col, index) => {
+        const key = getBlueprintCellKey('customer', data.stages[index].id);
+        if (!data.cells[key] && col.activities) data.cells[key] = col.activities;
+    });
+    saveBlueprintData(data);
+    renderServiceBlueprintInterface();
+    showSuccessToast(`Imported ${columns.length} stage${columns.length === 1 ? '' : 's'} from the journey map`);
+}
+
+function renderServiceBlueprintInterface() {
+    const mount = document.getElementById('serviceBlueprintMount');
+    if (!mount) return;
+    const data = loadBlueprintData();
+    const colW = 180;
+    const stageCount = data.stages.length;
+
+    const headers = data.stages.map((stage, index) => `
+        <div class="bp-stage-header" data-stage-id="${stage.id}" style="grid-column:${index + 2}; grid-row:1;">
+            <input class="bp-stage-name" value="${escapeHtml(stage.name)}" placeholder="Stage ${index + 1}">
+            <input class="bp-stage-touchpoint" value="${escapeHtml(stage.touchPoint)}" placeholder="Touch point">
+            <div class="bp-stage-actions">
+                <button class="bp-icon-btn" data-move="-1" title="Move left" ${index === 0 ? 'disabled' : ''}>‹</button>
+                <button class="bp-icon-btn" data-move="1" title="Move right" ${index === stageCount - 1 ? 'disabled' : ''}>›</button>
+                <button class="bp-icon-btn bp-stage-delete" title="Delete stage">×</button>
+            </div>
+        </div>
+    `).join('');
+
+    const lanes = BLUEPRINT_LANES.map((lane, laneIndex) => {
+        const row = laneIndex + 2;
+        const label = `<div class="bp-lane-label ${lane.divider ? 'bp-divider-label' : ''}" style="grid-column:1; grid-row:${row};">${lane.label}</div>`;
+        if (lane.divider) {
+            return label + `<div class="bp-divider" style="grid-column:2 / span ${Math.max(1, stageCount)}; grid-row:${row};"></div>`;
+        }
+        return label + data.stages.map((stage, index) => {
+            const key = getBlueprintCellKey(lane.key, stage.id);
+            return `
+                <div class="bp-cell bp-lane-${lane.key}" data-cell-key="${key}" style="grid-column:${index + 2}; grid-row:${row};">
+                    <textarea class="bp-cell-text" placeholder="…">${escapeHtml(data.cells[key] || '')}</textarea>
+                    <button class="bp-connect-handle" title="Connect from this cell">⟶</button>
+                </div>
+            `;
+        }).join('');
+    }).join('');
+
+    mount.innerHTML = `
+        <section class="service-blueprint" id="serviceBlueprintRoot">
+            <div class="bp-toolbar">
+                <button class="btn btn-secondary" id="bpImportJourney">Import stages from journey map</button>
+                <span class="bp-hint">Use ⟶ on a cell, then click another cell to draw a connector. Click a connector to remove it.</span>
+            </div>
+            ${stageCount ? `
+                <div class="bp-grid-wrap">
+                    <div class="bp-grid" id="bpGrid" style="grid-template-columns:${colW}px repeat(${stageCount}, ${colW}px); min-width:${colW * (stageCount + 1)}px;">
+                        <div class="bp-corner" style="grid-column:1; grid-row:1;">Stage / Touch point</div>
+                        ${headers}
+                        ${lanes}
+                    </div>
+                    <svg class="bp-connectors" id="bpConnectors"></svg>
+                </div>
+            ` : '<div class="bp-empty">Add a stage or import the stages and touch points from the journey map.</div>'}
+        </section>
+    `;
+
+    wireServiceBlueprint(mount);
+    drawBlueprintConnectors();
+    setupServiceBlueprintNavbar();
+}
+
+function wireServiceBlueprint(mount) {
+    const update = (mutate, rerender = false) => {
+        const latest = loadBlueprintData();
+        mutate(latest);
+        saveBlueprintData(latest);
+        if (rerender) renderServiceBlueprintInterface();
+    };
+    const saveLater = debounceMutations(update, 400);
+
+    mount.querySelector('#bpImportJourney').addEventListener('click', () => importBlueprintStagesFromJourney());
+
+    mount.querySelectorAll('.bp-stage-header').forEach(header => {
+        const id = header.dataset.stageId;
+        const withStage = (fn) => (d) => { const s = d.stages.find(item => item.id === id); if (s) fn(s, d); };
+        header.querySelector('.bp-stage-name').addEventListener('input', (e) => saveLater(withStage(s => { s.name = e.target.value; })));
+        header.querySelector('.bp-stage-touchpoint').addEventListener('input', (e) => saveLater(withStage(s => { s.touchPoint = e.target.value; })));
+        header.querySelectorAll('[data-move]').forEach(btn => {
+            btn.addEventListener('click', () => update(d => {
+                const from = d.stages.findIndex(s => s.id === id);
+                const to = from + parseInt(btn.dataset.move, 10);
+                if (from < 0 || to < 0 || to >= d.stages.length) return;
+                const [moved] = d.stages.splice(from, 1);
+                d.stages.splice(to, 0, moved);
+            }, true));
+        });
+        header.querySelector('.bp-stage-delete').addEventListener('click', () => {
+            if (!confirm('Delete this stage and its lane content?')) return;
+            update(d => {
+                d.stages = d.stages.filter(s => s.id !== id);
+                Object.keys(d.cells).forEach(key => { if (key.endsWith(`:${id}`)) delete d.cells[key]; });
+                d.connectors = d.connectors.filter(c => c.from.stageId !== id && c.to.stageId !== id);
+            }, true);
+        });
+    });
+
+    let connectFrom = null;
+    mount.querySelectorAll('.bp-cell').forEach(cell => {
+        const key = cell.dataset.cellKey;
+        cell.querySelector('.bp-cell-text').addEventListener('input', (e) => saveLater(d => { d.cells[key] = e.target.value; }));
+        cell.querySelector('.bp-connect-handle').addEventListener('click', (e) => {
+            e.stopPropagation();
+            mount.querySelectorAll('.bp-cell.connect-source').forEach(c => c.classList.remove('connect-source'));
+            connectFrom = connectFrom === key ? null : key;
+            if (connectFrom) cell.classList.add('connect-source');
+        });
+        cell.addEventListener('click', () => {
+            if (!connectFrom || connectFrom === key) return;
+            const [fromLane, fromStage] = connectFrom.split(':');
+            const [toLane, toStage] = key.split(':');
+            connectFrom = null;
+            update(d => {
+                const exists = d.connectors.some(c => c.from.lane === fromLane && c.from.stageId === fromStage && c.to.lane === toLane && c.to.stageId === toStage);
+                if (!exists) d.connectors.push({ id: generateId('bpc'), from: { lane: fromLane, stageId: fromStage }, to: { lane: toLane, stageId: toStage } });
+            }, true);
+        });
+    });
+}
+
+function drawBlueprintConnectors() {
+    const svg = document.getElementById('bpConnectors');
+    const grid = document.getElementById('bpGrid');
+    if (!svg || !grid) return;
+    const { connectors } = loadBlueprintData();
+    const gridRect = grid.getBoundingClientRect();
+    svg.setAttribute('width', String(grid.scrollWidth));
+    svg.setAttribute('height', String(grid.scrollHeight));
+    const lines = connectors.map(c => {
+        const fromEl = grid.querySelector(`[data-cell-key="${getBlueprintCellKey(c.from.lane, c.from.stageId)}"]`);
+        const toEl = grid.querySelector(`[data-cell-key="${getBlueprintCellKey(c.to.lane, c.to.stageId)}"]`);
+        if (!fromEl || !toEl) return '';
+        const a = fromEl.getBoundingClientRect();
+        const b = toEl.getBoundingClientRect();
+        const x1 = a.left + a.width / 2 - gridRect.left;
+        const y1 = a.top + a.height / 2 - gridRect.top;
+        const x2 = b.left + b.width / 2 - gridRect.left;
+        const y2 = b.top + b.height / 2 - gridRect.top;
+        const midY = (y1 + y2) / 2;
+        const d = x1 === x2 ? `M${x1},${y1} L${x2},${y2}` : `M${x1},${y1} L${x1},${midY} L${x2},${midY} L${x2},${y2}`;
+        return `<path class="bp-connector" data-id="${c.id}" d="${d}" marker-end="url(#bpArrow)"></path>`;
+    }).join('');
+    svg.innerHTML = `
+        <defs>
+            <marker id="bpArrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                <path d="M0,0 L10,5 L0,10 z" fill="#1976d2"></path>
+            </marker>
+        </defs>
+        ${lines}
+    `;
+    svg.querySelectorAll('.bp-connector').forEach(path => {
+        path.addEventListener('click', () => {
+            if (!confirm('Remove this connector?')) return;
+            const data = loadBlueprintData();
+            data.connectors = data.connectors.filter(c => c.id !== path.dataset.id);
+            saveBlueprintData(data);
+            drawBlueprintConnectors();
+        });
+    });
+}
+
+function addBlueprintStage() {
+    const data = loadBlueprintData();
+    data.stages.push(createBlueprintStage());
+    saveBlueprintData(data);
+    renderServiceBlueprintInterface();
+}
+
+function exportServiceBlueprint(format) {
+    const data = loadBlueprintData();
+    switch (format) {
+        case 'png':
+        case 'jpeg':
+            exportElementAsImage(document.getElementById('serviceBlueprintRoot'), 'service-blueprint', format);
+            break;
+        case 'pdf':
+            exportElementAsPDF(document.getElementById('serviceBlueprintRoot'), 'service-blueprint', 'l');
+            break;
+        case 'csv': {
+            const quote = (v) => `"${String(v == null ? '' : v).replace(/"/g, '""')}"`;
+            const rows = [
+                ['Lane', ...data.stages.map(s => s.name)].map(quote).join(','),
+                ['Touch Point', ...data.stages.map(s => s.touchPoint)].map(quote).join(','),
+                ...BLUEPRINT_LANES.filter(l => !l.divider).map(lane => [lane.label, ...data.stages.map(s => data.cells[getBlueprintCellKey(lane.key, s.id)] || '')].map(quote).join(','))
+            ];
+            downloadBlob(new Blob([rows.join('\n')], { type: 'text/csv;charset=utf-8;' }), 'service-blueprint.csv');
+            break;
+        }
+        case 'json':
+            downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), `service-blueprint-${new Date().toISOString().slice(0, 10)}.json`);
+            break;
+    }
+}
+
+function setupServiceBlueprintNavbar() {
+    bindFeatureNavbar({
+        addBtnId: 'addBlueprintStageBtn',
+        onAdd: () => addBlueprintStage(),
+        onExport: (format) => exportServiceBlueprint(format)
+    });
+}
+
+// Connector geometry depends on layout, so redraw when the viewport changes
+window.addEventListener('resize', debounce(() => drawBlueprintConnectors(), 150));
+
+// ===== DISCOVERY SUMMARY (generated report with editable commentary) =====
+const DISCOVERY_KICKOFF_KEYS = ['background', 'problem', 'objectives', 'audience', 'success'];
+
+function loadDiscoverySummary() {
+    try {
+        const raw = appStorage.getItem(getScopedKey(BASE_DISCOVERY_SUMMARY_KEY));
+        const parsed = raw ? JSON.parse(raw) : null;
+        return { commentary: (parsed && parsed.commentary && typeof parsed.commentary === 'object') ? parsed.commentary : {} };
+    } catch {
+        return { commentary: {} };
+    }
+}
+
+function saveDiscoverySummary(data) {
+    try {
+        appStorage.setItem(getScopedKey(BASE_DISCOVERY_SUMMARY_KEY), JSON.stringify({ ...data, updatedAt: Date.now() }));
+        updateStorageUsage();
+    } catch (err) { reportStorageError(err); }
+}
+
+function readScopedJson(baseKey, fallback) {
+    try {
+        const raw = appStorage.getItem(getScopedKey(baseKey));
+        return raw ? JSON.parse(raw) : fallback;
+    } catch {
+        return fallback;
+    }
+}
+
+// Gather the discovery artifacts into plain data so the report is always
+// generated from the latest project state rather than stored alongside it.
+function buildDiscoverySummary() {
+    const kickoff = loadKickoffData();
+    const personas = loadPersonaBoards().flatMap(board => board.personas || []);
+    const columns = getMainJourneyColumns() || [];
+    const flowBoards = readScopedJson('jmAsIsFlow_boards', []);
+    const ih = readScopedJson('ihData', null);
+
+    const stages = columns.map((col, index) => ({ ...col, index }));
+    const painPoints = stages
+        .filter(col => getJourneyMoodRank(col.mood) < JOURNEY_MOOD_RANK.neutral)
+        .sort((a, b) => getJourneyMoodRank(a.mood) - getJourneyMoodRank(b.mood));
+    const opportunities = stages.filter(col => String(col.opportunities || '').trim());
+
+    const ihNodes = ih && Array.isArray(ih.nodes) ? ih.nodes : [];
+    const ihEdges = ih && Array.isArray(ih.edges) ? ih.edges : [];
+    const childIds = new Set(ihEdges.map(e => e.to));
+    const hierarchy = ihNodes
+        .filter(node => !childIds.has(node.id))
+        .map(node => ({
+            text: node.text || 'Untitled',
+            children: ihEdges
+                .filter(e => e.from === node.id)
+                .map(e => ihNodes.find(n => n.id === e.to))
+                .filter(Boolean)
+                .map(n => n.text || 'Untitled')
+        }));
+
+    return {
+        title: kickoff.title || (loadProjects().find(p => p.id === getCurrentProjectId()) || {}).name || 'Discovery summary',
+        kickoff: KICKOFF_FIELDS.filter(f => DISCOVERY_KICKOFF_KEYS.includes(f.key) && String(kickoff[f.key] || '').trim())
+            .map(f => ({ label: f.label, value: kickoff[f.key] })),
+        personas: personas.filter(p => p && (p.name || p.role)),
+        stageCount: columns.length,
+        painPoints,
+        opportunities,
+        flows: (Array.isArray(flowBoards) ? flowBoards : []).map(board => ({
+            title: board.title || 'Untitled flow',
+            steps: (board.nodes || []).map(n => n.label || n.text).filter(Boolean),
+            edgeCount: (board.edges || []).length
+        })),
+        hierarchy,
+        hierarchyName: ih && ih.boardName ? ih.boardName : ''
+    };
+}
+
+function renderDiscoverySummaryInterface() {
+    const mount = document.getElementById('discoverySummaryMount');
+    if (!mount) return;
+    const summary = buildDiscoverySummary();
+    const { commentary } = loadDiscoverySummary();
+    const nl2br = (text) => escapeHtml(text).replace(/\n/g, '<br>');
+    const empty = (text) => `<p class="feature-empty-note">${text}</p>`;
+
+    const sections = [
+        {
+            key: 'overview',
+            title: 'Project overview',
+            body: summary.kickoff.length
+                ? `<dl class="ds-facts">${summary.kickoff.map(item => `<dt>${escapeHtml(item.label)}</dt><dd>${nl2br(item.value)}</dd>`).join('')}</dl>`
+                : empty('Fill in the kick-off brief to populate the overview.')
+        },
+        {
+            key: 'personas',
+            title: 'Personas',
+            body: summary.personas.length
+                ? `<div class="ds-grid">${summary.personas.map(p => `
+                    <article class="ds-card">
+                        <h4>${escapeHtml(p.name || 'Unnamed persona')}</h4>
+                        ${p.role ? `<div class="ds-muted">${escapeHtml(p.role)}</div>` : ''}
+                        ${p.goals ? `<p><strong>Goals:</strong> ${nl2br(p.goals)}</p>` : ''}
+                        ${p.frustrations ? `<p><strong>Frustrations:</strong> ${nl2br(p.frustrations)}</p>` : ''}
+                    </article>`).join('')}</div>`
+                : empty('No personas yet.')
+        },
+        {
+            key: 'journey',
+            title: 'Journey pain points',
+            body: summary.painPoints.length
+                ? `<ul class="ds-list">${summary.painPoints.map(col => `
+                    <li><span class="ds-mood">${JourneyMap.prototype.getMoodEmoji(col.mood)}</span>
+                        <strong>${escapeHtml(col.stage || `Stage ${col.index + 1}`)}</strong>
+                        ${col.feelings ? ` — ${nl2br(col.feelings)}` : ''}</li>`).join('')}</ul>`
+                : empty(summary.stageCount ? `None of the ${summary.stageCount} journey stages is marked sad or angry.` : 'The journey map has no stages yet.')
+        },
+        {
+            key: 'opportunities',
+            title: 'Opportunities',
+            body: summary.opportunities.length
+                ? `<ul class="ds-list">${summary.opportunities.map(col => `
+                    <li><strong>${escapeHtml(col.stage || `Stage ${col.index + 1}`)}:</strong> ${nl2br(col.opportunities)}</li>`).join('')}</ul>`
+                : empty('No opportunities captured on the journey map.')
+        },
+        {
+            key: 'flow',
+            title: 'As-is flow',
+            body: summary.flows.length
+                ? summary.flows.map(flow => `
+                    <div class="ds-flow">
+                        <h4>${escapeHtml(flow.title)} <span class="ds-muted">${flow.steps.length} steps · ${flow.edgeCount} connections</span></h4>
+                        ${flow.steps.length ? `<ol class="ds-steps">${flow.steps.map(step => `<li>${escapeHtml(step)}</li>`).join('')}</ol>` : ''}
+                    </div>`).join('')
+                : empty('No as-is flow boards yet.')
+        },
+        {
+            key: 'hierarchy',
+            title: `Information hierarchy${summary.hierarchyName ? ` — ${escapeHtml(summary.hierarchyName)}` : ''}`,
+            body: summary.hierarchy.length
+                ? `<ul class="ds-tree">${summary.hierarchy.map(item => `
+                    <li>${escapeHtml(item.text)}${item.children.length ? `<ul>${item.children.map(c => `<li>${escapeHtml(c)}</li>`).join('')}</ul>` : ''}</li>`).join('')}</ul>`
+                : empty('No information hierarchy yet.')
+        },
+        { key: 'conclusion', title: 'Key takeaways', body: '' }
+    ];
+
+    mount.innerHTML = `
+        <section class="discovery-summary" id="discoverySummaryRoot">
+            <header class="ds-header">
+                <h1>${escapeHtml(summary.title)}</h1>
+                <div class="ds-muted">Discovery summary · generated ${new Date().toLocaleDateString()}</div>
+            </header>
+            ${sections.map(section => `
+                <section class="ds-section" data-section="${section.key}">
+                    <h2>${section.title}</h2>
+                    ${section.body}
+                    <div class="ds-commentary" contenteditable="true" data-key="${section.key}" data-placeholder="Add commentary…">${nl2br(commentary[section.key] || '')}</div>
+                </section>
+            `).join('')}
+        </section>
+    `;
+
+    const saveLater = debounceMutations((mutate) => {
+        const latest = loadDiscoverySummary();
+        mutate(latest.commentary);
+        saveDiscoverySummary(latest);
+    }, 400);
+    mount.querySelectorAll('.ds-commentary').forEach(block => {
+        block.addEventListener('input', () => {
+            const value = block.innerText.trim();
+            saveLater(commentary => { commentary[block.dataset.key] = value; });
+        });
+    });
+
+    setupDiscoverySummaryNavbar();
+}
+
+async function exportDiscoverySummary(format) {
+    const root = document.getElementById('discoverySummaryRoot');
+    if (!root) return;
+    // Hide empty commentary placeholders so they do not end up in the export
+    root.classList.add('ds-exporting');
+    try {
+        if (format === 'pdf') {
+            await exportElementAsPDF(root, 'discovery-summary', 'p');
+        } else if (format === 'png' || format === 'jpeg') {
+            await exportElementAsImage(root, 'discovery-summary', format);
+        }
+    } finally {
+        root.classList.remove('ds-exporting');
+    }
+}
+
+function setupDiscoverySummaryNavbar() {
+    bindFeatureNavbar({
+        onExport: (format) => exportDiscoverySummary(format),
+        exportFormats: ['pdf', 'png']
+    });
+}
+
+// ===== DEFINE WORKSPACES (POV, HMW, principles, value proposition, metrics, requirements) =====
+// Every Define editor shares one per-project record; each workspace owns one property of it.
+const DEFINE_WORKSPACES = {
+    pov: {
+        title: 'Point of View',
+        kind: 'list',
+        addLabel: 'Add POV statement',
+        emptyNote: 'Frame the problem as "user needs need because insight". Pick a persona to fill in the user.',
+        fields: [
+            { key: 'user', label: 'User', ph: 'Who is the user? (persona or segment)' },
+            { key: 'need', label: 'Needs', ph: 'What do they need to do?' },
+            { key: 'insight', label: 'Because', ph: 'What surprising insight explains the need?', multiline: true }
+        ],
+        preview: (item) => `${item.user || '[user]'} needs ${item.need || '[need]'} because ${item.insight || '[insight]'}.`
+    },
+    hmw: {
+        title: 'How Might We',
+        kind: 'hmw',
+        addLabel: 'Add HMW',
+        emptyNote: 'Add "How might we…" questions, vote on them and drag them into clusters.'
+    },
+    principles: {
+        title: 'Design Principles',
+        kind: 'list',
+        addLabel: 'Add principle',
+        emptyNote: 'Design principles are the guardrails the team uses to settle decisions.',
+        fields: [
+            { key: 'title', label: 'Principle', ph: 'e.g. Clarity over cleverness' },
+            { key: 'description', label: 'What it means', ph: 'How the principle guides decisions', multiline: true },
+            { key: 'example', label: 'In practice', ph: 'An example decision it settles', multiline: true }
+        ]
+    },
+    valueProposition: {
+        title: 'Value Proposition',
+        kind: 'canvas',
+        fields: [
+            { key: 'customerJobs', label: 'Customer jobs', ph: 'What customers are trying to get done' },
+            { key: 'pains', label: 'Pains', ph: 'Bad outcomes, risks and obstacles' },
+            { key: 'gains', label: 'Gains', ph: 'Outcomes and benefits customers want' },
+            { key: 'products', label: 'Products & services', ph: 'What we offer' },
+            { key: 'painRelievers', label: 'Pain relievers', ph: 'How the offer removes pains' },
+            { key: 'gainCreators', label: 'Gain creators', ph: 'How the offer creates gains' },
+            { key: 'statement', label: 'Value proposition statement', ph: 'For [customer] who [need], our [product] [benefit], unlike [alternative].', wide: true }
+        ]
+    },
+    metrics: {
+        title: 'Success Metrics',
+        kind: 'list',
+        addLabel: 'Add metric',
+        emptyNote: 'Define how design success will be measured, with a baseline and target.',
+        fields: [
+            { key: 'name', label: 'Metric', ph: 'e.g. Checkout completion rate' },
+            { key: 'baseline', label: 'Baseline', ph: 'Current value' },
+            { key: 'target', label: 'Target', ph: 'Goal value' },
+            { key: 'method', label: 'How measured', ph: 'Analytics, survey, usability test…' }
+        ]
+    },
+    requirements: {
+        title: 'Design Requirements',
+        kind: 'list',
+        addLabel: 'Add requirement',
+        emptyNote: 'Capture the requirements the design must satisfy and their priority.',
+        fields: [
+            { key: 'text', label: 'Requirement', ph: 'The design must…', multiline: true },
+            { key: 'priority', label: 'Priority', options: ['Must', 'Should', 'Could', "Won't"] },
+            { key: 'source', label: 'Source', ph: 'Stakeholder, research finding, regulation…' }
+        ]
+    }
+};
+
+function getDefaultDefineData() {
+    return {
+        pov: [],
+        hmw: { cards: [], clusters: [] },
+        principles: [],
+        valueProposition: {},
+        metrics: [],
+        requirements: []
+    };
+}
+
+function loadDefineData() {
+    try {
+        const raw = appStorage.getItem(getScopedKey(BASE_DEFINE_KEY));
+        if (!raw) return getDefaultDefineData();
+        const parsed = JSON.parse(raw) || {};
+        const data = { ...getDefaultDefineData(), ...parsed };
+        Object.keys(DEFINE_WORKSPACES).forEach(section => {
+            if (DEFINE_WORKSPACES[section].kind === 'list' && !Array.isArray(data[section])) data[section] = [];
+        });
+        if (!data.hmw || typeof data.hmw !== 'object') data.hmw = { cards: [], clusters: [] };
+        if (!Array.isArray(data.hmw.cards)) data.hmw.cards = [];
+        if (!Array.isArray(data.hmw.clusters)) data.hmw.clusters = [];
+        if (!data.valueProposition || typeof data.valueProposition !== 'object') data.valueProposition = {};
+        return data;
+    } catch {
+        return getDefaultDefineData();
+    }
+}
+
+function saveDefineData(data) {
+    try {
+        appStorage.setItem(getScopedKey(BASE_DEFINE_KEY), JSON.stringify({ ...data, updatedAt: Date.now() }));
+        updateStorageUsage();
+    } catch (err) { reportStorageError(err); }
+}
+
+function createDefineItem(section) {
+    const item = { id: generateId(section) };
+    (DEFINE_WORKSPACES[section].fields || []).forEach(f => { item[f.key] = f.options ? f.options[0] : ''; });
+    return item;
+}
+
+function countDefineItems(section, value) {
+    if (section === 'hmw') return (value && value.cards ? value.cards.length : 0);
+    if (section === 'valueProposition') return Object.values(value || {}).filter(v => String(v || '').trim()).length;
+    return Array.isArray(value) ? value.length : 0;
+}
+
+function renderDefineWorkspace(section) {
+    const mount = document.getElementById('defineMount');
+    const config = DEFINE_WORKSPACES[section];
+    if (!mount || !config) return;
+    const data = loadDefineData();
+    let body = '';
+    if (config.kind === 'list') body = renderDefineListHtml(section, data[section]);
+    else if (config.kind === 'hmw') body = renderHmwBoardHtml(data);
+    else body = renderDefineCanvasHtml(section, data[section]);
+
+    mount.innerHTML = `
+        <section class="define-workspace" id="defineWorkspaceRoot" data-section="${section}">
+            <h2 class="df-title">${escapeHtml(config.title)}</h2>
+            ${config.emptyNote ? `<p class="df-intro">${escapeHtml(config.emptyNote)}</p>` : ''}
+            ${body}
+        </section>
+    `;
+    if (config.kind === 'list') wireDefineList(mount, section);
+    else if (config.kind === 'hmw') wireHmwBoard(mount);
+    else wireDefineCanvas(mount, section);
+
+    bindFeatureNavbar({
+        addBtnId: 'addDefineItemBtn',
+        onAdd: config.kind === 'canvas' ? null : () => addDefineItem(section),
+        onSaveVersion: () => saveDefineVersion(section),
+        onHistory: () => openDefineHistory(section),
+        onExport: (format) => exportDefineWorkspace(section, format)
+    });
+}
+
+function renderDefineFieldHtml(field, value) {
+    const attrs = `class="df-field" data-field="${field.key}"`;
+    if (field.options) {
+        return `<select ${attrs}>${field.options.map(o => `<option value="${escapeHtml(o)}" ${o === value ? 'selected' : ''}>${escapeHtml(o)}</option>`).join('')}</select>`;
+    }
+    if (field.multiline) {
+        return `<textarea ${attrs} rows="2" placeholder="${escapeHtml(field.ph || '')}">${escapeHtml(value || '')}</textarea>`;
+    }
+    return `<input ${attrs} value="${escapeHtml(value || '')}" placeholder="${escapeHtml(field.ph || '')}">`;
+}
+
+function renderDefineListHtml(section, items) {
+    const config = DEFINE_WORKSPACES[section];
+    if (!items.length) return `<div class="df-empty">Nothing here yet. Use “${escapeHtml(config.addLabel)}” to start.</div>`;
+    const personas = section === 'pov' ? getPersonaOptions() : [];
+    return `<div class="df-list">${items.map((item, index) => `
+        <article class="df-item" data-id="${item.id}">
+            <div class="df-item-head">
+                <span class="df-item-index">${index + 1}</span>
+                ${config.preview ? `<p class="df-preview">${escapeHtml(config.preview(item))}</p>` : ''}
+                <div class="df-item-actions">
+                    <button class="df-icon-btn" data-move="-1" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button class="df-icon-btn" data-move="1" title="Move down" ${index === items.length - 1 ? 'disabled' : ''}>↓</button>
+                    <button class="df-icon-btn df-delete" title="Delete">×</button>
+                </div>
+            </div>
+            <div class="df-fields">
+                ${section === 'pov' && personas.length ? `
+                    <label class="df-label">Persona
+                        <select class="df-persona">
+                            <option value="">— none —</option>
+                            ${personas.map(p => `<option value="${p.id}" ${p.id === item.personaId ? 'selected' : ''}>${escapeHtml(p.label)}</option>`).join('')}
+                        </select>
+                    </label>` : ''}
+                ${config.fields.map(f => `<label class="df-label">${escapeHtml(f.label)}${renderDefineFieldHtml(f, item[f.key])}</label>`).join('')}
+            </div>
+        </article>
+    `).join('')}</div>`;
+}
+
+function wireDefineList(mount, section) {
+    const config = DEFINE_WORKSPACES[section];
+    const update = (mutate, rerender = false) => {
+        const latest = loadDefineData();
+        mutate(latest[section]);
+        saveDefineData(latest);
+        if (rerender) renderDefineWorkspace(section);
+    };
+    const saveLater = debounceMutations(update, 400);
+
+    mount.querySelectorAll('.df-item').forEach(el => {
+        const id = el.dataset.id;
+        const preview = el.querySelector('.df-preview');
+        const refreshPreview = () => {
+            if (!preview) return;
+            const draft = {};
+            el.querySelectorAll('.df-field').forEach(input => { draft[input.dataset.field] = input.value; });
+            preview.textContent = config.preview(draft);
+        };
+        el.querySelectorAll('.df-field').forEach(input => {
+            const handler = () => {
+                refreshPreview();
+                saveLater(items => { const item = items.find(i => i.id === id); if (item) item[input.dataset.field] = input.value; });
+            };
+            input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', handler);
+        });
+        const personaSelect = el.querySelector('.df-persona');
+        if (personaSelect) {
+            personaSelect.addEventListener('change', () => {
+                const persona = getPersonaOptions().find(p => p.id === personaSelect.value);
+                update(items => {
+                    const item = items.find(i => i.id === id);
+                    if (!item) return;
+                    item.personaId = personaSelect.value;
+                    if (persona) item.user = persona.label;
+                }, true);
+            });
+        }
+        el.querySelectorAll('[data-move]').forEach(btn => {
+            btn.addEventListener('click', () => update(items => {
+                const from = items.findIndex(i => i.id === id);
+                const to = from + parseInt(btn.dataset.move, 10);
+                if (from < 0 || to < 0 || to >= items.length) return;
+                const [moved] = items.splice(from, 1);
+                items.splice(to, 0, moved);
+            }, true));
+        });
+        el.querySelector('.df-delete').addEventListener('click', () => {
+            if (!confirm('Delete this item?')) return;
+            update(items => { const index = items.findIndex(i => i.id === id); if (index >= 0) items.splice(index, 1); }, true);
+        });
+    });
+}
+
+function renderDefineCanvasHtml(section, values) {
+    const config = DEFINE_WORKSPACES[section];
+    return `<div class="df-canvas">${config.fields.map(f => `
+        <label class="df-canvas-block ${f.wide ? 'wide' : ''}">
+            <span class="df-canvas-label">${escapeHtml(f.label)}</span>
+            <textarea class="df-field" data-field="${f.key}" placeholder="${escapeHtml(f.ph || '')}">${escapeHtml(values[f.key] || '')}</textarea>
+        </label>
+    `).join('')}</div>`;
+}
+
+function wireDefineCanvas(mount, section) {
+    const saveLater = debounceMutations((mutate) => {
+        const latest = loadDefineData();
+        mutate(latest[section]);
+        saveDefineData(latest);
+    }, 400);
+    mount.querySelectorAll('.df-field').forEach(input => {
+        input.addEventListener('input', () => saveLater(canvas => { canvas[input.dataset.field] = input.value; }));
+    });
+}
+
+function renderHmwBoardHtml(data) {
+    const { cards, clusters } = data.hmw;
+    const sortByVotes = (list) => list.slice().sort((a, b) => (b.votes || 0) - (a.votes || 0));
+    const column = (cluster) => {
+        const clusterId = cluster ? cluster.id : '';
+        const items = sortByVotes(cards.filter(c => (c.clusterId || '') === clusterId));
+        return `
+            <div class="df-hmw-column" data-cluster-id="${clusterId}">
+                <div class="df-hmw-column-head">
+                    ${cluster
+                        ? `<input class="df-cluster-name" value="${escapeHtml(cluster.name)}" placeholder="Cluster name">
+                           <button class="df-icon-btn df-cluster-delete" title="Delete cluster">×</button>`
+                        : '<span class="df-cluster-name static">Unclustered</span>'}
+                    <span class="df-count">${items.length}</span>
+                </div>
+                ${items.map(card => `
+                    <div class="df-hmw-card" draggable="true" data-id="${card.id}">
+                        <textarea class="df-hmw-text" rows="2" placeholder="How might we…">${escapeHtml(card.text)}</textarea>
+                        <div class="df-hmw-foot">
+                            <button class="df-vote" data-delta="1" title="Vote up">▲</button>
+                            <span class="df-votes">${card.votes || 0}</span>
+                            <button class="df-vote" data-delta="-1" title="Remove vote" ${card.votes ? '' : 'disabled'}>▼</button>
+                            <button class="df-icon-btn df-delete" title="Delete">×</button>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    };
+    return `
+        <div class="df-toolbar">
+            <button class="btn btn-secondary" id="dfAddCluster">Add cluster</button>
+            <button class="btn btn-secondary" id="dfHmwFromPov" ${data.pov.length ? '' : 'disabled'}>Generate from POV statements</button>
+        </div>
+        <div class="df-hmw-board">
+            ${column(null)}
+            ${clusters.map(column).join('')}
+        </div>
+    `;
+}
+
+function wireHmwBoard(mount) {
+    const update = (mutate, rerender = false) => {
+        const latest = loadDefineData();
+        mutate(latest.hmw, latest);
+        saveDefineData(latest);
+        if (rerender) renderDefineWorkspace('hmw');
+    };
+    const saveLater = debounceMutations(update, 400);
+
+    mount.querySelector('#dfAddCluster').addEventListener('click', () => update(hmw => {
+        hmw.clusters.push({ id: generateId('cluster'), name: `Cluster ${hmw.clusters.length + 1}` });
+    }, true));
+    mount.querySelector('#dfHmwFromPov').addEventListener('click', () => update((hmw, latest) => {
+        let added = 0;
+        latest.pov.forEach(pov => {
+            if (!pov.need || hmw.cards.some(c => c.povId === pov.id)) return;
+            hmw.cards.push({ id: generateId('hmw'), text: `How might we help ${pov.user || 'our users'} ${pov.need}?`, votes: 0, clusterId: '', povId: pov.id });
+            added++;
+        });
+        showToast(added ? `Added ${added} HMW question${added === 1 ? '' : 's'}` : 'Every POV statement already has an HMW question', added ? 'success' : 'info');
+    }, true));
+
+    mount.querySelectorAll('.df-hmw-column').forEach(col => {
+        const clusterId = col.dataset.clusterId;
+        const nameInput = col.querySelector('input.df-cluster-name');
+        if (nameInput) {
+            nameInput.addEventListener('input', () => saveLater(hmw => {
+                const cluster = hmw.clusters.find(c => c.id === clusterId);
+                if (cluster) cluster.name = nameInput.value;
+            }));
+            col.querySelector('.df-cluster-delete').addEventListener('click', () => {
+                if (!confirm('Delete this cluster? Its cards move back to Unclustered.')) return;
+                update(hmw => {
+                    hmw.clusters = hmw.clusters.filter(c => c.id !== clusterId);
+                    hmw.cards.forEach(c => { if (c.clusterId === clusterId) c.clusterId = ''; });
+                }, true);
+            });
+        }
+        col.addEventListener('dragover', (e) => { e.preventDefault(); col.classList.add('drag-over'); });
+        col.addEventListener('dragleave', () => col.classList.remove('drag-over'));
+        col.addEventListener('drop', (e) => {
+            e.preventDefault();
+            col.classList.remove('drag-over');
+            const cardId = e.dataTransfer.getData('text/plain');
+            update(hmw => { const card = hmw.cards.find(c => c.id === cardId); if (card) card.clusterId = clusterId; }, true);
+        });
+    });
+
+    mount.querySelectorAll('.df-hmw-card').forEach(el => {
+        const id = el.dataset.id;
+        const withCard = (fn) => (hmw) => { const card = hmw.cards.find(c => c.id === id); if (card) fn(card, hmw); };
+        el.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('text/plain', id);
+            el.classList.add('dragging');
+        });
+        el.addEventListener('dragend', () => el.classList.remove('dragging'));
+        el.querySelector('.df-hmw-text').addEventListener('input', (e) => saveLater(withCard(card => { card.text = e.target.value; })));
+        el.querySelectorAll('.df-vote').forEach(btn => {
+            btn.addEventListener('click', () => update(withCard(card => {
+                card.votes = Math.max(0, (card.votes || 0) + parseInt(btn.dataset.delta, 10));
+            }), true));
+        });
+        el.querySelector('.df-delete').addEventListener('click', () => {
+            if (!confirm('Delete this HMW question?')) return;
+            update(hmw => { hmw.cards = hmw.cards.filter(c => c.id !== id); }, true);
+        });
+    });
+}
+
+function addDefineItem(section) {
+    const data = loadDefineData();
+    if (section === 'hmw') {
+        data.hmw.cards.push({ id: generateId('hmw'), text: 'How might we ', votes: 0, clusterId: '', povId: '' });
+    } else {
+        data[section].push(createDefineItem(section));
+    }
+    saveDefineData(data);
+    renderDefineWorkspace(section);
+    const fields = document.querySelectorAll('#defineWorkspaceRoot .df-hmw-text, #defineWorkspaceRoot .df-item:last-child .df-field');
+    if (fields.length) fields[section === 'hmw' ? fields.length - 1 : 0].focus();
+}
+
+function saveDefineVersion(section) {
+    const config = DEFINE_WORKSPACES[section];
+    const value = loadDefineData()[section];
+    const versions = loadVersions();
+    versions.unshift({
+        id: Date.now().toString(),
+        timestamp: new Date().toISOString(),
+        type: 'define',
+        section,
+        name: `${config.title} ${new Date().toLocaleDateString()} ${new Date().toLocaleTimeString()}`,
+        data: JSON.parse(JSON.stringify(value)),
+        itemCount: countDefineItems(section, value)
+    });
+    saveVersions(capVersionList(versions));
+    showSuccessToast(`${config.title} version saved`);
+}
+
+function openDefineHistory(section) {
+    const config = DEFINE_WORKSPACES[section];
+    showVersionHistoryModal({
+        title: `${config.title} History`,
+        versions: loadVersions().filter(v => v.type === 'define' && v.section === section),
+        describe: (v) => `${v.itemCount || 0} ${config.kind === 'canvas' ? 'filled field' : 'item'}${v.itemCount === 1 ? '' : 's'}`,
+        onLoad: (v) => {
+            const data = loadDefineData();
+            data[section] = JSON.parse(JSON.stringify(v.data));
+            saveDefineData(data);
+            renderDefineWorkspace(section);
+            showSuccessToast(`${config.title} version loaded`);
+        },
+        onDelete: (v) => saveVersions(loadVersions().filter(item => item.id !== v.id))
+    });
+}
+
+function exportDefineWorkspace(section, format) {
+    const config = DEFINE_WORKSPACES[section];
+    const value = loadDefineData()[section];
+    const fileBase = config.title.toLowerCase().replace(/\s+/g, '-');
+    switch (format) {
+        case 'png':
+        case 'jpeg':
+            exportElementAsImage(document.getElementById('defineWorkspaceRoot'), fileBase, format);
+            break;
+        case 'pdf':
+            exportElementAsPDF(document.getElementById('defineWorkspaceRoot'), fileBase, section === 'hmw' ? 'l' : 'p');
+            break;
+        case 'csv': {
+            const quote = (v) => `"${String(v == null ? '' : v).replace(/"/g, '""')}"`;
+            let rows;
+            if (section === 'hmw') {
+                const clusterName = (id) => (value.clusters.find(c => c.id === id) || {}).name || 'Unclustered';
+                rows = [['Question', 'Votes', 'Cluster'].join(','), ...value.cards.map(c => [c.text, c.votes || 0, clusterName(c.clusterId)].map(quote).join(','))];
+            } else if (config.kind === 'canvas') {
+                rows = [['Block', 'Content'].join(','), ...config.fields.map(f => [f.label, value[f.key] || ''].map(quote).join(','))];
+            } else {
+                rows = [config.fields.map(f => quote(f.label)).join(','), ...value.map(item => config.fields.map(f => quote(item[f.key])).join(','))];
+            }
+            downloadBlob(new Blob([rows.join('\n')], { type: 'text/csv;charset=utf-8;' }), `${fileBase}.csv`);
+            break;
+        }
+        case 'json':
+            downloadBlob(new Blob([JSON.stringify(value, null, 2)], { type: 'application/json' }), `${fileBase}-${new Date().toISOString().slice(0, 10)}.json`);
+            break;
+    }
+}
+
+// ===== TO-BE JOURNEY MAP (clone from as-is, side-by-side compare) =====
+const JOURNEY_COMPARE_FIELDS = [
+    { key: 'stage', label: 'Stage' },
+    { key: 'touchPoint', label: 'Touch point' },
+    { key: 'activities', label: 'Activities' },
+    { key: 'feelings', label: 'Feelings and needs' },
+    { key: 'opportunities', label: 'Opportunities' }
+];
+
+function cloneAsIsJourneyToToBe() {
+    const asIs = loadJourneyData('as-is');
+    if (!asIs.length) {
+        showToast('The as-is journey map has no stages to clone', 'warning');
+        return;
+    }
+    const toBe = loadJourneyData('to-be');
+    if (toBe.length && !confirm('Replace the to-be journey map with a copy of the as-is journey map? Save a version first if you want to keep the current to-be map.')) return;
+    saveJourneyData(JSON.parse(JSON.stringify(asIs)), 'to-be');
+    if (window.journey && currentJourneyVariant === 'to-be') {
+        window.journey.journeyData = loadJourneyData('to-be');
+        window.journey.renderJourneyMap();
+    }
+    showSuccessToast(`Cloned ${asIs.length} stage${asIs.length === 1 ? '' : 's'} from the as-is journey map`);
+}
+
+// Pair the two maps column by column; extra columns on either side pair with null
+function buildJourneyComparison(asIs, toBe) {
+    const length = Math.max(asIs.length, toBe.length);
+    const pairs = [];
+    for (let i = 0; i < length; i++) {
+        const before = asIs[i] || null;
+        const after = toBe[i] || null;
+        const moodDelta = before && after ? getJourneyMoodRank(after.mood) - getJourneyMoodRank(before.mood) : null;
+        const changed = JOURNEY_COMPARE_FIELDS
+            .filter(f => before && after && String(before[f.key] || '').trim() !== String(after[f.key] || '').trim())
+            .map(f => f.key);
+        pairs.push({ index: i, before, after, moodDelta, changed });
+    }
+    return {
+        pairs,
+        improved: pairs.filter(p => p.moodDelta > 0).length,
+        worse: pairs.filter(p => p.moodDelta < 0).length,
+        added: pairs.filter(p => !p.before).length,
+        removed: pairs.filter(p => !p.after).length
+    };
+}
+
+function openJourneyCompareModal() {
+    const asIs = loadJourneyData('as-is');
+    const toBe = loadJourneyData('to-be');
+    const comparison = buildJourneyComparison(asIs, toBe);
+    const emoji = (col) => JourneyMap.prototype.getMoodEmoji(col.mood);
+    const nl2br = (text) => escapeHtml(text || '').replace(/\n/g, '<br>') || '<span class="jc-none">—</span>';
+    const side = (col, fieldKey) => col ? nl2br(col[fieldKey]) : '<span class="jc-none">not in this map</span>';
+    const deltaBadge = (pair) => {
+        if (pair.moodDelta === null) return '';
+        const cls = pair.moodDelta > 0 ? 'up' : pair.moodDelta < 0 ? 'down' : 'same';
+        const text = pair.moodDelta > 0 ? `+${pair.moodDelta}` : pair.moodDelta === 0 ? '±0' : String(pair.moodDelta);
+        return `<span class="jc-delta ${cls}" title="Mood change">${text}</span>`;
+    };
+
+    const header = comparison.pairs.map(pair => `<th>Column ${pair.index + 1}</th>`).join('');
+    const moodRow = comparison.pairs.map(pair => `
+        <td class="jc-cell ${pair.moodDelta > 0 ? 'mood-up' : pair.moodDelta < 0 ? 'mood-down' : ''}">
+            <div class="jc-mood">
+                <span>${pair.before ? emoji(pair.before) : '—'}</span>
+                <span class="jc-arrow">→</span>
+                <span>${pair.after ? emoji(pair.after) : '—'}</span>
+                ${deltaBadge(pair)}
+            </div>
+        </td>
+    `).join('');
+    const fieldRows = JOURNEY_COMPARE_FIELDS.map(field => `
+        <tr>
+            <th class="jc-row-label">${field.label}</th>
+            ${comparison.pairs.map(pair => `
+                <td class="jc-cell ${pair.changed.includes(field.key) ? 'changed' : ''} ${!pair.before ? 'added' : ''} ${!pair.after ? 'removed' : ''}">
+                    <div class="jc-side"><span class="jc-tag">As-is</span>${side(pair.before, field.key)}</div>
+                    <div class="jc-side"><span class="jc-tag to-be">To-be</span>${side(pair.after, field.key)}</div>
+                </td>
+            `).join('')}
+        </tr>
+    `).join('');
+
+    const existing = document.getElementById('journeyCompareModal');
+    if (existing) existing.remove();
+    document.body.insertAdjacentHTML('beforeend', `
+        <div class="modal show" id="journeyCompareModal">
+            <div class="modal-content journey-compare-content">
+                <div class="modal-header">
+                    <h3>As-is vs. to-be journey</h3>
+                    <button class="close-btn" data-action="close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    ${comparison.pairs.length ? `
+                        <p class="jc-summary">
+                            ${asIs.length} as-is and ${toBe.length} to-be column${toBe.length === 1 ? '' : 's'} ·
+                            <span class="jc-delta up">${comparison.improved} improved</span>
+                            <span class="jc-delta down">${comparison.worse} worse</span>
+                            ${comparison.added ? `· ${comparison.added} new in to-be` : ''}
+                            ${comparison.removed ? `· ${comparison.removed} dropped from to-be` : ''}
+                        </p>
+                        <div class="jc-table-wrap">
+                            <table class="jc-table">
+                                <thead><tr><th></th>${header}</tr></thead>
+                                <tbody>
+                                    <tr><th class="jc-row-label">Mood</th>${moodRow}</tr>
+                                    ${fieldRows}
+                                </tbody>
+                            </table>
+                        </div>
+                    ` : '<p class="feature-empty-note">Both journey maps are empty.</p>'}
+                </div>
+                <div class="modal-footer">
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary" data-action="close">Close</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `);
+    const modal = document.getElementById('journeyCompareModal');
+    modal.querySelectorAll('[data-action="close"]').forEach(btn => btn.addEventListener('click', () => modal.remove()));
+    modal.addEventListener('click', (e) => { if (e.target === modal) modal.remove(); });
+}
+
+function setupToBeJourneyNavbar() {
+    const cloneBtn = document.getElementById('cloneJourneyBtn');
+    const compareBtn = document.getElementById('compareJourneyBtn');
+    if (cloneBtn) cloneBtn.addEventListener('click', () => cloneAsIsJourneyToToBe());
+    if (compareBtn) compareBtn.addEventListener('click', () => openJourneyCompareModal());
+}
+
+// ===== JOURNEY VERSION DIFF =====
+// Word-level diff as [{ type: 'same' | 'added' | 'removed', text }]; whitespace is kept as its own token
+function diffWords(before, after) {
+    const a = String(before || '').split(/(\s+)/).filter(Boolean);
+    const b = String(after || '').split(/(\s+)/).filter(Boolean);
+    const parts = [];
+    const push = (type, text) => {
+        const last = parts[parts.length - 1];
+        if (last && last.type === type) last.text += text;
+        else parts.push({ type, text });
+    };
+    // Very long texts are shown as a whole replacement instead of building a huge table
+    if (a.length * b.length > 250000) {
+        if (a.length) push('removed', a.join(''));
+        if (b.length) push('added', b.join(''));
+        return parts;
+    }
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) { push('same', a[i]); i++; j++; }
+        else if (lcs[i + 1][j] >= lcs[i][j + 1]) push('removed', a[i++]);
+        else push('added', b[j++]);
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+    return parts;
+}
+
+// Indexes of the longest increasing run of values; everything outside it has moved
+function longestIncreasingRun(values) {
+    const tails = [];
+    const prev = new Array(values.length).fill(-1);
+    values.forEach((value, index) => {
+        let lo = 0;
+        let hi = tails.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (values[tails[mid]] < value) lo = mid + 1;
+            else hi = mid;
+        }
+        if (lo > 0) prev[index] = tails[lo - 1];
+        tails[lo] = index;
+    });
+    const run = new Set();
+    for (let k = tails.length ? tails[tails.length - 1] : -1; k !== -1; k = prev[k]) run.add(k);
+    return run;
+}
+
+// Align the stages of two journey versions. Stages match by id, then by stage name, then by
+// position when either side predates column ids. Removed stages keep their old position.
+function alignJourneyVersions(before, after) {
+    const hasIds = (x, y) => !!(x.id && y.id);
+    const matched = new Map(); // after index -> before index
+    const used = new Set();
+    const matchBy = (test) => after.forEach((col, j) => {
+        if (matched.has(j)) return;
+        const i = before.findIndex((old, k) => !used.has(k) && test(old, col, k, j));
+        if (i === -1) return;
+        matched.set(j, i);
+        used.add(i);
+    });
+    matchBy((old, col) => hasIds(old, col) && old.id === col.id);
+    matchBy((old, col) => !hasIds(old, col) && String(old.stage || '').trim() !== '' && String(old.stage).trim() === String(col.stage || '').trim());
+    // A renamed stage still matches its old position as long as most of its text is unchanged
+    const mostlySame = (old, col) => JOURNEY_COMPARE_FIELDS
+        .filter(f => String(old[f.key] || '').trim() !== String(col[f.key] || '').trim()).length <= 2;
+    matchBy((old, col, k, j) => !hasIds(old, col) && k === j && mostlySame(old, col));
+
+    const order = [...matched.keys()].sort((x, y) => x - y);
+    const inPlace = longestIncreasingRun(order.map(j => matched.get(j)));
+    const movedAfter = new Set(order.filter((j, index) => !inPlace.has(index)));
+
+    const rows = after.map((col, j) => {
+        if (!matched.has(j)) return { status: 'added', before: null, after: col, beforeIndex: -1, changed: [], moodDelta: null };
+        const old = before[matched.get(j)];
+        const changed = JOURNEY_COMPARE_FIELDS
+            .filter(f => String(old[f.key] || '').trim() !== String(col[f.key] || '').trim())
+            .map(f => f.key);
+        const moodDelta = getJourneyMoodRank(col.mood) - getJourneyMoodRank(old.mood);
+        const moodChanged = (old.mood || 'neutral') !== (col.mood || 'neutral');
+        return {
+            status: changed.length || moodChanged || old.image !== col.image ? 'changed' : 'same',
+            moved: movedAfter.has(j),
+            before: old,
+            after: col,
+            beforeIndex: matched.get(j),
+            changed,
+            moodDelta: moodChanged ? moodDelta : null,
+            imageChanged: (old.image || '') !== (col.image || '')
+        };
+    });
+    before.forEach((old, i) => {
+        if (used.has(i)) return;
+        // Place a removed stage after the stage that preceded it in the older version
+        let at = 0;
+        rows.forEach((row, index) => { if (row.beforeIndex !== -1 && row.beforeIndex < i) at = index + 1; });
+        rows.splice(at, 0, { status: 'removed', before: old, after: null, beforeIndex: i, changed: [], moodDelta: null });
+    });
+    return rows;
+}
+
+function renderWordDiff(before, after) {
+    const html = diffWords(before, after).map(part => {
+        const text = escapeHtml(part.text).replace(/\n/g, '<br>');
+        if (part.type === 'added') return `<ins class="jv-ins">${text}</ins>`;
+        if (part.type === 'removed') return `<del class="jv-del">${text}</del>`;
+        return text;
+    }).join('');
+    return html || '<span class="jc-none">—</span>';
+}
+
+function loadJourneyVariantVersions() {
+    // Other features share the versions list and tag their entries with `type`
+    return loadVersions().filter(v => currentJourneyVariant === 'to-be'
+        ? v.type === 'to-be-journey'
+        : (!v.type || v.type === 'journey'));
+}
+
+// Compare two saved versions of the open journey map; 'current' stands for the map as it is now
+function openJourneyVersionDiff(fromId, toId = 'current') {
+    const versions = loadJourneyVariantVersions();
+    const resolve = (id) => id === 'current'
+        ? (window.journey ? window.journey.journeyData : loadJourneyData())
+        : ((versions.find(v => v.id === id) || {}).data || []);
+    const options = (selected) => [
+        `<option value="current"${selected === 'current' ? ' selected' : ''}>Current map</option>`,
+        ...versions.map(v => `<option value="${escapeHtml(v.id)}"${v.id === selected ? ' selected' : ''}>${escapeHtml(v.name || 'Version')} · ${escapeHtml(new Date(v.at).toLocaleString())}</option>`)
+    ].join('');
+
+    const existing = document.getElementById('journeyVersionDiffModal');
+    if (existing) existing.remove();
+    document.body.insertAdjacentHTML('beforeend', `
+        <div class="modal show" id="journeyVersionDiffModal">
+            <div class="modal-content journey-compare-content">
+                <div class="modal-header">
+                    <h3>Compare journey versions</h3>
+                    <button class="close-btn" data-action="close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="jv-pickers">
+                        <label>From <select data-side="from">${options(fromId)}</select></label>
+                        <span class="jc-arrow">→</span>
+                        <label>To <select data-side="to">${options(toId)}</select></label>
+                    </div>
+                    <div class="jv-result"></div>
+                </div>
+                <div class="modal-footer">
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary" data-action="close">Close</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `);
+    const modal = document.getElementById('journeyVersionDiffModal');
+    const fromSelect = modal.querySelector('[data-side="from"]');
+    const toSelect = modal.querySelector('[data-side="to"]');
+    const result = modal.querySelector('.jv-result');
+    const emoji = (col) => JourneyMap.prototype.getMoodEmoji(col.mood);
+    const statusLabels = { added: 'Added', removed: 'Removed', changed: 'Changed', same: 'Unchanged' };
+
+    const cell = (row, field) => {
+        if (row.status === 'added') return renderWordDiff('', row.after[field.key]);
+        if (row.status === 'removed') return renderWordDiff(row.before[field.key], '');
+        return renderWordDiff(row.before[field.key], row.after[field.key]);
+    };
+    const moodCell = (row) => {
+        const delta = row.moodDelta;
+        const badge = delta === null ? '' : `<span class="jc-delta ${delta > 0 ? 'up' : delta < 0 ? 'down' : 'same'}" title="Mood change">${delta > 0 ? `+${delta}` : delta === 0 ? '±0' : delta}</span>`;
+        if (row.status === 'added') return `<div class="jc-mood"><span>${emoji(row.after)}</span></div>`;
+        if (row.status === 'removed') return `<div class="jc-mood"><span>${emoji(row.before)}</span></div>`;
+        if (delta === null) return `<div class="jc-mood"><span>${emoji(row.after)}</span></div>`;
+        return `<div class="jc-mood"><span>${emoji(row.before)}</span><span class="jc-arrow">→</span><span>${emoji(row.after)}</span>${badge}</div>`;
+    };
+
+    const render = () => {
+        const rows = alignJourneyVersions(resolve(fromSelect.value), resolve(toSelect.value));
+        const count = (test) => rows.filter(test).length;
+        const counts = [
+            [count(r => r.status === 'added'), 'added', 'added'],
+            [count(r => r.status === 'removed'), 'removed', 'removed'],
+            [count(r => r.moved), 'reordered', 'moved'],
+            [count(r => r.status === 'changed'), 'changed', 'changed']
+        ].filter(([n]) => n);
+        if (!rows.length) {
+            result.innerHTML = '<p class="feature-empty-note">Both versions are empty.</p>';
+            return;
+        }
+        const header = rows.map(row => `
+            <th class="jc-cell ${row.status === 'added' || row.status === 'removed' ? row.status : ''}">
+                ${row.status !== 'same' || !row.moved ? `<span class="jv-chip ${row.status}">${statusLabels[row.status]}</span>` : ''}
+                ${row.moved ? '<span class="jv-chip moved" title="This stage changed position">Moved</span>' : ''}
+            </th>
+        `).join('');
+        const moodRow = rows.map(row => `
+            <td class="jc-cell ${row.status === 'added' || row.status === 'removed' ? row.status : row.moodDelta > 0 ? 'mood-up' : row.moodDelta < 0 ? 'mood-down' : ''}">${moodCell(row)}</td>
+        `).join('');
+        // Same row order as the journey map, with mood after feelings
+        const bodyRows = JOURNEY_COMPARE_FIELDS.map(field => `
+            <tr>
+                <th class="jc-row-label">${field.label}</th>
+                ${rows.map(row => `<td class="jc-cell ${row.status === 'added' || row.status === 'removed' ? row.status : ''} ${row.changed.includes(field.key) ? 'changed' : ''}">${cell(row, field)}</td>`).join('')}
+            </tr>
+            ${field.key === 'feelings' ? `<tr><th class="jc-row-label">Mood</th>${moodRow}</tr>` : ''}
+        `).join('');
+        result.innerHTML = `
+            <p class="jc-summary">${counts.length
+                ? counts.map(([n, label, cls]) => `<span class="jv-chip ${cls}">${n} ${label}</span>`).join('')
+                : 'No differences between these versions.'}${count(r => r.imageChanged) ? ` · ${count(r => r.imageChanged)} image${count(r => r.imageChanged) === 1 ? '' : 's'} replaced` : ''}</p>
+            <div class="jc-table-wrap">
+                <table class="jc-table">
+                    <thead><tr><th></th>${header}</tr></thead>
+                    <tbody>${bodyRows}</tbody>
+                </table>
+            </div>
+        `;
+    };
+
+    [fromSelect, toSelect].forEach(select => select.addEventListener('change', render));
+    modal.querySelectorAll('[data-action="close"]').forEach(btn => btn.addEventListener('click', () => modal.remove()));
+    modal.addEventListener('click', (e) => { if (e.target === modal) modal.remove(); });
+    render();
+}
+
+// ===== LINK REGISTRY (Develop / Deliver artifact links) =====
+const LINK_REGISTRIES = {
+    'ideation-links': { title: 'Ideation Links', label: 'ideation link' },
+    'low-fi-links': { title: 'Low-fi Links', label: 'low fi link' },
+    'mid-fi-links': { title: 'Mid-fi Links', label: 'mid fi link' },
+    'hi-fi-links': { title: 'Hi-fi Main Flow Links', label: 'hi-fi main flow link' },
+    'design-system-links': { title: 'Design System Links', label: 'design system link' },
+    'final-prototype-links': { title: 'Final Prototype Links', label: 'final prototype link' },
+    'component-change-links': { title: 'Component Change Links', label: 'component change link' }
+};
+const LINK_STATUSES = ['draft', 'in review', 'approved', 'archived'];
+
+function loadLinkRegistry() {
+    try {
+        const raw = appStorage.getItem(getScopedKey(BASE_LINKS_KEY));
+        const parsed = raw ? JSON.parse(raw) : null;
+        const registries = parsed && parsed.registries && typeof parsed.registries === 'object' ? parsed.registries : {};
+        Object.keys(LINK_REGISTRIES).forEach(key => {
+            if (!Array.isArray(registries[key])) registries[key] = [];
+            registries[key].forEach(link => {
+                if (link && link.thumbnail && !isSafeImageSrc(link.thumbnail)) link.thumbnail = '';
+            });
+        });
+        return { registries };
+    } catch {
+        return { registries: Object.fromEntries(Object.keys(LINK_REGISTRIES).map(key => [key, []])) };
+    }
+}
+
+function saveLinkRegistry(data) {
+    try {
+        appStorage.setItem(getScopedKey(BASE_LINKS_KEY), JSON.stringify({ ...data, updatedAt: Date.now() }));
+        updateStorageUsage();
+        return true;
+    } catch (err) {
+        reportStorageError(err);
+        return false;
+    }
+}
+
+function createDefaultLink() {
+    return {
+        id: generateId('link'),
+        title: '',
+        url: '',
+        description: '',
+        status: LINK_STATUSES[0],
+        owner: '',
+        date: new Date().toISOString().slice(0, 10),
+        thumbnail: '',
+        createdAt: Date.now()
+    };
+}
+
+function getLinkHost(url) {
+    try { return new URL(url).hostname.replace(/^www\./, ''); } catch { return ''; }
+}
+
+// Browsers cannot render another site into a canvas, so a thumbnail is captured from a tab or
+// window the user shares, showing the linked page as they see it
+const LINK_CAPTURE_SUPPORTED = !!(navigator.mediaDevices && navigator.mediaDevices.getDisplayMedia);
+
+async function captureLinkThumbnail() {
+    const stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false });
+    try {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.srcObject = stream;
+        await video.play();
+        await new Promise(resolve => requestAnimationFrame(resolve));
+        const scale = Math.min(1, 640 / video.videoWidth, 640 / video.videoHeight);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(video.videoWidth * scale);
+        canvas.height = Math.round(video.videoHeight * scale);
+        canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL('image/jpeg', 0.8);
+    } finally {
+        stream.getTracks().forEach(track => track.stop());
+    }
+}
+
+function renderLinkRegistryInterface(registryKey) {
+    const mount = document.getElementById('linksMount');
+    const registry = LINK_REGISTRIES[registryKey];
+    if (!mount || !registry) return;
+    const links = loadLinkRegistry().registries[registryKey];
+    // The mount is shared by every registry, so the filter resets when switching between them
+    if (mount.dataset.registry !== registryKey) mount.dataset.statusFilter = '';
+    mount.dataset.registry = registryKey;
+    const statusFilter = mount.dataset.statusFilter || '';
+    const visible = statusFilter ? links.filter(l => l.status === statusFilter) : links;
+
+    const cards = visible.map(link => {
+        const host = getLinkHost(link.url);
+        const safeUrl = isSafeLinkUrl(link.url);
+        return `
+            <article class="lk-card" data-id="${link.id}">
+                <a class="lk-thumb" ${safeUrl ? `href="${escapeHtml(link.url)}" target="_blank" rel="noopener"` : ''}>
+                    ${isSafeImageSrc(link.thumbnail) ? `<img src="${escapeHtml(link.thumbnail)}" alt="">` : `<span class="lk-thumb-placeholder">${escapeHtml(host || 'No preview')}</span>`}
+                </a>
+                <div class="lk-body">
+                    <div class="lk-head">
+                        <h4>${escapeHtml(link.title || host || 'Untitled link')}</h4>
+                        <span class="lk-status status-${link.status.replace(/\s+/g, '-')}">${escapeHtml(link.status)}</span>
+                    </div>
+                    ${link.url ? (safeUrl ? `<a class="lk-url" href="${escapeHtml(link.url)}" target="_blank" rel="noopener">${escapeHtml(link.url)}</a>` : `<span class="lk-url">${escapeHtml(link.url)}</span>`) : ''}
+                    ${link.description ? `<p class="lk-desc">${escapeHtml(link.description)}</p>` : ''}
+                    <div class="lk-meta">
+                        <span>${escapeHtml(link.owner || 'No owner')}</span>
+                        <span>${link.date ? new Date(link.date + 'T00:00:00').toLocaleDateString() : ''}</span>
+                    </div>
+                </div>
+            </article>
+        `;
+    }).join('');
+
+    mount.innerHTML = `
+        <section class="link-registry" id="linkRegistryRoot">
+            <div class="lk-toolbar">
+                <label>Status
+                    <select id="lkStatusFilter">
+                        <option value="">All (${links.length})</option>
+                        ${LINK_STATUSES.map(s => `<option value="${s}" ${s === statusFilter ? 'selected' : ''}>${s.charAt(0).toUpperCase() + s.slice(1)} (${links.filter(l => l.status === s).length})</option>`).join('')}
+                    </select>
+                </label>
+            </div>
+            ${visible.length
+                ? `<div class="lk-grid">${cards}</div>`
+                : `<div class="lk-empty">${links.length ? 'No links match this status.' : `No ${escapeHtml(registry.label)}s yet. Use “Add link” to register one.`}</div>`}
+        </section>
+    `;
+
+    mount.querySelector('#lkStatusFilter').addEventListener('change', (e) => {
+        mount.dataset.statusFilter = e.target.value;
+        renderLinkRegistryInterface(registryKey);
+    });
+    mount.querySelectorAll('.lk-card').forEach(card => {
+        card.addEventListener('click', (e) => {
+            if (e.target.closest('a')) return;
+            openLinkEditor(registryKey, card.dataset.id);
+        });
+    });
+
+    bindFeatureNavbar({
+        addBtnId: 'addLinkBtn',
+        onAdd: () => openLinkEditor(registryKey, null),
+        onExport: (format) => exportLinkRegistry(registryKey, format)
+    });
+}
+
+function openLinkEditor(registryKey, linkId) {
+    const existingLink = linkId ? loadLinkRegistry().registries[registryKey].find(l => l.id === linkId) : null;
+    const link = existingLink ? { ...existingLink } : createDefaultLink();
+    const existing = document.getElementById('linkModal');
+    if (existing) existing.remove();
+
+    document.body.insertAdjacentHTML('beforeend', `
+        <div class="modal show" id="linkModal">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>${existingLink ? 'Edit Link' : 'Add Link'}</h3>
+                    <button class="close-btn" data-action="close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <form id="linkForm">
+                        <div class="form-group">
+                            <label for="lkTitleInput">Title</label>
+                            <input type="text" id="lkTitleInput" placeholder="e.g. Checkout prototype v2" value="${escapeHtml(link.title)}">
+                        </div>
+                        <div class="form-group">
+                            <label for="lkUrlInput">URL</label>
+                            <input type="url" id="lkUrlInput" placeholder="https://" value="${escapeHtml(link.url)}" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="lkDescInput">Description</label>
+                            <textarea id="lkDescInput" rows="3" placeholder="What this link contains and why it matters">${escapeHtml(link.description)}</textarea>
+                        </div>
+                        <div class="form-group">
+                            <label for="lkStatusInput">Status</label>
+                            <select id="lkStatusInput">${LINK_STATUSES.map(s => `<option value="${s}" ${s === link.status ? 'selected' : ''}>${s.charAt(0).toUpperCase() + s.slice(1)}</option>`).join('')}</select>
+                        </div>
+                        <div class="form-group">
+                            <label for="lkOwnerInput">Owner</label>
+                            <input type="text" id="lkOwnerInput" placeholder="Who maintains it" value="${escapeHtml(link.owner)}">
+                        </div>
+                        <div class="form-group">
+                            <label for="lkDateInput">Date</label>
+                            <input type="date" id="lkDateInput" value="${escapeHtml(link.date)}">
+                        </div>
+                        <div class="form-group">
+                            <label>Thumbnail</label>
+                            <div class="lk-thumb-field" tabindex="0">
+                                <img id="lkThumbPreview" src="${isSafeImageSrc(link.thumbnail) ? escapeHtml(link.thumbnail) : ''}" alt="" style="${isSafeImageSrc(link.thumbnail) ? '' : 'display:none'}">
+                                <span class="lk-thumb-hint">${LINK_CAPTURE_SUPPORTED ? 'Open the link in another tab, then Capture and pick that tab. You can also upload a screenshot or paste one.' : 'Upload a screenshot or paste one from the clipboard'}</span>
+                                <div class="lk-thumb-actions">
+                                    ${LINK_CAPTURE_SUPPORTED ? '<button type="button" class="btn btn-secondary" id="lkThumbCapture">Capture</button>' : ''}
+                                    <button type="button" class="btn btn-secondary" id="lkThumbUpload">Upload</button>
+                                    <button type="button" class="btn btn-secondary" id="lkThumbRemove">Remove</button>
+                                </div>
+                                <input type="file" id="lkThumbInput" accept="image/*" style="display:none">
+                            </div>
+                        </div>
+                    </form>
+                </div>
+                <div class="modal-footer">
+                    <div class="form-actions">
+                        ${existingLink ? '<button type="button" class="btn btn-secondary" data-action="delete">Delete</button>' : ''}
+                        <button type="button" class="btn btn-secondary" data-action="close">Cancel</button>
+                        <button type="submit" class="btn btn-primary" form="linkForm">${existingLink ? 'Save Changes' : 'Add Link'}</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `);
+
+    const modal = document.getElementById('linkModal');
+    const preview = modal.querySelector('#lkThumbPreview');
+    const closeModal = () => modal.remove();
+    const setThumbnail = (file) => {
+        const journey = window.journey || JourneyMap.prototype;
+        if (!journey.validateImageFile(file)) return;
+        journey.compressImageFile(file, { maxWidth: 640, maxHeight: 640, quality: 0.8, format: 'image/jpeg' })
+            .then(dataUrl => {
+                link.thumbnail = dataUrl;
+                preview.src = dataUrl;
+                preview.style.display = '';
+            })
+            .catch(err => {
+                console.error('Failed to process thumbnail:', err);
+                showToast('Failed to process thumbnail', 'error');
+            });
+    };
+
+    modal.querySelectorAll('[data-action="close"]').forEach(btn => btn.addEventListener('click', closeModal));
+    modal.addEventListener('click', (e) => { if (e.target === modal) closeModal(); });
+    const captureBtn = modal.querySelector('#lkThumbCapture');
+    if (captureBtn) {
+        captureBtn.addEventListener('click', () => {
+            captureLinkThumbnail()
+                .then(dataUrl => {
+                    link.thumbnail = dataUrl;
+                    preview.src = dataUrl;
+                    preview.style.display = '';
+                })
+                .catch(err => {
+                    // Cancelling the picker is not an error worth reporting
+                    if (err && err.name === 'NotAllowedError') return;
+                    console.error('Failed to capture thumbnail:', err);
+                    showToast('Failed to capture thumbnail', 'error');
+                });
+        });
+    }
+    modal.querySelector('#lkThumbUpload').addEventListener('click', () => modal.querySelector('#lkThumbInput').click());
+    modal.querySelector('#lkThumbInput').addEventListener('change', (e) => {
+        const file = e.target.files && e.target.files[0];
+        if (file) setThumbnail(file);
+    });
+    modal.querySelector('#lkThumbRemove').addEventListener('click', () => {
+        link.thumbnail = '';
+        preview.removeAttribute('src');
+        preview.style.display = 'none';
+    });
+    modal.addEventListener('paste', (e) => {
+        const item = Array.from((e.clipboardData && e.clipboardData.items) || []).find(i => i.type.startsWith('image/'));
+        if (!item) return;
+        e.preventDefault();
+        setThumbnail(item.getAsFile());
+    });
+    const deleteBtn = modal.querySelector('[data-action="delete"]');
+    if (deleteBtn) {
+        deleteBtn.addEventListener('click', () => {
+            if (!confirm(`Delete ${link.title || 'this link'}?`)) return;
+            const latest = loadLinkRegistry();
+            latest.registries[registryKey] = latest.registries[registryKey].filter(l => l.id !== link.id);
+            saveLinkRegistry(latest);
+            closeModal();
+            renderLinkRegistryInterface(registryKey);
+        });
+    }
+    modal.querySelector('#linkForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const updated = {
+            ...link,
+            title: modal.querySelector('#lkTitleInput').value.trim(),
+            url: modal.querySelector('#lkUrlInput').value.trim(),
+            description: modal.querySelector('#lkDescInput').value.trim(),
+            status: modal.querySelector('#lkStatusInput').value,
+            owner: modal.querySelector('#lkOwnerInput').value.trim(),
+            date: modal.querySelector('#lkDateInput').value
+        };
+        const latest = loadLinkRegistry();
+        const list = latest.registries[registryKey];
+        const index = list.findIndex(l => l.id === updated.id);
+        if (index >= 0) list[index] = updated;
+        else list.push(updated);
+        if (!saveLinkRegistry(latest)) return;
+        closeModal();
+        renderLinkRegistryInterface(registryKey);
+        showSuccessToast(existingLink ? 'Link updated' : 'Link added');
+    });
+    modal.querySelector('#lkTitleInput').focus();
+}
+
+function exportLinkRegistry(registryKey, format) {
+    const registry = LINK_REGISTRIES[registryKey];
+    const links = loadLinkRegistry().registries[registryKey];
+    switch (format) {
+        case 'png':
+        case 'jpeg':
+            exportElementAsImage(document.getElementById('linkRegistryRoot'), registryKey, format);
+            break;
+        case 'pdf':
+            exportElementAsPDF(document.getElementById('linkRegistryRoot'), registryKey, 'p');
+            break;
+        case 'csv': {
+            const quote = (v) => `"${String(v == null ? '' : v).replace(/"/g, '""')}"`;
+            const rows = [
+                ['Title', 'URL', 'Description', 'Status', 'Owner', 'Date'].join(','),
+                ...links.map(l => [l.title, l.url, l.description, l.status, l.owner, l.date].map(quote).join(','))
+            ];
+            downloadBlob(new Blob([rows.join('\n')], { type: 'text/csv;charset=utf-8;' }), `${registryKey}.csv`);
+            break;
+        }
+        case 'json':
+            downloadBlob(new Blob([JSON.stringify({ registry: registry.title, links }, null, 2)], { type: 'application/json' }), `${registryKey}-${new Date().toISOString().slice(0, 10)}.json`);
+            break;
+    }
+}
+
+// ===== TEST REPORTS (concept, usability and UAT) =====
+const TEST_REPORT_TYPES = {
+    'concept-test-report': { key: 'concept', title: 'Concept Test Report' },
+    'usability-test-report': { key: 'usability', title: 'Usability Test Report' },
+    'uat-test-report': { key: 'uat', title: 'UAT Test Report' }
+};
+const TEST_TASK_OUTCOMES = ['pass', 'partial', 'fail'];
+const FINDING_SEVERITIES = [
+    { value: 1, label: 'Cosmetic' },
+    { value: 2, label: 'Minor' },
+    { value: 3, label: 'Major' },
+    { value: 4, label: 'Critical' }
+];
+// Standard System Usability Scale items; odd items are positive, even items negative
+const SUS_QUESTIONS = [
+    'I think that I would like to use this system frequently.',
+    'I found the system unnecessarily complex.',
+    'I thought the system was easy to use.',
+    'I think that I would need the support of a technical person to be able to use this system.',
+    'I found the various functions in this system were well integrated.',
+    'I thought there was too much inconsistency in this system.',
+    'I would imagine that most people would learn to use this system very quickly.',
+    'I found the system very cumbersome to use.',
+    'I felt very confident using the system.',
+    'I needed to learn a lot of things before I could get going with this system.'
+];
+
+function getDefaultTestReport() {
+    return { title: '', goal: '', method: '', date: '', tasks: [], participants: [], findings: [] };
+}
+
+function loadTestReports() {
+    try {
+        const raw = appStorage.getItem(getScopedKey(BASE_TEST_REPORTS_KEY));
+        const parsed = raw ? JSON.parse(raw) : null;
+        const reports = parsed && parsed.reports && typeof parsed.reports === 'object' ? parsed.reports : {};
+        Object.values(TEST_REPORT_TYPES).forEach(({ key }) => {
+            reports[key] = { ...getDefaultTestReport(), ...(reports[key] || {}) };
+        });
+        return { reports };
+    } catch {
+        return { reports: Object.fromEntries(Object.values(TEST_REPORT_TYPES).map(({ key }) => [key, getDefaultTestReport()])) };
+    }
+}
+
+function saveTestReports(data) {
+    try {
+        appStorage.setItem(getScopedKey(BASE_TEST_REPORTS_KEY), JSON.stringify({ ...data, updatedAt: Date.now() }));
+        updateStorageUsage();
+    } catch (err) { reportStorageError(err); }
+}
+
+// Returns 0..100, or null until all ten items are answered
+function calculateSusScore(answers) {
+    if (!Array.isArray(answers) || answers.length !== SUS_QUESTIONS.length || answers.some(a => !(a >= 1 && a <= 5))) return null;
+    const sum = answers.reduce((total, answer, index) => total + (index % 2 === 0 ? answer - 1 : 5 - answer), 0);
+    return sum * 2.5;
+}
+
+function getSusGrade(score) {
+    if (score === null) return '';
+    if (score >= 80.3) return 'A · Excellent';
+    if (score >= 68) return 'B–C · Above average';
+    if (score >= 51) return 'D · Below average';
+    return 'F · Poor';
+}
+
+function buildTestReportMetrics(report) {
+    const average = (values) => values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+    const tasks = report.tasks.map(task => {
+        const results = report.participants.map(p => (p.results || {})[task.id]).filter(r => r && r.outcome);
+        const score = { pass: 1, partial: 0.5, fail: 0 };
+        const times = results.map(r => parseFloat(r.time)).filter(n => !isNaN(n));
+        const errors = results.map(r => parseFloat(r.errors)).filter(n => !isNaN(n));
+        return {
+            task,
+            attempts: results.length,
+            successRate: results.length ? average(results.map(r => score[r.outcome])) * 100 : null,
+            avgTime: average(times),
+            avgErrors: average(errors)
+        };
+    });
+    const susScores = report.participants.map(p => calculateSusScore(p.sus)).filter(s => s !== null);
+    const susAverage = average(susScores);
+    return {
+        tasks,
+        susAverage,
+        susCount: susScores.length,
+        findingsBySeverity: FINDING_SEVERITIES.map(s => ({ ...s, count: report.findings.filter(f => f.severity === s.value).length })).reverse()
+    };
+}
+
+// Finding link targets: every node of the stored as-is / to-be flow boards plus every journey column
+function getFindingLinkTargets() {
+    const targets = [];
+    [['as-is', 'jmAsIsFlow_boards', 'As-is flow'], ['to-be', 'jmToBeFlow_boards', 'To-be flow']].forEach(([flowType, key, label]) => {
+        const boards = readScopedJson(key, []);
+        (Array.isArray(boards) ? boards : []).forEach(board => {
+            (board.nodes || []).forEach(node => {
+                targets.push({ value: `flow:${flowType}:${node.id}`, label: `${label} · ${board.title || 'Flow'} · ${node.label || node.kind || 'Node'}` });
+            });
+        });
+    });
+    loadJourneyData('as-is').forEach((col, index) => {
+        if (!col.id) return;
+        targets.push({ value: `journey:${col.id}`, label: `Journey · Stage ${index + 1}${col.stage ? `: ${col.stage}` : ''}` });
+    });
+    return targets;
+}
+
+// Findings used to link journey columns by position; point those links at the column id
+function migrateFindingJourneyLinks() {
+    const data = loadTestReports();
+    let columns = null;
+    let changed = false;
+    Object.values(data.reports).forEach(report => {
+        (report.findings || []).forEach(finding => {
+            (finding.links || []).forEach(link => {
+                const match = /^journey:(\d+)$/.exec(link.target || '');
+                if (!match) return;
+                columns = columns || loadJourneyData('as-is');
+                const column = columns[Number(match[1])];
+                if (!column || !column.id) return;
+                link.target = `journey:${column.id}`;
+                changed = true;
+            });
+        });
+    });
+    if (changed) saveTestReports(data);
+}
+
+function renderTestReportInterface(target) {
+    const mount = document.getElementById('testReportMount');
+    const type = TEST_REPORT_TYPES[target];
+    if (!mount || !type) return;
+    if (mount.dataset.report !== target) mount.dataset.tab = 'setup';
+    mount.dataset.report = target;
+    const tab = mount.dataset.tab || 'setup';
+    const report = loadTestReports().reports[type.key];
+    const tabs = [['setup', 'Setup & tasks'], ['results', 'Participants & results'], ['findings', 'Findings'], ['summary', 'Summary']];
+
+    let body = '';
+    if (tab === 'setup') body = renderTestSetupHtml(report);
+    else if (tab === 'results') body = renderTestResultsHtml(report);
+    else if (tab === 'findings') body = renderTestFindingsHtml(report);
+    else body = renderTestSummaryHtml(report, type.title);
+
+    mount.innerHTML = `
+        <section class="test-report" id="testReportRoot">
+            <div class="tr-tabs">
+                ${tabs.map(([key, label]) => `<button class="tr-tab ${key === tab ? 'active' : ''}" data-tab="${key}">${label}</button>`).join('')}
+            </div>
+            <div class="tr-body" id="testReportBody">${body}</div>
+        </section>
+    `;
+    mount.querySelectorAll('.tr-tab').forEach(btn => {
+        btn.addEventListener('click', () => {
+            mount.dataset.tab = btn.dataset.tab;
+            renderTestReportInterface(target);
+        });
+    });
+    wireTestReport(mount, target, tab);
+
+    bindFeatureNavbar({
+        onSaveVersion: () => saveTestReportVersion(target),
+        onHistory: () => openTestReportHistory(target),
+        onExport: (format) => exportTestReport(target, format)
+    });
+}
+
+function renderTestSetupHtml(report) {
+    return `
+        <div class="tr-card">
+            <div class="tr-form-grid">
+                <label class="tr-label">Report title<input class="tr-field" data-field="title" value="${escapeHtml(report.title)}" placeholder="e.g. Checkout usability round 1"></label>
+                <label class="tr-label">Date<input class="tr-field" type="date" data-field="date" value="${escapeHtml(report.date)}"></label>
+                <label class="tr-label wide">Goal<textarea class="tr-field" data-field="goal" rows="2" placeholder="What should this test tell us?">${escapeHtml(report.goal)}</textarea></label>
+                <label class="tr-label wide">Method<textarea class="tr-field" data-field="method" rows="2" placeholder="Moderated remote, 5 participants, think-aloud…">${escapeHtml(report.method)}</textarea></label>
+            </div>
+        </div>
+        <div class="tr-section-head">
+            <h3>Tasks</h3>
+            <button class="btn btn-secondary" id="trAddTask">Add task</button>
+        </div>
+        ${report.tasks.length ? `<div class="tr-list">${report.tasks.map((task, index) => `
+            <div class="tr-card tr-task" data-id="${task.id}">
+                <span class="tr-index">T${index + 1}</span>
+                <input class="tr-task-field" data-field="name" value="${escapeHtml(task.name)}" placeholder="Task name">
+                <input class="tr-task-field" data-field="scenario" value="${escapeHtml(task.scenario)}" placeholder="Scenario given to the participant">
+                <input class="tr-task-field tr-narrow" data-field="targetTime" type="number" min="0" value="${escapeHtml(task.targetTime)}" placeholder="Target s">
+                <button class="tr-icon-btn tr-delete" title="Delete task">×</button>
+            </div>`).join('')}</div>` : '<p class="feature-empty-note">Add the tasks participants will attempt.</p>'}
+    `;
+}
+
+function renderTestResultsHtml(report) {
+    if (!report.tasks.length) return '<p class="feature-empty-note">Add tasks in Setup before recording results.</p>';
+    const outcomeSelect = (value) => `
+        <select class="tr-result" data-field="outcome">
+            <option value="">—</option>
+            ${TEST_TASK_OUTCOMES.map(o => `<option value="${o}" ${o === value ? 'selected' : ''}>${o.charAt(0).toUpperCase() + o.slice(1)}</option>`).join('')}
+        </select>`;
+    return `
+        <div class="tr-section-head">
+            <h3>Participants</h3>
+            <button class="btn btn-secondary" id="trAddParticipant">Add participant</button>
+        </div>
+        <div class="tr-table-wrap">
+            <table class="tr-table">
+                <thead>
+                    <tr>
+                        <th>Participant</th>
+                        ${report.tasks.map((t, i) => `<th title="${escapeHtml(t.scenario)}">T${i + 1} ${escapeHtml(t.name)}<div class="tr-sub">outcome · time (s) · errors</div></th>`).join('')}
+                        <th>SUS</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${report.participants.map(p => {
+                        const sus = calculateSusScore(p.sus);
+                        return `
+                        <tr data-id="${p.id}">
+                            <td>
+                                <input class="tr-participant-field" data-field="name" value="${escapeHtml(p.name)}" placeholder="P1">
+                                <input class="tr-participant-field tr-sub-input" data-field="segment" value="${escapeHtml(p.segment)}" placeholder="Segment">
+                            </td>
+                            ${report.tasks.map(t => {
+                                const r = (p.results || {})[t.id] || {};
+                                return `
+                                <td class="tr-result-cell outcome-${r.outcome || 'none'}" data-task-id="${t.id}">
+                                    ${outcomeSelect(r.outcome)}
+                                    <input class="tr-result" data-field="time" type="number" min="0" value="${escapeHtml(r.time)}" placeholder="s">
+                                    <input class="tr-result" data-field="errors" type="number" min="0" value="${escapeHtml(r.errors)}" placeholder="err">
+                                </td>`;
+                            }).join('')}
+                            <td><button class="btn btn-secondary tr-sus-btn">${sus === null ? 'Enter SUS' : sus.toFixed(1)}</button></td>
+                            <td><button class="tr-icon-btn tr-delete" title="Remove participant">×</button></td>
+                        </tr>`;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+        ${report.participants.length ? '' : '<p class="feature-empty-note">No participants yet.</p>'}
+    `;
+}
+
+function renderTestFindingsHtml(report) {
+    const targets = getFindingLinkTargets();
+    const sorted = report.findings.slice().sort((a, b) => b.severity - a.severity);
+    return `
+        <div class="tr-section-head">
+            <h3>Findings</h3>
+            <button class="btn btn-secondary" id="trAddFinding">Add finding</button>
+        </div>
+        ${sorted.length ? `<div class="tr-list">${sorted.map(f => `
+            <div class="tr-card tr-finding severity-${f.severity}" data-id="${f.id}">
+                <div class="tr-finding-head">
+                    <select class="tr-finding-field tr-severity" data-field="severity">
+                        ${FINDING_SEVERITIES.map(s => `<option value="${s.value}" ${s.value === f.severity ? 'selected' : ''}>${s.label}</option>`).join('')}
+                    </select>
+                    <input class="tr-finding-field tr-finding-title" data-field="title" value="${escapeHtml(f.title)}" placeholder="What went wrong?">
+                    <select class="tr-finding-field" data-field="taskId">
+                        <option value="">No task</option>
+                        ${report.tasks.map((t, i) => `<option value="${t.id}" ${t.id === f.taskId ? 'selected' : ''}>T${i + 1} ${escapeHtml(t.name)}</option>`).join('')}
+                    </select>
+                    <button class="tr-icon-btn tr-delete" title="Delete finding">×</button>
+                </div>
+                <textarea class="tr-finding-field" data-field="description" rows="2" placeholder="Evidence and observations">${escapeHtml(f.description)}</textarea>
+                <textarea class="tr-finding-field" data-field="recommendation" rows="2" placeholder="Recommendation">${escapeHtml(f.recommendation)}</textarea>
+                <div class="tr-links">
+                    ${(f.links || []).map(link => `<span class="tr-link-chip" data-target="${escapeHtml(link.target)}">${escapeHtml(link.label)}<button class="tr-link-remove" title="Unlink">×</button></span>`).join('')}
+                    ${targets.length ? `
+                        <select class="tr-link-select">
+                            <option value="">Link to flow node or journey stage…</option>
+                            ${targets.filter(t => !(f.links || []).some(l => l.target === t.value)).map(t => `<option value="${escapeHtml(t.value)}">${escapeHtml(t.label)}</option>`).join('')}
+                        </select>` : ''}
+                </div>
+            </div>`).join('')}</div>` : '<p class="feature-empty-note">No findings yet.</p>'}
+    `;
+}
+
+function renderTestSummaryHtml(report, typeTitle) {
+    const metrics = buildTestReportMetrics(report);
+    const fmt = (n, digits = 0, suffix = '') => n === null ? '–' : `${n.toFixed(digits)}${suffix}`;
+    const severityLabel = (value) => (FINDING_SEVERITIES.find(s => s.value === value) || {}).label || '';
+    return `
+        <div class="tr-summary">
+            <h2>${escapeHtml(report.title || typeTitle)}</h2>
+            <p class="tr-sub">${report.date ? new Date(report.date + 'T00:00:00').toLocaleDateString() + ' · ' : ''}${report.participants.length} participant${report.participants.length === 1 ? '' : 's'} · ${report.tasks.length} task${report.tasks.length === 1 ? '' : 's'}</p>
+            ${report.goal ? `<p><strong>Goal:</strong> ${escapeHtml(report.goal)}</p>` : ''}
+            ${report.method ? `<p><strong>Method:</strong> ${escapeHtml(report.method)}</p>` : ''}
+            <div class="tr-kpis">
+                <div class="tr-kpi"><span>${fmt(metrics.susAverage, 1)}</span>SUS score${metrics.susCount ? ` (${metrics.susCount})` : ''}<small>${getSusGrade(metrics.susAverage)}</small></div>
+                ${metrics.findingsBySeverity.map(s => `<div class="tr-kpi severity-${s.value}"><span>${s.count}</span>${s.label}</div>`).join('')}
+            </div>
+            ${metrics.tasks.length ? `
+                <h3>Task performance</h3>
+                <table class="tr-table">
+                    <thead><tr><th>Task</th><th>Attempts</th><th>Success</th><th>Avg time</th><th>Target</th><th>Avg errors</th></tr></thead>
+                    <tbody>${metrics.tasks.map((m, i) => `
+                        <tr>
+                            <td>T${i + 1} ${escapeHtml(m.task.name)}</td>
+                            <td>${m.attempts}</td>
+                            <td>${fmt(m.successRate, 0, '%')}</td>
+                            <td class="${m.avgTime !== null && m.task.targetTime && m.avgTime > parseFloat(m.task.targetTime) ? 'tr-over' : ''}">${fmt(m.avgTime, 1, 's')}</td>
+                            <td>${m.task.targetTime ? `${m.task.targetTime}s` : '–'}</td>
+                            <td>${fmt(m.avgErrors, 1)}</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>` : ''}
+            ${report.findings.length ? `
+                <h3>Findings</h3>
+                <ol class="tr-summary-findings">${report.findings.slice().sort((a, b) => b.severity - a.severity).map(f => `
+                    <li class="severity-${f.severity}">
+                        <strong>[${severityLabel(f.severity)}] ${escapeHtml(f.title || 'Untitled finding')}</strong>
+                        ${f.description ? `<div>${escapeHtml(f.description)}</div>` : ''}
+                        ${f.recommendation ? `<div><em>Recommendation:</em> ${escapeHtml(f.recommendation)}</div>` : ''}
+                        ${(f.links || []).length ? `<div class="tr-sub">Linked: ${f.links.map(l => escapeHtml(l.label)).join('; ')}</div>` : ''}
+                    </li>`).join('')}
+                </ol>` : ''}
+        </div>
+    `;
+}
+
+function wireTestReport(mount, target, tab) {
+    const { key } = TEST_REPORT_TYPES[target];
+    const update = (mutate, rerender = false) => {
+        const latest = loadTestReports();
+        mutate(latest.reports[key]);
+        saveTestReports(latest);
+        if (rerender) renderTestReportInterface(target);
+    };
+    const saveLater = debounceMutations(update, 400);
+    const byId = (list, id) => list.find(item => item.id === id);
+    const on = (selector, handler) => { const el = mount.querySelector(selector); if (el) el.addEventListener('click', handler); };
+
+    if (tab === 'setup') {
+        mount.querySelectorAll('.tr-field').forEach(input => {
+            input.addEventListener('input', () => saveLater(r => { r[input.dataset.field] = input.value; }));
+        });
+        on('#trAddTask', () => update(r => { r.tasks.push({ id: generateId('task'), name: '', scenario: '', targetTime: '' }); }, true));
+        mount.querySelectorAll('.tr-task').forEach(row => {
+            const id = row.dataset.id;
+            row.querySelectorAll('.tr-task-field').forEach(input => {
+                input.addEventListener('input', () => saveLater(r => { const t = byId(r.tasks, id); if (t) t[input.dataset.field] = input.value; }));
+            });
+            row.querySelector('.tr-delete').addEventListener('click', () => {
+                if (!confirm('Delete this task and its recorded results?')) return;
+                update(r => {
+                    r.tasks = r.tasks.filter(t => t.id !== id);
+                    r.participants.forEach(p => { if (p.results) delete p.results[id]; });
+                    r.findings.forEach(f => { if (f.taskId === id) f.taskId = ''; });
+                }, true);
+            });
+        });
+    } else if (tab === 'results') {
+        on('#trAddParticipant', () => update(r => {
+            r.participants.push({ id: generateId('participant'), name: `P${r.participants.length + 1}`, segment: '', results: {}, sus: [] });
+        }, true));
+        mount.querySelectorAll('.tr-table tbody tr').forEach(row => {
+            const id = row.dataset.id;
+            row.querySelectorAll('.tr-participant-field').forEach(input => {
+                input.addEventListener('input', () => saveLater(r => { const p = byId(r.participants, id); if (p) p[input.dataset.field] = input.value; }));
+            });
+            row.querySelectorAll('.tr-result-cell').forEach(cell => {
+                const taskId = cell.dataset.taskId;
+                cell.querySelectorAll('.tr-result').forEach(input => {
+                    const isSelect = input.tagName === 'SELECT';
+                    input.addEventListener(isSelect ? 'change' : 'input', () => {
+                        if (isSelect) cell.className = `tr-result-cell outcome-${input.value || 'none'}`;
+                        saveLater(r => {
+                            const p = byId(r.participants, id);
+                            if (!p) return;
+                            p.results = p.results || {};
+                            p.results[taskId] = { ...(p.results[taskId] || {}), [input.dataset.field]: input.value };
+                        });
+                    });
+                });
+            });
+            row.querySelector('.tr-sus-btn').addEventListener('click', () => openSusQuestionnaire(target, id));
+            row.querySelector('.tr-delete').addEventListener('click', () => {
+                if (!confirm('Remove this participant and their results?')) return;
+                update(r => { r.participants = r.participants.filter(p => p.id !== id); }, true);
+            });
+        });
+    } else if (tab === 'findings') {
+        on('#trAddFinding', () => update(r => {
+            r.findings.push({ id: generateId('finding'), title: '', description: '', recommendation: '', severity: 2, taskId: '', links: [] });
+        }, true));
+        mount.querySelectorAll('.tr-finding').forEach(card => {
+            const id = card.dataset.id;
+            card.querySelectorAll('.tr-finding-field').forEach(input => {
+                const isSelect = input.tagName === 'SELECT';
+                input.addEventListener(isSelect ? 'change' : 'input', () => {
+                    const value = input.dataset.field === 'severity' ? parseInt(input.value, 10) : input.value;
+                    (isSelect ? update : saveLater)(r => { const f = byId(r.findings, id); if (f) f[input.dataset.field] = value; }, isSelect);
+                });
+            });
+            const linkSelect = card.querySelector('.tr-link-select');
+            if (linkSelect) {
+                linkSelect.addEventListener('change', () => {
+                    const option = linkSelect.selectedOptions[0];
+                    if (!linkSelect.value) return;
+                    update(r => {
+                        const f = byId(r.findings, id);
+                        if (!f) return;
+                        f.links = f.links || [];
+                        f.links.push({ target: linkSelect.value, label: option.textContent });
+                    }, true);
+                });
+            }
+            card.querySelectorAll('.tr-link-chip').forEach(chip => {
+                chip.querySelector('.tr-link-remove').addEventListener('click', () => update(r => {
+                    const f = byId(r.findings, id);
+                    if (f) f.links = (f.links || []).filter(l => l.target !== chip.dataset.target);
+                }, true));
+            });
+            card.querySelector('.tr-delete').addEventListener('click', () => {
+                if (!confirm('Delete this finding?')) return;
+                update(r => { r.findings = r.findings.filter(f => f.id !== id); }, true);
+            });
+        });
+    }
+}
+
+function openSusQuestionnaire(target, participantId) {
+    const { key } = TEST_REPORT_TYPES[target];
+    const participant = loadTestReports().reports[key].participants.find(p => p.id === participantId);
+    if (!participant) return;
+    const answers = Array.isArray(participant.sus) ? participant.sus.slice() : [];
+    const existing = document.getElementById('susModal');
+    if (existing) existing.remove();
+
+    document.body.insertAdjacentHTML('beforeend', `
+        <div class="modal show" id="susModal">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>SUS questionnaire · ${escapeHtml(participant.name || 'Participant')}</h3>
+                    <button class="close-btn" data-action="close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p class="tr-sub">1 = strongly disagree, 5 = strongly agree</p>
+                    <ol class="tr-sus-list">
+                        ${SUS_QUESTIONS.map((q, i) => `
+                            <li>
+                                <div>${escapeHtml(q)}</div>
+                                <div class="tr-sus-scale">
+                                    ${[1, 2, 3, 4, 5].map(v => `<label><input type="radio" name="sus${i}" value="${v}" ${answers[i] === v ? 'checked' : ''}>${v}</label>`).join('')}
+                                </div>
+                            </li>`).join('')}
+                    </ol>
+                    <p class="tr-sus-score">Score: <strong id="susScoreValue">–</strong></p>
+                </div>
+                <div class="modal-footer">
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary" data-action="close">Cancel</button>
+                        <button type="button" class="btn btn-primary" data-action="save">Save</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `);
+    const modal = document.getElementById('susModal');
+    const scoreEl = modal.querySelector('#susScoreValue');
+    const readAnswers = () => SUS_QUESTIONS.map((_, i) => {
+        const checked = modal.querySelector(`input[name="sus${i}"]:checked`);
+        return checked ? parseInt(checked.value, 10) : null;
+    });
+    const refreshScore = () => {
+        const score = calculateSusScore(readAnswers());
+        scoreEl.textContent = score === null ? '–' : `${score.toFixed(1)} (${getSusGrade(score)})`;
+    };
+    refreshScore();
+    const closeModal = () => modal.remove();
+    modal.querySelectorAll('[data-action="close"]').forEach(btn => btn.addEventListener('click', closeModal));
+    modal.addEventListener('click', (e) => { if (e.target === modal) closeModal(); });
+    modal.querySelectorAll('input[type="radio"]').forEach(input => input.addEventListener('change', refreshScore));
+    modal.querySelector('[data-action="save"]').addEventListener('click', () => {
+        const latest = loadTestReports();
+        const p = latest.reports[key].participants.find(item => item.id === participantId);
+        if (p) p.sus = readAnswers().map(a => a === null ? 0 : a);
+        saveTestReports(latest);
+        closeModal();
+        renderTestReportInterface(target);
+    });
+}
+
+function saveTestReportVersion(target) {
+    const { key, title } = TEST_REPORT_TYPES[target];
+    const report = loadTestReports().reports[key];
+    const versions = loadVersions();
+    versions.unshift({
+        id: Date.now().toString(),
+        timestamp: new Date().toISOString(),
+        type: 'test-report',
+        section: key,
+        name: `${title} ${new Date().toLocaleDateString()} ${new Date().toLocaleTimeString()}`,
+        data: JSON.parse(JSON.stringify(report)),
+        participantCount: report.participants.length,
+        findingCount: report.findings.length
+    });
+    saveVersions(capVersionList(versions));
+    showSuccessToast(`${title} version saved`);
+}
+
+function openTestReportHistory(target) {
+    const { key, title } = TEST_REPORT_TYPES[target];
+    showVersionHistoryModal({
+        title: `${title} History`,
+        versions: loadVersions().filter(v => v.type === 'test-report' && v.section === key),
+        describe: (v) => `${v.participantCount || 0} participants · ${v.findingCount || 0} findings`,
+        onLoad: (v) => {
+            const data = loadTestReports();
+            data.reports[key] = { ...getDefaultTestReport(), ...v.data };
+            saveTestReports(data);
+            renderTestReportInterface(target);
+            showSuccessToast(`${title} version loaded`);
+        },
+        onDelete: (v) => saveVersions(loadVersions().filter(item => item.id !== v.id))
+    });
+}
+
+function exportTestReport(target, format) {
+    const { key, title } = TEST_REPORT_TYPES[target];
+    const report = loadTestReports().reports[key];
+    const fileBase = `${key}-test-report`;
+    if (format === 'png' || format === 'jpeg' || format === 'pdf') {
+        // Visual exports always use the summary tab
+        const mount = document.getElementById('testReportMount');
+        if (mount && mount.dataset.tab !== 'summary') {
+            mount.dataset.tab = 'summary';
+            renderTestReportInterface(target);
+        }
+        const root = document.getElementById('testReportBody');
+        if (format === 'pdf') exportElementAsPDF(root, fileBase, 'p');
+        else exportElementAsImage(root, fileBase, format);
+        return;
+    }
+    if (format === 'csv') {
+        const quote = (v) => `"${String(v == null ? '' : v).replace(/"/g, '""')}"`;
+        const rows = [['Participant', 'Segment', 'Task', 'Outcome', 'Time (s)', 'Errors', 'SUS'].join(',')];
+        report.participants.forEach(p => {
+            const sus = calculateSusScore(p.sus);
+            report.tasks.forEach(t => {
+                const r = (p.results || {})[t.id] || {};
+                rows.push([p.name, p.segment, t.name, r.outcome, r.time, r.errors, sus === null ? '' : sus].map(quote).join(','));
+            });
+        });
+        downloadBlob(new Blob([rows.join('\n')], { type: 'text/csv;charset=utf-8;' }), `${fileBase}.csv`);
+    } else if (format === 'json') {
+        downloadBlob(new Blob([JSON.stringify({ type: title, ...report, metrics: buildTestReportMetrics(report) }, null, 2)], { type: 'application/json' }), `${fileBase}-${new Date().toISOString().slice(0, 10)}.json`);
+    }
+}
+
+// ===== PRIORITIZATION (impact / effort matrix and RICE table) =====
+const PRIORITY_QUADRANTS = [
+    { key: 'quick-wins', label: 'Quick wins', hint: 'High impact · low effort' },
+    { key: 'big-bets', label: 'Big bets', hint: 'High impact · high effort' },
+    { key: 'fill-ins', label: 'Fill-ins', hint: 'Low impact · low effort' },
+    { key: 'money-pits', label: 'Money pits', hint: 'Low impact · high effort' }
+];
+const RICE_IMPACT_OPTIONS = [
+    { value: 3, label: 'Massive (3)' },
+    { value: 2, label: 'High (2)' },
+    { value: 1, label: 'Medium (1)' },
+    { value: 0.5, label: 'Low (0.5)' },
+    { value: 0.25, label: 'Minimal (0.25)' }
+];
+const PRIORITY_SOURCES = { journey: 'Journey', hmw: 'HMW', manual: 'Manual' };
+
+function getDefaultPrioritizationData() {
+    return { view: 'matrix', sort: { key: 'rice', dir: 'desc' }, items: [] };
+}
+
+function createPriorityItem(fields = {}) {
+    return {
+        id: generateId('prio'),
+        text: '',
+        source: 'manual',
+        sourceRef: '',
+        impact: 3,
+        effort: 3,
+        reach: '',
+        riceImpact: 1,
+        confidence: 80,
+        riceEffort: '',
+        ...fields
+    };
+}
+
+function loadPrioritizationData() {
+    try {
+        const raw = appStorage.getItem(getScopedKey(BASE_PRIORITIZATION_KEY));
+        if (!raw) return getDefaultPrioritizationData();
+        const parsed = JSON.parse(raw) || {};
+        return {
+            ...getDefaultPrioritizationData(),
+            ...parsed,
+            // Imported or synced items may name a source this version does not know
+            items: Array.isArray(parsed.items)
+                ? parsed.items.map(item => createPriorityItem({ ...item, source: Object.prototype.hasOwnProperty.call(PRIORITY_SOURCES, item.source) ? item.source : 'manual' }))
+                : []
+        };
+    } catch {
+        return getDefaultPrioritizationData();
+    }
+}
+
+function savePrioritizationData(data) {
+    try {
+        appStorage.setItem(getScopedKey(BASE_PRIORITIZATION_KEY), JSON.stringify({ ...data, updatedAt: Date.now() }));
+        updateStorageUsage();
+    } catch (err) { reportStorageError(err); }
+}
+
+function getPriorityQuadrant(item) {
+    const highImpact = item.impact >= 3;
+    const lowEffort = item.effort < 3;
+    if (highImpact) return lowEffort ? 'quick-wins' : 'big-bets';
+    return lowEffort ? 'fill-ins' : 'money-pits';
+}
+
+// RICE = reach × impact × confidence ÷ effort; null until reach and effort are filled in
+function calculateRiceScore(item) {
+    const reach = parseFloat(item.reach);
+    const effort = parseFloat(item.riceEffort);
+    if (isNaN(reach) || isNaN(effort) || effort <= 0) return null;
+    return (reach * Number(item.riceImpact) * (Number(item.confidence) / 100)) / effort;
+}
+
+// Each line of a journey column's opportunities becomes one item
+function importJourneyOpportunities() {
+    const data = loadPrioritizationData();
+    let added = 0;
+    ensureJourneyColumnIds('as-is').forEach((col, index) => {
+        String(col.opportunities || '')
+            .split(/\n+/)
+            .map(line => line.replace(/^\s*([-*•]|\d+[.)])\s*/, '').trim())
+            .filter(Boolean)
+            .forEach(text => {
+                const sourceRef = `journey:${col.id}`;
+                // Items imported before columns had ids carry the column position instead
+                if (data.items.some(item => item.text === text && (item.sourceRef === sourceRef || /^journey:\d+$/.test(item.sourceRef || '')))) return;
+                data.items.push(createPriorityItem({ text, source: 'journey', sourceRef, stage: col.stage || `Stage ${index + 1}` }));
+                added++;
+            });
+    });
+    savePrioritizationData(data);
+    renderPrioritizationInterface();
+    showToast(added ? `Imported ${added} opportunit${added === 1 ? 'y' : 'ies'} from the journey map` : 'No new opportunities found on the journey map', added ? 'success' : 'info');
+}
+
+function importHmwQuestions() {
+    const data = loadPrioritizationData();
+    let added = 0;
+    loadDefineData().hmw.cards.forEach(card => {
+        if (!String(card.text || '').trim() || data.items.some(item => item.sourceRef === `hmw:${card.id}`)) return;
+        data.items.push(createPriorityItem({ text: card.text.trim(), source: 'hmw', sourceRef: `hmw:${card.id}` }));
+        added++;
+    });
+    savePrioritizationData(data);
+    renderPrioritizationInterface();
+    showToast(added ? `Imported ${added} HMW question${added === 1 ? '' : 's'}` : 'No new HMW questions to import', added ? 'success' : 'info');
+}
+
+function sortPriorityItems(items, sort) {
+    const value = (item) => {
+        switch (sort.key) {
+            case 'text': return String(item.text || '').toLowerCase();
+            case 'source': return item.source;
+            case 'quadrant': return PRIORITY_QUADRANTS.findIndex(q => q.key === getPriorityQuadrant(item));
+            case 'rice': {
+                const score = calculateRiceScore(item);
+                return score === null ? -Infinity : score;
+            }
+            default: return Number(item[sort.key]) || 0;
+        }
+    };
+    const dir = sort.dir === 'asc' ? 1 : -1;
+    return items.slice().sort((a, b) => {
+        const va = value(a);
+        const vb = value(b);
+        if (va < vb) return -dir;
+        if (va > vb) return dir;
+        return 0;
+    });
+}
+
+function renderPrioritizationInterface() {
+    const mount = document.getElementById('prioritizationMount');
+    if (!mount) return;
+    const data = loadPrioritizationData();
+    const pos = (v) => ((Math.max(1, Math.min(5, Number(v))) - 1) / 4) * 100;
+
+    const matrixHtml = `
+        <div class="pr-matrix-wrap">
+            <div class="pr-axis pr-axis-y"><span>Impact</span></div>
+            <div class="pr-board" id="prioritizationBoard">
+                ${PRIORITY_QUADRANTS.map(q => `
+                    <div class="pr-quadrant pr-quadrant-${q.key}">
+                        <div class="pr-quadrant-label">${q.label} <span>${data.items.filter(item => getPriorityQuadrant(item) === q.key).length}</span></div>
+                        <div class="pr-quadrant-hint">${q.hint}</div>
+                    </div>
+                `).join('')}
+                ${data.items.map(item => `
+                    <div class="pr-card source-${item.source}" data-id="${escapeHtml(item.id)}" style="left:${pos(item.effort).toFixed(2)}%; top:${(100 - pos(item.impact)).toFixed(2)}%;" title="${escapeHtml(item.text)}">
+                        ${escapeHtml(item.text || 'Untitled')}
+                    </div>
+                `).join('')}
+                ${data.items.length ? '' : '<div class="pr-empty">Import opportunities or add items, then drag them to set impact and effort.</div>'}
+            </div>
+            <div class="pr-axis pr-axis-x"><span>Effort</span></div>
+        </div>
+    `;
+
+    const columns = [
+        { key: 'text', label: 'Item' },
+        { key: 'source', label: 'Source' },
+        { key: 'impact', label: 'Impact (1–5)' },
+        { key: 'effort', label: 'Effort (1–5)' },
+        { key: 'quadrant', label: 'Quadrant' },
+        { key: 'reach', label: 'Reach' },
+        { key: 'riceImpact', label: 'RICE impact' },
+        { key: 'confidence', label: 'Confidence %' },
+        { key: 'riceEffort', label: 'Effort (pm)' },
+        { key: 'rice', label: 'RICE score' }
+    ];
+    const sorted = sortPriorityItems(data.items, data.sort);
+    const tableHtml = `
+        <div class="pr-table-wrap">
+            <table class="pr-table">
+                <thead>
+                    <tr>
+                        ${columns.map(c => `<th class="pr-sortable ${data.sort.key === c.key ? `sorted-${data.sort.dir}` : ''}" data-sort="${c.key}">${c.label}</th>`).join('')}
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${sorted.map(item => {
+                        const rice = calculateRiceScore(item);
+                        const quadrant = PRIORITY_QUADRANTS.find(q => q.key === getPriorityQuadrant(item));
+                        return `
+                        <tr data-id="${escapeHtml(item.id)}">
+                            <td><textarea class="pr-field pr-text" data-field="text" rows="1">${escapeHtml(item.text)}</textarea></td>
+                            <td><span class="pr-source source-${item.source}" title="${escapeHtml(item.stage || '')}">${PRIORITY_SOURCES[item.source]}</span></td>
+                            <td><input class="pr-field" data-field="impact" type="number" min="1" max="5" step="0.5" value="${escapeHtml(item.impact)}"></td>
+                            <td><input class="pr-field" data-field="effort" type="number" min="1" max="5" step="0.5" value="${escapeHtml(item.effort)}"></td>
+                            <td><span class="pr-quadrant-chip pr-quadrant-${quadrant.key}">${quadrant.label}</span></td>
+                            <td><input class="pr-field" data-field="reach" type="number" min="0" value="${escapeHtml(item.reach)}" placeholder="users / qtr"></td>
+                            <td><select class="pr-field" data-field="riceImpact">${RICE_IMPACT_OPTIONS.map(o => `<option value="${o.value}" ${Number(item.riceImpact) === o.value ? 'selected' : ''}>${o.label}</option>`).join('')}</select></td>
+                            <td><input class="pr-field" data-field="confidence" type="number" min="0" max="100" step="10" value="${escapeHtml(item.confidence)}"></td>
+                            <td><input class="pr-field" data-field="riceEffort" type="number" min="0" step="0.5" value="${escapeHtml(item.riceEffort)}" placeholder="person-months"></td>
+                            <td class="pr-score">${rice === null ? '–' : rice.toFixed(1)}</td>
+                            <td><button class="pr-icon-btn pr-delete" title="Delete">×</button></td>
+                        </tr>`;
+                    }).join('')}
+                </tbody>
+            </table>
+            ${data.items.length ? '' : '<p class="feature-empty-note pr-table-empty">No items yet.</p>'}
+        </div>
+    `;
+
+    mount.innerHTML = `
+        <section class="prioritization" id="prioritizationRoot">
+            <div class="pr-toolbar">
+                <div class="pr-tabs">
+                    <button class="pr-tab ${data.view === 'matrix' ? 'active' : ''}" data-view="matrix">Impact / effort</button>
+                    <button class="pr-tab ${data.view === 'table' ? 'active' : ''}" data-view="table">Scores & RICE</button>
+                </div>
+                <button class="btn btn-secondary" id="prImportJourney">Import journey opportunities</button>
+                <button class="btn btn-secondary" id="prImportHmw">Import HMW questions</button>
+            </div>
+            ${data.view === 'table' ? tableHtml : matrixHtml}
+        </section>
+    `;
+    wirePrioritization(mount, data.view);
+    bindFeatureNavbar({
+        addBtnId: 'addPriorityItemBtn',
+        onAdd: () => addPriorityItem(),
+        onExport: (format) => exportPrioritization(format),
+        exportFormats: ['csv', 'png', 'pdf']
+    });
+}
+
+function wirePrioritization(mount, view) {
+    const update = (mutate, rerender = false) => {
+        const latest = loadPrioritizationData();
+        mutate(latest);
+        savePrioritizationData(latest);
+        if (rerender) renderPrioritizationInterface();
+    };
+    const saveLater = debounceMutations(update, 400);
+
+    mount.querySelectorAll('.pr-tab').forEach(tab => {
+        tab.addEventListener('click', () => update(d => { d.view = tab.dataset.view; }, true));
+    });
+    mount.querySelector('#prImportJourney').addEventListener('click', () => importJourneyOpportunities());
+    mount.querySelector('#prImportHmw').addEventListener('click', () => importHmwQuestions());
+
+    if (view === 'matrix') {
+        const board = mount.querySelector('#prioritizationBoard');
+        board.querySelectorAll('.pr-card').forEach(card => wirePriorityCardDrag(board, card));
+        return;
+    }
+
+    mount.querySelectorAll('.pr-sortable').forEach(th => {
+        th.addEventListener('click', () => update(d => {
+            const key = th.dataset.sort;
+            d.sort = { key, dir: d.sort.key === key && d.sort.dir === 'desc' ? 'asc' : 'desc' };
+        }, true));
+    });
+    mount.querySelectorAll('.pr-table tbody tr').forEach(row => {
+        const id = row.dataset.id;
+        const withItem = (fn) => (d) => { const item = d.items.find(i => i.id === id); if (item) fn(item); };
+        row.querySelectorAll('.pr-field').forEach(input => {
+            const field = input.dataset.field;
+            const numeric = field !== 'text' && field !== 'reach' && field !== 'riceEffort';
+            // Scored fields re-render so the quadrant and RICE columns stay current
+            const commit = () => update(withItem(item => {
+                item[field] = numeric ? Math.max(Number(input.min || 0), Math.min(Number(input.max || Infinity), parseFloat(input.value) || 0)) : input.value;
+            }), field !== 'text');
+            if (field === 'text') input.addEventListener('input', () => saveLater(withItem(item => { item.text = input.value; })));
+            else input.addEventListener('change', commit);
+        });
+        row.querySelector('.pr-delete').addEventListener('click', () => {
+            if (!confirm('Delete this item?')) return;
+            update(d => { d.items = d.items.filter(i => i.id !== id); }, true);
+        });
+    });
+}
+
+function wirePriorityCardDrag(board, card) {
+    const id = card.dataset.id;
+    let start = null;
+    const toScore = (fraction) => Math.round((1 + Math.max(0, Math.min(1, fraction)) * 4) * 10) / 10;
+
+    const onMove = (e) => {
+        if (!start) return;
+        card.classList.add('dragging');
+        const rect = board.getBoundingClientRect();
+        const x = Math.max(0, Math.min(1, start.x + (e.clientX - start.clientX) / rect.width));
+        const y = Math.max(0, Math.min(1, start.y - (e.clientY - start.clientY) / rect.height));
+        card.style.left = `${(x * 100).toFixed(2)}%`;
+        card.style.top = `${((1 - y) * 100).toFixed(2)}%`;
+        card.dataset.x = x;
+        card.dataset.y = y;
+    };
+    const onUp = () => {
+        window.removeEventListener('pointermove', onMove);
+        window.removeEventListener('pointerup', onUp);
+        card.classList.remove('dragging');
+        if (!start || card.dataset.x === undefined) { start = null; return; }
+        start = null;
+        const data = loadPrioritizationData();
+        const item = data.items.find(i => i.id === id);
+        if (!item) return;
+        item.effort = toScore(Number(card.dataset.x));
+        item.impact = toScore(Number(card.dataset.y));
+        savePrioritizationData(data);
+        renderPrioritizationInterface();
+    };
+    card.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0) return;
+        e.preventDefault();
+        const item = loadPrioritizationData().items.find(i => i.id === id);
+        if (!item) return;
+        start = { clientX: e.clientX, clientY: e.clientY, x: (item.effort - 1) / 4, y: (item.impact - 1) / 4 };
+        window.addEventListener('pointermove', onMove);
+        window.addEventListener('pointerup', onUp);
+    });
+}
+
+function addPriorityItem() {
+    const data = loadPrioritizationData();
+    data.items.push(createPriorityItem({ text: 'How might we ' }));
+    data.view = 'table';
+    savePrioritizationData(data);
+    renderPrioritizationInterface();
+    const rows = document.querySelectorAll('#prioritizationRoot .pr-text');
+    const last = Array.from(rows).find(el => el.closest('tr').dataset.id === data.items[data.items.length - 1].id);
+    if (last) last.focus();
+}
+
+function exportPrioritization(format) {
+    const data = loadPrioritizationData();
+    if (format === 'png' || format === 'jpeg') {
+        exportElementAsImage(document.getElementById('prioritizationRoot'), 'prioritization', format);
+        return;
+    }
+    if (format === 'pdf') {
+        exportElementAsPDF(document.getElementById('prioritizationRoot'), 'prioritization', 'l');
+        return;
+    }
+    if (format !== 'csv') return;
+    const quote = (v) => `"${String(v == null ? '' : v).replace(/"/g, '""')}"`;
+    const rows = [
+        ['Item', 'Source', 'Journey stage', 'Impact', 'Effort', 'Quadrant', 'Reach', 'RICE impact', 'Confidence %', 'RICE effort', 'RICE score'].join(','),
+        ...sortPriorityItems(data.items, data.sort).map(item => {
+            const rice = calculateRiceScore(item);
+            const quadrant = PRIORITY_QUADRANTS.find(q => q.key === getPriorityQuadrant(item));
+            return [
+                item.text, PRIORITY_SOURCES[item.source], item.stage || '', item.impact, item.effort, quadrant.label,
+                item.reach, item.riceImpact, item.confidence, item.riceEffort, rice === null ? '' : rice.toFixed(2)
+            ].map(quote).join(',');
+        })
+    ];
+    downloadBlob(new Blob([rows.join('\n')], { type: 'text/csv;charset=utf-8;' }), 'prioritization.csv');
+}
+
+// Data storage helpers with per-project scoping (see PROJECT STORE below)
+const PROJECTS_KEY = 'jmProjects';
+const CURRENT_PROJECT_KEY = 'jmCurrentProjectId';
+const BASE_STORAGE_KEY = 'journeyData';
+const BASE_VERSIONS_KEY = 'journeyVersions';
+const BASE_CHANGES_KEY = 'journeyChanges';
+const BASE_COVER_KEY = 'coverData';
+const BASE_SETTINGS_KEY = 'appSettings';
+const BASE_FLOW_KEY = 'userFlowData';
+const BASE_FLOW_VERSIONS_KEY = 'flowVersions';
+const BASE_PERSONAS_KEY = 'personasData';
+const BASE_KICKOFF_KEY = 'kickoffData';
+const BASE_STAKEHOLDERS_KEY = 'stakeholderMap';
+const BASE_INTERVIEWS_KEY = 'interviewData';
+const BASE_COMPETITORS_KEY = 'competitorData';
+const BASE_BLUEPRINT_KEY = 'serviceBlueprint';
+const BASE_DISCOVERY_SUMMARY_KEY = 'discoverySummary';
+const BASE_DEFINE_KEY = 'defineData';
+const BASE_TOBE_JOURNEY_KEY = 'toBeJourneyData';
+const BASE_LINKS_KEY = 'linkRegistry';
+const BASE_TEST_REPORTS_KEY = 'testReports';
+const BASE_PRIORITIZATION_KEY = 'prioritizationData';
+const BASE_SNAPSHOTS_KEY = 'projectSnapshots';
+const BASE_JOURNEY_DRAFTS_KEY = 'journeyDrafts';
+const BASE_ACTIVE_TAB_KEY = 'activeTab';
+
+// ===== PROJECT STORE (IndexedDB) =====
+// Project data lives in IndexedDB so image-heavy projects are not capped by the
+// ~5MB localStorage quota. Reads stay synchronous through an in-memory cache that
+// is filled once at boot; writes update the cache immediately and are committed
+// in batched transactions. Without IndexedDB the store falls back to localStorage.
+const APP_DB_NAME = 'flowbox-db';
+const APP_DB_VERSION = 4;
+const APP_DB_STORE = 'records';
+// Content-addressed image blobs shared by every project
+const APP_DB_IMAGE_STORE = 'images';
+// Directory handles for folder sync, keyed by project id
+const APP_DB_HANDLE_STORE = 'handles';
+// Store used by the information hierarchy before the unified store existed
+const LEGACY_IH_DB_STORE = 'kv';
+// Each tab caches the store in memory; writes are announced on this channel to the others
+const APP_STORAGE_CHANNEL = 'flowbox-storage';
+
+// Key prefixes owned by the store; matching localStorage keys are migrated on boot
+const APP_STORE_BASES = [
+    BASE_STORAGE_KEY,
+    BASE_VERSIONS_KEY,
+    BASE_CHANGES_KEY,
+    BASE_COVER_KEY,
+    BASE_FLOW_KEY,
+    BASE_FLOW_VERSIONS_KEY,
+    BASE_PERSONAS_KEY,
+    BASE_KICKOFF_KEY,
+    BASE_STAKEHOLDERS_KEY,
+    BASE_INTERVIEWS_KEY,
+    BASE_COMPETITORS_KEY,
+    BASE_BLUEPRINT_KEY,
+    BASE_DISCOVERY_SUMMARY_KEY,
+    BASE_DEFINE_KEY,
+    BASE_TOBE_JOURNEY_KEY,
+    BASE_LINKS_KEY,
+    BASE_TEST_REPORTS_KEY,
+    BASE_PRIORITIZATION_KEY,
+    BASE_SNAPSHOTS_KEY,
+    BASE_JOURNEY_DRAFTS_KEY,
+    'jmAsIsFlow_boards',
+    'jmToBeFlow_boards',
+    'ihData',
+    'ihMigrated-1',
+    'selectedPersonaId',
+    'selectedPersonaBoardId'
+];
+
+// The inline boot scripts in index.html read these before the store is ready
+function isLocalOnlyStorageKey(key) {
+    return key === PROJECTS_KEY
+        || key === CURRENT_PROJECT_KEY
+        || key.startsWith(`${BASE_SETTINGS_KEY}:`)
+        || key.startsWith(`${BASE_ACTIVE_TAB_KEY}:`);
+}
+
+function isAppStoreKey(key) {
+    if (!key || isLocalOnlyStorageKey(key)) return false;
+    return APP_STORE_BASES.some(base => key === base || key.startsWith(`${base}:`));
+}
+
+function readStoredUpdatedAt(value) {
+    try {
+        const parsed = JSON.parse(value);
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? Number(parsed.updatedAt) || 0 : 0;
+    } catch {
+        return 0;
+    }
+}
+
+function isQuotaExceededError(err) {
+    if (!err) return false;
+    return err.name === 'QuotaExceededError'
+        || err.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+        || err.code === 22
+        || err.code === 1014;
+}
+
+// Stored JSON references images by content hash instead of inlining data URLs
+const IMAGE_REF_PREFIX = 'flowbox-image:';
+// Small inline images (icons, placeholders) are cheaper to keep in the JSON
+const IMAGE_REF_MIN_LENGTH = 2048;
+const INLINE_IMAGE_PATTERN = /"data:image\/[a-z0-9.+-]+;base64,[A-Za-z0-9+/=]+"/gi;
+const IMAGE_REF_PATTERN = /"flowbox-image:([0-9a-f]{32})"/g;
+
+// Fast non-cryptographic 128-bit hash (cyrb128); ample for addressing images by content
+function hashImageContent(str) {
+    let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+    for (let i = 0, k; i < str.length; i++) {
+        k = str.charCodeAt(i);
+        h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+        h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+        h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+        h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+    }
+    h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+    h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+    h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+    h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+    h1 ^= (h2 ^ h3 ^ h4);
+    h2 ^= h1;
+    h3 ^= h1;
+    h4 ^= h1;
+    return [h1, h2, h3, h4].map(h => (h >>> 0).toString(16).padStart(8, '0')).join('');
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+let lastStorageErrorAt = 0;
+function reportStorageError(err, keys = []) {
+    console.error('Failed to persist project data:', keys, err);
+    // Unsaved writes stay queued in the store, so let the user free space and retry
+    if (isQuotaExceededError(err)) {
+        openStorageQuotaDialog();
+        return;
+    }
+    // A failing batch is retried with the next save, so only surface it every few seconds
+    if (Date.now() - lastStorageErrorAt < 5000) return;
+    lastStorageErrorAt = Date.now();
+    showToast('Could not save your latest changes to browser storage', 'error', 5000);
+}
+
+const appStorage = (() => {
+    const cache = new Map();
+    // key -> serialized value, or null for a pending delete
+    const pending = new Map();
+    // localStorage writes rejected for quota, kept readable until a retry succeeds
+    const failedLocalWrites = new Map();
+    // hash -> data URL for every stored image, and the reverse lookup used when saving
+    const imageDataUrls = new Map();
+    const imageHashes = new Map();
+    // hash -> data URL, or null for an image to delete
+    const pendingImages = new Map();
+    const listeners = new Set();
+    const sessionHandles = new Map();
+    const tabChannel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(APP_STORAGE_CHANNEL) : null;
+    let db = null;
+    let flushTimer = null;
+    let gcTimer = null;
+    let flushing = Promise.resolve();
+
+    const requestToPromise = (req) => new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+
+    function openDb() {
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open(APP_DB_NAME, APP_DB_VERSION);
+            req.onupgradeneeded = () => {
+                const upgradeDb = req.result;
+                if (!upgradeDb.objectStoreNames.contains(APP_DB_STORE)) {
+                    upgradeDb.createObjectStore(APP_DB_STORE, { keyPath: 'k' });
+                }
+                if (!upgradeDb.objectStoreNames.contains(APP_DB_IMAGE_STORE)) {
+                    upgradeDb.createObjectStore(APP_DB_IMAGE_STORE, { keyPath: 'hash' });
+                }
+                if (!upgradeDb.objectStoreNames.contains(APP_DB_HANDLE_STORE)) {
+                    upgradeDb.createObjectStore(APP_DB_HANDLE_STORE, { keyPath: 'k' });
+                }
+                if (!upgradeDb.objectStoreNames.contains(LEGACY_IH_DB_STORE)) return;
+                // Fold the old information hierarchy records into the unified store
+                const tx = req.transaction;
+                tx.objectStore(LEGACY_IH_DB_STORE).getAll().onsuccess = (e) => {
+                    const records = tx.objectStore(APP_DB_STORE);
+                    (e.target.result || []).forEach(rec => {
+                        if (rec && rec.k && rec.v) records.put({ k: rec.k, v: JSON.stringify(rec.v), t: rec.t || Date.now() });
+                    });
+                    upgradeDb.deleteObjectStore(LEGACY_IH_DB_STORE);
+                };
+            };
+            req.onblocked = () => showToast('Close other Flowbox tabs to finish upgrading storage', 'info', 5000);
+            req.onsuccess = () => {
+                const opened = req.result;
+                // Let a newer version of the app upgrade the database from another tab
+                opened.onversionchange = () => opened.close();
+                resolve(opened);
+            };
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    // Swap large inline images for hash references, queueing any image not stored yet
+    function compactImages(value, added = null) {
+        if (typeof value !== 'string' || value.indexOf('data:image/') === -1) return value;
+        return value.replace(INLINE_IMAGE_PATTERN, (match) => {
+            if (match.length < IMAGE_REF_MIN_LENGTH) return match;
+            const dataUrl = match.slice(1, -1);
+            let hash = imageHashes.get(dataUrl);
+            if (!hash) {
+                hash = hashImageContent(dataUrl);
+                imageHashes.set(dataUrl, hash);
+                if (!imageDataUrls.has(hash)) {
+                    imageDataUrls.set(hash, dataUrl);
+                    pendingImages.set(hash, dataUrl);
+                    if (added) added[hash] = dataUrl;
+                }
+            }
+            return `"${IMAGE_REF_PREFIX}${hash}"`;
+        });
+    }
+
+    function expandImages(value) {
+        if (typeof value !== 'string' || value.indexOf(IMAGE_REF_PREFIX) === -1) return value;
+        return value.replace(IMAGE_REF_PATTERN, (match, hash) => (imageDataUrls.has(hash) ? `"${imageDataUrls.get(hash)}"` : match));
+    }
+
+    // Drop images no stored value refers to any more (replaced photos, deleted projects)
+    function collectGarbageImages() {
+        const referenced = new Set();
+        const scan = (value) => {
+            if (typeof value !== 'string' || value.indexOf(IMAGE_REF_PREFIX) === -1) return;
+            for (const match of value.matchAll(IMAGE_REF_PATTERN)) referenced.add(match[1]);
+        };
+        cache.forEach(scan);
+        pending.forEach(scan);
+        const removed = [];
+        imageDataUrls.forEach((dataUrl, hash) => {
+            if (referenced.has(hash)) return;
+            imageDataUrls.delete(hash);
+            imageHashes.delete(dataUrl);
+            pendingImages.set(hash, null);
+            removed.push(hash);
+        });
+        if (removed.length) {
+            scheduleFlush();
+            // Other tabs forget them too, so a later save stores the image again
+            announce({ type: 'images-removed', hashes: removed });
+        }
+        return removed.length;
+    }
+
+    function scheduleImageGc() {
+        clearTimeout(gcTimer);
+        gcTimer = setTimeout(collectGarbageImages, 5000);
+    }
+
+    function commit(batch, imageBatch) {
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction([APP_DB_STORE, APP_DB_IMAGE_STORE], 'readwrite');
+            const store = tx.objectStore(APP_DB_STORE);
+            const images = tx.objectStore(APP_DB_IMAGE_STORE);
+            const now = Date.now();
+            // Images go first so a committed record never points at a missing blob
+            imageBatch.forEach((dataUrl, hash) => {
+                if (dataUrl === null) {
+                    images.delete(hash);
+                    return;
+                }
+                const blob = dataUrlToBlob(dataUrl);
+                images.put({ hash, blob, type: blob.type, size: blob.size, createdAt: now });
+            });
+            batch.forEach((value, key) => {
+                if (value === null) store.delete(key);
+                else store.put({ k: key, v: value, t: now });
+            });
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Storage transaction aborted'));
+        });
+    }
+
+    function flush() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        if (!db || (!pending.size && !pendingImages.size)) return flushing;
+        const batch = new Map(pending);
+        const imageBatch = new Map(pendingImages);
+        pending.clear();
+        pendingImages.clear();
+        const run = flushing.then(() => commit(batch, imageBatch));
+        flushing = run.catch(() => {});
+        return run.catch((err) => {
+            // Keep the batch queued (unless superseded) so the next save retries it
+            batch.forEach((value, key) => { if (!pending.has(key)) pending.set(key, value); });
+            imageBatch.forEach((value, hash) => { if (!pendingImages.has(hash)) pendingImages.set(hash, value); });
+            reportStorageError(err, Array.from(batch.keys()));
+            throw err;
+        });
+    }
+
+    function scheduleFlush() {
+        if (flushTimer) return;
+        flushTimer = setTimeout(() => { flush().catch(() => {}); }, 50);
+    }
+
+    // Listeners get { fromOtherTab: true } for writes made in another tab; those are
+    // already saved, so features that react to local edits should skip them
+    function notify(key, origin = { fromOtherTab: false }) {
+        listeners.forEach(listener => {
+            try { listener(key, origin); } catch (err) { console.warn('Storage listener failed:', err); }
+        });
+    }
+
+    function announce(message) {
+        if (!tabChannel) return;
+        try { tabChannel.postMessage(message); } catch (err) { console.warn('Could not reach other tabs:', err); }
+    }
+
+    // The writing tab persists the value; this tab only refreshes its cache
+    function receiveFromOtherTab(message) {
+        if (!db || !message) return;
+        const { key } = message;
+        if (message.type === 'images-removed') {
+            (message.hashes || []).forEach(hash => {
+                imageHashes.delete(imageDataUrls.get(hash));
+                imageDataUrls.delete(hash);
+            });
+            return;
+        }
+        if (typeof key !== 'string') return;
+        if (message.type === 'set') {
+            if (cache.get(key) === message.value) return;
+            Object.entries(message.images || {}).forEach(([hash, dataUrl]) => {
+                imageDataUrls.set(hash, dataUrl);
+                imageHashes.set(dataUrl, hash);
+            });
+            cache.set(key, message.value);
+        } else if (message.type === 'remove') {
+            if (!cache.has(key)) return;
+            cache.delete(key);
+        } else {
+            return;
+        }
+        // A newer write from another tab supersedes one of ours still waiting to flush
+        pending.delete(key);
+        notify(key, { fromOtherTab: true });
+    }
+
+    function usesLocalStorage(key) {
+        return !db || isLocalOnlyStorageKey(key);
+    }
+
+    // Copy legacy localStorage keys into the store; they are removed once committed
+    function collectLocalStorageMigration() {
+        const migrated = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!isAppStoreKey(key)) continue;
+            const value = compactImages(localStorage.getItem(key));
+            const stored = cache.get(key);
+            migrated.push(key);
+            if (stored !== undefined && readStoredUpdatedAt(stored) > readStoredUpdatedAt(value)) continue;
+            cache.set(key, value);
+            pending.set(key, value);
+        }
+        return migrated;
+    }
+
+    async function init() {
+        if (typeof indexedDB === 'undefined') return;
+        try {
+            db = await openDb();
+            const tx = db.transaction([APP_DB_STORE, APP_DB_IMAGE_STORE], 'readonly');
+            const [records, images] = await Promise.all([
+                requestToPromise(tx.objectStore(APP_DB_STORE).getAll()),
+                requestToPromise(tx.objectStore(APP_DB_IMAGE_STORE).getAll())
+            ]);
+            // One unreadable blob should only cost that image, not the whole store
+            const dataUrls = await Promise.all(images.map(rec => blobToDataUrl(rec.blob).catch((err) => {
+                console.warn('Could not read stored image', rec.hash, err);
+                return null;
+            })));
+            images.forEach((rec, i) => {
+                if (!dataUrls[i]) return;
+                imageDataUrls.set(rec.hash, dataUrls[i]);
+                imageHashes.set(dataUrls[i], rec.hash);
+            });
+            records.forEach(rec => {
+                // Records saved before the image store existed still inline their images
+                const value = compactImages(rec.v);
+                cache.set(rec.k, value);
+                if (value !== rec.v) pending.set(rec.k, value);
+            });
+            const migrated = collectLocalStorageMigration();
+            await flush();
+            migrated.forEach(key => { try { localStorage.removeItem(key); } catch {} });
+            if (migrated.length) console.log(`Migrated ${migrated.length} project keys from localStorage to IndexedDB`);
+            scheduleImageGc();
+        } catch (err) {
+            // Leave localStorage untouched and keep working from it
+            console.error('IndexedDB unavailable, falling back to localStorage:', err);
+            if (db) { try { db.close(); } catch {} }
+            db = null;
+            cache.clear();
+            pending.clear();
+            imageDataUrls.clear();
+            imageHashes.clear();
+            pendingImages.clear();
+        }
+    }
+
+    const ready = init();
+
+    if (tabChannel) tabChannel.onmessage = (event) => receiveFromOtherTab(event.data);
+    // Keys kept in localStorage announce themselves through the storage event
+    window.addEventListener('storage', (event) => {
+        if (event.storageArea === localStorage && event.key && usesLocalStorage(event.key)) {
+            notify(event.key, { fromOtherTab: true });
+        }
+    });
+
+    window.addEventListener('pagehide', () => { flush().catch(() => {}); });
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flush().catch(() => {});
+    });
+
+    return {
+        ready,
+        flush,
+        get backend() {
+            return db ? 'indexeddb' : 'localStorage';
+        },
+        getItem(key) {
+            if (failedLocalWrites.has(key)) return failedLocalWrites.get(key);
+            if (usesLocalStorage(key)) return localStorage.getItem(key);
+            return cache.has(key) ? expandImages(cache.get(key)) : null;
+        },
+        // Stored form of a value, with image references left unexpanded
+        getRawItem(key) {
+            if (failedLocalWrites.has(key)) return failedLocalWrites.get(key);
+            if (usesLocalStorage(key)) return localStorage.getItem(key);
+            return cache.has(key) ? cache.get(key) : null;
+        },
+        setItem(key, value) {
+            if (usesLocalStorage(key)) {
+                try {
+                    localStorage.setItem(key, value);
+                    failedLocalWrites.delete(key);
+                } catch (err) {
+                    if (!isQuotaExceededError(err)) throw err;
+                    failedLocalWrites.set(key, String(value));
+                    reportStorageError(err, [key]);
+                }
+            } else {
+                const previous = cache.get(key);
+                const images = {};
+                const serialized = compactImages(String(value), images);
+                cache.set(key, serialized);
+                pending.set(key, serialized);
+                scheduleFlush();
+                if (previous && previous.indexOf(IMAGE_REF_PREFIX) !== -1) scheduleImageGc();
+                if (previous !== serialized) announce({ type: 'set', key, value: serialized, images });
+            }
+            notify(key);
+        },
+        removeItem(key) {
+            if (usesLocalStorage(key)) {
+                failedLocalWrites.delete(key);
+                localStorage.removeItem(key);
+            } else {
+                if (!cache.has(key)) return;
+                cache.delete(key);
+                pending.set(key, null);
+                scheduleFlush();
+                scheduleImageGc();
+                announce({ type: 'remove', key });
+            }
+            notify(key);
+        },
+        // Re-attempt every write that has not reached storage yet; resolves to true once all are saved
+        async retry() {
+            let saved = true;
+            failedLocalWrites.forEach((value, key) => {
+                try {
+                    localStorage.setItem(key, value);
+                    failedLocalWrites.delete(key);
+                } catch (err) {
+                    saved = false;
+                    console.warn('Retrying save failed:', key, err);
+                }
+            });
+            try {
+                await flush();
+            } catch {
+                saved = false;
+            }
+            return saved && !pending.size && !pendingImages.size;
+        },
+        hasUnsavedChanges() {
+            return failedLocalWrites.size > 0 || pending.size > 0 || pendingImages.size > 0;
+        },
+        getImageDataUrl(hash) {
+            return imageDataUrls.get(hash) || null;
+        },
+        imageStats() {
+            let bytes = 0;
+            // base64 carries four characters for every three bytes
+            imageDataUrls.forEach(dataUrl => { bytes += Math.round((dataUrl.length - dataUrl.indexOf(',') - 1) * 0.75); });
+            return { count: imageDataUrls.size, bytes };
+        },
+        collectGarbageImages,
+        // Handles are structured-cloned, so they live outside the string records;
+        // without IndexedDB they only last for the session
+        async getHandles() {
+            if (!db) return Array.from(sessionHandles.values());
+            return requestToPromise(db.transaction(APP_DB_HANDLE_STORE).objectStore(APP_DB_HANDLE_STORE).getAll());
+        },
+        async putHandle(record) {
+            if (!db) {
+                sessionHandles.set(record.k, record);
+                return;
+            }
+            await requestToPromise(db.transaction(APP_DB_HANDLE_STORE, 'readwrite').objectStore(APP_DB_HANDLE_STORE).put(record));
+        },
+        async deleteHandle(key) {
+            if (!db) {
+                sessionHandles.delete(key);
+                return;
+            }
+            await requestToPromise(db.transaction(APP_DB_HANDLE_STORE, 'readwrite').objectStore(APP_DB_HANDLE_STORE).delete(key));
+        },
+        keys() {
+            const keys = new Set(cache.keys());
+            failedLocalWrites.forEach((_, key) => keys.add(key));
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key && usesLocalStorage(key)) keys.add(key);
+            }
+            return Array.from(keys);
+        },
+        onChange(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+})();
+
+// ===== Device storage (OPFS) sync for installed PWA =====
+// In browser mode: keep using localStorage only.
+// In installed PWA (standalone): mirror localStorage <-> OPFS (Origin Private File System) so data lives on device.
+const IS_STANDALONE = (function() {
+    try {
+        return window.matchMedia && window.matchMedia('(display-mode: standalone)').matches || window.navigator.standalone === true;
+    } catch { return false; }
+})();
+
+const DEVICE_DIR_NAME = 'flowbox';
+const DEVICE_DATA_FILE = 'data.json';
+
+// Ask browser to make storage persistent to avoid eviction (installed app)
+(async function ensurePersistentStorage() {
+    try {
+        if (!IS_STANDALONE) return;
+        if (navigator.storage && navigator.storage.persist) {
+            await navigator.storage.persist();
+        }
+    } catch {}
+})();
+
+async function isOpfsAvailable() {
+    try { return !!(navigator.storage && navigator.storage.getDirectory); } catch { return false; }
+}
+
+async function getOpfsFileHandle() {
+    const root = await navigator.storage.getDirectory();
+    const appDir = await root.getDirectoryHandle(DEVICE_DIR_NAME, { create: true });
+    const fileHandle = await appDir.getFileHandle(DEVICE_DATA_FILE, { create: true });
+    return fileHandle;
+}
+
+async function readFromDeviceStorage() {
+    try {
+        if (!(await isOpfsAvailable())) return null;
+        const fh = await getOpfsFileHandle();
+        const file = await fh.getFile();
+        const text = await file.text();
+        if (!text) return null;
+        return JSON.parse(text);
+    } catch {
+        return null;
+    }
+}
+
+async function writeToDeviceStorage(payload) {
+    try {
+        if (!(await isOpfsAvailable())) return false;
+        const fh = await getOpfsFileHandle();
+        const writable = await fh.createWritable();
+        await writable.write(new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' }));
+        await writable.close();
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function collectLocalStorageSnapshot() {
+    // Reuse the same prefixes used for export/import
+    const prefixes = [
+        PROJECTS_KEY,
+        CURRENT_PROJECT_KEY,
+        BASE_STORAGE_KEY,
+        BASE_VERSIONS_KEY,
+        BASE_CHANGES_KEY,
+        BASE_COVER_KEY,
+        BASE_SETTINGS_KEY,
+        BASE_FLOW_KEY,
+        BASE_FLOW_VERSIONS_KEY,
+        BASE_ACTIVE_TAB_KEY,
+        BASE_PERSONAS_KEY,
+        BASE_STAKEHOLDERS_KEY,
+        BASE_INTERVIEWS_KEY,
+        BASE_COMPETITORS_KEY,
+        BASE_BLUEPRINT_KEY,
+        BASE_DISCOVERY_SUMMARY_KEY,
+        BASE_DEFINE_KEY,
+        BASE_TOBE_JOURNEY_KEY,
+        BASE_LINKS_KEY,
+        BASE_TEST_REPORTS_KEY,
+        BASE_PRIORITIZATION_KEY,
+        BASE_SNAPSHOTS_KEY,
+        BASE_JOURNEY_DRAFTS_KEY
+    ];
+    const storage = {};
+    appStorage.keys().forEach(key => {
+        if (prefixes.some(p => key === p || key.startsWith(p + ':'))) {
+            storage[key] = appStorage.getItem(key);
+        }
+    });
+    return { meta: { app: 'flowbox', source: 'opfs-mirror', exportedAt: new Date().toISOString() }, storage };
+}
+
+function applySnapshotToLocalStorage(storage) {
+    try {
+        const keys = Object.keys(storage || {});
+        // Remove existing keys in our namespace to avoid stale values
+        const namespaces = [
+            PROJECTS_KEY,
+            CURRENT_PROJECT_KEY,
+            BASE_STORAGE_KEY,
+            BASE_VERSIONS_KEY,
+            BASE_CHANGES_KEY,
+            BASE_COVER_KEY,
+            BASE_SETTINGS_KEY,
+            BASE_FLOW_KEY,
+            BASE_FLOW_VERSIONS_KEY,
+            BASE_ACTIVE_TAB_KEY,
+            BASE_PERSONAS_KEY,
+            BASE_STAKEHOLDERS_KEY,
+            BASE_INTERVIEWS_KEY,
+            BASE_COMPETITORS_KEY,
+            BASE_BLUEPRINT_KEY,
+            BASE_DISCOVERY_SUMMARY_KEY,
+            BASE_DEFINE_KEY,
+            BASE_TOBE_JOURNEY_KEY,
+            BASE_LINKS_KEY,
+            BASE_TEST_REPORTS_KEY,
+            BASE_PRIORITIZATION_KEY,
+            BASE_SNAPSHOTS_KEY,
+            BASE_JOURNEY_DRAFTS_KEY
+        ];
+        const toRemove = appStorage.keys().filter(k => namespaces.some(p => k === p || k.startsWith(p + ':')));
+        toRemove.forEach(k => { try { appStorage.removeItem(k); } catch {} });
+        keys.forEach(k => { try { appStorage.setItem(k, storage[k]); } catch {} });
+    } catch {}
+}
+
+async function hydrateFromDeviceIfStandalone() {
+    try {
+        if (!IS_STANDALONE) return;
+        if (!(await isOpfsAvailable())) return;
+        const devicePayload = await readFromDeviceStorage();
+        if (devicePayload && devicePayload.storage) {
+            applySnapshotToLocalStorage(devicePayload.storage);
+            // Ensure early inline scripts see hydrated state (only once per session)
+            try {
+                await appStorage.flush();
+                if (!sessionStorage.getItem('flowboxHydrated')) {
+                    sessionStorage.setItem('flowboxHydrated', '1');
+                    location.reload();
+                }
+            } catch {}
+        } else {
+            // Initialize device storage with current local snapshot
+            await writeToDeviceStorage(collectLocalStorageSnapshot());
+        }
+    } catch {}
+}
+
+// Setup mirroring of the project store -> device storage (debounced) when in standalone
+(async function setupDeviceMirroring() {
+    try {
+        if (!IS_STANDALONE) return;
+        if (!(await isOpfsAvailable())) return;
+
+        // Hydrate first, once the project store has loaded
+        await appStorage.ready;
+        await hydrateFromDeviceIfStandalone();
+
+        let debounceTimer;
+        function scheduleMirror() {
+            clearTimeout(debounceTimer);
+            debounceTimer = setTimeout(async () => {
+                try { await writeToDeviceStorage(collectLocalStorageSnapshot()); } catch {}
+            }, 200);
+        }
+
+        appStorage.onChange((key, origin) => { if (!origin.fromOtherTab) scheduleMirror(); });
+
+        // Also mirror on visibility changes to be safe
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                try { writeToDeviceStorage(collectLocalStorageSnapshot()); } catch {}
+            }
+        });
+
+        // Expose manual sync for debugging
+        window.flowboxSyncToDeviceNow = async function() {
+            return await writeToDeviceStorage(collectLocalStorageSnapshot());
+        };
+    } catch {}
+})();
+
+// --- Device storage helpers (export/import to disk) ---
+// ===== FLOWBOX ARCHIVE (.flowbox) =====
+// A .flowbox file is a ZIP with a manifest, one JSON file per feature and project, and
+// every referenced image as its own file. See FLOWBOX-ARCHIVE.md for the full layout.
+const FLOWBOX_ARCHIVE_FORMAT = 'flowbox-archive';
+const FLOWBOX_SCHEMA_VERSION = 2;
+const FLOWBOX_MANIFEST_FILE = 'manifest.json';
+const FLOWBOX_IMAGE_DIR = 'images/';
+// Schema 1 exports were a single key/value dump next to the image files
+const LEGACY_ARCHIVE_DATA_FILE = 'flowbox-data.json';
+const IMAGE_FILE_EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp', 'image/gif': 'gif', 'image/svg+xml': 'svg' };
+
+// Per-project feature files; `shape` is what the JSON must parse to, `label` names it in the UI
+const FLOWBOX_ARCHIVE_FEATURES = [
+    { file: 'journey.json', label: 'Journey map', base: BASE_STORAGE_KEY, shape: 'array' },
+    { file: 'to-be-journey.json', label: 'To-be journey map', base: BASE_TOBE_JOURNEY_KEY, shape: 'array' },
+    { file: 'journey-drafts.json', label: 'Journey drafts', base: BASE_JOURNEY_DRAFTS_KEY, shape: 'array' },
+    { file: 'personas.json', label: 'Personas', base: BASE_PERSONAS_KEY, shape: 'array' },
+    { file: 'flows/user-flow.json', label: 'User flow', base: BASE_FLOW_KEY, shape: 'object' },
+    { file: 'flows/as-is.json', label: 'As-is flow boards', base: 'jmAsIsFlow_boards', shape: 'array' },
+    { file: 'flows/to-be.json', label: 'To-be flow boards', base: 'jmToBeFlow_boards', shape: 'array' },
+    { file: 'information-hierarchy.json', label: 'Information hierarchy', base: 'ihData', shape: 'object' },
+    { file: 'kickoff.json', label: 'Kickoff', base: BASE_KICKOFF_KEY, shape: 'object' },
+    { file: 'cover.json', label: 'Cover', base: BASE_COVER_KEY, shape: 'object' },
+    { file: 'stakeholders.json', label: 'Stakeholder map', base: BASE_STAKEHOLDERS_KEY, shape: 'object' },
+    { file: 'interviews.json', label: 'Interviews', base: BASE_INTERVIEWS_KEY, shape: 'object' },
+    { file: 'competitors.json', label: 'Competitors', base: BASE_COMPETITORS_KEY, shape: 'object' },
+    { file: 'service-blueprint.json', label: 'Service blueprint', base: BASE_BLUEPRINT_KEY, shape: 'object' },
+    { file: 'discovery-summary.json', label: 'Discovery summary', base: BASE_DISCOVERY_SUMMARY_KEY, shape: 'object' },
+    { file: 'define.json', label: 'Define', base: BASE_DEFINE_KEY, shape: 'object' },
+    { file: 'links.json', label: 'Link registry', base: BASE_LINKS_KEY, shape: 'object' },
+    { file: 'test-reports.json', label: 'Test reports', base: BASE_TEST_REPORTS_KEY, shape: 'object' },
+    { file: 'prioritization.json', label: 'Prioritization', base: BASE_PRIORITIZATION_KEY, shape: 'object' },
+    { file: 'settings.json', label: 'Settings', base: BASE_SETTINGS_KEY, shape: 'object' },
+    { file: 'versions/versions.json', label: 'Version history', base: BASE_VERSIONS_KEY, shape: 'array' },
+    { file: 'versions/flow-versions.json', label: 'Flow version history', base: BASE_FLOW_VERSIONS_KEY, shape: 'array' },
+    { file: 'versions/snapshots.json', label: 'Project snapshots', base: BASE_SNAPSHOTS_KEY, shape: 'array' },
+    { file: 'versions/changes.json', label: 'Change log', base: BASE_CHANGES_KEY, shape: 'array' }
+];
+
+// Each step upgrades an in-memory archive by one schema version
+const FLOWBOX_ARCHIVE_MIGRATIONS = [
+    {
+        from: 0,
+        description: 'Plain JSON export with inline images',
+        migrate: (archive) => ({ ...archive, schemaVersion: 1 })
+    },
+    {
+        from: 1,
+        description: 'Key/value dump split into per-project feature files',
+        migrate: (archive, report) => migrateStorageDumpToFeatureFiles(archive, report)
+    }
+];
+
+function getArchiveProjectPath(projectId) {
+    return `projects/${projectId}/`;
+}
+
+function getArchiveImageFile(hash, type) {
+    return `${FLOWBOX_IMAGE_DIR}${hash}.${IMAGE_FILE_EXTENSIONS[type] || 'bin'}`;
+}
+
+function createArchiveReport() {
+    const issues = [];
+    return {
+        issues,
+        migrations: [],
+        error: (path, message) => issues.push({ level: 'error', path, message }),
+        warn: (path, message) => issues.push({ level: 'warning', path, message }),
+        fatal: (path, message) => issues.push({ level: 'fatal', path, message }),
+        hasFatal: () => issues.some(issue => issue.level === 'fatal')
+    };
+}
+
+function collectImageRefs(text, into = new Set()) {
+    for (const match of String(text || '').matchAll(IMAGE_REF_PATTERN)) into.add(match[1]);
+    return into;
+}
+
+function inlineArchiveImages(text, images) {
+    return text.replace(IMAGE_REF_PATTERN, (match, hash) => (images[hash] ? `"${images[hash]}"` : match));
+}
+
+// projectIds limits the archive to some projects; every project is exported by default
+async function buildFlowboxArchive({ projectIds = null } = {}) {
+    const zip = new window.JSZip();
+    const projects = loadProjects().filter(p => !projectIds || projectIds.includes(p.id));
+    const imageRefs = new Set();
+    const manifestProjects = projects.map(project => {
+        const path = getArchiveProjectPath(project.id);
+        const files = [];
+        FLOWBOX_ARCHIVE_FEATURES.forEach(feature => {
+            const raw = appStorage.getRawItem(getScopedKey(feature.base, project.id));
+            if (raw === null) return;
+            let value;
+            try { value = JSON.parse(raw); } catch { return; }
+            collectImageRefs(raw, imageRefs);
+            zip.file(`${path}${feature.file}`, JSON.stringify(value, null, 2));
+            files.push(feature.file);
+        });
+        return { ...project, path, files };
+    });
+    const images = {};
+    imageRefs.forEach(hash => {
+        const dataUrl = appStorage.getImageDataUrl(hash);
+        if (!dataUrl) return;
+        const type = dataUrl.slice(5, dataUrl.indexOf(';'));
+        const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+        const file = getArchiveImageFile(hash, type);
+        images[hash] = { file, type, size: Math.round(base64.length * 0.75) };
+        zip.file(file, base64, { base64: true });
+    });
+    const currentId = getCurrentProjectId();
+    const manifest = {
+        format: FLOWBOX_ARCHIVE_FORMAT,
+        schemaVersion: FLOWBOX_SCHEMA_VERSION,
+        app: { name: 'flowbox', version: '1.6.1' },
+        exportedAt: new Date().toISOString(),
+        currentProjectId: manifestProjects.some(p => p.id === currentId) ? currentId : (manifestProjects[0] ? manifestProjects[0].id : ''),
+        projects: manifestProjects,
+        images
+    };
+    zip.file(FLOWBOX_MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+    return zip.generateAsync({ type: 'blob', mimeType: 'application/zip', compression: 'DEFLATE' });
+}
+
+async function isZipFile(file) {
+    const bytes = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+    return bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+}
+
+async function readArchiveImages(zip, entries, report) {
+    const images = {};
+    await Promise.all(Object.entries(entries || {}).map(async ([hash, info]) => {
+        const entry = info && info.file ? zip.file(info.file) : null;
+        if (!entry) {
+            report.warn(info && info.file ? info.file : `${FLOWBOX_IMAGE_DIR}${hash}`, 'Image listed in the manifest is missing');
+            return;
+        }
+        images[hash] = `data:${info.type || 'image/png'};base64,${await entry.async('base64')}`;
+    }));
+    return images;
+}
+
+// Loads any archive generation into memory as { schemaVersion, ... } without migrating it
+async function loadArchiveSource(file, report) {
+    if (!(await isZipFile(file))) {
+        let payload;
+        try { payload = JSON.parse(await file.text()); } catch {
+            report.fatal(file.name || 'file', 'Not a .flowbox archive or a Flowbox JSON export');
+            return null;
+        }
+        if (!payload || typeof payload !== 'object' || !payload.storage || typeof payload.storage !== 'object') {
+            report.fatal(file.name || 'file', 'JSON export has no storage section');
+            return null;
+        }
+        return { schemaVersion: 0, storage: payload.storage, images: {} };
+    }
+    if (typeof window.JSZip === 'undefined') {
+        report.fatal(file.name || 'file', 'ZIP import not available. JSZip is not loaded.');
+        return null;
+    }
+    let zip;
+    try { zip = await window.JSZip.loadAsync(file); } catch {
+        report.fatal(file.name || 'file', 'The archive is damaged and could not be opened');
+        return null;
+    }
+    const legacyData = zip.file(LEGACY_ARCHIVE_DATA_FILE);
+    if (!zip.file(FLOWBOX_MANIFEST_FILE) && legacyData) {
+        let payload;
+        try { payload = JSON.parse(await legacyData.async('string')); } catch {
+            report.fatal(LEGACY_ARCHIVE_DATA_FILE, 'Invalid JSON');
+            return null;
+        }
+        const images = await readArchiveImages(zip, payload.meta && payload.meta.images, report);
+        return { schemaVersion: 1, storage: payload.storage || {}, images };
+    }
+    const manifestEntry = zip.file(FLOWBOX_MANIFEST_FILE);
+    if (!manifestEntry) {
+        report.fatal(FLOWBOX_MANIFEST_FILE, 'The archive has no manifest');
+        return null;
+    }
+    let manifest;
+    try { manifest = JSON.parse(await manifestEntry.async('string')); } catch {
+        report.fatal(FLOWBOX_MANIFEST_FILE, 'The manifest is not valid JSON');
+        return null;
+    }
+    if (!manifest || manifest.format !== FLOWBOX_ARCHIVE_FORMAT) {
+        report.fatal(FLOWBOX_MANIFEST_FILE, 'The manifest does not describe a Flowbox archive');
+        return null;
+    }
+    const schemaVersion = Number(manifest.schemaVersion);
+    if (!Number.isInteger(schemaVersion) || schemaVersion < 2) {
+        report.fatal(FLOWBOX_MANIFEST_FILE, `Unknown schema version "${manifest.schemaVersion}"`);
+        return null;
+    }
+    if (schemaVersion > FLOWBOX_SCHEMA_VERSION) {
+        report.fatal(FLOWBOX_MANIFEST_FILE, `Schema version ${schemaVersion} was written by a newer Flowbox; update the app to import it`);
+        return null;
+    }
+    const files = {};
+    const listed = new Set([FLOWBOX_MANIFEST_FILE]);
+    Object.values(manifest.images || {}).forEach(info => { if (info && info.file) listed.add(info.file); });
+    const projects = Array.isArray(manifest.projects) ? manifest.projects : [];
+    for (const project of projects) {
+        const path = project && typeof project.path === 'string' ? project.path : '';
+        for (const name of (project && Array.isArray(project.files) ? project.files : [])) {
+            const filePath = `${path}${name}`;
+            listed.add(filePath);
+            const entry = zip.file(filePath);
+            if (!entry) {
+                report.warn(filePath, 'File listed in the manifest is missing');
+                continue;
+            }
+            try { files[filePath] = JSON.parse(await entry.async('string')); } catch {
+                report.error(filePath, 'Invalid JSON; this feature will be skipped');
+            }
+        }
+    }
+    zip.forEach((path, entry) => {
+        if (!entry.dir && !listed.has(path)) report.warn(path, 'Not referenced by the manifest; ignored');
+    });
+    const images = await readArchiveImages(zip, manifest.images, report);
+    return { schemaVersion, manifest, files, images };
+}
+
+function migrateStorageDumpToFeatureFiles(archive, report) {
+    const storage = archive.storage || {};
+    let projects = [];
+    try { projects = JSON.parse(storage[PROJECTS_KEY] || '[]'); } catch {
+        report.error(PROJECTS_KEY, 'Project list is not valid JSON');
+    }
+    if (!Array.isArray(projects)) projects = [];
+    const files = {};
+    const used = new Set([PROJECTS_KEY, CURRENT_PROJECT_KEY]);
+    const manifestProjects = projects.filter(p => p && p.id).map(project => {
+        const path = getArchiveProjectPath(project.id);
+        const featureFiles = [];
+        FLOWBOX_ARCHIVE_FEATURES.forEach(feature => {
+            const key = getScopedKey(feature.base, project.id);
+            if (!(key in storage)) return;
+            used.add(key);
+            try {
+                files[`${path}${feature.file}`] = JSON.parse(storage[key]);
+                featureFiles.push(feature.file);
+            } catch {
+                report.error(key, 'Invalid JSON; this feature will be skipped');
+            }
+        });
+        return { ...project, path, files: featureFiles };
+    });
+    Object.keys(storage).forEach(key => {
+        if (used.has(key) || key.startsWith(`${BASE_ACTIVE_TAB_KEY}:`)) return;
+        report.warn(key, 'Does not belong to a known project or feature; ignored');
+    });
+    return {
+        schemaVersion: 2,
+        manifest: {
+            format: FLOWBOX_ARCHIVE_FORMAT,
+            schemaVersion: 2,
+            currentProjectId: storage[CURRENT_PROJECT_KEY] || '',
+            projects: manifestProjects,
+            images: {}
+        },
+        files,
+        images: archive.images || {}
+    };
+}
+
+// Checks a fully migrated archive, dropping anything that cannot be imported safely
+function validateFlowboxArchive(archive, report) {
+    const { manifest, files, images } = archive;
+    const seen = new Set();
+    manifest.projects = (Array.isArray(manifest.projects) ? manifest.projects : []).filter((project, index) => {
+        const label = project && project.name ? `"${project.name}"` : `#${index + 1}`;
+        if (!project || typeof project.id !== 'string' || !project.id) {
+            report.error(`projects[${index}]`, `Project ${label} has no id and was skipped`);
+            return false;
+        }
+        if (seen.has(project.id)) {
+            report.error(`projects[${index}]`, `Project ${label} repeats id ${project.id} and was skipped`);
+            return false;
+        }
+        if (typeof project.path !== 'string') {
+            report.error(`projects[${index}]`, `Project ${label} has no folder path and was skipped`);
+            return false;
+        }
+        seen.add(project.id);
+        if (!Array.isArray(project.files)) {
+            report.warn(`projects[${index}]`, `Project ${project.id} has no file list; it will be imported empty`);
+            project.files = [];
+        }
+        if (typeof project.name !== 'string' || !project.name.trim()) {
+            report.warn(`projects[${index}]`, `Project ${project.id} has no name; it will be called "Imported project"`);
+            project.name = 'Imported project';
+        }
+        return true;
+    });
+    if (!manifest.projects.length) report.fatal(FLOWBOX_MANIFEST_FILE, 'The archive contains no projects');
+    manifest.projects.forEach(project => {
+        FLOWBOX_ARCHIVE_FEATURES.forEach(feature => {
+            const path = `${project.path}${feature.file}`;
+            if (!(path in files)) return;
+            const value = files[path];
+            const ok = feature.shape === 'array' ? Array.isArray(value) : (value && typeof value === 'object' && !Array.isArray(value));
+            if (!ok) {
+                report.error(path, `Expected ${feature.shape === 'array' ? 'a list' : 'an object'}; this feature will be skipped`);
+                delete files[path];
+                return;
+            }
+            collectImageRefs(JSON.stringify(value)).forEach(hash => {
+                if (!images[hash]) report.warn(path, `Refers to missing image ${hash.slice(0, 8)}…`);
+            });
+        });
+    });
+    if (manifest.currentProjectId && !seen.has(manifest.currentProjectId)) {
+        report.warn(FLOWBOX_MANIFEST_FILE, 'The selected project is not in the archive; the first project will open');
+        manifest.currentProjectId = '';
+    }
+}
+
+// Reads, migrates and validates an archive; nothing is written to storage
+async function readFlowboxArchive(file) {
+    const report = createArchiveReport();
+    let archive = await loadArchiveSource(file, report);
+    if (!archive) return { archive: null, report };
+    report.sourceVersion = archive.schemaVersion;
+    while (archive.schemaVersion < FLOWBOX_SCHEMA_VERSION) {
+        const step = FLOWBOX_ARCHIVE_MIGRATIONS.find(m => m.from === archive.schemaVersion);
+        if (!step) {
+            report.fatal(FLOWBOX_MANIFEST_FILE, `No upgrade path from schema version ${archive.schemaVersion}`);
+            return { archive: null, report };
+        }
+        archive = step.migrate(archive, report);
+        report.migrations.push(`v${step.from} → v${archive.schemaVersion}: ${step.description}`);
+    }
+    validateFlowboxArchive(archive, report);
+    return { archive, report };
+}
+
+function writeFlowboxArchiveProject(archive, project, targetId = project.id) {
+    FLOWBOX_ARCHIVE_FEATURES.forEach(feature => {
+        const path = `${project.path}${feature.file}`;
+        if (!(path in archive.files)) return;
+        appStorage.setItem(getScopedKey(feature.base, targetId), inlineArchiveImages(JSON.stringify(archive.files[path]), archive.images));
+    });
+}
+
+function getArchiveProjectMeta(project) {
+    const { path, files, ...meta } = project;
+    return meta;
+}
+
+// Resolves true when the user confirms; the confirm button is disabled for fatal problems.
+// With projectNames ({ [id]: { name, collidesWith } }) the project names become editable and are written back on confirm.
+function openArchiveReportDialog(archive, report, { title = 'Import Flowbox archive', intro = '', confirmLabel = 'Import', projectNames = null } = {}) {
+    return new Promise((resolve) => {
+        const existing = document.getElementById('archiveReportModal');
+        if (existing) existing.remove();
+        const projects = archive ? archive.manifest.projects : [];
+        const imageCount = archive ? Object.keys(archive.images).length : 0;
+        const levelLabels = { fatal: 'Cannot import', error: 'Skipped', warning: 'Warning' };
+        document.body.insertAdjacentHTML('beforeend', `
+            <div class="modal show" id="archiveReportModal">
+                <div class="modal-content ar-modal">
+                    <div class="modal-header">
+                        <h3>${escapeHtml(title)}</h3>
+                        <button class="close-btn" data-action="close">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        ${intro ? `<p>${escapeHtml(intro)}</p>` : ''}
+                        ${archive ? `
+                            <p class="ar-summary">${projects.length} project${projects.length === 1 ? '' : 's'} · ${imageCount} image${imageCount === 1 ? '' : 's'} · schema v${FLOWBOX_SCHEMA_VERSION}</p>
+                            <ul class="ar-projects">${projects.map(p => `<li>${projectNames ? `
+                                <input type="text" class="ar-name-input" data-project-id="${escapeHtml(p.id)}" value="${escapeHtml(projectNames[p.id].name)}" aria-label="Project name">
+                                ${projectNames[p.id].collidesWith ? `<em class="ar-collision">"${escapeHtml(projectNames[p.id].collidesWith)}" already exists; renamed</em>` : ''}
+                            ` : escapeHtml(p.name)} <span>${p.files.length} file${p.files.length === 1 ? '' : 's'}</span></li>`).join('')}</ul>
+                        ` : ''}
+                        ${report.migrations.length ? `
+                            <h4>Upgraded from schema v${report.sourceVersion}</h4>
+                            <ul class="ar-migrations">${report.migrations.map(m => `<li>${escapeHtml(m)}</li>`).join('')}</ul>
+                        ` : ''}
+                        <h4>Validation</h4>
+                        ${report.issues.length ? `
+                            <ul class="ar-issues">${report.issues.map(issue => `
+                                <li class="ar-issue ${issue.level}"><strong>${levelLabels[issue.level]}</strong> <code>${escapeHtml(issue.path)}</code> ${escapeHtml(issue.message)}</li>
+                            `).join('')}</ul>
+                        ` : '<p class="ar-ok">No problems found.</p>'}
+                    </div>
+                    <div class="modal-footer">
+                        <div class="form-actions">
+                            <button type="button" class="btn btn-secondary" data-action="close">Cancel</button>
+                            <button type="button" class="btn btn-primary" data-action="confirm" ${report.hasFatal() ? 'disabled' : ''}>${escapeHtml(confirmLabel)}</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `);
+        const modal = document.getElementById('archiveReportModal');
+        const close = (result) => {
+            modal.remove();
+            resolve(result);
+        };
+        modal.querySelectorAll('[data-action="close"]').forEach(btn => btn.addEventListener('click', () => close(false)));
+        modal.querySelector('[data-action="confirm"]').addEventListener('click', () => {
+            modal.querySelectorAll('.ar-name-input').forEach(input => {
+                const name = input.value.trim();
+                if (name) projectNames[input.dataset.projectId].name = name;
+            });
+            close(true);
+        });
+    });
+}
+
+// Resolves true when the file was written through the save picker, false for a plain download
+async function saveFileToDevice(blob, fileName, pickerType) {
+    // Try File System Access API first
+    if (window.showSaveFilePicker) {
+        const handle = await window.showSaveFilePicker({ suggestedName: fileName, types: [pickerType] });
+        const writable = await handle.createWritable();
+        await writable.write(blob);
+        await writable.close();
+        return true;
+    }
+
+    // Fallback: trigger download via anchor (works without HTTPS)
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+    return false;
+}
+
+async function exportAllAppDataToDevice() {
+    try {
+        const useArchive = typeof window.JSZip !== 'undefined';
+        const blob = useArchive
+            ? await buildFlowboxArchive()
+            : new Blob([JSON.stringify(buildExportPayload(), null, 2)], { type: 'application/json' });
+        const fileName = `flowbox-data-${new Date().toISOString().replace(/[:.]/g, '-')}.${useArchive ? 'flowbox' : 'json'}`;
+        const saved = await saveFileToDevice(blob, fileName, useArchive
+            ? { description: 'Flowbox Archive', accept: { 'application/zip': ['.flowbox'] } }
+            : { description: 'Flowbox Data', accept: { 'application/json': ['.json'] } });
+        if (saved) alert('Data saved to device.');
+    } catch (err) {
+        if (err && err.name === 'AbortError') return;
+        console.error('Export failed', err);
+        alert('Failed to save data to device.');
+    }
+}
+
+function buildExportPayload() {
+    const prefixes = [
+        PROJECTS_KEY,
+        CURRENT_PROJECT_KEY,
+        BASE_STORAGE_KEY,
+        BASE_VERSIONS_KEY,
+        BASE_CHANGES_KEY,
+        BASE_COVER_KEY,
+        BASE_SETTINGS_KEY,
+        BASE_FLOW_KEY,
+        BASE_FLOW_VERSIONS_KEY,
+        BASE_ACTIVE_TAB_KEY,
+        BASE_PERSONAS_KEY,
+        BASE_KICKOFF_KEY,
+        BASE_STAKEHOLDERS_KEY,
+        BASE_INTERVIEWS_KEY,
+        BASE_COMPETITORS_KEY,
+        BASE_BLUEPRINT_KEY,
+        BASE_DISCOVERY_SUMMARY_KEY,
+        BASE_DEFINE_KEY,
+        BASE_TOBE_JOURNEY_KEY,
+        BASE_LINKS_KEY,
+        BASE_TEST_REPORTS_KEY,
+        BASE_PRIORITIZATION_KEY,
+        BASE_SNAPSHOTS_KEY,
+        BASE_JOURNEY_DRAFTS_KEY
+    ];
+    const storage = {};
+    appStorage.keys().forEach(key => {
+        if (prefixes.some(p => key === p || key.startsWith(p + ':'))) {
+            storage[key] = appStorage.getItem(key);
+        }
+    });
+    return {
+        meta: {
+            app: 'flowbox',
+            version: '1.6.1',
+            exportedAt: new Date().toISOString()
+        },
+        storage
+    };
+}
+
+async function importAllAppDataFromDevice() {
+    try {
+        const file = await pickArchiveFile();
+        if (!file) return;
+        const { archive, report } = await readFlowboxArchive(file);
+        const proceed = await openArchiveReportDialog(archive, report, {
+            intro: 'Import will replace existing Flowbox data for this app.',
+            confirmLabel: 'Replace all data'
+        });
+        if (!proceed || !archive) return;
+
+        // Clear existing matching keys
+        const keysToRemove = [];
+        appStorage.keys().forEach(key => {
+            if (key === PROJECTS_KEY || key === CURRENT_PROJECT_KEY || key.startsWith(BASE_STORAGE_KEY + ':') ||
+                key.startsWith(BASE_VERSIONS_KEY + ':') || key.startsWith(BASE_CHANGES_KEY + ':') ||
+                key.startsWith(BASE_COVER_KEY + ':') || key.startsWith(BASE_SETTINGS_KEY + ':') ||
+                key.startsWith(BASE_FLOW_KEY + ':') || key.startsWith(BASE_FLOW_VERSIONS_KEY + ':') || key.startsWith(BASE_ACTIVE_TAB_KEY + ':') || key.startsWith(BASE_PERSONAS_KEY + ':') || key.startsWith(BASE_KICKOFF_KEY + ':') ||
+                key.startsWith(BASE_STAKEHOLDERS_KEY + ':') ||
+                key.startsWith(BASE_INTERVIEWS_KEY + ':') ||
+                key.startsWith(BASE_COMPETITORS_KEY + ':') ||
+                key.startsWith(BASE_BLUEPRINT_KEY + ':') ||
+                key.startsWith(BASE_DISCOVERY_SUMMARY_KEY + ':') ||
+                key.startsWith(BASE_DEFINE_KEY + ':') ||
+                key.startsWith(BASE_TOBE_JOURNEY_KEY + ':') ||
+                key.startsWith(BASE_LINKS_KEY + ':') ||
+                key.startsWith(BASE_TEST_REPORTS_KEY + ':') ||
+                key.startsWith(BASE_PRIORITIZATION_KEY + ':') ||
+                FLOWBOX_ARCHIVE_FEATURES.some(feature => key.startsWith(feature.base + ':'))) {
+                keysToRemove.push(key);
+            }
+        });
+        keysToRemove.forEach(k => appStorage.removeItem(k));
+
+        // Write imported projects
+        const projects = archive.manifest.projects;
+        appStorage.setItem(PROJECTS_KEY, JSON.stringify(projects.map(getArchiveProjectMeta)));
+        appStorage.setItem(CURRENT_PROJECT_KEY, archive.manifest.currentProjectId || projects[0].id);
+        projects.forEach(project => {
+            try { writeFlowboxArchiveProject(archive, project); } catch (err) { reportStorageError(err); }
+        });
+        await appStorage.flush();
+
+        alert('Data imported. Reloading...');
+        location.reload();
+    } catch (err) {
+        console.error('Import failed', err);
+        alert('Failed to load data from device.');
+    }
+}
+
+async function pickArchiveFile() {
+    if (window.showOpenFilePicker) {
+        const [handle] = await window.showOpenFilePicker({
+            multiple: false,
+            types: [{ description: 'Flowbox Archive', accept: { 'application/zip': ['.flowbox', '.zip'], 'application/json': ['.json'] } }]
+        });
+        return handle.getFile();
+    }
+    // Fallback input element
+    return pickFileViaInput();
+}
+
+function getUniqueProjectName(name, takenNames) {
+    const taken = new Set([...takenNames].map(n => n.trim().toLowerCase()));
+    if (!taken.has(name.trim().toLowerCase())) return name;
+    const base = name.replace(/\s\(\d+\)$/, '');
+    let n = 2;
+    while (taken.has(`${base} (${n})`.toLowerCase())) n++;
+    return `${base} (${n})`;
+}
+
+async function exportProjectToDevice(projectId) {
+    const project = loadProjects().find(p => p.id === projectId);
+    if (!project) return;
+    if (typeof window.JSZip === 'undefined') {
+        alert('Project export not available. JSZip is not loaded.');
+        return;
+    }
+    try {
+        await appStorage.flush();
+        const blob = await buildFlowboxArchive({ projectIds: [projectId] });
+        const slug = (project.name || 'project').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'project';
+        await saveFileToDevice(blob, `${slug}.flowbox`, { description: 'Flowbox Archive', accept: { 'application/zip': ['.flowbox'] } });
+        showSuccessToast(`Exported "${escapeHtml(project.name)}"`);
+    } catch (err) {
+        if (err && err.name === 'AbortError') return;
+        console.error('Project export failed', err);
+        alert('Failed to export project.');
+    }
+}
+
+// Adds every project in an archive next to the existing ones under fresh ids; nothing is overwritten
+async function importProjectsFromDevice() {
+    try {
+        const file = await pickArchiveFile();
+        if (!file) return;
+        const { archive, report } = await readFlowboxArchive(file);
+        const existingNames = loadProjects().map(p => p.name || '');
+        const projectNames = {};
+        if (archive) {
+            const taken = [...existingNames];
+            archive.manifest.projects.forEach(project => {
+                const name = getUniqueProjectName(project.name, taken);
+                projectNames[project.id] = { name, collidesWith: name !== project.name ? project.name : '' };
+                taken.push(name);
+            });
+        }
+        const proceed = await openArchiveReportDialog(archive, report, {
+            title: 'Import projects',
+            intro: 'Projects are added next to your existing ones. Nothing is overwritten.',
+            confirmLabel: 'Add projects',
+            projectNames
+        });
+        if (!proceed || !archive) return;
+
+        const projects = loadProjects();
+        const taken = [...existingNames];
+        const added = archive.manifest.projects.map(project => {
+            const id = generateId('proj');
+            // Names edited in the dialog can collide again
+            const name = getUniqueProjectName(projectNames[project.id].name, taken);
+            taken.push(name);
+            writeFlowboxArchiveProject(archive, project, id);
+            return { ...getArchiveProjectMeta(project), id, name };
+        });
+        saveProjects([...added, ...projects]);
+        await appStorage.flush();
+        switchToProject(added[0].id);
+        showSuccessToast(`Imported ${added.length} project${added.length === 1 ? '' : 's'}`);
+    } catch (err) {
+        if (err && err.name === 'AbortError') return;
+        console.error('Project import failed', err);
+        alert('Failed to import project.');
+    }
+}
+
+// --- Merge import ---
+const MERGE_STATUS_LABELS = { added: 'Added', changed: 'Changed', removed: 'Removed' };
+
+function summarizeFeatureValue(value) {
+    if (Array.isArray(value)) return `${value.length} item${value.length === 1 ? '' : 's'}`;
+    if (value && typeof value === 'object') {
+        const count = Object.keys(value).length;
+        return `${count} field${count === 1 ? '' : 's'}`;
+    }
+    return '';
+}
+
+function describeFeatureChange(mine, theirs) {
+    if (Array.isArray(mine) && Array.isArray(theirs)) {
+        return mine.length === theirs.length ? `${mine.length} items, contents differ` : `${mine.length} → ${theirs.length} items`;
+    }
+    if (mine && theirs && typeof mine === 'object' && typeof theirs === 'object') {
+        const changed = [...new Set([...Object.keys(mine), ...Object.keys(theirs)])]
+            .filter(key => key !== 'updatedAt' && JSON.stringify(mine[key]) !== JSON.stringify(theirs[key]));
+        if (!changed.length) return 'Only the save time differs';
+        return `${changed.length} field${changed.length === 1 ? '' : 's'} changed: ${changed.slice(0, 4).join(', ')}${changed.length > 4 ? '…' : ''}`;
+    }
+    return 'Contents differ';
+}
+
+// Lists every difference between this device and an archive, grouped by project.
+// Each item carries a `choice` ('mine' | 'theirs') that the preview dialog lets the user flip.
+function buildMergePlan(archive) {
+    const localProjects = loadProjects();
+    const incomingProjects = archive.manifest.projects;
+    const ids = [...new Set([...localProjects.map(p => p.id), ...incomingProjects.map(p => p.id)])];
+    return ids.map(id => {
+        const mine = localProjects.find(p => p.id === id);
+        const theirs = incomingProjects.find(p => p.id === id);
+        const group = { id, name: (mine || theirs).name, items: [] };
+        if (!mine) {
+            group.items.push({ kind: 'project', status: 'added', label: 'Whole project', summary: `${theirs.files.length} feature file${theirs.files.length === 1 ? '' : 's'}`, choice: 'theirs' });
+            return group;
+        }
+        if (!theirs) {
+            group.items.push({ kind: 'project', status: 'removed', label: 'Whole project', summary: 'Not in the archive', choice: 'mine' });
+            return group;
+        }
+        if ((mine.name || '') !== (theirs.name || '')) {
+            group.items.push({ kind: 'name', status: 'changed', label: 'Project name', summary: `"${mine.name}" → "${theirs.name}"`, choice: 'mine' });
+        }
+        FLOWBOX_ARCHIVE_FEATURES.forEach(feature => {
+            const path = `${theirs.path}${feature.file}`;
+            const raw = appStorage.getItem(getScopedKey(feature.base, id));
+            let mineValue = null;
+            try { mineValue = raw === null ? null : JSON.parse(raw); } catch {}
+            const theirsText = path in archive.files ? inlineArchiveImages(JSON.stringify(archive.files[path]), archive.images) : null;
+            const theirsValue = theirsText === null ? null : JSON.parse(theirsText);
+            const item = { kind: 'feature', feature, label: feature.label, theirsText };
+            if (mineValue === null && theirsValue === null) return;
+            if (mineValue === null) {
+                group.items.push({ ...item, status: 'added', summary: summarizeFeatureValue(theirsValue), choice: 'theirs' });
+            } else if (theirsValue === null) {
+                group.items.push({ ...item, status: 'removed', summary: summarizeFeatureValue(mineValue), choice: 'mine' });
+            } else if (JSON.stringify(mineValue) !== theirsText) {
+                // Take theirs by default only when the archive copy was saved later
+                const newer = readStoredUpdatedAt(theirsText) > readStoredUpdatedAt(raw);
+                group.items.push({ ...item, status: 'changed', summary: describeFeatureChange(mineValue, theirsValue), choice: newer ? 'theirs' : 'mine' });
+            }
+        });
+        return group;
+    }).filter(group => group.items.length);
+}
+
+function removeProjectData(projectId) {
+    const bases = new Set([...APP_STORE_BASES, ...FLOWBOX_ARCHIVE_FEATURES.map(f => f.base), BASE_ACTIVE_TAB_KEY]);
+    bases.forEach(base => appStorage.removeItem(getScopedKey(base, projectId)));
+}
+
+// Applies the items set to 'theirs' and returns how many were applied
+function applyMergePlan(plan, archive) {
+    let projects = loadProjects();
+    let applied = 0;
+    plan.forEach(group => {
+        const incoming = archive.manifest.projects.find(p => p.id === group.id);
+        group.items.forEach(item => {
+            if (item.choice !== 'theirs') return;
+            applied++;
+            if (item.kind === 'project' && item.status === 'added') {
+                writeFlowboxArchiveProject(archive, incoming);
+                projects.push(getArchiveProjectMeta(incoming));
+            } else if (item.kind === 'project') {
+                removeProjectData(group.id);
+                projects = projects.filter(p => p.id !== group.id);
+            } else if (item.kind === 'name') {
+                projects = projects.map(p => (p.id === group.id ? { ...p, name: incoming.name } : p));
+            } else if (item.status === 'removed') {
+                appStorage.removeItem(getScopedKey(item.feature.base, group.id));
+            } else {
+                appStorage.setItem(getScopedKey(item.feature.base, group.id), item.theirsText);
+            }
+        });
+    });
+    if (!applied) return 0;
+    saveProjects(projects);
+    if (!projects.some(p => p.id === getCurrentProjectId())) {
+        if (projects.length) setCurrentProjectId(projects[0].id);
+        else appStorage.removeItem(CURRENT_PROJECT_KEY);
+    }
+    return applied;
+}
+
+// Resolves true when the user applies the plan; choices are written back onto the plan items
+function openMergePreviewDialog(plan) {
+    return new Promise((resolve) => {
+        const existing = document.getElementById('mergePreviewModal');
+        if (existing) existing.remove();
+        const counts = { added: 0, changed: 0, removed: 0 };
+        plan.forEach(group => group.items.forEach(item => { counts[item.status]++; }));
+        document.body.insertAdjacentHTML('beforeend', `
+            <div class="modal show" id="mergePreviewModal">
+                <div class="modal-content mi-modal">
+                    <div class="modal-header">
+                        <h3>Merge import</h3>
+                        <button class="close-btn" data-action="close">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        ${plan.length ? `
+                            <p>Choose what to keep for each difference. Features that match are not listed.</p>
+                            <div class="mi-toolbar">
+                                <span class="mi-counts">${Object.entries(counts).map(([status, count]) => `<span class="mi-chip ${status}">${count} ${MERGE_STATUS_LABELS[status].toLowerCase()}</span>`).join('')}</span>
+                                <button type="button" class="btn btn-secondary" data-bulk="mine">Keep all mine</button>
+                                <button type="button" class="btn btn-secondary" data-bulk="theirs">Take all theirs</button>
+                            </div>
+                            ${plan.map((group, g) => `
+                                <section class="mi-project">
+                                    <h4>${escapeHtml(group.name || 'Untitled project')}</h4>
+                                    ${group.items.map((item, i) => `
+                                        <div class="mi-row">
+                                            <span class="mi-label">${escapeHtml(item.label)}</span>
+                                            <span class="mi-chip ${item.status}">${MERGE_STATUS_LABELS[item.status]}</span>
+                                            <span class="mi-summary">${escapeHtml(item.summary)}</span>
+                                            <span class="mi-choice">
+                                                <label><input type="radio" name="mi-${g}-${i}" value="mine" data-group="${g}" data-item="${i}" ${item.choice === 'mine' ? 'checked' : ''}> Keep mine</label>
+                                                <label><input type="radio" name="mi-${g}-${i}" value="theirs" data-group="${g}" data-item="${i}" ${item.choice === 'theirs' ? 'checked' : ''}> Take theirs</label>
+                                            </span>
+                                        </div>
+                                    `).join('')}
+                                </section>
+                            `).join('')}
+                        ` : '<p class="ar-ok">Nothing to merge. This device already matches the archive.</p>'}
+                    </div>
+                    <div class="modal-footer">
+                        <div class="form-actions">
+                            <button type="button" class="btn btn-secondary" data-action="close">Cancel</button>
+                            <button type="button" class="btn btn-primary" data-action="confirm" ${plan.length ? '' : 'disabled'}>Apply merge</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `);
+        const modal = document.getElementById('mergePreviewModal');
+        const close = (result) => {
+            modal.remove();
+            resolve(result);
+        };
+        modal.querySelectorAll('[data-bulk]').forEach(btn => btn.addEventListener('click', () => {
+            modal.querySelectorAll(`.mi-choice input[value="${btn.dataset.bulk}"]`).forEach(input => { input.checked = true; });
+        }));
+        modal.querySelectorAll('[data-action="close"]').forEach(btn => btn.addEventListener('click', () => close(false)));
+        modal.querySelector('[data-action="confirm"]').addEventListener('click', () => {
+            modal.querySelectorAll('.mi-choice input:checked').forEach(input => {
+                plan[Number(input.dataset.group)].items[Number(input.dataset.item)].choice = input.value;
+            });
+            close(true);
+        });
+    });
+}
+
+async function mergeAppDataFromDevice() {
+    try {
+        const file = await pickArchiveFile();
+        if (!file) return;
+        const { archive, report } = await readFlowboxArchive(file);
+        if (!archive || report.issues.length || report.migrations.length) {
+            const proceed = await openArchiveReportDialog(archive, report, { title: 'Merge Flowbox archive', confirmLabel: 'Review changes' });
+            if (!proceed || !archive) return;
+        }
+        const plan = buildMergePlan(archive);
+        if (!(await openMergePreviewDialog(plan))) return;
+        const applied = applyMergePlan(plan, archive);
+        if (!applied) {
+            showToast('Nothing changed; every item was kept as is');
+            return;
+        }
+        await appStorage.flush();
+        alert(`Merged ${applied} change${applied === 1 ? '' : 's'}. Reloading...`);
+        location.reload();
+    } catch (err) {
+        if (err && err.name === 'AbortError') return;
+        console.error('Merge import failed', err);
+        alert('Failed to merge data from device.');
+    }
+}
+
+function pickFileViaInput() {
+    return new Promise((resolve) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.flowbox,application/json,.json,application/zip,.zip';
+        input.onchange = () => {
+            resolve(input.files && input.files[0] ? input.files[0] : null);
+        };
+        input.click();
+    });
+}
+
+// Expose for inline settings script
+window.flowboxExportAllAppDataToDevice = exportAllAppDataToDevice;
+window.flowboxImportAllAppDataFromDevice = importAllAppDataFromDevice;
+window.flowboxMergeAppDataFromDevice = mergeAppDataFromDevice;
+
+// ===== FOLDER SYNC (File System Access API) =====
+// A project can be bound to a folder the user picks, such as a shared drive or a git
+// checkout. The folder holds the same feature files as a project in a .flowbox archive,
+// plus its images. Saves are written through, and edits made outside Flowbox are read
+// back when the window regains focus.
+const FOLDER_SYNC_SUPPORTED = typeof window.showDirectoryPicker === 'function';
+const FOLDER_SYNC_META_FILE = 'project.json';
+const FOLDER_SYNC_DEBOUNCE_MS = 500;
+// projectId -> { projectId, handle, status: 'connected' | 'needs-permission', syncedAt, written, images, queue, timer }
+const folderSyncBindings = new Map();
+// Set while a pull writes edits made in the folder, so they are not logged as local edits
+let folderSyncApplying = false;
+
+function getFolderSyncBinding(projectId) {
+    return folderSyncBindings.get(projectId) || null;
+}
+
+function createFolderSyncBinding(projectId, handle, syncedAt) {
+    const binding = {
+        projectId,
+        handle,
+        status: 'connected',
+        syncedAt,
+        // file -> text last known to match the folder
+        written: new Map(),
+        images: new Set(),
+        // Invalid external edits already reported, so focus does not repeat the warning
+        rejected: new Map(),
+        queue: Promise.resolve(),
+        timer: null
+    };
+    folderSyncBindings.set(projectId, binding);
+    return binding;
+}
+
+async function getFolderFileHandle(dir, path, create = false) {
+    const parts = path.split('/');
+    const name = parts.pop();
+    for (const part of parts) dir = await dir.getDirectoryHandle(part, { create });
+    return dir.getFileHandle(name, { create });
+}
+
+async function readFolderFile(dir, path) {
+    try {
+        const file = await (await getFolderFileHandle(dir, path)).getFile();
+        return { text: await file.text(), lastModified: file.lastModified };
+    } catch (err) {
+        if (err && (err.name === 'NotFoundError' || err.name === 'TypeMismatchError')) return null;
+        throw err;
+    }
+}
+
+async function writeFolderFile(dir, path, data) {
+    const writable = await (await getFolderFileHandle(dir, path, true)).createWritable();
+    await writable.write(data);
+    await writable.close();
+}
+
+function formatFolderFile(value) {
+    return `${JSON.stringify(value, null, 2)}\n`;
+}
+
+async function readFolderImages(dir, hashes) {
+    const images = {};
+    if (!hashes.size) return images;
+    let imageDir;
+    try { imageDir = await dir.getDirectoryHandle(FLOWBOX_IMAGE_DIR.replace(/\/$/, '')); } catch { return images; }
+    for await (const [name, handle] of imageDir.entries()) {
+        const [hash, ext] = name.split('.');
+        if (handle.kind !== 'file' || !hashes.has(hash)) continue;
+        const file = await handle.getFile();
+        // Files copied in by hand may come without a MIME type
+        const type = Object.keys(IMAGE_FILE_EXTENSIONS).find(t => IMAGE_FILE_EXTENSIONS[t] === ext) || file.type;
+        images[hash] = await blobToDataUrl(file.slice(0, file.size, type));
+    }
+    return images;
+}
+
+// Returns the value to store for an edited feature file, or null when it cannot be used
+async function readExternalFeatureEdit(binding, feature, text) {
+    let value;
+    try { value = JSON.parse(text); } catch {
+        value = undefined;
+    }
+    const ok = feature.shape === 'array' ? Array.isArray(value) : (value && typeof value === 'object' && !Array.isArray(value));
+    if (!ok) {
+        if (binding.rejected.get(feature.file) !== text) {
+            binding.rejected.set(feature.file, text);
+            showToast(`${feature.file} in the synced folder is not valid and was not loaded`, 'error', 5000);
+        }
+        return null;
+    }
+    binding.rejected.delete(feature.file);
+    const missing = new Set([...collectImageRefs(text)].filter(hash => !appStorage.getImageDataUrl(hash)));
+    return inlineArchiveImages(JSON.stringify(value), await readFolderImages(binding.handle, missing));
+}
+
+// Writes store changes to the folder; with pull, folder files edited since the last sync are loaded first
+async function runFolderSync(binding, pull) {
+    const { projectId, handle } = binding;
+    const project = loadProjects().find(p => p.id === projectId);
+    if (!project) return;
+    const pulled = [];
+    const files = [];
+    const refs = new Set();
+    for (const feature of FLOWBOX_ARCHIVE_FEATURES) {
+        const key = getScopedKey(feature.base, projectId);
+        let raw = appStorage.getRawItem(key);
+        let storeText = null;
+        try { storeText = raw === null ? null : formatFolderFile(JSON.parse(raw)); } catch {}
+        let known = binding.written.get(feature.file);
+        if (pull) {
+            const onDisk = await readFolderFile(handle, feature.file);
+            const diskText = onDisk ? onDisk.text : null;
+            if (known === undefined && diskText !== null && diskText === storeText) {
+                binding.written.set(feature.file, diskText);
+                known = diskText;
+            }
+            const editedOutside = diskText !== null && diskText !== storeText
+                && (known !== undefined ? diskText !== known : onDisk.lastModified > binding.syncedAt);
+            if (editedOutside) {
+                const text = await readExternalFeatureEdit(binding, feature, diskText);
+                if (text === null) {
+                    if (storeText !== null) files.push(feature.file);
+                    continue;
+                }
+                folderSyncApplying = true;
+                try {
+                    appStorage.setItem(key, text);
+                } finally {
+                    folderSyncApplying = false;
+                }
+                binding.written.set(feature.file, diskText);
+                pulled.push(feature.label);
+                raw = appStorage.getRawItem(key);
+                files.push(feature.file);
+                collectImageRefs(raw, refs);
+                continue;
+            }
+        }
+        if (storeText === null) continue;
+        files.push(feature.file);
+        collectImageRefs(raw, refs);
+        if (storeText !== known) {
+            await writeFolderFile(handle, feature.file, storeText);
+            binding.written.set(feature.file, storeText);
+        }
+    }
+    for (const hash of refs) {
+        if (binding.images.has(hash)) continue;
+        const dataUrl = appStorage.getImageDataUrl(hash);
+        if (!dataUrl) continue;
+        const path = getArchiveImageFile(hash, dataUrl.slice(5, dataUrl.indexOf(';')));
+        if (!(await readFolderFile(handle, path))) await writeFolderFile(handle, path, dataUrlToBlob(dataUrl));
+        binding.images.add(hash);
+    }
+    const metaText = formatFolderFile({
+        format: 'flowbox-folder',
+        schemaVersion: FLOWBOX_SCHEMA_VERSION,
+        ...project,
+        files
+    });
+    if (binding.written.get(FOLDER_SYNC_META_FILE) !== metaText) {
+        await writeFolderFile(handle, FOLDER_SYNC_META_FILE, metaText);
+        binding.written.set(FOLDER_SYNC_META_FILE, metaText);
+    }
+    binding.syncedAt = Date.now();
+    await appStorage.putHandle({ k: projectId, handle, syncedAt: binding.syncedAt });
+    if (pulled.length) {
+        if (projectId === getCurrentProjectId()) switchToProject(projectId);
+        showToast(`Loaded from folder: ${pulled.join(', ')}`, 'info');
+    }
+}
+
+// Syncs run one at a time per folder
+function syncProjectFolder(binding, { pull = false } = {}) {
+    if (binding.status !== 'connected') return binding.queue;
+    binding.queue = binding.queue.then(() => runFolderSync(binding, pull)).catch(err => {
+        if (err && (err.name === 'NotAllowedError' || err.name === 'SecurityError')) {
+            binding.status = 'needs-permission';
+            renderProjects();
+            showToast('Folder sync paused. Reconnect the folder from the project list.', 'error', 5000);
+            return;
+        }
+        console.warn('Folder sync failed:', err);
+        showToast('Could not write to the synced folder', 'error');
+    });
+    return binding.queue;
+}
+
+function scheduleFolderSync(binding) {
+    clearTimeout(binding.timer);
+    binding.timer = setTimeout(() => syncProjectFolder(binding), FOLDER_SYNC_DEBOUNCE_MS);
+}
+
+async function bindProjectFolder(projectId) {
+    let handle;
+    try {
+        handle = await window.showDirectoryPicker({ id: 'flowbox-project', mode: 'readwrite' });
+    } catch (err) {
+        if (err && err.name === 'AbortError') return;
+        throw err;
+    }
+    let pullFirst = false;
+    const existing = await readFolderFile(handle, FOLDER_SYNC_META_FILE);
+    if (existing) {
+        let info = {};
+        try { info = JSON.parse(existing.text); } catch {}
+        pullFirst = confirm(`This folder already holds the Flowbox project "${info.name || handle.name}". Load its files into this project?\n\nChoose Cancel to overwrite the folder with this project instead.`);
+    }
+    const previous = getFolderSyncBinding(projectId);
+    if (previous) clearTimeout(previous.timer);
+    // A sync time of 0 makes every file in the folder count as newer than the project
+    const binding = createFolderSyncBinding(projectId, handle, pullFirst ? 0 : Date.now());
+    await syncProjectFolder(binding, { pull: pullFirst });
+    renderProjects();
+    showSuccessToast(`Syncing with folder "${escapeHtml(handle.name)}"`);
+}
+
+async function unbindProjectFolder(projectId) {
+    const binding = getFolderSyncBinding(projectId);
+    if (binding) clearTimeout(binding.timer);
+    folderSyncBindings.delete(projectId);
+    await appStorage.deleteHandle(projectId);
+    renderProjects();
+}
+
+async function reconnectProjectFolder(projectId) {
+    const binding = getFolderSyncBinding(projectId);
+    if (!binding) return;
+    // Must run from a click so the browser can show its permission prompt
+    if ((await binding.handle.requestPermission({ mode: 'readwrite' })) !== 'granted') return;
+    binding.status = 'connected';
+    await syncProjectFolder(binding, { pull: true });
+    renderProjects();
+}
+
+function openFolderSyncDialog(projectId) {
+    const binding = getFolderSyncBinding(projectId);
+    if (!binding) {
+        bindProjectFolder(projectId).catch(err => {
+            console.error('Folder binding failed', err);
+            alert('Could not use that folder.');
+        });
+        return;
+    }
+    const existing = document.getElementById('folderSyncModal');
+    if (existing) existing.remove();
+    const project = loadProjects().find(p => p.id === projectId);
+    const connected = binding.status === 'connected';
+    document.body.insertAdjacentHTML('beforeend', `
+        <div class="modal show" id="folderSyncModal">
+            <div class="modal-content fs-modal">
+                <div class="modal-header">
+                    <h3>Folder sync</h3>
+                    <button class="close-btn" data-action="close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p><strong>${escapeHtml(project ? project.name : '')}</strong> is synced with the folder <code>${escapeHtml(binding.handle.name)}</code>.</p>
+                    <p class="fs-status ${connected ? '' : 'warning'}">${connected
+                        ? `Every save is written to the folder. Edits made there are loaded when Flowbox regains focus.${binding.syncedAt ? ` Last synced ${escapeHtml(new Date(binding.syncedAt).toLocaleString())}.` : ''}`
+                        : 'The browser needs permission to access this folder again.'}</p>
+                </div>
+                <div class="modal-footer">
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary" data-action="unbind">Stop syncing</button>
+                        <button type="button" class="btn btn-secondary" data-action="rebind">Change folder</button>
+                        ${connected
+                            ? '<button type="button" class="btn btn-primary" data-action="sync">Sync now</button>'
+                            : '<button type="button" class="btn btn-primary" data-action="reconnect">Reconnect</button>'}
+                    </div>
+                </div>
+            </div>
+        </div>
+    `);
+    const modal = document.getElementById('folderSyncModal');
+    const run = (action) => () => {
+        modal.remove();
+        Promise.resolve(action()).catch(err => {
+            console.error('Folder sync action failed', err);
+            alert('Folder sync failed.');
+        });
+    };
+    modal.querySelector('[data-action="close"]').addEventListener('click', () => modal.remove());
+    modal.querySelector('[data-action="unbind"]').addEventListener('click', run(() => unbindProjectFolder(projectId)));
+    modal.querySelector('[data-action="rebind"]').addEventListener('click', run(() => bindProjectFolder(projectId)));
+    const syncBtn = modal.querySelector('[data-action="sync"]');
+    if (syncBtn) syncBtn.addEventListener('click', run(() => syncProjectFolder(binding, { pull: true })));
+    const reconnectBtn = modal.querySelector('[data-action="reconnect"]');
+    if (reconnectBtn) reconnectBtn.addEventListener('click', run(() => reconnectProjectFolder(projectId)));
+}
+
+(async function setupFolderSync() {
+    if (!FOLDER_SYNC_SUPPORTED) return;
+    try {
+        await appStorage.ready;
+        const records = await appStorage.getHandles();
+        for (const record of records) {
+            const binding = createFolderSyncBinding(record.k, record.handle, record.syncedAt || 0);
+            if ((await record.handle.queryPermission({ mode: 'readwrite' })) !== 'granted') {
+                binding.status = 'needs-permission';
+            }
+        }
+        renderProjects();
+        folderSyncBindings.forEach(binding => syncProjectFolder(binding, { pull: true }));
+
+        appStorage.onChange((key, origin) => {
+            if (key === PROJECTS_KEY) {
+                const ids = new Set(loadProjects().map(p => p.id));
+                folderSyncBindings.forEach(binding => {
+                    if (!ids.has(binding.projectId)) unbindProjectFolder(binding.projectId);
+                    else if (!origin.fromOtherTab) scheduleFolderSync(binding);
+                });
+                return;
+            }
+            // The tab that made the edit writes it to the folder
+            if (origin.fromOtherTab) return;
+            const sep = key.lastIndexOf(':');
+            const binding = sep > 0 ? getFolderSyncBinding(key.slice(sep + 1)) : null;
+            if (binding && FLOWBOX_ARCHIVE_FEATURES.some(f => f.base === key.slice(0, sep))) scheduleFolderSync(binding);
+        });
+
+        const pullAll = () => folderSyncBindings.forEach(binding => syncProjectFolder(binding, { pull: true }));
+        window.addEventListener('focus', pullAll);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') pullAll();
+        });
+    } catch (err) {
+        console.warn('Folder sync unavailable:', err);
+    }
+})();
+
+// ===== SYNC SERVER CLIENT =====
+// Optional sharing through a self-hosted sync server (sync-server.js, see SYNC-SERVER.md).
+// Each shared project is pushed and pulled as one document. The server's revision number
+// catches concurrent writes; when both sides changed, the newer updatedAt wins.
+const SYNC_SERVER_CONFIG_KEY = 'flowboxSyncServer';
+const SYNC_SERVER_DEBOUNCE_MS = 3000;
+let syncServerQueue = Promise.resolve();
+let syncServerTimer = null;
+// Set while a pull writes into the store so those writes are not mistaken for local edits
+let syncServerApplying = false;
+
+// Device-level settings, so they stay in localStorage next to the project list
+function loadSyncServerConfig() {
+    try {
+        const config = JSON.parse(localStorage.getItem(SYNC_SERVER_CONFIG_KEY) || '{}');
+        return { url: '', token: '', projects: {}, ...config };
+    } catch {
+        return { url: '', token: '', projects: {} };
+    }
+}
+
+function saveSyncServerConfig(config) {
+    localStorage.setItem(SYNC_SERVER_CONFIG_KEY, JSON.stringify(config));
+}
+
+async function syncServerRequest(config, method, path, body) {
+    const headers = {};
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (config.token) headers.Authorization = `Bearer ${config.token}`;
+    const res = await fetch(`${config.url.replace(/\/+$/, '')}/api${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const data = await res.json().catch(() => ({}));
+    // 404 and 409 are part of the protocol; callers read the revision from them
+    if (!res.ok && res.status !== 404 && res.status !== 409) {
+        throw new Error(data.error || `Sync server returned ${res.status}`);
+    }
+    return { status: res.status, data };
+}
+
+function buildSyncDocument(projectId) {
+    const project = loadProjects().find(p => p.id === projectId);
+    if (!project) return null;
+    const files = {};
+    const images = new Set();
+    let updatedAt = 0;
+    FLOWBOX_ARCHIVE_FEATURES.forEach(feature => {
+        const raw = appStorage.getRawItem(getScopedKey(feature.base, projectId));
+        if (raw === null) return;
+        try { files[feature.file] = JSON.parse(raw); } catch { return; }
+        collectImageRefs(raw, images);
+        updatedAt = Math.max(updatedAt, readStoredUpdatedAt(raw));
+    });
+    const { id, ...meta } = project;
+    const body = { project: meta, files, images: [...images].sort() };
+    return { ...body, updatedAt, digest: hashImageContent(JSON.stringify(body)) };
+}
+
+async function applySyncDocument(config, doc) {
+    const images = {};
+    for (const hash of doc.images || []) {
+        if (appStorage.getImageDataUrl(hash)) continue;
+        const { status, data } = await syncServerRequest(config, 'GET', `/images/${hash}`);
+        if (status === 200) images[hash] = data.dataUrl;
+    }
+    syncServerApplying = true;
+    try {
+        FLOWBOX_ARCHIVE_FEATURES.forEach(feature => {
+            const key = getScopedKey(feature.base, doc.id);
+            if (feature.file in doc.files) appStorage.setItem(key, inlineArchiveImages(JSON.stringify(doc.files[feature.file]), images));
+            else appStorage.removeItem(key);
+        });
+        const projects = loadProjects();
+        const index = projects.findIndex(p => p.id === doc.id);
+        const meta = { ...doc.project, id: doc.id };
+        if (index >= 0) projects[index] = meta;
+        else projects.push(meta);
+        saveProjects(projects);
+    } finally {
+        syncServerApplying = false;
+    }
+}
+
+async function pushSyncDocument(config, state, local, baseRev) {
+    const { data: { missing = [] } } = await syncServerRequest(config, 'POST', '/images/missing', { hashes: local.images });
+    for (const hash of missing) {
+        const dataUrl = appStorage.getImageDataUrl(hash);
+        if (dataUrl) await syncServerRequest(config, 'PUT', `/images/${hash}`, { dataUrl });
+    }
+    const updatedAt = Math.max(state.localUpdatedAt || 0, local.updatedAt) || Date.now();
+    const { status, data } = await syncServerRequest(config, 'PUT', `/projects/${encodeURIComponent(state.id)}`, {
+        baseRev,
+        updatedAt,
+        project: local.project,
+        files: local.files,
+        images: local.images
+    });
+    if (status === 409) return false;
+    Object.assign(state, { rev: data.rev, digest: local.digest, localUpdatedAt: data.updatedAt, syncedAt: Date.now() });
+    return true;
+}
+
+// Returns what happened: 'up-to-date', 'pushed', 'pulled', 'kept-local', 'replaced-local',
+// 'unlinked' or 'deleted-remote'
+async function syncProjectWithServer(config, projectId) {
+    const state = config.projects[projectId];
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const local = buildSyncDocument(projectId);
+        if (!local) {
+            // Deleting a project locally stops sharing it but leaves the team's copy alone
+            delete config.projects[projectId];
+            return 'unlinked';
+        }
+        const localChanged = local.digest !== state.digest;
+        const { status, data: remote } = await syncServerRequest(config, 'GET', `/projects/${encodeURIComponent(projectId)}`);
+        const remoteRev = remote.rev || 0;
+        if (remoteRev === state.rev) {
+            if (!localChanged) return 'up-to-date';
+            if (await pushSyncDocument(config, state, local, remoteRev)) return 'pushed';
+            continue;
+        }
+        // Deleted on the server after this device last synced: stop sharing instead of bringing
+        // it back for everyone, and keep the local copy
+        if (status === 404 && remoteRev > state.rev) {
+            delete config.projects[projectId];
+            return 'deleted-remote';
+        }
+        const localUpdatedAt = Math.max(state.localUpdatedAt || 0, local.updatedAt);
+        // Missing on the server, or changed on both sides with the local copy newer
+        if (status === 404 || (localChanged && localUpdatedAt > remote.updatedAt)) {
+            if (await pushSyncDocument(config, state, local, remoteRev)) return localChanged && status !== 404 ? 'kept-local' : 'pushed';
+            continue;
+        }
+        await applySyncDocument(config, remote);
+        Object.assign(state, { rev: remote.rev, digest: buildSyncDocument(projectId).digest, localUpdatedAt: remote.updatedAt, syncedAt: Date.now() });
+        return localChanged ? 'replaced-local' : 'pulled';
+    }
+    throw new Error('The project keeps changing on the server; try again');
+}
+
+function syncAllWithServer({ quiet = false } = {}) {
+    syncServerQueue = syncServerQueue.catch(() => {}).then(async () => {
+        const config = loadSyncServerConfig();
+        if (!config.url) return {};
+        const editedAt = Object.fromEntries(Object.entries(config.projects).map(([id, state]) => [id, state.localUpdatedAt]));
+        const results = {};
+        for (const projectId of Object.keys(config.projects)) {
+            try {
+                results[projectId] = await syncProjectWithServer(config, projectId);
+            } catch (err) {
+                results[projectId] = 'error';
+                console.warn('Sync failed for project', projectId, err);
+            }
+        }
+        // Edits made while syncing stamped their time into the stored config, and projects may
+        // have been shared or unshared meanwhile, so merge into it rather than overwrite it
+        const latest = loadSyncServerConfig();
+        Object.keys(results).forEach(projectId => {
+            const state = config.projects[projectId];
+            const stored = latest.projects[projectId];
+            if (!state) delete latest.projects[projectId];
+            if (!state || !stored) return;
+            const editedWhileSyncing = stored.localUpdatedAt !== editedAt[projectId];
+            latest.projects[projectId] = { ...state, localUpdatedAt: editedWhileSyncing ? stored.localUpdatedAt : state.localUpdatedAt };
+        });
+        saveSyncServerConfig(latest);
+        const outcomes = Object.values(results);
+        if (['pulled', 'replaced-local'].includes(results[getCurrentProjectId()])) switchToProject(getCurrentProjectId());
+        else if (outcomes.some(r => r === 'pulled' || r === 'unlinked' || r === 'deleted-remote')) renderProjects();
+        if (outcomes.includes('error')) showToast('Some projects could not be synced with the server', 'error');
+        else if (outcomes.includes('deleted-remote')) showToast('A project was deleted on the sync server. Your copy is kept but no longer shared.', 'info', 5000);
+        else if (outcomes.includes('replaced-local')) showToast('A newer copy from the sync server replaced your changes', 'info', 5000);
+        else if (!quiet) showSuccessToast('Projects are in sync');
+        return results;
+    });
+    return syncServerQueue;
+}
+
+async function shareProjectWithServer(projectId, share) {
+    const config = loadSyncServerConfig();
+    if (share) config.projects[projectId] = { id: projectId, rev: 0, digest: '', localUpdatedAt: 0, syncedAt: 0 };
+    else delete config.projects[projectId];
+    saveSyncServerConfig(config);
+    if (share) await syncAllWithServer({ quiet: true });
+}
+
+async function downloadProjectFromServer(projectId) {
+    const config = loadSyncServerConfig();
+    const { status, data } = await syncServerRequest(config, 'GET', `/projects/${encodeURIComponent(projectId)}`);
+    if (status !== 200) throw new Error('The project is no longer on the server');
+    await applySyncDocument(config, data);
+    config.projects[projectId] = { id: projectId, rev: data.rev, digest: buildSyncDocument(projectId).digest, localUpdatedAt: data.updatedAt, syncedAt: Date.now() };
+    saveSyncServerConfig(config);
+    renderProjects();
+}
+
+async function openSyncServerDialog() {
+    const existing = document.getElementById('syncServerModal');
+    if (existing) existing.remove();
+    const config = loadSyncServerConfig();
+    document.body.insertAdjacentHTML('beforeend', `
+        <div class="modal show" id="syncServerModal">
+            <div class="modal-content ss-modal">
+                <div class="modal-header">
+                    <h3>Sync server</h3>
+                    <button class="close-btn" data-action="close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p class="ss-hint">Share projects across machines through a server started with <code>npm run sync-server</code>.</p>
+                    <div class="ss-form">
+                        <label>Server URL <input type="url" id="syncServerUrl" placeholder="http://localhost:8787" value="${escapeHtml(config.url)}"></label>
+                        <label>Access token <input type="password" id="syncServerToken" placeholder="Optional" value="${escapeHtml(config.token)}"></label>
+                        <button type="button" class="btn btn-secondary" data-action="connect">Save &amp; connect</button>
+                    </div>
+                    <p class="ss-status" id="syncServerStatus"></p>
+                    <div id="syncServerProjects"></div>
+                </div>
+                <div class="modal-footer">
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary" data-action="close">Close</button>
+                        <button type="button" class="btn btn-primary" data-action="sync">Sync now</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `);
+    const modal = document.getElementById('syncServerModal');
+    const statusEl = modal.querySelector('#syncServerStatus');
+    const listEl = modal.querySelector('#syncServerProjects');
+    const setStatus = (text, isError = false) => {
+        statusEl.textContent = text;
+        statusEl.classList.toggle('error', isError);
+    };
+
+    const renderList = async () => {
+        const current = loadSyncServerConfig();
+        if (!current.url) {
+            listEl.innerHTML = '';
+            setStatus('Not connected.');
+            return;
+        }
+        let remote = [];
+        try {
+            remote = (await syncServerRequest(current, 'GET', '/projects')).data.projects || [];
+            setStatus(`Connected to ${current.url}`);
+        } catch (err) {
+            setStatus(`Cannot reach the sync server: ${err.message}`, true);
+            return;
+        }
+        const local = loadProjects();
+        const remoteOnly = remote.filter(r => !local.some(p => p.id === r.id));
+        listEl.innerHTML = `
+            <h4>Projects on this device</h4>
+            <ul class="ss-list">${local.map(p => {
+                const state = current.projects[p.id];
+                return `<li>
+                    <label><input type="checkbox" data-share="${escapeHtml(p.id)}" ${state ? 'checked' : ''}> ${escapeHtml(p.name || 'Untitled project')}</label>
+                    <span class="ss-meta">${state ? (state.syncedAt ? `rev ${state.rev} · synced ${escapeHtml(new Date(state.syncedAt).toLocaleString())}` : 'Waiting for first sync') : 'Not shared'}</span>
+                </li>`;
+            }).join('')}</ul>
+            ${remoteOnly.length ? `
+                <h4>Only on the server</h4>
+                <ul class="ss-list">${remoteOnly.map(r => `<li>
+                    <span>${escapeHtml(r.name || r.id)}</span>
+                    <span class="ss-meta">rev ${r.rev}</span>
+                    <button type="button" class="btn btn-secondary" data-download="${escapeHtml(r.id)}">Download</button>
+                </li>`).join('')}</ul>
+            ` : ''}
+        `;
+        listEl.querySelectorAll('[data-share]').forEach(input => input.addEventListener('change', async () => {
+            try {
+                await shareProjectWithServer(input.dataset.share, input.checked);
+            } catch (err) {
+                setStatus(`Sync failed: ${err.message}`, true);
+            }
+            renderList();
+        }));
+        listEl.querySelectorAll('[data-download]').forEach(btn => btn.addEventListener('click', async () => {
+            btn.disabled = true;
+            try {
+                await downloadProjectFromServer(btn.dataset.download);
+            } catch (err) {
+                setStatus(`Download failed: ${err.message}`, true);
+            }
+            renderList();
+        }));
+    };
+
+    modal.querySelectorAll('[data-action="close"]').forEach(btn => btn.addEventListener('click', () => modal.remove()));
+    modal.querySelector('[data-action="connect"]').addEventListener('click', async () => {
+        const next = loadSyncServerConfig();
+        next.url = modal.querySelector('#syncServerUrl').value.trim();
+        next.token = modal.querySelector('#syncServerToken').value.trim();
+        saveSyncServerConfig(next);
+        setStatus('Connecting…');
+        await renderList();
+    });
+    modal.querySelector('[data-action="sync"]').addEventListener('click', async () => {
+        setStatus('Syncing…');
+        await syncAllWithServer();
+        await renderList();
+    });
+    await renderList();
+}
+
+(async function setupSyncServerClient() {
+    try {
+        await appStorage.ready;
+        const schedule = () => {
+            clearTimeout(syncServerTimer);
+            syncServerTimer = setTimeout(() => syncAllWithServer({ quiet: true }), SYNC_SERVER_DEBOUNCE_MS);
+        };
+        appStorage.onChange((key, origin) => {
+            if (syncServerApplying || origin.fromOtherTab) return;
+            const config = loadSyncServerConfig();
+            if (!config.url || !Object.keys(config.projects).length) return;
+            const projectId = key.slice(key.lastIndexOf(':') + 1);
+            if (config.projects[projectId]) {
+                config.projects[projectId].localUpdatedAt = Date.now();
+                saveSyncServerConfig(config);
+            } else if (key !== PROJECTS_KEY) {
+                return;
+            }
+            schedule();
+        });
+        const syncIfConfigured = () => {
+            const config = loadSyncServerConfig();
+            if (config.url && Object.keys(config.projects).length) syncAllWithServer({ quiet: true });
+        };
+        window.addEventListener('focus', syncIfConfigured);
+        window.addEventListener('online', syncIfConfigured);
+        syncIfConfigured();
+    } catch (err) {
+        console.warn('Sync server client unavailable:', err);
+    }
+})();
+
+window.flowboxOpenSyncServerDialog = openSyncServerDialog;
+
+// ===== LIVE COLLABORATION (CRDT) =====
+// Real-time editing through a WebSocket relay (collab-relay.js, see COLLABORATION.md).
+// Journey maps, flow boards and the information hierarchy are each kept as a CRDT
+// document: every field is a last-writer-wins register ordered by a Lamport clock,
+// and list items are matched by id, so concurrent edits merge the same way everywhere.
+const COLLAB_CONFIG_KEY = 'flowboxCollab';
+const COLLAB_META_PREFIX = 'flowboxCollabMeta:';
+const COLLAB_DEBOUNCE_MS = 150;
+const COLLAB_PRESENCE_INTERVAL_MS = 60;
+const COLLAB_COLORS = ['#e53935', '#8e24aa', '#3949ab', '#039be5', '#00897b', '#7cb342', '#fb8c00', '#6d4c41'];
+const COLLAB_DOCUMENTS = [
+    { base: BASE_STORAGE_KEY, kind: 'journey' },
+    { base: BASE_TOBE_JOURNEY_KEY, kind: 'journey' },
+    { base: 'jmAsIsFlow_boards', kind: 'flow' },
+    { base: 'jmToBeFlow_boards', kind: 'flow' },
+    { base: 'ihData', kind: 'ih' }
+];
+const collabSession = {
+    actor: generateId('peer'),
+    socket: null,
+    status: 'offline',
+    rooms: new Map(),
+    peers: new Map(),
+    retryTimer: null,
+    retryDelay: 1000,
+    // Set while remote edits are written to the store so they are not sent back
+    applying: false
+};
+
+function encodeCollabSegment(name) {
+    return encodeURIComponent(String(name)).replace(/\$/g, '%24');
+}
+
+// Arrays of objects with unique ids (or from/to pairs, for IH edges) merge item by item;
+// any other array is a single value
+function getCollabItemKeys(value) {
+    if (!Array.isArray(value) || !value.length) return null;
+    const keys = value.map(item => {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) return null;
+        if (typeof item.id === 'string' || typeof item.id === 'number') return String(item.id);
+        if (item.from !== undefined && item.to !== undefined) return `${item.from}>${item.to}`;
+        return null;
+    });
+    if (keys.includes(null) || new Set(keys).size !== keys.length) return null;
+    return keys;
+}
+
+// Flattens a JSON value into register paths. Containers get a marker register so
+// deleting one hides everything below it even if a peer edited a field concurrently.
+function flattenCollabValue(value, path = '', out = new Map()) {
+    const keys = getCollabItemKeys(value);
+    if (keys) {
+        out.set(path, []);
+        value.forEach((item, index) => {
+            const itemPath = `${path}/#${encodeCollabSegment(keys[index])}`;
+            out.set(`${itemPath}/$live`, true);
+            out.set(`${itemPath}/$pos`, index);
+            Object.keys(item).forEach(field => flattenCollabValue(item[field], `${itemPath}/${encodeCollabSegment(field)}`, out));
+        });
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+        out.set(path, {});
+        Object.keys(value).forEach(field => flattenCollabValue(value[field], `${path}/${encodeCollabSegment(field)}`, out));
+    } else if (value !== undefined) {
+        out.set(path, value);
+    }
+    return out;
+}
+
+function sameCollabValue(a, b) {
+    return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+function collabOpWins(op, current) {
+    if (!current) return true;
+    if (op.c !== current.c) return op.c > current.c;
+    return String(op.a) > String(current.a);
+}
+
+class CollabDocument {
+    constructor(actor) {
+        this.actor = actor;
+        this.clock = 0;
+        this.registers = new Map(); // path -> { v, c, a, d }
+    }
+
+    // Rebuilds the registers from stored data. Fields whose value still matches the
+    // saved metadata keep their clock; anything edited while offline gets a new one.
+    // A device that has never been in the room has no metadata: its fields get a neutral
+    // stamp that any team edit beats, so a stale or default copy cannot overwrite newer data.
+    seed(value, meta = {}) {
+        const saved = meta.regs || {};
+        const joinedBefore = Object.keys(saved).length > 0;
+        const flat = flattenCollabValue(value);
+        this.clock = Number(meta.clock) || 0;
+        this.registers.clear();
+        flat.forEach((v, k) => {
+            const entry = saved[k];
+            if (entry && entry[2] === hashImageContent(JSON.stringify(v))) {
+                this.registers.set(k, { v, c: entry[0], a: entry[1], d: false });
+            } else if (entry || joinedBefore) {
+                this.registers.set(k, { v, c: ++this.clock, a: this.actor, d: false });
+            } else {
+                this.registers.set(k, { v, c: 0, a: '', d: false });
+            }
+        });
+        Object.keys(saved).forEach(k => {
+            if (flat.has(k)) return;
+            const [c, a, hash] = saved[k];
+            this.registers.set(k, hash ? { c: ++this.clock, a: this.actor, d: true } : { c, a, d: true });
+        });
+    }
+
+    exportMeta() {
+        const regs = {};
+        this.registers.forEach((reg, k) => {
+            regs[k] = [reg.c, reg.a, reg.d ? 0 : hashImageContent(JSON.stringify(reg.v))];
+        });
+        return { clock: this.clock, regs };
+    }
+
+    // Once the room state is in, neutral fields the room did not have are ours to share
+    claimNeutral() {
+        this.registers.forEach(reg => {
+            if (reg.c !== 0 || reg.a !== '') return;
+            reg.c = ++this.clock;
+            reg.a = this.actor;
+        });
+    }
+
+    toOp(k, reg) {
+        return reg.d ? { k, c: reg.c, a: reg.a, d: 1 } : { k, v: reg.v, c: reg.c, a: reg.a };
+    }
+
+    // Returns true when at least one register changed
+    ingest(ops) {
+        let changed = false;
+        ops.forEach(op => {
+            if (!op || typeof op.k !== 'string' || !Number.isFinite(op.c)) return;
+            this.clock = Math.max(this.clock, op.c);
+            if (!collabOpWins(op, this.registers.get(op.k))) return;
+            this.registers.set(op.k, op.d ? { c: op.c, a: op.a, d: true } : { v: op.v, c: op.c, a: op.a, d: false });
+            changed = true;
+        });
+        return changed;
+    }
+
+    // Diffs a local value against the document and returns the ops that record the change
+    update(value) {
+        const next = flattenCollabValue(value);
+        const ops = [];
+        next.forEach((v, k) => {
+            const reg = this.registers.get(k);
+            if (!reg || reg.d || !sameCollabValue(reg.v, v)) ops.push({ k, v, c: ++this.clock, a: this.actor });
+        });
+        this.registers.forEach((reg, k) => {
+            if (!reg.d && !next.has(k)) ops.push({ k, c: ++this.clock, a: this.actor, d: 1 });
+        });
+        this.ingest(ops);
+        return ops;
+    }
+
+    // Ops a peer is missing, given the registers it sent us
+    opsMissingFrom(ops) {
+        const theirs = new Map(ops.map(op => [op.k, op]));
+        const missing = [];
+        this.registers.forEach((reg, k) => {
+            if (collabOpWins({ c: reg.c, a: reg.a }, theirs.get(k))) missing.push(this.toOp(k, reg));
+        });
+        return missing;
+    }
+
+    materialize() {
+        const root = { children: new Map() };
+        this.registers.forEach((reg, k) => {
+            if (reg.d) return;
+            let node = root;
+            (k ? k.split('/').slice(1) : []).forEach(segment => {
+                if (!node.children.has(segment)) node.children.set(segment, { children: new Map() });
+                node = node.children.get(segment);
+            });
+            node.value = reg.v;
+            node.live = true;
+        });
+        const build = (node) => {
+            if (!node.live) return undefined;
+            if (Array.isArray(node.value)) {
+                const items = [];
+                node.children.forEach((item, segment) => {
+                    const live = item.children.get('$live');
+                    if (!segment.startsWith('#') || !live || live.value !== true) return;
+                    const value = {};
+                    item.children.forEach((child, field) => {
+                        if (field.startsWith('$')) return;
+                        const built = build(child);
+                        if (built !== undefined) value[decodeURIComponent(field)] = built;
+                    });
+                    const pos = item.children.get('$pos');
+                    items.push({ segment, value, pos: pos && pos.live ? pos.value : Infinity });
+                });
+                if (!items.length) return [...node.value];
+                items.sort((a, b) => (a.pos - b.pos) || (a.segment < b.segment ? -1 : a.segment > b.segment ? 1 : 0));
+                return items.map(item => item.value);
+            }
+            if (node.value && typeof node.value === 'object') {
+                const value = {};
+                node.children.forEach((child, field) => {
+                    const built = build(child);
+                    if (built !== undefined) value[decodeURIComponent(field)] = built;
+                });
+                return value;
+            }
+            return node.value;
+        };
+        return build(root);
+    }
+}
+
+// Device-level settings, so they stay in localStorage next to the project list
+function loadCollabConfig() {
+    try {
+        const config = JSON.parse(localStorage.getItem(COLLAB_CONFIG_KEY) || '{}');
+        return { url: '', token: '', name: '', enabled: false, ...config };
+    } catch {
+        return { url: '', token: '', name: '', enabled: false };
+    }
+}
+
+function saveCollabConfig(config) {
+    localStorage.setItem(COLLAB_CONFIG_KEY, JSON.stringify(config));
+}
+
+function getCollabClient() {
+    const config = loadCollabConfig();
+    const index = parseInt(hashImageContent(collabSession.actor).slice(0, 6), 16) % COLLAB_COLORS.length;
+    return { id: collabSession.actor, name: config.name || loadSettings().profileName || 'Guest', color: COLLAB_COLORS[index] };
+}
+
+function sendCollabMessage(message) {
+    const socket = collabSession.socket;
+    if (socket && socket.readyState === 1) socket.send(JSON.stringify(message));
+}
+
+function readCollabValue(key) {
+    try {
+        const raw = appStorage.getItem(key);
+        return raw ? JSON.parse(raw) : undefined;
+    } catch {
+        return undefined;
+    }
+}
+
+// Journey columns have no ids of their own; give list items one so edits can be matched.
+// Data saved before collaboration gets ids by position, so two devices holding the
+// same project agree on them and merge column by column instead of duplicating.
+function assignCollabIds(list, prefix) {
+    if (!Array.isArray(list)) return false;
+    const legacy = list.length > 0 && list.every(item => item && typeof item === 'object' && !item.id);
+    const seen = new Set();
+    let changed = false;
+    list.forEach((item, index) => {
+        if (!item || typeof item !== 'object') return;
+        if (!item.id || seen.has(item.id)) {
+            item.id = legacy ? `${prefix}_${index + 1}` : generateId(prefix);
+            changed = true;
+        }
+        seen.add(item.id);
+    });
+    return changed;
+}
+
+function writeCollabValue(entry, value) {
+    collabSession.applying = true;
+    try {
+        if (value === undefined) appStorage.removeItem(entry.key);
+        else appStorage.setItem(entry.key, JSON.stringify(value));
+        refreshCollabView(entry, value);
+    } finally {
+        collabSession.applying = false;
+    }
+}
+
+// Reads the stored value, making sure journey columns and flow boards carry ids
+function readCollabEntryValue(entry) {
+    const value = readCollabValue(entry.key);
+    if (entry.kind !== 'ih' && assignCollabIds(value, entry.kind === 'flow' ? 'board' : 'col')) {
+        writeCollabValue(entry, value);
+    }
+    return value;
+}
+
+// Shows flow boards that were changed outside this editor, if they are the ones on screen
+function refreshOpenFlowBoards(key, value) {
+    const boards = window.flowEditor;
+    if (!boards || !Array.isArray(boards.boards)) return;
+    if (key !== getScopedKey(boards.flowType === 'as-is' ? 'jmAsIsFlow_boards' : 'jmToBeFlow_boards')) return;
+    const list = Array.isArray(value) ? value : [];
+    const sameBoards = list.length === boards.boards.length && list.every((board, i) => board.id === boards.boards[i].id);
+    if (!sameBoards) {
+        boards.loadSavedBoards();
+        return;
+    }
+    boards.boards.forEach((board, i) => {
+        if (JSON.stringify(board.editor.state) === JSON.stringify(list[i])) return;
+        board.editor.state = ensureFlowDataStructure(list[i]);
+        board.editor.render();
+        board.editor.updateToolbarState();
+        const title = board.wrap.querySelector('.flow-board-title');
+        if (title && document.activeElement !== title) title.textContent = board.editor.state.title;
+    });
+}
+
+function refreshCollabView(entry, value) {
+    if (entry.kind === 'journey') {
+        // With a draft open the editor shows the draft; the main line is read again on close
+        if (window.journey && entry.key === getScopedKey(getJourneyStorageBase()) && !getOpenJourneyDraft()) {
+            window.journey.journeyData = Array.isArray(value) ? value : [];
+            window.journey.renderJourneyMap();
+        }
+    } else if (entry.kind === 'flow') {
+        refreshOpenFlowBoards(entry.key, value);
+        renderCollabPresence();
+    } else if (entry.kind === 'ih' && typeof window.reloadInformationHierarchy === 'function') {
+        window.reloadInformationHierarchy();
+    }
+}
+
+function saveCollabMeta(entry) {
+    clearTimeout(entry.metaTimer);
+    entry.metaTimer = setTimeout(() => {
+        try {
+            localStorage.setItem(COLLAB_META_PREFIX + entry.room, JSON.stringify(entry.doc.exportMeta()));
+        } catch (err) {
+            console.warn('Could not save collaboration state:', err);
+        }
+    }, 1000);
+}
+
+// Sends whatever changed locally since the last call
+function flushCollabEntry(entry) {
+    clearTimeout(entry.timer);
+    entry.timer = null;
+    const ops = entry.doc.update(readCollabEntryValue(entry));
+    if (!ops.length) return;
+    if (entry.joined) sendCollabMessage({ type: 'ops', room: entry.room, ops });
+    saveCollabMeta(entry);
+}
+
+function applyRemoteCollabOps(entry, ops) {
+    // Local edits still waiting for the debounce go first so they are not overwritten
+    if (entry.timer) flushCollabEntry(entry);
+    if (!entry.doc.ingest(ops)) return;
+    saveCollabMeta(entry);
+    const value = entry.doc.materialize();
+    const current = readCollabValue(entry.key);
+    const a = flattenCollabValue(value);
+    const b = flattenCollabValue(current);
+    if (a.size === b.size && [...a].every(([k, v]) => b.has(k) && sameCollabValue(v, b.get(k)))) return;
+    writeCollabValue(entry, value);
+}
+
+function joinCollabRooms() {
+    const projectId = getCurrentProjectId();
+    if (!projectId) return;
+    const client = getCollabClient();
+    COLLAB_DOCUMENTS.forEach(({ base, kind }) => {
+        const room = `${projectId}/${base}`;
+        const entry = { room, kind, key: getScopedKey(base, projectId), doc: new CollabDocument(collabSession.actor), joined: false, timer: null, metaTimer: null };
+        let meta = {};
+        try { meta = JSON.parse(localStorage.getItem(COLLAB_META_PREFIX + room) || '{}'); } catch {}
+        entry.doc.seed(readCollabEntryValue(entry), meta);
+        collabSession.rooms.set(room, entry);
+        sendCollabMessage({ type: 'join', room, client });
+    });
+}
+
+function leaveCollabRooms() {
+    collabSession.rooms.forEach(entry => {
+        clearTimeout(entry.timer);
+        if (entry.joined) sendCollabMessage({ type: 'leave', room: entry.room });
+    });
+    collabSession.rooms.clear();
+    collabSession.peers.clear();
+    renderCollabPresence();
+}
+
+function handleCollabMessage(message) {
+    const entry = collabSession.rooms.get(message.room);
+    if (!entry) return;
+    if (message.type === 'snapshot') {
+        entry.joined = true;
+        (message.peers || []).forEach(peer => collabSession.peers.set(`${message.room}|${peer.id}`, { ...peer, room: message.room }));
+        applyRemoteCollabOps(entry, message.ops || []);
+        entry.doc.claimNeutral();
+        const missing = entry.doc.opsMissingFrom(message.ops || []);
+        if (missing.length) sendCollabMessage({ type: 'ops', room: entry.room, ops: missing });
+        saveCollabMeta(entry);
+    } else if (message.type === 'ops') {
+        applyRemoteCollabOps(entry, message.ops || []);
+    } else if (message.type === 'peer-join' || message.type === 'presence') {
+        const id = `${message.room}|${message.client.id}`;
+        const previous = collabSession.peers.get(id) || {};
+        collabSession.peers.set(id, { ...previous, ...message.client, room: message.room, presence: message.type === 'presence' ? message.presence : previous.presence || null });
+    } else if (message.type === 'peer-leave') {
+        collabSession.peers.delete(`${message.room}|${message.clientId}`);
+    }
+    if (message.type !== 'ops') {
+        renderCollabPresence();
+        updateCollabDialog();
+    }
+}
+
+function setCollabStatus(status) {
+    collabSession.status = status;
+    updateCollabDialog();
+}
+
+function connectCollab() {
+    const config = loadCollabConfig();
+    clearTimeout(collabSession.retryTimer);
+    if (!config.enabled || !config.url || collabSession.socket || typeof WebSocket === 'undefined') return;
+    let url;
+    try {
+        url = new URL(config.url);
+        if (config.token) url.searchParams.set('token', config.token);
+    } catch {
+        setCollabStatus('error');
+        return;
+    }
+    const socket = new WebSocket(url.toString());
+    collabSession.socket = socket;
+    setCollabStatus('connecting');
+    socket.addEventListener('open', () => {
+        collabSession.retryDelay = 1000;
+        setCollabStatus('connected');
+        joinCollabRooms();
+    });
+    socket.addEventListener('message', (event) => {
+        try {
+            handleCollabMessage(JSON.parse(event.data));
+        } catch (err) {
+            console.warn('Ignoring collaboration message:', err);
+        }
+    });
+    socket.addEventListener('close', () => {
+        if (collabSession.socket !== socket) return;
+        collabSession.socket = null;
+        collabSession.rooms.forEach(entry => { clearTimeout(entry.timer); });
+        collabSession.rooms.clear();
+        collabSession.peers.clear();
+        renderCollabPresence();
+        setCollabStatus('offline');
+        // Keep retrying with backoff while collaboration stays switched on
+        if (loadCollabConfig().enabled) {
+            collabSession.retryTimer = setTimeout(connectCollab, collabSession.retryDelay);
+            collabSession.retryDelay = Math.min(collabSession.retryDelay * 2, 30000);
+        }
+    });
+}
+
+function disconnectCollab() {
+    clearTimeout(collabSession.retryTimer);
+    const socket = collabSession.socket;
+    if (!socket) return;
+    leaveCollabRooms();
+    collabSession.socket = null;
+    socket.close();
+    setCollabStatus('offline');
+}
+
+function getCollabFlowRoom() {
+    const boards = window.flowEditor;
+    if (!boards || !boards.flowType) return '';
+    return `${getCurrentProjectId()}/${boards.flowType === 'as-is' ? 'jmAsIsFlow_boards' : 'jmToBeFlow_boards'}`;
+}
+
+// Draws remote cursors and selections inside each board's grid, in canvas coordinates
+function renderCollabPresence() {
+    const boards = window.flowEditor;
+    if (!boards || !Array.isArray(boards.boards)) return;
+    const room = getCollabFlowRoom();
+    boards.boards.forEach(({ editor }) => {
+        if (!editor || !editor.grid) return;
+        if (!editor.presenceLayer) {
+            editor.presenceLayer = document.createElement('div');
+            editor.presenceLayer.className = 'co-presence-layer';
+            editor.presenceLayer.setAttribute('aria-hidden', 'true');
+        }
+        const layer = editor.presenceLayer;
+        if (!editor.grid.contains(layer)) editor.grid.appendChild(layer);
+        const peers = [...collabSession.peers.values()].filter(peer => peer.room === room && peer.presence && peer.presence.board === editor.state.id);
+        layer.innerHTML = peers.map(peer => {
+            const color = escapeHtml(peer.color);
+            const boxes = (peer.presence.selection || []).map(id => {
+                const node = editor.state.nodes.find(n => n.id === id);
+                if (!node) return '';
+                const size = editor.getNodeSize(node);
+                return `<div class="co-selection" style="left:${node.x - 4}px;top:${node.y - 4}px;width:${size.w + 8}px;height:${size.h + 8}px;border-color:${color}"></div>`;
+            }).join('');
+            const { x, y } = peer.presence;
+            const cursor = Number.isFinite(x) && Number.isFinite(y) ? `
+                <div class="co-cursor" style="left:${x}px;top:${y}px;color:${color}">
+                    <svg width="16" height="16" viewBox="0 0 16 16"><path d="M1 1l5 14 2-6 6-2z" fill="currentColor" stroke="#fff" stroke-width="1"/></svg>
+                    <span class="co-cursor-name" style="background:${color}">${escapeHtml(peer.name)}</span>
+                </div>` : '';
+            return boxes + cursor;
+        }).join('');
+    });
+}
+
+function sendCollabPresence(presence) {
+    const room = getCollabFlowRoom();
+    const entry = collabSession.rooms.get(room);
+    if (!entry || !entry.joined) return;
+    const key = JSON.stringify(presence);
+    if (key === collabSession.lastPresence) return;
+    collabSession.lastPresence = key;
+    sendCollabMessage({ type: 'presence', room, presence });
+}
+
+function trackCollabPointer(event) {
+    if (!collabSession.socket || !window.flowEditor || !Array.isArray(window.flowEditor.boards)) return;
+    const board = window.flowEditor.boards.find(b => b.wrap && b.wrap.contains(event.target));
+    if (!board || !board.editor || !board.editor.grid) {
+        sendCollabPresence(null);
+        return;
+    }
+    const { editor } = board;
+    const rect = editor.grid.getBoundingClientRect();
+    const zoom = editor.zoom || 1;
+    sendCollabPresence({
+        board: editor.state.id,
+        x: Math.round((event.clientX - rect.left) / zoom),
+        y: Math.round((event.clientY - rect.top) / zoom),
+        selection: [...editor.grid.querySelectorAll('.flow-node.selected')].map(el => el.dataset.id)
+    });
+}
+
+function updateCollabDialog() {
+    const modal = document.getElementById('collabModal');
+    if (!modal) return;
+    const labels = { offline: 'Not connected.', connecting: 'Connecting…', connected: 'Connected.', error: 'The relay URL is not valid.' };
+    const statusEl = modal.querySelector('#collabStatus');
+    statusEl.textContent = labels[collabSession.status] || '';
+    statusEl.classList.toggle('error', collabSession.status === 'error');
+    const connected = !!collabSession.socket;
+    modal.querySelector('[data-action="connect"]').style.display = connected ? 'none' : '';
+    modal.querySelector('[data-action="disconnect"]').style.display = connected ? '' : 'none';
+    const peers = new Map();
+    collabSession.peers.forEach(peer => peers.set(peer.id, peer));
+    modal.querySelector('#collabPeers').innerHTML = connected ? `
+        <h4>In this project</h4>
+        <ul class="co-peers">
+            <li><span class="co-swatch" style="background:${escapeHtml(getCollabClient().color)}"></span>${escapeHtml(getCollabClient().name)} (you)</li>
+            ${[...peers.values()].map(peer => `<li><span class="co-swatch" style="background:${escapeHtml(peer.color)}"></span>${escapeHtml(peer.name)}</li>`).join('')}
+        </ul>
+    ` : '';
+}
+
+function openCollabDialog() {
+    const existing = document.getElementById('collabModal');
+    if (existing) existing.remove();
+    const config = loadCollabConfig();
+    document.body.insertAdjacentHTML('beforeend', `
+        <div class="modal show" id="collabModal">
+            <div class="modal-content co-modal">
+                <div class="modal-header">
+                    <h3>Live collaboration</h3>
+                    <button class="close-btn" data-action="close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p class="co-hint">Edit the current project together in real time through a relay started with <code>npm run collab-relay</code>. Journey maps, flow boards and the information hierarchy are shared.</p>
+                    <div class="co-form">
+                        <label>Relay URL <input type="url" id="collabUrl" placeholder="ws://localhost:8788" value="${escapeHtml(config.url)}"></label>
+                        <label>Access token <input type="password" id="collabToken" placeholder="Optional" value="${escapeHtml(config.token)}"></label>
+                        <label>Your name <input type="text" id="collabName" placeholder="${escapeHtml(loadSettings().profileName || 'Guest')}" value="${escapeHtml(config.name)}"></label>
+                    </div>
+                    <p class="co-status" id="collabStatus"></p>
+                    <div id="collabPeers"></div>
+                </div>
+                <div class="modal-footer">
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary" data-action="close">Close</button>
+                        <button type="button" class="btn btn-secondary" data-action="disconnect">Disconnect</button>
+                        <button type="button" class="btn btn-primary" data-action="connect">Connect</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `);
+    const modal = document.getElementById('collabModal');
+    modal.querySelectorAll('[data-action="close"]').forEach(btn => btn.addEventListener('click', () => modal.remove()));
+    modal.querySelector('[data-action="connect"]').addEventListener('click', () => {
+        const next = loadCollabConfig();
+        next.url = modal.querySelector('#collabUrl').value.trim();
+        next.token = modal.querySelector('#collabToken').value.trim();
+        next.name = modal.querySelector('#collabName').value.trim();
+        next.enabled = !!next.url;
+        saveCollabConfig(next);
+        collabSession.retryDelay = 1000;
+        connectCollab();
+    });
+    modal.querySelector('[data-action="disconnect"]').addEventListener('click', () => {
+        saveCollabConfig({ ...loadCollabConfig(), enabled: false });
+        disconnectCollab();
+    });
+    updateCollabDialog();
+}
+
+(async function setupCollaboration() {
+    try {
+        await appStorage.ready;
+        appStorage.onChange((key, origin) => {
+            if (collabSession.applying || origin.fromOtherTab || !collabSession.socket) return;
+            if (key === CURRENT_PROJECT_KEY) {
+                leaveCollabRooms();
+                joinCollabRooms();
+                return;
+            }
+            collabSession.rooms.forEach(entry => {
+                if (entry.key !== key) return;
+                clearTimeout(entry.timer);
+                entry.timer = setTimeout(() => flushCollabEntry(entry), COLLAB_DEBOUNCE_MS);
+            });
+        });
+        let lastMove = 0;
+        document.addEventListener('pointermove', (event) => {
+            const now = Date.now();
+            if (now - lastMove < COLLAB_PRESENCE_INTERVAL_MS) return;
+            lastMove = now;
+            trackCollabPointer(event);
+        }, { passive: true });
+        // Selection changes on click, so report it even if the pointer did not move
+        document.addEventListener('pointerup', (event) => setTimeout(() => trackCollabPointer(event), 0), { passive: true });
+        connectCollab();
+    } catch (err) {
+        console.warn('Live collaboration unavailable:', err);
+    }
+})();
+
+window.flowboxOpenCollabDialog = openCollabDialog;
+
+// ===== CROSS-TAB SYNC =====
+// appStorage announces every write to the other open tabs (APP_STORAGE_CHANNEL); here each
+// tab re-renders what changed and warns when two tabs edit the same board at the same time.
+// Views also save back what they load, so only edits the user made are announced as edits.
+const CROSS_TAB_EDIT_CHANNEL = 'flowbox-editing';
+const CROSS_TAB_EDIT_WINDOW_MS = 30000;
+const CROSS_TAB_WARNING_INTERVAL_MS = 60000;
+// Saves this soon after a keystroke or click count as the user editing in this tab
+const CROSS_TAB_INPUT_WINDOW_MS = 2000;
+const CROSS_TAB_FLOW_BASES = ['jmAsIsFlow_boards', 'jmToBeFlow_boards'];
+const crossTabState = {
+    changed: new Set(),
+    timer: null,
+    // key -> { at, units } for this tab's latest edit
+    localEdits: new Map(),
+    warnedAt: new Map(),
+    // Last stored value per key, to tell whether (and for flows, which board) an edit changed
+    values: new Map(),
+    // Set while this tab re-renders; views may save back what they just loaded
+    refreshing: false,
+    lastInputAt: 0,
+    channel: typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CROSS_TAB_EDIT_CHANNEL) : null
+};
+
+function isCrossTabFlowKey(key) {
+    return CROSS_TAB_FLOW_BASES.some(base => key.startsWith(`${base}:`));
+}
+
+function parseCrossTabBoards(raw) {
+    try {
+        const list = JSON.parse(raw || '[]');
+        return Array.isArray(list) ? list : [];
+    } catch {
+        return [];
+    }
+}
+
+// Flow keys hold several boards, so edits are compared per board; anything else is one board
+function getCrossTabEditedUnits(key) {
+    const raw = appStorage.getRawItem(key);
+    const hadBefore = crossTabState.values.has(key);
+    const previous = crossTabState.values.get(key);
+    crossTabState.values.set(key, raw);
+    if (hadBefore && previous === raw) return [];
+    if (!isCrossTabFlowKey(key)) return ['*'];
+    const before = new Map(parseCrossTabBoards(previous).map(board => [board.id, JSON.stringify(board)]));
+    const after = parseCrossTabBoards(raw);
+    const units = after.filter(board => before.get(board.id) !== JSON.stringify(board)).map(board => board.id);
+    const ids = new Set(after.map(board => board.id));
+    before.forEach((_, id) => { if (!ids.has(id)) units.push(id); });
+    return units;
+}
+
+function describeCrossTabBoard(key, units) {
+    const base = key.slice(0, key.lastIndexOf(':'));
+    const feature = FLOWBOX_ARCHIVE_FEATURES.find(f => f.base === base);
+    const label = feature ? feature.label : base;
+    if (!isCrossTabFlowKey(key) || units.includes('*')) return label;
+    const board = parseCrossTabBoards(appStorage.getRawItem(key)).find(b => units.includes(b.id));
+    return board && board.title ? `${label} “${board.title}”` : label;
+}
+
+function trackCrossTabEdit(key, fromOtherTab) {
+    // The single-flow key mirrors whichever board saved last, so it says nothing about who edits what
+    if (key.startsWith(`${BASE_FLOW_KEY}:`)) return;
+    const units = getCrossTabEditedUnits(key);
+    const byUser = Date.now() - crossTabState.lastInputAt < CROSS_TAB_INPUT_WINDOW_MS;
+    if (fromOtherTab || crossTabState.refreshing || !byUser || !units.length) return;
+    crossTabState.localEdits.set(key, { at: Date.now(), units });
+    if (crossTabState.channel) crossTabState.channel.postMessage({ key, units });
+}
+
+function warnAboutOtherTabEdit({ key, units }) {
+    const mine = crossTabState.localEdits.get(key);
+    if (!mine || Date.now() - mine.at > CROSS_TAB_EDIT_WINDOW_MS || !Array.isArray(units)) return;
+    const shared = units.filter(unit => unit === '*' || mine.units.includes('*') || mine.units.includes(unit));
+    if (!shared.length) return;
+    if (Date.now() - (crossTabState.warnedAt.get(key) || 0) < CROSS_TAB_WARNING_INTERVAL_MS) return;
+    crossTabState.warnedAt.set(key, Date.now());
+    showToast(`${escapeHtml(describeCrossTabBoard(key, shared))} is also being edited in another Flowbox tab. The latest save wins, so keep editing in one tab only.`, 'warning', 8000);
+}
+
+function isMountVisible(id) {
+    const mount = document.getElementById(id);
+    return !!mount && mount.style.display !== 'none';
+}
+
+// Re-renders whatever shows the given keys after they were written elsewhere (another tab, a restore)
+function refreshViewsForKeys(keys) {
+    // Every tab shares one current project, so follow a switch made elsewhere
+    if (keys.has(CURRENT_PROJECT_KEY)) {
+        switchToProject(getCurrentProjectId());
+        return;
+    }
+    if (keys.has(PROJECTS_KEY)) {
+        renderProjects();
+        updateProjectNameHeading();
+    }
+    const suffix = `:${getCurrentProjectId()}`;
+    let refreshFeatureView = false;
+    keys.forEach(key => {
+        if (!key.endsWith(suffix)) return;
+        const base = key.slice(0, -suffix.length);
+        if (base === getJourneyStorageBase()) {
+            if (window.journey) {
+                window.journey.journeyData = loadJourneyData();
+                window.journey.renderJourneyMap();
+            }
+        } else if (base === BASE_JOURNEY_DRAFTS_KEY) {
+            if (window.journey && getOpenJourneyDraft()) {
+                window.journey.journeyData = loadJourneyData();
+                window.journey.renderJourneyMap();
+            }
+        } else if (CROSS_TAB_FLOW_BASES.includes(base)) {
+            refreshOpenFlowBoards(key, parseCrossTabBoards(appStorage.getItem(key)));
+        } else if (base === 'ihData') {
+            if (typeof window.reloadInformationHierarchy === 'function') window.reloadInformationHierarchy();
+        } else if (base === BASE_COVER_KEY) {
+            refreshCoverUI();
+        } else if (base === BASE_PERSONAS_KEY) {
+            if (isMountVisible('personasMount')) renderPersonasInterface();
+        } else if (base === BASE_KICKOFF_KEY) {
+            if (isMountVisible('kickoffMount')) renderKickoffInterface();
+        } else {
+            refreshFeatureView = true;
+        }
+    });
+    if (refreshFeatureView) refreshActiveFeatureView();
+    updateStorageUsage();
+}
+
+(async function setupCrossTabSync() {
+    try {
+        await appStorage.ready;
+        appStorage.keys().forEach(key => crossTabState.values.set(key, appStorage.getRawItem(key)));
+        if (crossTabState.channel) crossTabState.channel.onmessage = (event) => warnAboutOtherTabEdit(event.data || {});
+        ['pointerdown', 'keydown', 'input'].forEach(type => document.addEventListener(type, () => {
+            crossTabState.lastInputAt = Date.now();
+        }, { capture: true, passive: true }));
+        appStorage.onChange((key, origin) => {
+            trackCrossTabEdit(key, origin.fromOtherTab);
+            if (!origin.fromOtherTab) return;
+            crossTabState.changed.add(key);
+            // Coalesce a burst of writes (such as a project import) into one re-render
+            clearTimeout(crossTabState.timer);
+            crossTabState.timer = setTimeout(() => {
+                const keys = new Set(crossTabState.changed);
+                crossTabState.changed.clear();
+                crossTabState.refreshing = true;
+                try {
+                    refreshViewsForKeys(keys);
+                } finally {
+                    crossTabState.refreshing = false;
+                }
+            }, 100);
+        });
+    } catch (err) {
+        console.warn('Cross-tab sync unavailable:', err);
+    }
+})();
+
+// ===== PROJECT SNAPSHOTS =====
+// A snapshot captures every artifact of a project at once, keyed by its archive file name.
+// Artifacts keep their image references, so snapshots stay small and their images are kept.
+// Version lists and settings are not project content and stay out of snapshots.
+const SNAPSHOT_FEATURES = FLOWBOX_ARCHIVE_FEATURES.filter(f => !f.file.startsWith('versions/') && f.base !== BASE_SETTINGS_KEY);
+
+function loadProjectSnapshots(projectId = getCurrentProjectId()) {
+    try {
+        const list = JSON.parse(appStorage.getRawItem(getScopedKey(BASE_SNAPSHOTS_KEY, projectId)) || '[]');
+        return Array.isArray(list) ? list : [];
+    } catch {
+        return [];
+    }
+}
+
+function saveProjectSnapshots(projectId, snapshots) {
+    try {
+        appStorage.setItem(getScopedKey(BASE_SNAPSHOTS_KEY, projectId), JSON.stringify(snapshots || []));
+        updateStorageUsage();
+    } catch (err) { reportStorageError(err); }
+}
+
+function takeProjectSnapshot(projectId, label) {
+    const artifacts = {};
+    SNAPSHOT_FEATURES.forEach(feature => {
+        const raw = appStorage.getRawItem(getScopedKey(feature.base, projectId));
+        if (raw === null) return;
+        try { artifacts[feature.file] = JSON.parse(raw); } catch {}
+    });
+    const at = new Date().toISOString();
+    const snapshot = {
+        id: generateId('snap'),
+        label: label || `Snapshot ${new Date(at).toLocaleString()}`,
+        author: loadSettings().profileName || 'You',
+        at,
+        artifacts
+    };
+    saveProjectSnapshots(projectId, [snapshot, ...loadProjectSnapshots(projectId)]);
+    return snapshot;
+}
+
+// Restores the given artifact files, or the whole project by default. Artifacts the snapshot
+// does not have are cleared. The current state is snapshotted first so a restore can be undone.
+function restoreProjectSnapshot(projectId, snapshot, files = null) {
+    const features = files ? SNAPSHOT_FEATURES.filter(f => files.includes(f.file)) : SNAPSHOT_FEATURES;
+    if (!features.length) return;
+    const what = files ? features.map(f => f.label).join(', ') : 'project';
+    takeProjectSnapshot(projectId, `Before restoring ${what} from “${snapshot.label}”`);
+    const keys = new Set();
+    features.forEach(feature => {
+        const key = getScopedKey(feature.base, projectId);
+        if (Object.prototype.hasOwnProperty.call(snapshot.artifacts || {}, feature.file)) {
+            appStorage.setItem(key, JSON.stringify(snapshot.artifacts[feature.file]));
+        } else {
+            appStorage.removeItem(key);
+        }
+        keys.add(key);
+    });
+    if (projectId !== getCurrentProjectId()) return;
+    logChange('Restore snapshot', { snapshot: snapshot.id, files: features.map(f => f.file) });
+    refreshViewsForKeys(keys);
+}
+
+function deleteProjectSnapshot(projectId, snapshotId) {
+    saveProjectSnapshots(projectId, loadProjectSnapshots(projectId).filter(s => s.id !== snapshotId));
+}
+
+function openProjectSnapshotsDialog(projectId = getCurrentProjectId()) {
+    const existing = document.getElementById('projectSnapshotsModal');
+    if (existing) existing.remove();
+    const project = loadProjects().find(p => p.id === projectId);
+    document.body.insertAdjacentHTML('beforeend', `
+        <div class="modal show" id="projectSnapshotsModal">
+            <div class="modal-content ps-modal">
+                <div class="modal-header">
+                    <h3>Project snapshots</h3>
+                    <button class="close-btn" data-action="close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p class="ps-hint">A snapshot saves every artifact of <strong>${escapeHtml(project ? project.name : '')}</strong> at once. Restore the whole project or a single artifact; the current state is snapshotted first.</p>
+                    <form class="ps-form">
+                        <input type="text" name="label" placeholder="Label, e.g. Before stakeholder review" maxlength="120">
+                        <button type="submit" class="btn btn-primary">Take snapshot</button>
+                    </form>
+                    <ol class="ps-timeline"></ol>
+                </div>
+                <div class="modal-footer">
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary" data-action="close">Close</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `);
+    const modal = document.getElementById('projectSnapshotsModal');
+    const timeline = modal.querySelector('.ps-timeline');
+    const closeModal = () => modal.remove();
+
+    const render = () => {
+        const snapshots = loadProjectSnapshots(projectId);
+        timeline.innerHTML = snapshots.length ? '' : '<li class="feature-empty-note">No snapshots yet.</li>';
+        snapshots.forEach(snapshot => {
+            const features = SNAPSHOT_FEATURES.filter(f => Object.prototype.hasOwnProperty.call(snapshot.artifacts || {}, f.file));
+            const item = document.createElement('li');
+            item.className = 'ps-item';
+            item.innerHTML = `
+                <div class="ps-item-main">
+                    <h4>${escapeHtml(snapshot.label || 'Snapshot')}</h4>
+                    <p class="ps-meta">${escapeHtml(snapshot.author || 'Unknown')} · ${escapeHtml(new Date(snapshot.at).toLocaleString())} · ${features.length} artifact${features.length === 1 ? '' : 's'}</p>
+                </div>
+                <div class="ps-actions">
+                    <select aria-label="What to restore">
+                        <option value="">Whole project</option>
+                        ${features.map(f => `<option value="${escapeHtml(f.file)}">${escapeHtml(f.label)}</option>`).join('')}
+                    </select>
+                    <button type="button" class="btn btn-secondary" data-action="restore">Restore</button>
+                    <button type="button" class="btn btn-secondary danger" data-action="delete">Delete</button>
+                </div>
+            `;
+            item.querySelector('[data-action="restore"]').addEventListener('click', () => {
+                const file = item.querySelector('select').value;
+                const feature = SNAPSHOT_FEATURES.find(f => f.file === file);
+                const target = feature ? feature.label : 'the whole project';
+                if (!confirm(`Restore ${target} from “${snapshot.label}”? The current state is saved as a snapshot first.`)) return;
+                restoreProjectSnapshot(projectId, snapshot, feature ? [feature.file] : null);
+                showToast(`Restored ${escapeHtml(target)} from “${escapeHtml(snapshot.label)}”.`, 'success');
+                render();
+            });
+            item.querySelector('[data-action="delete"]').addEventListener('click', () => {
+                if (!confirm('Delete this snapshot? This cannot be undone.')) return;
+                deleteProjectSnapshot(projectId, snapshot.id);
+                render();
+            });
+            timeline.appendChild(item);
+        });
+    };
+
+    modal.querySelector('.ps-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const input = e.target.elements.label;
+        takeProjectSnapshot(projectId, input.value.trim());
+        input.value = '';
+        render();
+    });
+    modal.querySelectorAll('[data-action="close"]').forEach(btn => btn.addEventListener('click', closeModal));
+    modal.addEventListener('click', (e) => { if (e.target === modal) closeModal(); });
+    render();
+}
+
+// ===== ACTIVITY LOG =====
+// Every save of project content is diffed against the previous value and logged as granular
+// events (column moved, node added, persona field changed) with their before/after values.
+// Events share the change log with logChange actions and can be reverted one at a time.
+const ACTIVITY_LOG_LIMIT = 1000;
+// Saves in quick succession, like typing in a field, are logged as one edit
+const ACTIVITY_IDLE_MS = 1000;
+// A save that changes more than this is logged as a single event holding the whole artifact
+const ACTIVITY_MAX_EVENTS_PER_SAVE = 40;
+// Only the latest bulk events keep those copies; older ones stay in the log but cannot be reverted
+const ACTIVITY_BULK_REVERT_LIMIT = 10;
+const ACTIVITY_PAGE_SIZE = 100;
+// The single user flow mirrors whichever flow board saved last, so only the boards are logged
+const ACTIVITY_FEATURES = SNAPSHOT_FEATURES.filter(f => f.base !== BASE_FLOW_KEY);
+// Ids are assigned by the app, never typed, so giving items one is not an edit
+const ACTIVITY_IGNORED_FIELDS = new Set(['updatedAt', 'lastModified', 'id']);
+const ACTIVITY_ITEM_NOUNS = {
+    [BASE_STORAGE_KEY]: 'column',
+    [BASE_TOBE_JOURNEY_KEY]: 'column',
+    [BASE_JOURNEY_DRAFTS_KEY]: 'draft',
+    [BASE_PERSONAS_KEY]: 'persona board',
+    jmAsIsFlow_boards: 'board',
+    jmToBeFlow_boards: 'board'
+};
+const ACTIVITY_LIST_NOUNS = { edges: 'connection', data: 'column', children: 'item' };
+const activityState = {
+    values: new Map(), // key -> raw value as last recorded
+    pending: new Map() // key -> { before, timer, revertOf }
+};
+
+function getActivityFeature(key) {
+    const sep = key.indexOf(':');
+    if (sep === -1) return null;
+    const feature = ACTIVITY_FEATURES.find(f => f.base === key.slice(0, sep));
+    return feature ? { feature, projectId: key.slice(sep + 1) } : null;
+}
+
+function parseActivityValue(raw) {
+    if (raw === null || raw === undefined) return undefined;
+    try { return JSON.parse(raw); } catch { return undefined; }
+}
+
+function isActivityObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Lists of objects are diffed item by item; any other array is a single value
+function isActivityList(value) {
+    return Array.isArray(value) && value.every(isActivityObject);
+}
+
+function getActivityItemKey(item) {
+    if (!isActivityObject(item)) return null;
+    if (typeof item.id === 'string' || typeof item.id === 'number') return String(item.id);
+    if (item.from !== undefined && item.to !== undefined) return `${item.from}>${item.to}`;
+    return null;
+}
+
+function getActivityItemLabel(item) {
+    if (!isActivityObject(item)) return '';
+    const label = ['name', 'title', 'label', 'stage', 'text'].map(f => item[f]).find(v => typeof v === 'string' && v.trim());
+    return label ? label.trim().replace(/\s+/g, ' ').slice(0, 60) : '';
+}
+
+// Pairs the items of two lists as before index -> after index. Items match by id when every
+// item has one; otherwise identical items match first and the rest by their shared fields.
+function matchActivityItems(before, after) {
+    const pairs = new Map();
+    const keyed = (before.length ? getCollabItemKeys(before) : []) && (after.length ? getCollabItemKeys(after) : []);
+    if (keyed) {
+        const afterIndex = new Map(after.map((item, j) => [getActivityItemKey(item), j]));
+        before.forEach((item, i) => {
+            const j = afterIndex.get(getActivityItemKey(item));
+            if (j !== undefined) pairs.set(i, j);
+        });
+        return { pairs, keyed: true };
+    }
+    const afterJson = after.map(item => JSON.stringify(item));
+    const free = new Set(after.keys());
+    before.forEach((item, i) => {
+        const json = JSON.stringify(item);
+        const j = [...free].find(k => afterJson[k] === json);
+        if (j === undefined) return;
+        pairs.set(i, j);
+        free.delete(j);
+    });
+    before.forEach((item, i) => {
+        if (pairs.has(i)) return;
+        const filled = Object.keys(item).filter(f => item[f] !== '' && item[f] !== null && item[f] !== undefined);
+        let best = -1;
+        let bestScore = 0;
+        free.forEach(j => {
+            const score = filled.filter(f => sameCollabValue(item[f], after[j][f])).length;
+            if (score > bestScore) { best = j; bestScore = score; }
+        });
+        if (best !== -1 && bestScore * 2 >= filled.length) {
+            pairs.set(i, best);
+            free.delete(best);
+        }
+    });
+    return { pairs, keyed: false };
+}
+
+// Paths address list items by { id } when the list has ids, otherwise by { index, label }
+// so the item can still be found after the list was reordered
+function diffActivityValues(before, after, path = [], events = []) {
+    if (sameCollabValue(before, after)) return events;
+    if (isActivityList(before) && isActivityList(after)) {
+        const { pairs, keyed } = matchActivityItems(before, after);
+        const matchedAfter = new Set(pairs.values());
+        before.forEach((item, i) => {
+            if (!pairs.has(i)) events.push({ type: 'remove', path, index: i, itemKey: keyed ? getActivityItemKey(item) : null, before: item });
+        });
+        after.forEach((item, j) => {
+            if (!matchedAfter.has(j)) events.push({ type: 'add', path, index: j, itemKey: keyed ? getActivityItemKey(item) : null, after: item });
+        });
+        const ordered = [...pairs.entries()].sort((a, b) => a[0] - b[0]);
+        const inPlace = longestIncreasingRun(ordered.map(([, j]) => j));
+        ordered.forEach(([i, j], n) => {
+            const itemKey = keyed ? getActivityItemKey(after[j]) : null;
+            if (!inPlace.has(n)) events.push({ type: 'move', path, index: j, from: i, itemKey, item: after[j] });
+            diffActivityValues(before[i], after[j], [...path, keyed ? { id: itemKey } : { index: j, label: getActivityItemLabel(after[j]) }], events);
+        });
+    } else if (isActivityObject(before) && isActivityObject(after)) {
+        new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+            if (ACTIVITY_IGNORED_FIELDS.has(field)) return;
+            diffActivityValues(before[field], after[field], [...path, field], events);
+        });
+    } else {
+        events.push({ type: 'change', path, before, after });
     }
+    return events;
 }
 
-function buildExportPayload() {
-    const prefixes = [
-        PROJECTS_KEY,
-        CURRENT_PROJECT_KEY,
-        BASE_STORAGE_KEY,
-        BASE_VERSIONS_KEY,
-        BASE_CHANGES_KEY,
-        BASE_COVER_KEY,
-        BASE_SETTINGS_KEY,
-        BASE_FLOW_KEY,
-        BASE_FLOW_VERSIONS_KEY,
-        BASE_ACTIVE_TAB_KEY,
-        BASE_PERSONAS_KEY,
-        BASE_KICKOFF_KEY
-    ];
-    const storage = {};
-    for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (!key) continue;
-        if (prefixes.some(p => key === p || key.startsWith(p + ':'))) {
-            storage[key] = localStorage.getItem(key);
+function findActivityItemIndex(list, segment) {
+    if (!Array.isArray(list) || !isActivityObject(segment)) return -1;
+    if (segment.id !== undefined) return list.findIndex(item => getActivityItemKey(item) === segment.id);
+    if (segment.index < list.length && (!segment.label || getActivityItemLabel(list[segment.index]) === segment.label)) return segment.index;
+    if (!segment.label) return -1;
+    const matches = list.map((item, i) => (getActivityItemLabel(item) === segment.label ? i : -1)).filter(i => i !== -1);
+    return matches.length === 1 ? matches[0] : -1;
+}
+
+// Walks a path; returns undefined as soon as a step is missing
+function resolveActivityPath(root, path) {
+    let node = root;
+    for (const segment of path) {
+        if (Array.isArray(node)) {
+            const index = findActivityItemIndex(node, segment);
+            if (index === -1) return undefined;
+            node = node[index];
+        } else if (isActivityObject(node) && typeof segment === 'string') {
+            node = node[segment];
+        } else {
+            return undefined;
         }
     }
-    return {
-        meta: {
-            app: 'flowbox',
-            version: '1.6.1',
-            exportedAt: new Date().toISOString()
-        },
-        storage
-    };
+    return node;
 }
 
-async function importAllAppDataFromDevice() {
-    try {
-        let file;
-        if (window.showOpenFilePicker) {
-            const [handle] = await window.showOpenFilePicker({
-                multiple: false,
-                types: [{ description: 'Flowbox Data', accept: { 'application/json': ['.json'] } }]
-            });
-            const f = await handle.getFile();
-            file = f;
+function getActivityNoun(base, listName) {
+    if (listName === null) return ACTIVITY_ITEM_NOUNS[base] || 'item';
+    if (ACTIVITY_LIST_NOUNS[listName]) return ACTIVITY_LIST_NOUNS[listName];
+    return humanizeActivityField(listName).replace(/ies$/, 'y').replace(/s$/, '');
+}
+
+function humanizeActivityField(field) {
+    return String(field).replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').toLowerCase();
+}
+
+function capitalizeActivityText(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Names an event from the items its path passes through, e.g. "Node added" with
+// "“Pay” in board “Checkout”"
+function describeActivityEvent(event, feature, afterRoot) {
+    if (!event.path.length && event.type === 'change') {
+        if (event.bulk) return { action: `${feature.label} changed`, detail: `${event.bulk} changes at once` };
+        if (event.before === undefined) return { action: `${feature.label} created`, detail: '' };
+        if (event.after === undefined) return { action: `${feature.label} cleared`, detail: '' };
+    }
+    const trail = [];
+    const fields = [];
+    let node = afterRoot;
+    let listName = null;
+    event.path.forEach(segment => {
+        if (Array.isArray(node)) {
+            const index = findActivityItemIndex(node, segment);
+            const item = index === -1 ? undefined : node[index];
+            trail.push({ noun: getActivityNoun(feature.base, listName), label: getActivityItemLabel(item) || `#${index + 1}` });
+            node = item;
+            fields.length = 0;
         } else {
-            // Fallback input element
-            file = await pickFileViaInput();
-        }
-        if (!file) return;
-        const text = await file.text();
-        const payload = JSON.parse(text);
-        if (!payload || typeof payload !== 'object' || !payload.storage) {
-            alert('Invalid data file.');
-            return;
+            listName = segment;
+            fields.push(humanizeActivityField(segment));
+            node = isActivityObject(node) ? node[segment] : undefined;
         }
+    });
+    const context = trail.slice().reverse().map(t => `${t.noun} “${t.label}”`).join(' in ');
+    if (event.type === 'change') {
+        const field = fields.join(' › ') || 'value';
+        const owner = trail.length ? trail[trail.length - 1].noun : '';
+        return { action: capitalizeActivityText(owner ? `${owner} ${field} changed` : `${field} changed`), detail: context };
+    }
+    const noun = getActivityNoun(feature.base, fields.length ? event.path[event.path.length - 1] : null);
+    const item = event.type === 'remove' ? event.before : event.type === 'add' ? event.after : event.item;
+    const label = getActivityItemLabel(item);
+    const parts = [label ? `“${label}”` : '', event.type === 'move' ? `from position ${event.from + 1} to ${event.index + 1}` : '', context ? `in ${context}` : ''];
+    const verb = { add: 'added', remove: 'removed', move: 'moved' }[event.type];
+    return { action: capitalizeActivityText(`${noun} ${verb}`), detail: parts.filter(Boolean).join(' ') };
+}
 
-        if (!confirm('Import will replace existing Flowbox data for this app. Continue?')) return;
+// Diffs a feature's value against the one last recorded and logs the difference
+function recordActivity(key) {
+    const pending = activityState.pending.get(key);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    activityState.pending.delete(key);
+    const found = getActivityFeature(key);
+    if (!found) return;
+    const before = parseActivityValue(pending.before);
+    const after = parseActivityValue(activityState.values.get(key));
+    let events = diffActivityValues(before, after);
+    if (!events.length) return;
+    if (events.length > ACTIVITY_MAX_EVENTS_PER_SAVE) events = [{ type: 'change', path: [], before, after, bulk: events.length }];
+    const at = new Date().toISOString();
+    const author = loadSettings().profileName || 'You';
+    const entries = events.map(event => ({
+        id: generateId('chg'),
+        at,
+        author,
+        feature: found.feature.file,
+        base: found.feature.base,
+        ...describeActivityEvent(event, found.feature, after),
+        ...event,
+        ...(pending.revertOf ? { revertOf: pending.revertOf } : {})
+    }));
+    saveChanges(trimActivityBulkPayloads([...entries, ...loadChanges(found.projectId)].slice(0, ACTIVITY_LOG_LIMIT)), found.projectId);
+}
 
-        // Clear existing matching keys
-        const keysToRemove = [];
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (!key) continue;
-            if (key === PROJECTS_KEY || key === CURRENT_PROJECT_KEY || key.startsWith(BASE_STORAGE_KEY + ':') ||
-                key.startsWith(BASE_VERSIONS_KEY + ':') || key.startsWith(BASE_CHANGES_KEY + ':') ||
-                key.startsWith(BASE_COVER_KEY + ':') || key.startsWith(BASE_SETTINGS_KEY + ':') ||
-                key.startsWith(BASE_FLOW_KEY + ':') || key.startsWith(BASE_FLOW_VERSIONS_KEY + ':') || key.startsWith(BASE_ACTIVE_TAB_KEY + ':') || key.startsWith(BASE_PERSONAS_KEY + ':') || key.startsWith(BASE_KICKOFF_KEY + ':')) {
-                keysToRemove.push(key);
-            }
-        }
-        keysToRemove.forEach(k => localStorage.removeItem(k));
+function trimActivityBulkPayloads(changes) {
+    let kept = 0;
+    return changes.map(change => {
+        if (!change.bulk || !change.type || ++kept <= ACTIVITY_BULK_REVERT_LIMIT) return change;
+        const summary = { ...change };
+        delete summary.type;
+        delete summary.before;
+        delete summary.after;
+        return summary;
+    });
+}
 
-        // Write imported storage
-        Object.entries(payload.storage).forEach(([k, v]) => {
-            try { localStorage.setItem(k, v); } catch {}
-        });
+// Applies the opposite of an event to the current value. Returns null when the part the
+// event touched has been edited since, so reverting would throw away later work.
+function applyActivityRevert(value, entry) {
+    if (entry.type === 'change') {
+        if (!entry.path.length) return sameCollabValue(value, entry.after) ? { value: entry.before } : null;
+        const parent = resolveActivityPath(value, entry.path.slice(0, -1));
+        const field = entry.path[entry.path.length - 1];
+        if (!isActivityObject(parent) || !sameCollabValue(parent[field], entry.after)) return null;
+        if (entry.before === undefined) delete parent[field];
+        else parent[field] = entry.before;
+        return { value };
+    }
+    const list = resolveActivityPath(value, entry.path);
+    if (!Array.isArray(list)) return null;
+    const locate = (content) => {
+        if (entry.itemKey !== null) return list.findIndex(item => getActivityItemKey(item) === entry.itemKey);
+        if (sameCollabValue(list[entry.index], content)) return entry.index;
+        return list.findIndex(item => sameCollabValue(item, content));
+    };
+    if (entry.type === 'remove') {
+        if (locate(entry.before) !== -1) return null;
+        list.splice(Math.min(entry.index, list.length), 0, entry.before);
+        return { value };
+    }
+    const index = locate(entry.type === 'add' ? entry.after : entry.item);
+    if (index === -1 || (entry.type === 'add' && !sameCollabValue(list[index], entry.after))) return null;
+    const [item] = list.splice(index, 1);
+    if (entry.type === 'move') list.splice(Math.min(entry.from, list.length), 0, item);
+    return { value };
+}
 
-        alert('Data imported. Reloading...');
-        location.reload();
+function revertActivityEntry(projectId, entryId) {
+    const entry = loadChanges(projectId).find(c => c.id === entryId);
+    if (!entry || !entry.type) return false;
+    const key = getScopedKey(entry.base, projectId);
+    // Log edits still waiting for the idle timer first, so the revert is checked against them
+    recordActivity(key);
+    const current = parseActivityValue(appStorage.getRawItem(key));
+    const result = applyActivityRevert(current === undefined ? undefined : JSON.parse(JSON.stringify(current)), entry);
+    if (!result) {
+        showToast('This change was edited again later, so it cannot be reverted on its own.', 'warning', 6000);
+        return false;
+    }
+    try {
+        if (result.value === undefined) appStorage.removeItem(key);
+        else appStorage.setItem(key, JSON.stringify(result.value));
     } catch (err) {
-        console.error('Import failed', err);
-        alert('Failed to load data from device.');
+        reportStorageError(err, [key]);
+        return false;
     }
+    const pending = activityState.pending.get(key);
+    if (pending) pending.revertOf = entry.id;
+    recordActivity(key);
+    saveChanges(loadChanges(projectId).map(c => (c.id === entry.id ? { ...c, revertedAt: new Date().toISOString() } : c)), projectId);
+    if (projectId === getCurrentProjectId()) refreshViewsForKeys(new Set([key]));
+    return true;
 }
 
-function pickFileViaInput() {
-    return new Promise((resolve) => {
-        const input = document.createElement('input');
-        input.type = 'file';
-        input.accept = 'application/json';
-        input.onchange = () => {
-            resolve(input.files && input.files[0] ? input.files[0] : null);
-        };
-        input.click();
-    });
+function formatActivityValue(value) {
+    if (value === undefined || value === null || value === '') return '';
+    if (typeof value === 'string') return value.startsWith(IMAGE_REF_PREFIX) || value.startsWith('data:image/') ? '(image)' : value;
+    if (Array.isArray(value)) return value.map(formatActivityValue).join(', ');
+    if (typeof value === 'object') return getActivityItemLabel(value) || '…';
+    return String(value);
 }
 
-// Expose for inline settings script
-window.flowboxExportAllAppDataToDevice = exportAllAppDataToDevice;
-window.flowboxImportAllAppDataFromDevice = importAllAppDataFromDevice;
+function renderActivityValues(entry) {
+    if (entry.type !== 'change' || !entry.path.length) return '';
+    const before = formatActivityValue(entry.before);
+    const after = formatActivityValue(entry.after);
+    const images = [entry.before, entry.after].some(v => formatActivityValue(v) === '(image)');
+    const html = typeof entry.before === 'string' && typeof entry.after === 'string' && !images
+        ? renderWordDiff(before, after)
+        : `${before ? `<del class="jv-del">${escapeHtml(before)}</del>` : ''} ${after ? `<ins class="jv-ins">${escapeHtml(after)}</ins>` : ''}`;
+    return `<div class="al-values">${html}</div>`;
+}
+
+function openActivityLogDialog(projectId = getCurrentProjectId()) {
+    const existing = document.getElementById('activityLogModal');
+    if (existing) existing.remove();
+    const project = loadProjects().find(p => p.id === projectId);
+    const labels = new Map(FLOWBOX_ARCHIVE_FEATURES.map(f => [f.file, f.label]));
+    document.body.insertAdjacentHTML('beforeend', `
+        <div class="modal show" id="activityLogModal">
+            <div class="modal-content al-modal">
+                <div class="modal-header">
+                    <h3>Activity</h3>
+                    <button class="close-btn" data-action="close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p class="al-hint">Every edit to <strong>${escapeHtml(project ? project.name : '')}</strong>, newest first. Revert undoes one change and leaves later edits alone.</p>
+                    <div class="al-filters">
+                        <input type="search" placeholder="Search activity" aria-label="Search activity">
+                        <select aria-label="Feature">
+                            <option value="">All features</option>
+                            ${ACTIVITY_FEATURES.map(f => `<option value="${escapeHtml(f.file)}">${escapeHtml(f.label)}</option>`).join('')}
+                        </select>
+                    </div>
+                    <ol class="al-list"></ol>
+                    <button type="button" class="btn btn-secondary al-more" hidden>Show more</button>
+                </div>
+                <div class="modal-footer">
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary" data-action="close">Close</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `);
+    const modal = document.getElementById('activityLogModal');
+    const list = modal.querySelector('.al-list');
+    const search = modal.querySelector('.al-filters input');
+    const filter = modal.querySelector('.al-filters select');
+    const more = modal.querySelector('.al-more');
+    const closeModal = () => modal.remove();
+    let shown = ACTIVITY_PAGE_SIZE;
+
+    const render = () => {
+        // Pending edits would otherwise be missing from the list
+        [...activityState.pending.keys()].forEach(key => {
+            const found = getActivityFeature(key);
+            if (found && found.projectId === projectId) recordActivity(key);
+        });
+        const terms = search.value.trim().toLowerCase().split(/\s+/).filter(Boolean);
+        const matches = loadChanges(projectId).filter(entry => {
+            if (filter.value && entry.feature !== filter.value) return false;
+            const text = [entry.action, entry.detail, labels.get(entry.feature), entry.author, formatActivityValue(entry.before), formatActivityValue(entry.after)].join(' ').toLowerCase();
+            return terms.every(term => text.includes(term));
+        });
+        list.innerHTML = matches.length ? '' : `<li class="feature-empty-note">${terms.length || filter.value ? 'No matching activity.' : 'No activity yet.'}</li>`;
+        matches.slice(0, shown).forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'al-item' + (entry.revertedAt ? ' reverted' : '');
+            const meta = [labels.get(entry.feature), entry.author, new Date(entry.at).toLocaleString()].filter(Boolean);
+            if (entry.revertOf) meta.push('Revert');
+            if (entry.revertedAt) meta.push(`Reverted ${new Date(entry.revertedAt).toLocaleString()}`);
+            item.innerHTML = `
+                <div class="al-item-main">
+                    <h4>${escapeHtml(entry.action || 'Change')}</h4>
+                    ${entry.detail ? `<p class="al-detail">${escapeHtml(entry.detail)}</p>` : ''}
+                    ${renderActivityValues(entry)}
+                    <p class="al-meta">${escapeHtml(meta.join(' · '))}</p>
+                </div>
+                ${entry.type ? `<button type="button" class="btn btn-secondary" data-action="revert"${entry.revertedAt ? ' disabled' : ''}>Revert</button>` : ''}
+            `;
+            const revert = item.querySelector('[data-action="revert"]');
+            if (revert) revert.addEventListener('click', () => {
+                if (revertActivityEntry(projectId, entry.id)) {
+                    showToast(`Reverted “${escapeHtml(entry.action)}”.`, 'success');
+                    render();
+                }
+            });
+            list.appendChild(item);
+        });
+        more.hidden = matches.length <= shown;
+    };
+
+    search.addEventListener('input', () => { shown = ACTIVITY_PAGE_SIZE; render(); });
+    filter.addEventListener('change', () => { shown = ACTIVITY_PAGE_SIZE; render(); });
+    more.addEventListener('click', () => { shown += ACTIVITY_PAGE_SIZE; render(); });
+    modal.querySelectorAll('[data-action="close"]').forEach(btn => btn.addEventListener('click', closeModal));
+    modal.addEventListener('click', (e) => { if (e.target === modal) closeModal(); });
+    render();
+    search.focus();
+}
+
+(async function setupActivityLog() {
+    try {
+        await appStorage.ready;
+        appStorage.keys().forEach(key => {
+            if (getActivityFeature(key)) activityState.values.set(key, appStorage.getRawItem(key));
+        });
+        appStorage.onChange((key, origin) => {
+            if (!getActivityFeature(key)) return;
+            const raw = appStorage.getRawItem(key);
+            // Other tabs and collaborators log their own edits; pulls bring in edits made elsewhere
+            if (origin.fromOtherTab || collabSession.applying || syncServerApplying || folderSyncApplying) {
+                recordActivity(key);
+                activityState.values.set(key, raw);
+                return;
+            }
+            let pending = activityState.pending.get(key);
+            if (!pending) {
+                pending = { before: activityState.values.has(key) ? activityState.values.get(key) : null, timer: null, revertOf: null };
+                activityState.pending.set(key, pending);
+            }
+            activityState.values.set(key, raw);
+            clearTimeout(pending.timer);
+            pending.timer = setTimeout(() => recordActivity(key), ACTIVITY_IDLE_MS);
+        });
+        window.addEventListener('pagehide', () => {
+            [...activityState.pending.keys()].forEach(recordActivity);
+            appStorage.flush().catch(() => {});
+        });
+    } catch (err) {
+        console.warn('Activity log unavailable:', err);
+    }
+})();
 
 // Prompt SW to activate immediately on updates and reload
 if ('serviceWorker' in navigator) {
@@ -517,7 +7450,7 @@ function generateId(prefix = 'p') {
 
 function loadProjects() {
     try {
-        const raw = localStorage.getItem(PROJECTS_KEY);
+        const raw = appStorage.getItem(PROJECTS_KEY);
         const list = raw ? JSON.parse(raw) : [];
         return Array.isArray(list) ? list : [];
     } catch {
@@ -527,17 +7460,17 @@ function loadProjects() {
 
 function saveProjects(projects) {
     try {
-        localStorage.setItem(PROJECTS_KEY, JSON.stringify(projects || []));
+        appStorage.setItem(PROJECTS_KEY, JSON.stringify(projects || []));
         updateStorageUsage();
-    } catch {}
+    } catch (err) { reportStorageError(err); }
 }
 
 function getCurrentProjectId() {
-    return localStorage.getItem(CURRENT_PROJECT_KEY) || '';
+    return appStorage.getItem(CURRENT_PROJECT_KEY) || '';
 }
 
 function setCurrentProjectId(projectId) {
-    if (projectId) localStorage.setItem(CURRENT_PROJECT_KEY, projectId);
+    if (projectId) appStorage.setItem(CURRENT_PROJECT_KEY, projectId);
 }
 
 function ensureProjectsInitialized() {
@@ -549,15 +7482,15 @@ function ensureProjectsInitialized() {
         saveProjects(projects);
         setCurrentProjectId(id);
         // initialize default journey data for first project
-        localStorage.setItem(getScopedKey(BASE_STORAGE_KEY, id), JSON.stringify([]));
+        appStorage.setItem(getScopedKey(BASE_STORAGE_KEY, id), JSON.stringify([]));
         // initialize default cover data for first project
-        localStorage.setItem(getScopedKey(BASE_COVER_KEY, id), JSON.stringify({ image: '', title: '', description: '' }));
+        appStorage.setItem(getScopedKey(BASE_COVER_KEY, id), JSON.stringify({ image: '', title: '', description: '' }));
         // initialize default flow data for first project
-        localStorage.setItem(getScopedKey(BASE_FLOW_KEY, id), JSON.stringify({ nodes: [], sections: [], title: 'Flow 1' }));
+        appStorage.setItem(getScopedKey(BASE_FLOW_KEY, id), JSON.stringify({ nodes: [], sections: [], title: 'Flow 1' }));
         // initialize default personas data (empty array for true empty state)
-        localStorage.setItem(getScopedKey(BASE_PERSONAS_KEY, id), JSON.stringify([]));
+        appStorage.setItem(getScopedKey(BASE_PERSONAS_KEY, id), JSON.stringify([]));
         // initialize default kickoff data
-        localStorage.setItem(getScopedKey(BASE_KICKOFF_KEY, id), JSON.stringify(getDefaultKickoffData()));
+        appStorage.setItem(getScopedKey(BASE_KICKOFF_KEY, id), JSON.stringify(getDefaultKickoffData()));
     } else if (!getCurrentProjectId()) {
         setCurrentProjectId(projects[0].id);
     }
@@ -601,13 +7534,13 @@ function createDefaultPersonaBoard() {
 function loadPersonaBoards() {
     try {
         // Prefer project-scoped key; if missing, migrate from legacy unscoped key
-        let data = localStorage.getItem(getScopedKey(BASE_PERSONAS_KEY));
+        let data = appStorage.getItem(getScopedKey(BASE_PERSONAS_KEY));
         if (!data) {
-            const legacy = localStorage.getItem(BASE_PERSONAS_KEY);
+            const legacy = appStorage.getItem(BASE_PERSONAS_KEY);
             if (legacy) {
                 try {
                     // Migrate legacy unscoped personas into current project scope
-                    localStorage.setItem(getScopedKey(BASE_PERSONAS_KEY), legacy);
+                    appStorage.setItem(getScopedKey(BASE_PERSONAS_KEY), legacy);
                     data = legacy;
                     console.log('Migrated legacy personas to project-scoped storage');
                 } catch (e) {
@@ -667,7 +7600,7 @@ function loadPersonas() {
 function savePersonaBoards(boards) {
     try {
         const data = JSON.stringify(boards || []);
-        localStorage.setItem(getScopedKey(BASE_PERSONAS_KEY), data);
+        appStorage.setItem(getScopedKey(BASE_PERSONAS_KEY), data);
         updateStorageUsage();
         return true;
     } catch (error) {
@@ -694,7 +7627,7 @@ function savePersonas(personas) {
 
 function getSelectedPersonaId() {
     try {
-        return localStorage.getItem(getScopedKey('selectedPersonaId')) || null;
+        return appStorage.getItem(getScopedKey('selectedPersonaId')) || null;
     } catch {
         return null;
     }
@@ -702,7 +7635,7 @@ function getSelectedPersonaId() {
 
 function getSelectedPersonaBoardId() {
     try {
-        return localStorage.getItem(getScopedKey('selectedPersonaBoardId')) || null;
+        return appStorage.getItem(getScopedKey('selectedPersonaBoardId')) || null;
     } catch {
         return null;
     }
@@ -710,7 +7643,7 @@ function getSelectedPersonaBoardId() {
 
 function setSelectedPersonaBoardId(boardId) {
     try {
-        localStorage.setItem(getScopedKey('selectedPersonaBoardId'), boardId);
+        appStorage.setItem(getScopedKey('selectedPersonaBoardId'), boardId);
         return true;
     } catch {
         return false;
@@ -782,9 +7715,9 @@ function getCurrentPersonaBoard() {
 function setSelectedPersonaId(personaId) {
     try {
         if (personaId) {
-            localStorage.setItem(getScopedKey('selectedPersonaId'), personaId);
+            appStorage.setItem(getScopedKey('selectedPersonaId'), personaId);
         } else {
-            localStorage.removeItem(getScopedKey('selectedPersonaId'));
+            appStorage.removeItem(getScopedKey('selectedPersonaId'));
         }
     } catch (error) {
         console.error('Error setting selected persona ID:', error);
@@ -1097,7 +8030,7 @@ function renderInformationHierarchyEmptyState() {
     const btn = document.getElementById('ihCreateActionBtn');
     if (btn) {
         btn.addEventListener('click', () => {
-            try { localStorage.removeItem(getScopedKey('ihData')); } catch {}
+            try { appStorage.removeItem(getScopedKey('ihData')); } catch {}
             renderInformationHierarchyInterface();
             showSuccessToast('Information Hierarchy created');
         });
@@ -1150,63 +8083,6 @@ function renderInformationHierarchyInterface() {
         }
     } catch {}
 
-    // Minimal IndexedDB key-value helpers for robust persistence
-    async function ihOpenDb() {
-        return await new Promise((resolve, reject) => {
-            try {
-                const req = indexedDB.open('flowbox-db', 1);
-                req.onupgradeneeded = () => {
-                    const db = req.result;
-                    if (!db.objectStoreNames.contains('kv')) db.createObjectStore('kv', { keyPath: 'k' });
-                };
-                req.onsuccess = () => resolve(req.result);
-                req.onerror = () => reject(req.error);
-            } catch (e) { reject(e); }
-        });
-    }
-
-    async function ihIdbSet(key, value) {
-        try {
-            const db = await ihOpenDb();
-            await new Promise((resolve, reject) => {
-                const tx = db.transaction('kv', 'readwrite');
-                tx.oncomplete = () => resolve();
-                tx.onerror = () => reject(tx.error);
-                tx.objectStore('kv').put({ k: key, v: value, t: Date.now() });
-            });
-            try { db.close(); } catch {}
-        } catch {}
-    }
-
-    async function ihIdbGet(key) {
-        try {
-            const db = await ihOpenDb();
-            const result = await new Promise((resolve, reject) => {
-                const tx = db.transaction('kv', 'readonly');
-                tx.oncomplete = () => {};
-                tx.onerror = () => reject(tx.error);
-                const req = tx.objectStore('kv').get(key);
-                req.onsuccess = () => resolve(req.result || null);
-                req.onerror = () => reject(req.error);
-            });
-            try { db.close(); } catch {}
-            return result;
-        } catch { return null; }
-    }
-
-    async function ihIdbDelete(key) {
-        try {
-            const db = await ihOpenDb();
-            await new Promise((resolve, reject) => {
-                const tx = db.transaction('kv', 'readwrite');
-                tx.oncomplete = () => resolve();
-                tx.onerror = () => reject(tx.error);
-                tx.objectStore('kv').delete(key);
-            });
-            try { db.close(); } catch {}
-        } catch {}
-    }
-
     const state = { nodes: [], edges: [], boardName: 'Board 1' };
     let selectedNodeId = null;
     let selectedNodeIds = new Set();
@@ -1294,54 +8170,28 @@ function renderInformationHierarchyInterface() {
     function save() {
         try {
             state.updatedAt = Date.now();
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+            appStorage.setItem(STORAGE_KEY, JSON.stringify(state));
             updateStorageUsage();
-        } catch {}
-        // Fire-and-forget durable save
-        ihIdbSet(STORAGE_KEY, state);
+        } catch (err) {
+            reportStorageError(err);
+            return;
+        }
         showSuccessToast('Information Hierarchy saved');
     }
     function load() {
-        let loaded = false;
         try {
-            const raw = localStorage.getItem(STORAGE_KEY);
-            if (raw) {
-                const data = JSON.parse(raw);
-                if (data && Array.isArray(data.nodes)) {
-                    state.nodes = data.nodes;
-                    state.edges = Array.isArray(data.edges) ? data.edges : [];
-                    if (typeof data.boardName === 'string' && data.boardName.trim()) {
-                        state.boardName = data.boardName;
-                    }
-                    state.updatedAt = data.updatedAt || Date.now();
-                    loaded = true;
-                }
-            }
-        } catch {}
-        // Async check IndexedDB for fresher data or migration
-        ihIdbGet(STORAGE_KEY).then((rec) => {
-            const data = rec && (rec.v || rec); // handle potential structure
+            const raw = appStorage.getItem(STORAGE_KEY);
+            if (!raw) return;
+            const data = JSON.parse(raw);
             if (data && Array.isArray(data.nodes)) {
-                const idbTime = data.updatedAt || rec.t || 0;
-                const localTime = (loaded && state && state.updatedAt) ? state.updatedAt : 0;
-                if (!loaded || idbTime > localTime) {
-                    state.nodes = data.nodes;
-                    state.edges = Array.isArray(data.edges) ? data.edges : [];
-                    if (typeof data.boardName === 'string' && data.boardName.trim()) {
-                        state.boardName = data.boardName;
-                    }
-                    state.updatedAt = idbTime || Date.now();
-                    renderAll();
-                    applyBoardName();
-                } else {
-                    // keep IndexedDB in sync if localStorage was newer
-                    ihIdbSet(STORAGE_KEY, state);
+                state.nodes = data.nodes;
+                state.edges = Array.isArray(data.edges) ? data.edges : [];
+                if (typeof data.boardName === 'string' && data.boardName.trim()) {
+                    state.boardName = data.boardName;
                 }
-            } else if (loaded) {
-                // migrate localStorage -> IndexedDB if IDB empty
-                ihIdbSet(STORAGE_KEY, state);
+                state.updatedAt = data.updatedAt || Date.now();
             }
-        }).catch(() => {});
+        } catch {}
     }
 
     // Render helpers
@@ -1877,8 +8727,7 @@ function renderInformationHierarchyInterface() {
     if (deleteBtn) {
         deleteBtn.addEventListener('click', () => {
             if (!confirm('Delete this board? This cannot be undone.')) return;
-            try { localStorage.removeItem(STORAGE_KEY); } catch {}
-            ihIdbDelete(STORAGE_KEY);
+            try { appStorage.removeItem(STORAGE_KEY); } catch {}
             renderInformationHierarchyEmptyState();
             showSuccessToast('Information Hierarchy deleted');
         });
@@ -2128,6 +8977,13 @@ function renderInformationHierarchyInterface() {
         scheduleSave();
     }
 
+    // Lets live collaboration swap in remote edits without rebuilding the board
+    window.reloadInformationHierarchy = () => {
+        load();
+        applyBoardName();
+        renderAll();
+    };
+
     // Load and render
     load();
     applyBoardName();
@@ -2760,6 +9616,242 @@ function debounce(func, wait) {
         timeout = setTimeout(later, wait);
     };
 }
+
+// Debounces a save that takes a mutation callback. Plain debounce keeps only the last call's
+// arguments, which would drop edits made to other fields within the wait; this applies every
+// queued mutation, in order, when it fires.
+function debounceMutations(apply, wait) {
+    let queue = [];
+    const flush = debounce(() => {
+        const mutations = queue;
+        queue = [];
+        apply((...args) => mutations.forEach(mutate => mutate(...args)));
+    }, wait);
+    return (mutate) => {
+        queue.push(mutate);
+        flush();
+    };
+}
+
+// Escape user-entered text before interpolating it into innerHTML templates
+function escapeHtml(value) {
+    return String(value == null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Only http(s) URLs become links; anything else (javascript:, data:) from typed or imported
+// data is shown as plain text
+function isSafeLinkUrl(url) {
+    return /^https?:\/\//i.test(String(url || '').trim());
+}
+
+// Image sources in stored or imported data must be inline images, stored image references or
+// http(s) URLs; anything else is dropped before it reaches an <img src>
+function isSafeImageSrc(src) {
+    return typeof src === 'string' && (/^data:image\//i.test(src) || src.startsWith(IMAGE_REF_PREFIX) || isSafeLinkUrl(src));
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Capture a DOM element with html2canvas and download it as PNG or JPEG
+async function exportElementAsImage(element, fileBase, format = 'png') {
+    if (!element) { alert('Nothing to export.'); return; }
+    if (typeof html2canvas === 'undefined') {
+        alert('Image export not available. Please ensure html2canvas library is loaded.');
+        return;
+    }
+    try {
+        const canvas = await html2canvas(element, {
+            backgroundColor: '#ffffff',
+            scale: 2,
+            useCORS: true,
+            allowTaint: true,
+            logging: false,
+            width: element.scrollWidth,
+            height: element.scrollHeight
+        });
+        const mime = format === 'jpeg' ? 'image/jpeg' : 'image/png';
+        const ext = format === 'jpeg' ? 'jpg' : 'png';
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, mime, 0.92));
+        downloadBlob(blob, `${fileBase}-${new Date().toISOString().split('T')[0]}.${ext}`);
+        showSuccessToast(`Exported as ${format.toUpperCase()}`);
+    } catch (error) {
+        console.error(`Error generating ${format.toUpperCase()}:`, error);
+        alert(`Error generating ${format.toUpperCase()}. Please try again.`);
+    }
+}
+
+// Capture a DOM element and paginate it onto A4 pages with jsPDF
+async function exportElementAsPDF(element, fileBase, orientation = 'p') {
+    if (!element) { alert('Nothing to export.'); return; }
+    if (typeof html2canvas === 'undefined' || typeof window.jspdf === 'undefined') {
+        alert('PDF export not available. Please ensure html2canvas and jsPDF libraries are loaded.');
+        return;
+    }
+    try {
+        const canvas = await html2canvas(element, {
+            backgroundColor: '#ffffff',
+            scale: 2,
+            useCORS: true,
+            allowTaint: true,
+            logging: false
+        });
+        const imgData = canvas.toDataURL('image/png');
+        const { jsPDF } = window.jspdf;
+        const pdf = new jsPDF(orientation, 'mm', 'a4');
+        const pageWidth = pdf.internal.pageSize.getWidth();
+        const pageHeight = pdf.internal.pageSize.getHeight();
+        const imgHeight = (canvas.height * pageWidth) / canvas.width;
+        let heightLeft = imgHeight;
+        let position = 0;
+
+        pdf.addImage(imgData, 'PNG', 0, position, pageWidth, imgHeight);
+        heightLeft -= pageHeight;
+        while (heightLeft > 0) {
+            position = heightLeft - imgHeight;
+            pdf.addPage();
+            pdf.addImage(imgData, 'PNG', 0, position, pageWidth, imgHeight);
+            heightLeft -= pageHeight;
+        }
+        pdf.save(`${fileBase}-${new Date().toISOString().split('T')[0]}.pdf`);
+        showSuccessToast('Exported as PDF');
+    } catch (error) {
+        console.error('Error generating PDF:', error);
+        alert('Error generating PDF. Please try again.');
+    }
+}
+
+// Generic history modal for feature versions stored in loadVersions() with a `type` tag
+function showVersionHistoryModal({ title, versions, describe, onLoad, onDelete }) {
+    const existing = document.getElementById('featureHistoryModal');
+    if (existing) existing.remove();
+    document.body.insertAdjacentHTML('beforeend', `
+        <div class="modal show" id="featureHistoryModal">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>${escapeHtml(title)}</h3>
+                    <button class="close-btn" data-action="close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="feature-versions-list"></div>
+                </div>
+                <div class="modal-footer">
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary" data-action="close">Close</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `);
+    const modal = document.getElementById('featureHistoryModal');
+    const list = modal.querySelector('.feature-versions-list');
+    const closeModal = () => modal.remove();
+
+    if (!versions.length) {
+        list.innerHTML = '<p class="feature-empty-note">No saved versions yet.</p>';
+    }
+    versions.forEach(version => {
+        const item = document.createElement('div');
+        item.className = 'version-item feature-version-item';
+        item.innerHTML = `
+            <div>
+                <h4>${escapeHtml(version.name || 'Version')}</h4>
+                <p>${new Date(version.timestamp || version.at).toLocaleString()}</p>
+                ${describe ? `<p class="feature-version-meta">${escapeHtml(describe(version))}</p>` : ''}
+            </div>
+            <div class="feature-version-actions">
+                <button class="btn btn-secondary" data-action="load">Load</button>
+                <button class="btn btn-secondary danger" data-action="delete">Delete</button>
+            </div>
+        `;
+        item.querySelector('[data-action="load"]').addEventListener('click', () => {
+            onLoad(version);
+            closeModal();
+        });
+        item.querySelector('[data-action="delete"]').addEventListener('click', () => {
+            if (!confirm('Delete this saved version? This cannot be undone.')) return;
+            onDelete(version);
+            item.remove();
+        });
+        list.appendChild(item);
+    });
+
+    modal.querySelectorAll('[data-action="close"]').forEach(btn => btn.addEventListener('click', closeModal));
+    modal.addEventListener('click', (e) => { if (e.target === modal) closeModal(); });
+}
+
+// Wire the shared content navbar for a feature view. Buttons without a handler are hidden.
+function bindFeatureNavbar({ addBtnId, onAdd, onSaveVersion, onHistory, onImport, onExport, exportFormats }) {
+    const nav = document.getElementById('contentNavMount');
+    if (!nav) return;
+    const addBtn = addBtnId ? document.getElementById(addBtnId) : null;
+    const saveBtn = document.getElementById('saveVersionBtn');
+    const historyBtn = document.getElementById('historyBtn');
+    const importBtn = document.getElementById('importCsvBtn');
+    const dropdown = nav.querySelector('.export-dropdown');
+    const exportBtn = document.getElementById('exportBtn');
+    // Navbar is re-rendered on every tab switch, so guard against double binding
+    const navBar = nav.firstElementChild;
+    if (!navBar || navBar.dataset.bound) return;
+    navBar.dataset.bound = 'true';
+
+    const wire = (btn, handler) => {
+        if (!btn) return;
+        if (typeof handler === 'function') btn.addEventListener('click', () => handler());
+        else btn.style.display = 'none';
+    };
+    wire(addBtn, onAdd);
+    wire(saveBtn, onSaveVersion);
+    wire(historyBtn, onHistory);
+    wire(importBtn, onImport);
+    if (exportBtn && dropdown) {
+        if (typeof onExport !== 'function') { dropdown.style.display = 'none'; return; }
+        exportBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            dropdown.classList.toggle('active');
+        });
+        dropdown.querySelectorAll('.export-option').forEach(option => {
+            const format = option.getAttribute('data-format');
+            if (Array.isArray(exportFormats) && !exportFormats.includes(format)) {
+                option.style.display = 'none';
+                return;
+            }
+            option.addEventListener('click', (e) => {
+                e.stopPropagation();
+                dropdown.classList.remove('active');
+                onExport(format);
+            });
+        });
+        bindFeatureExportDropdownClose();
+    }
+}
+
+// The navbar is re-rendered on every tab switch, so one document listener closes whichever
+// export dropdown is open instead of one listener per render
+function bindFeatureExportDropdownClose() {
+    if (bindFeatureExportDropdownClose.bound) return;
+    bindFeatureExportDropdownClose.bound = true;
+    document.addEventListener('click', (e) => {
+        document.querySelectorAll('#contentNavMount .export-dropdown.active').forEach(dropdown => {
+            if (!dropdown.contains(e.target)) dropdown.classList.remove('active');
+        });
+    });
+}
+
 // Toast notification system
 function showToast(message, type = 'info', duration = 3000) {
     // Remove existing toasts
@@ -3955,7 +11047,7 @@ function ensureFlowDataStructure(data) {
 
 function loadFlowData() {
     try {
-        const data = localStorage.getItem(getScopedKey(BASE_FLOW_KEY));
+        const data = appStorage.getItem(getScopedKey(BASE_FLOW_KEY));
         if (!data) return ensureFlowDataStructure(null);
         
         const parsed = JSON.parse(data);
@@ -3968,7 +11060,7 @@ function loadFlowData() {
 
 function loadFlowBoards(key = BASE_FLOW_KEY) {
     try {
-        const raw = localStorage.getItem(getScopedKey(key));
+        const raw = appStorage.getItem(getScopedKey(key));
         const parsed = raw ? JSON.parse(raw) : [];
         
         if (Array.isArray(parsed)) {
@@ -3981,17 +11073,17 @@ function loadFlowBoards(key = BASE_FLOW_KEY) {
 function saveFlowData(data) {
     try {
         const payload = ensureFlowDataStructure(data);
-        localStorage.setItem(getScopedKey(BASE_FLOW_KEY), JSON.stringify(payload));
+        appStorage.setItem(getScopedKey(BASE_FLOW_KEY), JSON.stringify(payload));
         updateStorageUsage();
-    } catch {}
+    } catch (err) { reportStorageError(err); }
 }
 
 function saveFlowBoards(boards, key = BASE_FLOW_KEY) {
     try {
         const payload = Array.isArray(boards) ? boards : [boards];
-        localStorage.setItem(getScopedKey(key), JSON.stringify(payload));
+        appStorage.setItem(getScopedKey(key), JSON.stringify(payload));
         updateStorageUsage();
-    } catch {}
+    } catch (err) { reportStorageError(err); }
 }
 
 function appendExtraPersonaCard(container, persona) {
@@ -4165,7 +11257,7 @@ function ensureFlowDataStructure(data) {
 
 function loadFlowData() {
     try {
-        const data = localStorage.getItem(getScopedKey(BASE_FLOW_KEY));
+        const data = appStorage.getItem(getScopedKey(BASE_FLOW_KEY));
         if (!data) return ensureFlowDataStructure(null);
         
         const parsed = JSON.parse(data);
@@ -4178,7 +11270,7 @@ function loadFlowData() {
 
 function loadFlowBoards(key = BASE_FLOW_KEY) {
     try {
-        const raw = localStorage.getItem(getScopedKey(key));
+        const raw = appStorage.getItem(getScopedKey(key));
         const parsed = raw ? JSON.parse(raw) : [];
         
         if (Array.isArray(parsed)) {
@@ -4191,9 +11283,9 @@ function loadFlowBoards(key = BASE_FLOW_KEY) {
 function saveFlowData(data) {
     try {
         const payload = ensureFlowDataStructure(data);
-        localStorage.setItem(getScopedKey(BASE_FLOW_KEY), JSON.stringify(payload));
+        appStorage.setItem(getScopedKey(BASE_FLOW_KEY), JSON.stringify(payload));
         updateStorageUsage();
-    } catch {}
+    } catch (err) { reportStorageError(err); }
 }
 
 // Removed duplicate function - using the first implementation
@@ -4219,7 +11311,7 @@ function ensureFlowDataStructure(data) {
 }
 function loadFlowData() {
     try {
-        const data = localStorage.getItem(getScopedKey(BASE_FLOW_KEY));
+        const data = appStorage.getItem(getScopedKey(BASE_FLOW_KEY));
         if (!data) return ensureFlowDataStructure(null);
         
         const parsed = JSON.parse(data);
@@ -4232,7 +11324,7 @@ function loadFlowData() {
 
 function loadFlowBoards(key = BASE_FLOW_KEY) {
     try {
-        const raw = localStorage.getItem(getScopedKey(key));
+        const raw = appStorage.getItem(getScopedKey(key));
         const parsed = raw ? JSON.parse(raw) : [];
         
         if (Array.isArray(parsed)) {
@@ -4245,9 +11337,9 @@ function loadFlowBoards(key = BASE_FLOW_KEY) {
 function saveFlowData(data) {
     try {
         const payload = ensureFlowDataStructure(data);
-        localStorage.setItem(getScopedKey(BASE_FLOW_KEY), JSON.stringify(payload));
+        appStorage.setItem(getScopedKey(BASE_FLOW_KEY), JSON.stringify(payload));
         updateStorageUsage();
-    } catch {}
+    } catch (err) { reportStorageError(err); }
 }
 
 // Removed duplicate function - using the first implementation
@@ -4265,6 +11357,8 @@ function getCurrentFlowType() {
 
 function ensureFlowDataStructure(data) {
     return {
+        // Boards keep a stable id so live collaboration can match them across devices
+        ...(typeof data?.id === 'string' && data.id ? { id: data.id } : {}),
         nodes: Array.isArray(data?.nodes) ? data.nodes : [],
         edges: Array.isArray(data?.edges) ? data.edges : [],
         sections: Array.isArray(data?.sections) ? data.sections : [],
@@ -4277,7 +11371,7 @@ function ensureFlowDataStructure(data) {
 
 function loadFlowData() {
     try {
-        const raw = localStorage.getItem(getScopedKey(BASE_FLOW_KEY));
+        const raw = appStorage.getItem(getScopedKey(BASE_FLOW_KEY));
         const parsed = raw ? JSON.parse(raw) : null;
         const data = ensureFlowDataStructure(parsed);
         
@@ -4294,7 +11388,7 @@ function loadFlowBoards() {
     const key = flowType === 'as-is' ? 'jmAsIsFlow_boards' : 'jmToBeFlow_boards';
     
     try {
-        const raw = localStorage.getItem(getScopedKey(key));
+        const raw = appStorage.getItem(getScopedKey(key));
         const parsed = raw ? JSON.parse(raw) : null;
         if (Array.isArray(parsed)) {
             return parsed.map(board => ensureFlowDataStructure(board));
@@ -4306,9 +11400,9 @@ function loadFlowBoards() {
 function saveFlowData(data) {
     try {
         const payload = ensureFlowDataStructure(data);
-        localStorage.setItem(getScopedKey(BASE_FLOW_KEY), JSON.stringify(payload));
+        appStorage.setItem(getScopedKey(BASE_FLOW_KEY), JSON.stringify(payload));
         updateStorageUsage();
-    } catch {}
+    } catch (err) { reportStorageError(err); }
 }
 
 function saveFlowBoards(boards) {
@@ -4317,9 +11411,9 @@ function saveFlowBoards(boards) {
     
     try {
         const payload = Array.isArray(boards) ? boards.map(board => ensureFlowDataStructure(board)) : [];
-        localStorage.setItem(getScopedKey(key), JSON.stringify(payload));
+        appStorage.setItem(getScopedKey(key), JSON.stringify(payload));
         updateStorageUsage();
-    } catch {}
+    } catch (err) { reportStorageError(err); }
 }
 // Make flow data functions globally available
 window.loadFlowData = loadFlowData;
@@ -4331,7 +11425,7 @@ window.saveFlowBoards = saveFlowBoards;
 
 function loadSettings() {
     try {
-        const raw = localStorage.getItem(getScopedKey(BASE_SETTINGS_KEY));
+        const raw = appStorage.getItem(getScopedKey(BASE_SETTINGS_KEY));
         return raw ? JSON.parse(raw) : { statusActive: false, profileName: 'You' };
     } catch {
         return { statusActive: false, profileName: 'You' };
@@ -4342,10 +11436,10 @@ function saveSettings(settings) {
     try {
         const current = loadSettings();
         const merged = { ...current, ...(settings || {}) };
-        localStorage.setItem(getScopedKey(BASE_SETTINGS_KEY), JSON.stringify(merged));
+        appStorage.setItem(getScopedKey(BASE_SETTINGS_KEY), JSON.stringify(merged));
         updateStorageUsage();
         renderSidebarBottom();
-    } catch {}
+    } catch (err) { reportStorageError(err); }
 }
 function getDefaultCoverData() {
     return { 
@@ -4359,7 +11453,7 @@ function getDefaultCoverData() {
 
 function loadCoverData() {
     try {
-        const raw = localStorage.getItem(getScopedKey(BASE_COVER_KEY));
+        const raw = appStorage.getItem(getScopedKey(BASE_COVER_KEY));
         if (!raw) return getDefaultCoverData();
         const parsed = JSON.parse(raw);
         return {
@@ -4370,27 +11464,81 @@ function loadCoverData() {
             lightOverlay: typeof parsed?.lightOverlay === 'boolean' ? parsed.lightOverlay : false
         };
     } catch {
-        return getDefaultCoverData();
+        return getDefaultCoverData();
+    }
+}
+
+function saveCoverData(data) {
+    try {
+        const payload = {
+            image: typeof data?.image === 'string' ? data.image : '',
+            title: typeof data?.title === 'string' ? data.title : '',
+            description: typeof data?.description === 'string' ? data.description : '',
+            blur: typeof data?.blur === 'number' ? data.blur : 0,
+            lightOverlay: typeof data?.lightOverlay === 'boolean' ? data.lightOverlay : false
+        };
+        appStorage.setItem(getScopedKey(BASE_COVER_KEY), JSON.stringify(payload));
+        updateStorageUsage();
+    } catch (err) { reportStorageError(err); }
+}
+
+// Moods ordered from worst to best, used for pain points and to-be deltas
+const JOURNEY_MOOD_RANK = { angry: 0, sad: 1, neutral: 2, happy: 3 };
+
+function getJourneyMoodRank(mood) {
+    return mood in JOURNEY_MOOD_RANK ? JOURNEY_MOOD_RANK[mood] : JOURNEY_MOOD_RANK.neutral;
+}
+
+// The journey editor works on either the as-is map or the to-be map of the
+// current project; the TOC switches the variant before rendering.
+let currentJourneyVariant = 'as-is';
+
+function getJourneyStorageBase(variant = currentJourneyVariant) {
+    return variant === 'to-be' ? BASE_TOBE_JOURNEY_KEY : BASE_STORAGE_KEY;
+}
+
+function setJourneyVariant(variant) {
+    if (variant === currentJourneyVariant) return;
+    currentJourneyVariant = variant;
+    if (window.journey) {
+        window.journey.journeyData = loadJourneyData();
+        window.journey.renderJourneyMap();
+    }
+}
+
+// Drafts are parallel copies of a journey map branched from a saved version. While a draft
+// is open, the journey editor reads and writes it instead of the main line.
+const openJourneyDrafts = { 'as-is': null, 'to-be': null };
+
+function loadJourneyDrafts() {
+    try {
+        const list = JSON.parse(appStorage.getItem(getScopedKey(BASE_JOURNEY_DRAFTS_KEY)) || '[]');
+        return Array.isArray(list) ? list : [];
+    } catch {
+        return [];
     }
 }
 
-function saveCoverData(data) {
+function saveJourneyDrafts(drafts) {
     try {
-        const payload = {
-            image: typeof data?.image === 'string' ? data.image : '',
-            title: typeof data?.title === 'string' ? data.title : '',
-            description: typeof data?.description === 'string' ? data.description : '',
-            blur: typeof data?.blur === 'number' ? data.blur : 0,
-            lightOverlay: typeof data?.lightOverlay === 'boolean' ? data.lightOverlay : false
-        };
-        localStorage.setItem(getScopedKey(BASE_COVER_KEY), JSON.stringify(payload));
+        appStorage.setItem(getScopedKey(BASE_JOURNEY_DRAFTS_KEY), JSON.stringify(drafts || []));
         updateStorageUsage();
-    } catch {}
+    } catch (err) { reportStorageError(err); }
 }
 
-function loadJourneyData() {
+function getOpenJourneyDraft(variant = currentJourneyVariant) {
+    const id = openJourneyDrafts[variant];
+    if (!id) return null;
+    return loadJourneyDrafts().find(d => d.id === id && d.variant === variant) || null;
+}
+
+// Without an explicit variant the editor's view is meant, which is the open draft if there is one
+function loadJourneyData(variant) {
+    const draft = variant ? null : getOpenJourneyDraft();
+    if (draft) return Array.isArray(draft.data) ? draft.data : [];
+    variant = variant || currentJourneyVariant;
     try {
-        const raw = localStorage.getItem(getScopedKey(BASE_STORAGE_KEY));
+        const raw = appStorage.getItem(getScopedKey(getJourneyStorageBase(variant)));
         if (!raw) return [];
         const parsed = JSON.parse(raw);
         if (Array.isArray(parsed)) return parsed;
@@ -4401,19 +11549,50 @@ function loadJourneyData() {
     }
 }
 
-function saveJourneyData(data) {
+function saveJourneyData(data, variant) {
+    // Columns added since the last save get their id here, so links to them survive reordering
+    assignCollabIds(data, 'col');
+    const draft = variant ? null : getOpenJourneyDraft();
+    if (draft) {
+        saveJourneyDrafts(loadJourneyDrafts().map(d => (d.id === draft.id ? { ...d, data: data || [], updatedAt: new Date().toISOString() } : d)));
+        return;
+    }
+    variant = variant || currentJourneyVariant;
     try {
-        localStorage.setItem(getScopedKey(BASE_STORAGE_KEY), JSON.stringify(data || []));
-        logChange('Data updated');
+        appStorage.setItem(getScopedKey(getJourneyStorageBase(variant)), JSON.stringify(data || []));
         updateStorageUsage();
-    } catch (err) {
-        console.warn('Failed to save journey data to localStorage:', err);
+    } catch (err) { reportStorageError(err); }
+}
+
+// The main line of the journey map even while a draft is open. Features that read or link
+// journey columns mean this; the editor's live copy is only used when it shows the main line.
+function getMainJourneyColumns(variant = currentJourneyVariant) {
+    if (window.journey && variant === currentJourneyVariant && !getOpenJourneyDraft()) return window.journey.journeyData;
+    return loadJourneyData(variant);
+}
+
+// Projects saved before journey columns had ids get them once, when the project opens, and
+// finding links that still point at a column position are moved over to the id
+function migrateJourneyColumnIds() {
+    ensureJourneyColumnIds('as-is');
+    ensureJourneyColumnIds('to-be');
+    migrateFindingJourneyLinks();
+}
+
+// Gives journey columns ids on demand, so other features can link to a column and keep the
+// link when columns are reordered or deleted
+function ensureJourneyColumnIds(variant) {
+    const columns = loadJourneyData(variant);
+    if (assignCollabIds(columns, 'col')) {
+        saveJourneyData(columns, variant);
+        if (window.journey && variant === currentJourneyVariant && !getOpenJourneyDraft()) window.journey.journeyData = columns;
     }
+    return columns;
 }
 
 function loadVersions() {
     try {
-        const raw = localStorage.getItem(getScopedKey(BASE_VERSIONS_KEY));
+        const raw = appStorage.getItem(getScopedKey(BASE_VERSIONS_KEY));
         return raw ? JSON.parse(raw) : [];
     } catch {
         return [];
@@ -4422,33 +11601,48 @@ function loadVersions() {
 
 function saveVersions(versions) {
     try {
-        localStorage.setItem(getScopedKey(BASE_VERSIONS_KEY), JSON.stringify(versions || []));
+        appStorage.setItem(getScopedKey(BASE_VERSIONS_KEY), JSON.stringify(versions || []));
         updateStorageUsage();
-    } catch {}
+    } catch (err) { reportStorageError(err); }
 }
 
-function loadChanges() {
+// Saving a version prunes the oldest ones of its type beyond this, so one feature never
+// evicts another's history; named milestones are never pruned
+const VERSION_LIST_LIMIT = 50;
+
+function capVersionList(versions, limit = VERSION_LIST_LIMIT) {
+    const kept = new Map();
+    return versions.filter(v => {
+        if (v.milestone) return true;
+        const type = v.type || 'journey';
+        kept.set(type, (kept.get(type) || 0) + 1);
+        return kept.get(type) <= limit;
+    });
+}
+
+// Raw, so logged before/after values keep image references instead of expanded data URLs
+function loadChanges(projectId = getCurrentProjectId()) {
     try {
-        const raw = localStorage.getItem(getScopedKey(BASE_CHANGES_KEY));
+        const raw = appStorage.getRawItem(getScopedKey(BASE_CHANGES_KEY, projectId));
         return raw ? JSON.parse(raw) : [];
     } catch {
         return [];
     }
 }
 
-function saveChanges(changes) {
+function saveChanges(changes, projectId = getCurrentProjectId()) {
     try {
-        localStorage.setItem(getScopedKey(BASE_CHANGES_KEY), JSON.stringify(changes || []));
+        appStorage.setItem(getScopedKey(BASE_CHANGES_KEY, projectId), JSON.stringify(changes || []));
         updateStorageUsage();
-    } catch {}
+    } catch (err) { reportStorageError(err); }
 }
 
+// Records an action that is not itself an edit, such as saving a version. Edits of project
+// content are logged with their before/after values by the activity log.
 function logChange(action, meta = {}) {
     const changes = loadChanges();
-    changes.unshift({ action, meta, at: new Date().toISOString() });
-    // keep last 200
-    if (changes.length > 200) changes.length = 200;
-    saveChanges(changes);
+    changes.unshift({ id: generateId('chg'), action, meta, author: loadSettings().profileName || 'You', at: new Date().toISOString() });
+    saveChanges(changes.slice(0, ACTIVITY_LOG_LIMIT));
 }
 class JourneyMap {
     constructor(options = {}) {
@@ -4593,6 +11787,7 @@ class JourneyMap {
     renderJourneyMap() {
         const table = this.getTable();
         table.innerHTML = '';
+        this.renderDraftBanner(table);
 
         // Update grid template columns dynamically
         const numColumns = this.journeyData.length;
@@ -4612,6 +11807,7 @@ class JourneyMap {
                     <span class="drag-icon">⋮⋮</span>
                 </div>
                 <div class="column-title">Stage ${colIndex + 1}</div>
+                ${Array.isArray(column.evidence) && column.evidence.length ? `<div class="column-evidence" title="${escapeHtml(column.evidence.map(e => `“${e.text}” (${e.participant || 'Interview'})`).join('\n'))}">❝ ${column.evidence.length}</div>` : ''}
                 <div class="column-edit-hint" title="Click to edit column">
                     <span class="edit-icon">✏️</span>
                 </div>
@@ -4734,7 +11930,6 @@ class JourneyMap {
         // Update the data
         this.journeyData[columnIndex].mood = newMood;
         saveJourneyData(this.journeyData);
-        logChange('Change mood', { columnIndex, mood: newMood });
         
         // Re-render the table to update the visual
         this.renderJourneyMap();
@@ -4960,7 +12155,6 @@ class JourneyMap {
 
         // Persist
         saveJourneyData(this.journeyData);
-        logChange('Swap columns', { sourceCol, targetCol });
 
         // Re-render the map
         this.renderJourneyMap();
@@ -5052,7 +12246,6 @@ class JourneyMap {
             this.journeyData.splice(toIndex, 0, columnData);
             // Persist
             saveJourneyData(this.journeyData);
-            logChange('Move column', { fromIndex, toIndex });
             
             // Re-render the map
             this.renderJourneyMap();
@@ -5208,7 +12401,6 @@ class JourneyMap {
             this.isAddingNewColumn = false;
             // Persist
             saveJourneyData(this.journeyData);
-            logChange('Add column', { index: this.journeyData.length - 1 });
             
             // Re-render the map
             this.renderJourneyMap();
@@ -5241,7 +12433,6 @@ class JourneyMap {
         }
         // Persist
         saveJourneyData(this.journeyData);
-        logChange('Edit column', { index: this.currentEditingColumn });
         
         this.renderJourneyMap();
         this.closeColumnEditModal();
@@ -5339,7 +12530,6 @@ class JourneyMap {
                 .then((base64) => {
                     column.image = base64;
                     saveJourneyData(this.journeyData);
-                    logChange('Save image', { index: this.currentEditingColumn, compressed: true });
                     this.renderJourneyMap();
                     this.closeImageModal();
                 })
@@ -5347,7 +12537,6 @@ class JourneyMap {
                     this.convertFileToBase64(fileInput.files[0], (base64) => {
                         column.image = base64;
                         saveJourneyData(this.journeyData);
-                        logChange('Save image', { index: this.currentEditingColumn, compressed: false });
                         this.renderJourneyMap();
                         this.closeImageModal();
                     });
@@ -5377,17 +12566,31 @@ class JourneyMap {
         }
     }
 
-    saveVersion() {
+    // Milestones carry a name and are never pruned; versions saved in a draft remember it
+    saveVersion({ name = '', milestone = false } = {}) {
         const versions = loadVersions();
+        // Number only this variant's versions; other features share the list. Continue from the
+        // highest number so names stay unique once old versions are pruned.
+        const count = loadJourneyVariantVersions().reduce((max, v) => {
+            const match = /^(?:To-be )?Version (\d+)$/.exec(v.name || '');
+            return Math.max(max, match ? Number(match[1]) : 0);
+        }, 0);
         const snapshot = JSON.parse(JSON.stringify(this.journeyData));
         const stamp = new Date().toISOString();
         const id = `${stamp}`;
-        versions.unshift({ id, name: `Version ${versions.length + 1}`, at: stamp, data: snapshot });
-        // Keep last 50 versions
-        if (versions.length > 50) versions.length = 50;
-        saveVersions(versions);
-        logChange('Save version', { id });
-        this.showSuccessToast('Journey saved successfully!');
+        const draft = getOpenJourneyDraft();
+        const extra = {
+            ...(milestone ? { milestone: true } : {}),
+            ...(draft ? { draft: { id: draft.id, name: draft.name } } : {})
+        };
+        if (currentJourneyVariant === 'to-be') {
+            versions.unshift({ id, type: 'to-be-journey', name: name || `To-be Version ${count + 1}`, at: stamp, data: snapshot, ...extra });
+        } else {
+            versions.unshift({ id, name: name || `Version ${count + 1}`, at: stamp, data: snapshot, ...extra });
+        }
+        saveVersions(capVersionList(versions));
+        logChange(milestone ? 'Save milestone' : 'Save version', { id });
+        this.showSuccessToast(milestone ? `Milestone “${name}” saved` : 'Journey saved successfully!');
     }
 
     showSuccessToast(message) {
@@ -5443,38 +12646,83 @@ class JourneyMap {
     }
 
     openHistory() {
-        const versions = loadVersions();
+        const versions = loadJourneyVariantVersions();
         const versionsList = document.getElementById('versionsList');
         const modal = document.getElementById('historyModal');
         if (!versionsList || !modal) return;
 
         versionsList.innerHTML = '';
+        const button = (label, onClick, { primary = false, title = '' } = {}) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = primary ? 'btn btn-primary' : 'btn btn-secondary';
+            btn.style.marginLeft = '0.5rem';
+            btn.textContent = label;
+            if (title) btn.title = title;
+            btn.addEventListener('click', onClick);
+            return btn;
+        };
 
-        versions.forEach((v, idx) => {
-            const item = document.createElement('div');
-            item.style.display = 'flex';
-            item.style.justifyContent = 'space-between';
-            item.style.alignItems = 'center';
-            item.style.border = '1px solid #eee';
-            item.style.borderRadius = '8px';
-            item.style.padding = '0.5rem 0.75rem';
-            item.style.background = '#fff';
-            item.innerHTML = `<div><strong>${v.name}</strong><br><small>${new Date(v.at).toLocaleString()}</small></div>`;
+        const milestoneForm = document.createElement('form');
+        milestoneForm.className = 'jh-toolbar';
+        milestoneForm.innerHTML = `
+            <input type="text" name="name" maxlength="80" placeholder="Milestone name, e.g. Stakeholder review 1" aria-label="Milestone name">
+            <button type="submit" class="btn btn-primary">Save milestone</button>
+        `;
+        milestoneForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const name = milestoneForm.elements.name.value.trim();
+            if (!name) { milestoneForm.elements.name.focus(); return; }
+            this.saveVersion({ name, milestone: true });
+            this.openHistory();
+        });
+        versionsList.appendChild(milestoneForm);
 
+        const drafts = loadJourneyDrafts().filter(d => d.variant === currentJourneyVariant);
+        const openDraft = getOpenJourneyDraft();
+        if (drafts.length) {
+            const heading = document.createElement('h4');
+            heading.className = 'jh-heading';
+            heading.textContent = 'Drafts';
+            versionsList.appendChild(heading);
+        }
+        drafts.forEach(draft => {
+            const item = document.createElement('div');
+            item.className = 'jh-item jh-draft';
+            item.innerHTML = `<div><strong><span class="material-icons-outlined" aria-hidden="true">call_split</span> ${escapeHtml(draft.name)}</strong><br><small>From ${escapeHtml(draft.from ? draft.from.name : 'a saved version')} · updated ${new Date(draft.updatedAt || draft.at).toLocaleString()}</small></div>`;
             const actions = document.createElement('div');
-            const openBtn = document.createElement('button');
-            openBtn.className = 'btn btn-primary';
-            openBtn.textContent = 'Open';
-            openBtn.addEventListener('click', () => this.openVersionPreview(v));
-            actions.appendChild(openBtn);
-
-            const deleteBtn = document.createElement('button');
-            deleteBtn.className = 'btn btn-secondary';
-            deleteBtn.style.marginLeft = '0.5rem';
-            deleteBtn.textContent = 'Delete';
-            deleteBtn.addEventListener('click', () => this.deleteVersion(v.id));
-            actions.appendChild(deleteBtn);
+            if (openDraft && openDraft.id === draft.id) {
+                actions.appendChild(button('Back to main line', () => this.openDraft(null)));
+            } else {
+                actions.appendChild(button('Open', () => this.openDraft(draft.id), { primary: true }));
+            }
+            actions.appendChild(button('Promote', () => this.promoteDraft(draft.id), { title: 'Replace the main line with this draft' }));
+            actions.appendChild(button('Delete', () => this.deleteDraft(draft.id)));
+            item.appendChild(actions);
+            versionsList.appendChild(item);
+        });
+        if (drafts.length) {
+            const heading = document.createElement('h4');
+            heading.className = 'jh-heading';
+            heading.textContent = 'Versions';
+            versionsList.appendChild(heading);
+        }
+
+        versions.forEach(v => {
+            const item = document.createElement('div');
+            item.className = 'jh-item' + (v.milestone ? ' jh-milestone' : '');
+            const title = document.createElement('div');
+            title.innerHTML = `<strong>${v.milestone ? '<span class="material-icons-outlined" aria-hidden="true">flag</span> ' : ''}${escapeHtml(v.name)}</strong>${v.draft ? ` <span class="jh-tag">in draft ${escapeHtml(v.draft.name)}</span>` : ''}<br><small>${new Date(v.at).toLocaleString()}</small>`;
+            item.appendChild(title);
 
+            const actions = document.createElement('div');
+            actions.appendChild(button('Open', () => this.openVersionPreview(v), { primary: true }));
+            actions.appendChild(button('Compare', () => openJourneyVersionDiff(v.id, 'current'), { title: 'Compare with the current map' }));
+            actions.appendChild(button('Branch', () => this.editNameInline(title, `Draft from ${v.name}`, 'Draft name', (name) => this.branchFromVersion(v, name)), { title: 'Start a parallel draft from this version' }));
+            actions.appendChild(v.milestone
+                ? button('Unmark', () => this.setMilestone(v.id, null), { title: 'Turn this milestone back into a regular version' })
+                : button('Milestone', () => this.editNameInline(title, v.name, 'Milestone name', (name) => this.setMilestone(v.id, name)), { title: 'Name this version and keep it forever' }));
+            actions.appendChild(button('Delete', () => this.deleteVersion(v.id)));
             item.appendChild(actions);
             versionsList.appendChild(item);
         });
@@ -5482,6 +12730,124 @@ class JourneyMap {
         modal.classList.add('show');
     }
 
+    // Swap a history row's title for a name field
+    editNameInline(titleEl, initial, placeholder, onSave) {
+        const previous = titleEl.innerHTML;
+        titleEl.innerHTML = `
+            <form class="jh-name-form">
+                <input type="text" maxlength="80" placeholder="${escapeHtml(placeholder)}" aria-label="${escapeHtml(placeholder)}">
+                <button type="submit" class="btn btn-primary">Save</button>
+                <button type="button" class="btn btn-secondary" data-action="cancel">Cancel</button>
+            </form>
+        `;
+        const form = titleEl.querySelector('form');
+        const input = form.querySelector('input');
+        input.value = initial || '';
+        input.focus();
+        input.select();
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const name = input.value.trim();
+            if (!name) { input.focus(); return; }
+            onSave(name);
+        });
+        form.querySelector('[data-action="cancel"]').addEventListener('click', () => { titleEl.innerHTML = previous; });
+    }
+
+    // A null name turns the milestone back into a regular version
+    setMilestone(versionId, name) {
+        const versions = loadVersions().map(v => {
+            if (v.id !== versionId) return v;
+            if (name === null) {
+                const { milestone, ...rest } = v;
+                return rest;
+            }
+            return { ...v, name, milestone: true };
+        });
+        saveVersions(capVersionList(versions));
+        logChange(name === null ? 'Unmark milestone' : 'Mark milestone', { id: versionId });
+        this.openHistory();
+    }
+
+    branchFromVersion(version, name) {
+        const stamp = new Date().toISOString();
+        const draft = {
+            id: generateId('draft'),
+            variant: currentJourneyVariant,
+            name,
+            from: { id: version.id, name: version.name },
+            at: stamp,
+            updatedAt: stamp,
+            data: JSON.parse(JSON.stringify(version.data || []))
+        };
+        saveJourneyDrafts([draft, ...loadJourneyDrafts()]);
+        logChange('Branch draft', { id: draft.id, from: version.id });
+        this.openDraft(draft.id);
+    }
+
+    // Edit a draft in the journey view, or go back to the main line with null
+    openDraft(draftId) {
+        openJourneyDrafts[currentJourneyVariant] = draftId;
+        this.journeyData = loadJourneyData();
+        this.renderJourneyMap();
+        const modal = document.getElementById('historyModal');
+        if (modal) modal.classList.remove('show');
+        this.toast(draftId ? 'Editing draft' : 'Back to the main line');
+    }
+
+    promoteDraft(draftId) {
+        const draft = loadJourneyDrafts().find(d => d.id === draftId);
+        if (!draft) return;
+        if (!confirm(`Replace the main journey map with the draft “${draft.name}”? The main line is saved as a version first.`)) return;
+        openJourneyDrafts[currentJourneyVariant] = null;
+        this.journeyData = loadJourneyData();
+        this.saveVersion({ name: `Before promoting “${draft.name}”` });
+        this.journeyData = JSON.parse(JSON.stringify(draft.data || []));
+        saveJourneyData(this.journeyData);
+        saveJourneyDrafts(loadJourneyDrafts().filter(d => d.id !== draft.id));
+        logChange('Promote draft', { id: draft.id });
+        this.renderJourneyMap();
+        const modal = document.getElementById('historyModal');
+        if (modal) modal.classList.remove('show');
+        this.toast(`Promoted “${draft.name}” to the main line`);
+    }
+
+    deleteDraft(draftId) {
+        if (!confirm('Delete this draft? This cannot be undone.')) return;
+        saveJourneyDrafts(loadJourneyDrafts().filter(d => d.id !== draftId));
+        logChange('Delete draft', { id: draftId });
+        if (openJourneyDrafts[currentJourneyVariant] === draftId) {
+            openJourneyDrafts[currentJourneyVariant] = null;
+            this.journeyData = loadJourneyData();
+            this.renderJourneyMap();
+        }
+        this.openHistory();
+    }
+
+    renderDraftBanner(table) {
+        const container = table && table.parentElement;
+        if (!container) return;
+        let banner = container.querySelector('.jh-draft-banner');
+        const draft = getOpenJourneyDraft();
+        if (!draft) {
+            if (banner) banner.remove();
+            return;
+        }
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.className = 'jh-draft-banner';
+            container.insertBefore(banner, table);
+        }
+        banner.innerHTML = `
+            <span class="material-icons-outlined" aria-hidden="true">call_split</span>
+            <span>Editing the draft <strong>${escapeHtml(draft.name)}</strong>${draft.from ? `, branched from ${escapeHtml(draft.from.name)}` : ''}. The main line is not changed.</span>
+            <button type="button" class="btn btn-secondary" data-action="main">Back to main line</button>
+            <button type="button" class="btn btn-primary" data-action="promote">Promote to main line</button>
+        `;
+        banner.querySelector('[data-action="main"]').addEventListener('click', () => this.openDraft(null));
+        banner.querySelector('[data-action="promote"]').addEventListener('click', () => this.promoteDraft(draft.id));
+    }
+
     deleteVersion(versionId) {
         if (!versionId) return;
         const confirmDelete = confirm('Delete this saved version? This cannot be undone.');
@@ -5690,7 +13056,6 @@ class JourneyMap {
                 if (column && column.image) {
                     column.image = '';
                     saveJourneyData(this.journeyData);
-                    logChange('Remove image', { index: this.currentEditingColumn });
                     this.renderJourneyMap();
                     this.toast('Image removed');
                 }
@@ -5883,7 +13248,6 @@ class JourneyMap {
             // Replace current data with imported data
             this.journeyData = imported;
             saveJourneyData(this.journeyData);
-            logChange('Import CSV', { count: imported.length });
             this.renderJourneyMap();
             this.toast(`Imported ${imported.length} columns`);
         } catch (err) {
@@ -5967,7 +13331,6 @@ class JourneyMap {
         if (!confirmDelete) return;
         this.journeyData.splice(index, 1);
         saveJourneyData(this.journeyData);
-        logChange('Delete column', { index });
         this.closeColumnEditModal();
         this.renderJourneyMap();
     }
@@ -5982,15 +13345,27 @@ class JourneyMap {
         let list = projects.filter(p => p.id !== currentId);
         saveProjects(list);
         // clear scoped storage for that project
-        localStorage.removeItem(getScopedKey(BASE_STORAGE_KEY, currentId));
-        localStorage.removeItem(getScopedKey(BASE_VERSIONS_KEY, currentId));
-        localStorage.removeItem(getScopedKey(BASE_CHANGES_KEY, currentId));
-        localStorage.removeItem(getScopedKey(BASE_COVER_KEY, currentId));
-        localStorage.removeItem(getScopedKey(BASE_FLOW_KEY, currentId));
-        localStorage.removeItem(getScopedKey(BASE_FLOW_VERSIONS_KEY, currentId));
+        appStorage.removeItem(getScopedKey(BASE_STORAGE_KEY, currentId));
+        appStorage.removeItem(getScopedKey(BASE_VERSIONS_KEY, currentId));
+        appStorage.removeItem(getScopedKey(BASE_CHANGES_KEY, currentId));
+        appStorage.removeItem(getScopedKey(BASE_COVER_KEY, currentId));
+        appStorage.removeItem(getScopedKey(BASE_FLOW_KEY, currentId));
+        appStorage.removeItem(getScopedKey(BASE_FLOW_VERSIONS_KEY, currentId));
+        appStorage.removeItem(getScopedKey(BASE_STAKEHOLDERS_KEY, currentId));
+        appStorage.removeItem(getScopedKey(BASE_INTERVIEWS_KEY, currentId));
+        appStorage.removeItem(getScopedKey(BASE_COMPETITORS_KEY, currentId));
+        appStorage.removeItem(getScopedKey(BASE_BLUEPRINT_KEY, currentId));
+        appStorage.removeItem(getScopedKey(BASE_DISCOVERY_SUMMARY_KEY, currentId));
+        appStorage.removeItem(getScopedKey(BASE_DEFINE_KEY, currentId));
+        appStorage.removeItem(getScopedKey(BASE_TOBE_JOURNEY_KEY, currentId));
+        appStorage.removeItem(getScopedKey(BASE_LINKS_KEY, currentId));
+        appStorage.removeItem(getScopedKey(BASE_TEST_REPORTS_KEY, currentId));
+        appStorage.removeItem(getScopedKey(BASE_PRIORITIZATION_KEY, currentId));
+        appStorage.removeItem(getScopedKey(BASE_SNAPSHOTS_KEY, currentId));
+        appStorage.removeItem(getScopedKey(BASE_JOURNEY_DRAFTS_KEY, currentId));
         if (list.length) setCurrentProjectId(list[0].id);
         else {
-            localStorage.removeItem(CURRENT_PROJECT_KEY);
+            appStorage.removeItem(CURRENT_PROJECT_KEY);
             ensureProjectsInitialized();
         }
         // refresh view
@@ -7582,9 +14957,12 @@ class JourneyMap {
 }
 
 // Initialize the journey map when the page loads
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+    // Project data is read synchronously from the store's cache, so wait for it to load
+    await appStorage.ready;
     // Initialize projects and sidebar, then render journey map for current project
     ensureProjectsInitialized();
+    migrateJourneyColumnIds();
     setupProjectSidebar();
     setupProjectCreationModal();
     setupRightTocScrollEffect();
@@ -7600,12 +14978,14 @@ document.addEventListener('DOMContentLoaded', () => {
     if (window.Components && typeof window.Components.renderContentNavbar === 'function') {
         let initialTitle = 'Cover';
         try {
-            const last = localStorage.getItem(getScopedKey(BASE_ACTIVE_TAB_KEY));
+            const last = appStorage.getItem(getScopedKey(BASE_ACTIVE_TAB_KEY));
             if (last === 'journey') initialTitle = 'Journey Map';
+            else if (last === 'to-be-journey') initialTitle = 'To-be Journey Map';
             else if (last === 'personas') initialTitle = 'Persona';
             else if (last === 'information-hierarchy') initialTitle = 'Information Hierarchy';
             else if (last === 'as-is-flow') initialTitle = 'As-is Flow';
             else if (last === 'to-be-flow') initialTitle = 'To-be Flow';
+            else if (FEATURE_VIEWS[last]) initialTitle = FEATURE_VIEWS[last].title;
         } catch {}
         window.Components.renderContentNavbar('contentNavMount', initialTitle);
         // Ensure navbar scroll blur attaches after render
@@ -7653,6 +15033,73 @@ document.addEventListener('DOMContentLoaded', () => {
         applyTheme(s.theme || 'light');
     } catch {}
 });
+// ===== FLOW VERSION DIFF =====
+// Changes between two states of one flow board, ordered left to right as the flow reads.
+// Nodes match by id; edges by id, or by their endpoints for edges saved before edges had ids.
+function diffFlowBoards(before, after) {
+    const oldNodes = new Map(before.nodes.map(n => [n.id, n]));
+    const newNodes = new Map(after.nodes.map(n => [n.id, n]));
+    const nodeOf = (id) => newNodes.get(id) || oldNodes.get(id);
+    const changes = [];
+    after.nodes.forEach(node => {
+        const old = oldNodes.get(node.id);
+        if (!old) {
+            changes.push({ kind: 'node', status: 'added', after: node, at: node });
+            return;
+        }
+        const moved = Math.round(old.x) !== Math.round(node.x) || Math.round(old.y) !== Math.round(node.y);
+        const relabelled = (old.label || '') !== (node.label || '');
+        if (moved || relabelled) changes.push({ kind: 'node', status: 'changed', before: old, after: node, moved, relabelled, at: node });
+    });
+    before.nodes.forEach(node => {
+        if (!newNodes.has(node.id)) changes.push({ kind: 'node', status: 'removed', before: node, at: node });
+    });
+
+    const edgeKey = (edge) => edge.id || `${edge.from}>${edge.to}`;
+    const oldEdges = new Map(before.edges.map(e => [edgeKey(e), e]));
+    const newKeys = new Set(after.edges.map(edgeKey));
+    const edgeAt = (edge) => {
+        const from = nodeOf(edge.from);
+        const to = nodeOf(edge.to);
+        return from && to ? { x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 } : (from || to || { x: 0, y: 0 });
+    };
+    after.edges.forEach(edge => {
+        const old = oldEdges.get(edgeKey(edge));
+        if (!old) {
+            changes.push({ kind: 'edge', status: 'added', after: edge, at: edgeAt(edge) });
+            return;
+        }
+        const reconnected = old.from !== edge.from || old.to !== edge.to;
+        const relabelled = (old.label || '') !== (edge.label || '');
+        if (reconnected || relabelled) changes.push({ kind: 'edge', status: 'changed', before: old, after: edge, reconnected, relabelled, at: edgeAt(edge) });
+    });
+    before.edges.forEach(edge => {
+        if (!newKeys.has(edgeKey(edge))) changes.push({ kind: 'edge', status: 'removed', before: edge, at: edgeAt(edge) });
+    });
+    return changes.sort((a, b) => (a.at.x - b.at.x) || (a.at.y - b.at.y));
+}
+
+function describeFlowChange(change, before, after) {
+    const quote = (text) => `“${text || 'Untitled'}”`;
+    const nodeLabel = (id) => {
+        const node = after.nodes.find(n => n.id === id) || before.nodes.find(n => n.id === id);
+        return quote(node && node.label);
+    };
+    if (change.kind === 'node') {
+        if (change.status === 'added') return `Added ${quote(change.after.label)}`;
+        if (change.status === 'removed') return `Removed ${quote(change.before.label)}`;
+        if (change.moved && change.relabelled) return `Moved and renamed ${quote(change.before.label)} to ${quote(change.after.label)}`;
+        if (change.relabelled) return `Renamed ${quote(change.before.label)} to ${quote(change.after.label)}`;
+        return `Moved ${quote(change.after.label)}`;
+    }
+    const edge = change.after || change.before;
+    const ends = `${nodeLabel(edge.from)} → ${nodeLabel(edge.to)}`;
+    if (change.status === 'added') return `Connected ${ends}`;
+    if (change.status === 'removed') return `Disconnected ${ends}`;
+    if (change.reconnected) return `Reconnected to ${ends}`;
+    return `Relabelled connection ${ends}${change.after.label ? ` as ${quote(change.after.label)}` : ''}`;
+}
+
 class FlowEditor {
     constructor(options = {}) {
         // If an initial state is provided (e.g., when cloning a board), use a deep copy of it.
@@ -8458,6 +15905,7 @@ class FlowEditor {
     }
     persist() { 
         saveFlowData(this.state);
+        if (this.versionDiff) this.renderVersionDiff();
         // Also save all boards if this is part of a multi-board system
         if (window.flowEditor && window.flowEditor.saveAllBoards) {
             window.flowEditor.saveAllBoards();
@@ -9582,13 +17030,13 @@ class FlowEditor {
     // Version history (reuse journey modal UI)
     saveVersion() {
         const key = getScopedKey('flowVersions');
-        const raw = localStorage.getItem(key);
+        const raw = appStorage.getItem(key);
         const list = raw ? JSON.parse(raw) : [];
         const snap = JSON.parse(JSON.stringify(this.state));
         const stamp = new Date().toISOString();
         list.unshift({ id: stamp, name: `Version ${list.length + 1}`, at: stamp, data: snap });
         if (list.length > 50) list.length = 50;
-        localStorage.setItem(key, JSON.stringify(list));
+        appStorage.setItem(key, JSON.stringify(list));
         this.showSuccessToast('Flow saved successfully!');
     }
 
@@ -9647,7 +17095,7 @@ class FlowEditor {
 
     openHistory() {
         const key = getScopedKey('flowVersions');
-        const versions = JSON.parse(localStorage.getItem(key) || '[]');
+        const versions = JSON.parse(appStorage.getItem(key) || '[]');
         const list = document.getElementById('versionsList');
         const modal = document.getElementById('historyModal');
         if (!list || !modal) { alert('History UI not available'); return; }
@@ -9660,14 +17108,170 @@ class FlowEditor {
             const actions = document.createElement('div');
             const open = document.createElement('button'); open.className = 'btn btn-primary'; open.textContent = 'Open';
             open.addEventListener('click', () => { this.state = JSON.parse(JSON.stringify(v.data)); this.persist(); this.render(); modal.classList.remove('show'); });
+            const compare = document.createElement('button'); compare.className = 'btn btn-secondary'; compare.textContent = 'Compare'; compare.style.marginLeft = '0.5rem';
+            compare.title = 'Show what changed on the board since this version';
+            compare.addEventListener('click', () => { modal.classList.remove('show'); this.showVersionDiff(v); });
             const del = document.createElement('button'); del.className = 'btn btn-secondary'; del.textContent = 'Delete'; del.style.marginLeft = '0.5rem';
-            del.addEventListener('click', () => { const next = versions.filter(x => x.id !== v.id); localStorage.setItem(key, JSON.stringify(next)); this.openHistory(); });
-            actions.appendChild(open); actions.appendChild(del);
+            del.addEventListener('click', () => { const next = versions.filter(x => x.id !== v.id); appStorage.setItem(key, JSON.stringify(next)); this.openHistory(); });
+            actions.appendChild(open);
+            if (v.data && (!v.data.id || v.data.id === this.state.id)) actions.appendChild(compare);
+            actions.appendChild(del);
             item.appendChild(title); item.appendChild(actions);
             list.appendChild(item);
         });
         modal.classList.add('show');
     }
+
+    getBoardVersions() {
+        const versions = JSON.parse(appStorage.getItem(getScopedKey(BASE_FLOW_VERSIONS_KEY)) || '[]');
+        // The list holds versions of every board; versions saved before boards had ids could be any board
+        return versions.filter(v => v.data && (!v.data.id || v.data.id === this.state.id));
+    }
+
+    // Overlay the changes since a saved version on the canvas; pass null to close it
+    showVersionDiff(version) {
+        this.versionDiff = version ? { version, active: -1 } : null;
+        if (!version) {
+            if (this.diffLayer) this.diffLayer.remove();
+            if (this.diffPanel) this.diffPanel.remove();
+            this.diffLayer = null;
+            this.diffPanel = null;
+            if (this.wrap) this.wrap.classList.remove('fd-active');
+            return;
+        }
+        if (!this.diffPanel) {
+            this.diffPanel = document.createElement('div');
+            this.diffPanel.className = 'fd-panel';
+            this.diffPanel.innerHTML = `
+                <div class="fd-panel-header">
+                    <strong>Changes</strong>
+                    <button type="button" class="close-btn" data-action="close" aria-label="Close changes">&times;</button>
+                </div>
+                <label class="fd-since">Since <select></select></label>
+                <div class="fd-nav">
+                    <button type="button" class="btn btn-secondary" data-action="prev" aria-label="Previous change">‹</button>
+                    <span class="fd-position"></span>
+                    <button type="button" class="btn btn-secondary" data-action="next" aria-label="Next change">›</button>
+                </div>
+                <ol class="fd-list"></ol>
+            `;
+            const select = this.diffPanel.querySelector('select');
+            select.addEventListener('change', () => {
+                const next = this.getBoardVersions().find(v => v.id === select.value);
+                if (next) this.showVersionDiff(next);
+            });
+            this.diffPanel.querySelector('[data-action="close"]').addEventListener('click', () => this.showVersionDiff(null));
+            this.diffPanel.querySelector('[data-action="prev"]').addEventListener('click', () => this.focusVersionDiffChange(this.versionDiff.active - 1));
+            this.diffPanel.querySelector('[data-action="next"]').addEventListener('click', () => this.focusVersionDiffChange(this.versionDiff.active + 1));
+            this.diffPanel.querySelector('.fd-list').addEventListener('click', (e) => {
+                const item = e.target.closest('[data-change]');
+                if (item) this.focusVersionDiffChange(Number(item.dataset.change));
+            });
+        }
+        if (this.wrap && !this.wrap.contains(this.diffPanel)) this.wrap.appendChild(this.diffPanel);
+        if (this.wrap) this.wrap.classList.add('fd-active');
+        this.diffPanel.querySelector('select').innerHTML = this.getBoardVersions()
+            .map(v => `<option value="${escapeHtml(v.id)}"${v.id === version.id ? ' selected' : ''}>${escapeHtml(v.name || 'Version')} · ${escapeHtml(new Date(v.at).toLocaleString())}</option>`)
+            .join('');
+        this.renderVersionDiff();
+        this.focusVersionDiffChange(0);
+    }
+
+    renderVersionDiff() {
+        if (!this.versionDiff || !this.grid) return;
+        const before = ensureFlowDataStructure(this.versionDiff.version.data);
+        const changes = diffFlowBoards(before, this.state);
+        this.versionDiff.changes = changes;
+        if (!this.diffLayer) {
+            this.diffLayer = document.createElement('div');
+            this.diffLayer.className = 'fd-layer';
+            this.diffLayer.setAttribute('aria-hidden', 'true');
+        }
+        if (!this.grid.contains(this.diffLayer)) this.grid.appendChild(this.diffLayer);
+
+        const box = (node, cls, index, extra = '') => {
+            const size = this.getNodeSize(node);
+            return `<div class="fd-box ${cls}" data-change="${index}" style="left:${node.x - 4}px;top:${node.y - 4}px;width:${size.w + 8}px;height:${size.h + 8}px">${extra}</div>`;
+        };
+        const line = (from, to, cls, index) => {
+            const a = this.getNodeCenter(from);
+            const b = this.getNodeCenter(to);
+            return `<line class="fd-line ${cls}" data-change="${index}" x1="${a.cx}" y1="${a.cy}" x2="${b.cx}" y2="${b.cy}"${cls === 'moved' ? ` marker-end="url(#${markerId})"` : ''}/>`;
+        };
+        const findNode = (id) => this.state.nodes.find(n => n.id === id) || before.nodes.find(n => n.id === id);
+        const markerId = `fd-arrow-${String(this.state.id || 'board').replace(/[^\w-]/g, '')}`;
+        const boxes = [];
+        const lines = [];
+        changes.forEach((change, index) => {
+            if (change.kind === 'node') {
+                if (change.status === 'added') boxes.push(box(change.after, 'added', index));
+                if (change.status === 'removed') boxes.push(box(change.before, 'removed', index, `<span>${escapeHtml(change.before.label || '')}</span>`));
+                if (change.moved) {
+                    boxes.push(box(change.before, 'moved-from', index));
+                    lines.push(line(change.before, change.after, 'moved', index));
+                }
+                if (change.status === 'changed') {
+                    const was = change.relabelled ? `<span class="fd-was">was “${escapeHtml(change.before.label || '')}”</span>` : '';
+                    boxes.push(box(change.after, change.relabelled ? 'relabelled' : 'moved', index, was));
+                }
+                return;
+            }
+            const edge = change.after || change.before;
+            const from = findNode(edge.from);
+            const to = findNode(edge.to);
+            if (from && to) lines.push(line(from, to, change.status, index));
+        });
+        this.diffLayer.innerHTML = `
+            <svg class="fd-lines" width="${parseInt(this.grid.style.width) || this.baseWidth}" height="${parseInt(this.grid.style.height) || this.baseHeight}">
+                <defs><marker id="${markerId}" markerWidth="8" markerHeight="6" refX="7" refY="3" orient="auto" viewBox="0 0 8 6"><polygon points="0 0, 8 3, 0 6" fill="#1e88e5"/></marker></defs>
+                ${lines.join('')}
+            </svg>
+            ${boxes.join('')}
+        `;
+
+        if (!this.diffPanel) return;
+        const list = this.diffPanel.querySelector('.fd-list');
+        list.innerHTML = changes.length
+            ? changes.map((change, index) => {
+                const cls = change.status !== 'changed' ? change.status : (change.kind === 'node' && !change.relabelled ? 'moved' : 'relabelled');
+                return `<li class="fd-item ${cls}" data-change="${index}">${escapeHtml(describeFlowChange(change, before, this.state))}</li>`;
+            }).join('')
+            : '<li class="feature-empty-note">No changes since this version.</li>';
+        this.versionDiff.active = Math.min(this.versionDiff.active, changes.length - 1);
+        this.markVersionDiffChange();
+    }
+
+    focusVersionDiffChange(index) {
+        const diff = this.versionDiff;
+        if (!diff || !diff.changes || !diff.changes.length) {
+            this.markVersionDiffChange();
+            return;
+        }
+        diff.active = (index + diff.changes.length) % diff.changes.length;
+        this.markVersionDiffChange();
+        const { at } = diff.changes[diff.active];
+        const wrap = this.canvasWrap || (this.wrap && this.wrap.querySelector('.flow-canvas-wrap'));
+        if (wrap) {
+            const zoom = this.zoom || 1;
+            wrap.scrollLeft = Math.max(0, at.x * zoom - wrap.clientWidth / 2);
+            wrap.scrollTop = Math.max(0, at.y * zoom - wrap.clientHeight / 2);
+        }
+    }
+
+    markVersionDiffChange() {
+        const diff = this.versionDiff;
+        if (!diff) return;
+        const count = diff.changes ? diff.changes.length : 0;
+        [this.diffLayer, this.diffPanel].forEach(root => {
+            if (!root) return;
+            root.querySelectorAll('[data-change]').forEach(el => el.classList.toggle('active', Number(el.dataset.change) === diff.active));
+        });
+        if (!this.diffPanel) return;
+        this.diffPanel.querySelector('.fd-position').textContent = count ? `${diff.active + 1} of ${count}` : 'No changes';
+        const item = this.diffPanel.querySelector('.fd-item.active');
+        if (item && item.scrollIntoView) item.scrollIntoView({ block: 'nearest' });
+    }
+
     render() {
         // Determine canvas size (infinite growth)
         let maxX = 0, maxY = 0;
@@ -9697,6 +17301,12 @@ class FlowEditor {
         if (this.columnDropLine && !grid.contains(this.columnDropLine)) {
             grid.appendChild(this.columnDropLine);
         }
+        if (this.presenceLayer && !grid.contains(this.presenceLayer)) {
+            grid.appendChild(this.presenceLayer);
+        }
+        if (this.diffLayer && !grid.contains(this.diffLayer)) {
+            grid.appendChild(this.diffLayer);
+        }
         
         // Grid lines visualization
         if (this.gridEnabled) {
@@ -9997,6 +17607,8 @@ class FlowEditor {
 		this.setupColumnDrag();
         // Setup/refresh floating color picker near the selected node
         this.setupNodeColorPicker();
+        // Keep a version diff overlay in step with the board
+        if (this.versionDiff) this.renderVersionDiff();
     }
 
 	// Column drag to move entire column of nodes
@@ -11924,7 +19536,7 @@ class FlowBoards {
         console.log(`Loading ${flowType} flow data from key: ${key}`);
         
         try {
-            const raw = localStorage.getItem(getScopedKey(key));
+            const raw = appStorage.getItem(getScopedKey(key));
             const parsed = raw ? JSON.parse(raw) : null;
             if (Array.isArray(parsed)) {
                 console.log(`Found ${parsed.length} boards for ${flowType} flow`);
@@ -11946,9 +19558,9 @@ class FlowBoards {
         
         try {
             const payload = Array.isArray(boards) ? boards.map(board => ensureFlowDataStructure(board)) : [];
-            localStorage.setItem(getScopedKey(key), JSON.stringify(payload));
+            appStorage.setItem(getScopedKey(key), JSON.stringify(payload));
             updateStorageUsage();
-        } catch {}
+        } catch (err) { reportStorageError(err); }
     }
 
     ensureAtLeastOne() {
@@ -12004,7 +19616,9 @@ class FlowBoards {
     }
 
     addBoard(initialState = null) {
-        const id = generateId('board');
+        // Reuse a saved board's id, but never twice (cloned boards copy their source's state)
+        const savedId = initialState && initialState.id;
+        const id = savedId && !this.boards.some(b => b.id === savedId) ? savedId : generateId('board');
         const wrap = document.createElement('div');
         
         // Apply alternating styling based on board count
@@ -12107,6 +19721,7 @@ class FlowBoards {
         `;
         this.root.appendChild(wrap);
         const editor = new FlowEditor({ root: wrap, initialState });
+        editor.state.id = id;
         this.boards.push({ id, wrap, editor });
         
         // Save all boards when a new board is added
@@ -12423,29 +20038,77 @@ function renderProjects() {
         title.textContent = p.name;
         title.style.flex = '1';
         item.appendChild(title);
+
+        const actions = document.createElement('div');
+        actions.className = 'project-actions';
+        actions.innerHTML = `
+            <button class="btn btn-secondary icon-only" data-action="snapshots" title="Project snapshots" aria-label="Project snapshots">
+                <span class="material-icons-outlined" aria-hidden="true">history</span>
+            </button>
+            <button class="btn btn-secondary icon-only" data-action="activity" title="Activity" aria-label="Activity">
+                <span class="material-icons-outlined" aria-hidden="true">manage_history</span>
+            </button>
+            <button class="btn btn-secondary icon-only" data-action="export" title="Export project" aria-label="Export project">
+                <span class="material-icons-outlined" aria-hidden="true">file_download</span>
+            </button>
+        `;
+        actions.querySelector('[data-action="snapshots"]').addEventListener('click', (e) => {
+            e.stopPropagation();
+            openProjectSnapshotsDialog(p.id);
+        });
+        actions.querySelector('[data-action="activity"]').addEventListener('click', (e) => {
+            e.stopPropagation();
+            openActivityLogDialog(p.id);
+        });
+        actions.querySelector('[data-action="export"]').addEventListener('click', (e) => {
+            e.stopPropagation();
+            exportProjectToDevice(p.id);
+        });
+        if (FOLDER_SYNC_SUPPORTED) {
+            const binding = getFolderSyncBinding(p.id);
+            const folderBtn = document.createElement('button');
+            folderBtn.className = 'btn btn-secondary icon-only folder-sync-btn' + (binding ? ` ${binding.status}` : '');
+            folderBtn.title = !binding ? 'Sync with a folder' : (binding.status === 'connected' ? `Synced with folder "${binding.handle.name}"` : 'Folder sync paused; click to reconnect');
+            folderBtn.setAttribute('aria-label', folderBtn.title);
+            folderBtn.innerHTML = `<span class="material-icons-outlined" aria-hidden="true">${!binding ? 'create_new_folder' : (binding.status === 'connected' ? 'folder' : 'sync_problem')}</span>`;
+            folderBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                openFolderSyncDialog(p.id);
+            });
+            actions.insertBefore(folderBtn, actions.firstChild);
+            if (binding) item.classList.add('folder-bound');
+        }
+        item.appendChild(actions);
         listEl.appendChild(item);
 
         item.addEventListener('click', (e) => {
-            if (p.id !== getCurrentProjectId()) {
-                setCurrentProjectId(p.id);
-                // refresh journey data for new project
-                window.journey.journeyData = loadJourneyData();
-                window.journey.renderJourneyMap();
-                // refresh flow data for new project
-                if (window.flowEditor && window.flowEditor.boards && window.flowEditor.boards[0]) {
-                    window.flowEditor.boards[0].editor.state = loadFlowData();
-                    window.flowEditor.boards[0].editor.render();
-                }
-                // refresh cover data for new project
-                refreshCoverUI();
-                renderProjects();
-                updateProjectNameHeading();
-                updateStorageUsage();
-            }
+            if (p.id !== getCurrentProjectId()) switchToProject(p.id);
         });
     });
 }
 
+function switchToProject(projectId) {
+    setCurrentProjectId(projectId);
+    // Drafts belong to a project, so the new one opens on its main line
+    openJourneyDrafts['as-is'] = null;
+    openJourneyDrafts['to-be'] = null;
+    migrateJourneyColumnIds();
+    // refresh journey data for new project
+    window.journey.journeyData = loadJourneyData();
+    window.journey.renderJourneyMap();
+    // refresh flow data for new project
+    if (window.flowEditor && window.flowEditor.boards && window.flowEditor.boards[0]) {
+        window.flowEditor.boards[0].editor.state = loadFlowData();
+        window.flowEditor.boards[0].editor.render();
+    }
+    // refresh cover data for new project
+    refreshCoverUI();
+    refreshActiveFeatureView();
+    renderProjects();
+    updateProjectNameHeading();
+    updateStorageUsage();
+}
+
 function setupProjectSidebar() {
     console.log('Setting up project sidebar...'); // Debug log
     const listEl = document.getElementById('projectList');
@@ -12459,6 +20122,8 @@ function setupProjectSidebar() {
     addBtn.addEventListener('click', () => {
         openProjectCreationModal();
     });
+    const importBtn = document.getElementById('importProjectBtn');
+    if (importBtn) importBtn.addEventListener('click', importProjectsFromDevice);
 
     renderProjects();
 }
@@ -12491,9 +20156,9 @@ function createProject(name) {
     saveProjects(projects);
     setCurrentProjectId(id);
     // initialize empty data for this project
-    localStorage.setItem(getScopedKey(BASE_STORAGE_KEY, id), JSON.stringify([]));
-    localStorage.setItem(getScopedKey(BASE_COVER_KEY, id), JSON.stringify({ image: '', title: '', description: '' }));
-    localStorage.setItem(getScopedKey(BASE_FLOW_KEY, id), JSON.stringify({ nodes: [], sections: [], title: 'Flow 1' }));
+    appStorage.setItem(getScopedKey(BASE_STORAGE_KEY, id), JSON.stringify([]));
+    appStorage.setItem(getScopedKey(BASE_COVER_KEY, id), JSON.stringify({ image: '', title: '', description: '' }));
+    appStorage.setItem(getScopedKey(BASE_FLOW_KEY, id), JSON.stringify({ nodes: [], sections: [], title: 'Flow 1' }));
     window.journey.journeyData = loadJourneyData();
     window.journey.renderJourneyMap();
     if (window.flowEditor && window.flowEditor.boards && window.flowEditor.boards[0]) {
@@ -12502,6 +20167,7 @@ function createProject(name) {
     }
     // refresh cover data for new project
     refreshCoverUI();
+    refreshActiveFeatureView();
     renderProjects();
     updateProjectNameHeading();
     updateStorageUsage();
@@ -12573,9 +20239,9 @@ function renderSidebarBottom() {
     const barEl = document.getElementById('storageBarFillBottom');
     if (textEl && barEl) {
         const used = estimateAppStorageBytes();
-        const quota = 5 * 1024 * 1024;
+        const quota = appStorageQuotaBytes;
         const pct = Math.min(100, Math.round((used / quota) * 100));
-        textEl.textContent = `${formatBytes(used)} / 5 MB (${pct}%)`;
+        textEl.textContent = `${formatBytes(used)} / ${formatBytes(quota)} (${pct}%)`;
         barEl.style.width = pct + '%';
         if (pct >= 90) {
             barEl.style.background = 'linear-gradient(90deg, #ef5350, #e53935)';
@@ -12784,6 +20450,47 @@ function setupContentNavScrollEffect() {
     onScroll();
 }
 
+// Feature views that render into their own mount. Each entry supplies the navbar title,
+// a render function and an optional export handler used by the TOC menu.
+const FEATURE_VIEWS = {
+    stakeholders: { mountId: 'stakeholdersMount', title: 'Stakeholder Map', render: () => renderStakeholderMapInterface(), exportAs: (format) => exportStakeholderMap(format) },
+    interviews: { mountId: 'interviewsMount', title: 'Interview Summary', render: () => renderInterviewInterface(), exportAs: (format) => exportInterviewData(format) },
+    competitors: { mountId: 'competitorsMount', title: 'Competitor Summary', render: () => renderCompetitorInterface(), exportAs: (format) => exportCompetitorData(format) },
+    'service-blueprint': { mountId: 'serviceBlueprintMount', title: 'Service Blueprint', render: () => renderServiceBlueprintInterface(), exportAs: (format) => exportServiceBlueprint(format) },
+    'discovery-summary': { mountId: 'discoverySummaryMount', title: 'Discovery Summary', render: () => renderDiscoverySummaryInterface(), exportAs: (format) => exportDiscoverySummary(format) },
+    pov: { mountId: 'defineMount', title: 'Point of View', render: () => renderDefineWorkspace('pov'), exportAs: (format) => exportDefineWorkspace('pov', format) },
+    hmw: { mountId: 'defineMount', title: 'How Might We', render: () => renderDefineWorkspace('hmw'), exportAs: (format) => exportDefineWorkspace('hmw', format) },
+    'design-principles': { mountId: 'defineMount', title: 'Design Principles', render: () => renderDefineWorkspace('principles'), exportAs: (format) => exportDefineWorkspace('principles', format) },
+    'value-proposition': { mountId: 'defineMount', title: 'Value Proposition', render: () => renderDefineWorkspace('valueProposition'), exportAs: (format) => exportDefineWorkspace('valueProposition', format) },
+    'success-metrics': { mountId: 'defineMount', title: 'Success Metrics', render: () => renderDefineWorkspace('metrics'), exportAs: (format) => exportDefineWorkspace('metrics', format) },
+    'design-requirements': { mountId: 'defineMount', title: 'Design Requirements', render: () => renderDefineWorkspace('requirements'), exportAs: (format) => exportDefineWorkspace('requirements', format) },
+    prioritization: { mountId: 'prioritizationMount', title: 'Prioritization', render: () => renderPrioritizationInterface(), exportAs: (format) => exportPrioritization(format) },
+    'ideation-links': { mountId: 'linksMount', title: 'Ideation Links', render: () => renderLinkRegistryInterface('ideation-links'), exportAs: (format) => exportLinkRegistry('ideation-links', format) },
+    'low-fi-links': { mountId: 'linksMount', title: 'Low-fi Links', render: () => renderLinkRegistryInterface('low-fi-links'), exportAs: (format) => exportLinkRegistry('low-fi-links', format) },
+    'mid-fi-links': { mountId: 'linksMount', title: 'Mid-fi Links', render: () => renderLinkRegistryInterface('mid-fi-links'), exportAs: (format) => exportLinkRegistry('mid-fi-links', format) },
+    'hi-fi-links': { mountId: 'linksMount', title: 'Hi-fi Main Flow Links', render: () => renderLinkRegistryInterface('hi-fi-links'), exportAs: (format) => exportLinkRegistry('hi-fi-links', format) },
+    'design-system-links': { mountId: 'linksMount', title: 'Design System Links', render: () => renderLinkRegistryInterface('design-system-links'), exportAs: (format) => exportLinkRegistry('design-system-links', format) },
+    'final-prototype-links': { mountId: 'linksMount', title: 'Final Prototype Links', render: () => renderLinkRegistryInterface('final-prototype-links'), exportAs: (format) => exportLinkRegistry('final-prototype-links', format) },
+    'component-change-links': { mountId: 'linksMount', title: 'Component Change Links', render: () => renderLinkRegistryInterface('component-change-links'), exportAs: (format) => exportLinkRegistry('component-change-links', format) },
+    'concept-test-report': { mountId: 'testReportMount', title: 'Concept Test Report', render: () => renderTestReportInterface('concept-test-report'), exportAs: (format) => exportTestReport('concept-test-report', format) },
+    'usability-test-report': { mountId: 'testReportMount', title: 'Usability Test Report', render: () => renderTestReportInterface('usability-test-report'), exportAs: (format) => exportTestReport('usability-test-report', format) },
+    'uat-test-report': { mountId: 'testReportMount', title: 'UAT Test Report', render: () => renderTestReportInterface('uat-test-report'), exportAs: (format) => exportTestReport('uat-test-report', format) }
+};
+
+function getActiveFeatureViewKey() {
+    const active = document.querySelector('#rightPaneToc [data-target].active');
+    const key = active ? active.getAttribute('data-target') : '';
+    return FEATURE_VIEWS[key] ? key : '';
+}
+
+// Re-render the visible feature view after the current project changes
+function refreshActiveFeatureView() {
+    const key = getActiveFeatureViewKey();
+    if (!key) return;
+    const mount = document.getElementById(FEATURE_VIEWS[key].mountId);
+    if (mount && mount.style.display !== 'none') FEATURE_VIEWS[key].render();
+}
+
 function setupTocNavigation() {
     const toc = document.getElementById('rightPaneToc');
     if (!toc) return;
@@ -12802,7 +20509,7 @@ function setupTocNavigation() {
     const contentNav = document.getElementById('contentNavMount');
 
     // Disable all TOC items except the allowed ones
-    const allowedTargets = new Set(['cover', 'personas', 'as-is-flow', 'to-be-flow', 'journey', 'information-hierarchy', 'kickoff']);
+    const allowedTargets = new Set(['cover', 'personas', 'as-is-flow', 'to-be-flow', 'journey', 'to-be-journey', 'information-hierarchy', 'kickoff', ...Object.keys(FEATURE_VIEWS)]);
     toc.querySelectorAll('.toc-item, .toc-subitem').forEach((btn) => {
         const target = btn.getAttribute('data-target');
         const isAllowed = target && allowedTargets.has(target);
@@ -12819,7 +20526,7 @@ function setupTocNavigation() {
 
     // Apply initial active class to TOC based on stored active tab
     try {
-        const last = localStorage.getItem(getScopedKey(BASE_ACTIVE_TAB_KEY));
+        const last = appStorage.getItem(getScopedKey(BASE_ACTIVE_TAB_KEY));
         toc.querySelectorAll('.toc-item, .toc-subitem').forEach(btn => {
             const t = btn.getAttribute('data-target');
             btn.classList.toggle('active', t === last);
@@ -12827,15 +20534,19 @@ function setupTocNavigation() {
     } catch {}
 
     const activate = (key) => {
-        try { localStorage.setItem(getScopedKey(BASE_ACTIVE_TAB_KEY), key); } catch {}
+        try { appStorage.setItem(getScopedKey(BASE_ACTIVE_TAB_KEY), key); } catch {}
+        // Feature mounts are only visible while their own view is active
+        document.querySelectorAll('.feature-mount').forEach(m => { m.style.display = 'none'; });
+        // Everything outside the to-be view reads the as-is journey
+        setJourneyVariant(key === 'to-be-journey' ? 'to-be' : 'as-is');
         // One-time migration: ensure old IH state doesn't hide new empty state
         if (key === 'information-hierarchy') {
             try {
                 const MIGR_KEY = getScopedKey('ihMigrated-1');
-                const migrated = localStorage.getItem(MIGR_KEY);
+                const migrated = appStorage.getItem(MIGR_KEY);
                 if (!migrated) {
                     // Mark migration complete without wiping existing data
-                    localStorage.setItem(MIGR_KEY, 'true');
+                    appStorage.setItem(MIGR_KEY, 'true');
                 }
             } catch {}
         }
@@ -12863,7 +20574,7 @@ function setupTocNavigation() {
                     btn.classList.remove('active');
                 }
             });
-        } else if (key === 'journey') {
+        } else if (key === 'journey' || key === 'to-be-journey') {
             if (coverMount) coverMount.style.display = 'none';
             if (journeyMount) journeyMount.style.display = 'block';
             if (flowMount) flowMount.style.display = 'none';
@@ -12873,23 +20584,20 @@ function setupTocNavigation() {
             if (contentNav) contentNav.style.display = 'block';
             // Journey uses default navbar with explicit title
             if (window.Components && typeof window.Components.renderContentNavbar === 'function') {
-                window.Components.renderContentNavbar('contentNavMount', 'Journey Map');
+                window.Components.renderContentNavbar('contentNavMount', key === 'to-be-journey' ? 'To-be Journey Map' : 'Journey Map');
                 setupContentNavScrollEffect();
                 // Bind journey tool navbar actions after rendering
                 if (window.journey) {
                     if (typeof window.journey.setupTableControls === 'function') window.journey.setupTableControls();
                     if (typeof window.journey.setupHistory === 'function') window.journey.setupHistory();
                 }
+                if (key === 'to-be-journey') setupToBeJourneyNavbar();
             }
             // Update active states for all tabs
-            journeyBtn && journeyBtn.classList.add('active');
             coverBtn && coverBtn.classList.remove('active');
             flowBtns.forEach(b => b.classList.remove('active'));
-            // Remove active from all other tabs
             toc.querySelectorAll('[data-target]').forEach(btn => {
-                if (btn.getAttribute('data-target') !== 'journey') {
-                    btn.classList.remove('active');
-                }
+                btn.classList.toggle('active', btn.getAttribute('data-target') === key);
             });
         } else if (key === 'as-is-flow' || key === 'to-be-flow') {
             if (coverMount) coverMount.style.display = 'none';
@@ -13011,14 +20719,14 @@ function setupTocNavigation() {
             if (window.Components && typeof window.Components.renderContentNavbar === 'function') {
                 window.Components.renderContentNavbar('contentNavMount', 'Information Hierarchy');
                 setupContentNavScrollEffect();
-                // Always render the editor; it will load from localStorage or IndexedDB and show content if available
+                // Always render the editor; it loads from the project store and shows content if available
                 renderInformationHierarchyInterface();
 
                 // Bind dedicated create button for IH
                 const createBtn = document.getElementById('ihCreateBtn');
                 if (createBtn) {
                     createBtn.addEventListener('click', () => {
-                        try { localStorage.removeItem(getScopedKey('ihData')); } catch {}
+                        try { appStorage.removeItem(getScopedKey('ihData')); } catch {}
                         renderInformationHierarchyInterface();
                         showSuccessToast('Information Hierarchy created');
                     });
@@ -13048,6 +20756,25 @@ function setupTocNavigation() {
             toc.querySelectorAll('[data-target]').forEach(btn => {
                 btn.classList.toggle('active', btn.getAttribute('data-target') === 'kickoff');
             });
+        } else if (FEATURE_VIEWS[key]) {
+            const view = FEATURE_VIEWS[key];
+            if (coverMount) coverMount.style.display = 'none';
+            if (journeyMount) journeyMount.style.display = 'none';
+            if (flowMount) flowMount.style.display = 'none';
+            if (kickoffMount) kickoffMount.style.display = 'none';
+            if (personasMount) personasMount.style.display = 'none';
+            if (informationHierarchyMount) informationHierarchyMount.style.display = 'none';
+            const featureMount = document.getElementById(view.mountId);
+            if (featureMount) featureMount.style.display = 'block';
+            if (contentNav) contentNav.style.display = 'block';
+            if (window.Components && typeof window.Components.renderContentNavbar === 'function') {
+                window.Components.renderContentNavbar('contentNavMount', view.title);
+                setupContentNavScrollEffect();
+            }
+            view.render();
+            toc.querySelectorAll('[data-target]').forEach(btn => {
+                btn.classList.toggle('active', btn.getAttribute('data-target') === key);
+            });
         } else if (key === 'rules') {
             // no-op (tab removed); fall back to journey
             activate('journey');
@@ -13116,8 +20843,8 @@ function setupTocNavigation() {
 
     // Restore last active tab on load (default to information-hierarchy if previously selected or none yet)
     try {
-        const last = localStorage.getItem(getScopedKey(BASE_ACTIVE_TAB_KEY));
-        if (['cover','journey','as-is-flow','to-be-flow','personas','information-hierarchy'].includes(last)) {
+        const last = appStorage.getItem(getScopedKey(BASE_ACTIVE_TAB_KEY));
+        if (['cover','journey','to-be-journey','as-is-flow','to-be-flow','personas','information-hierarchy'].includes(last) || FEATURE_VIEWS[last]) {
             activate(last);
         } else {
             activate('information-hierarchy');
@@ -13896,8 +21623,10 @@ function setupTocMenu() {
                 return 'flow';
             } else if (target === 'personas') {
                 return 'persona';
-            } else if (target === 'journey') {
+            } else if (target === 'journey' || target === 'to-be-journey') {
                 return 'journey';
+            } else if (FEATURE_VIEWS[target]) {
+                return target;
             }
         }
         return 'journey'; // default to journey
@@ -13998,6 +21727,8 @@ function setupTocMenu() {
                     }
                     break;
             }
+        } else if (FEATURE_VIEWS[context] && typeof FEATURE_VIEWS[context].exportAs === 'function') {
+            FEATURE_VIEWS[context].exportAs(format);
         } else {
             console.warn(`No export function available for context: ${context}, format: ${format}`);
         }
@@ -14092,30 +21823,272 @@ function isAppStorageKey(key) {
         || key.startsWith(`${BASE_STORAGE_KEY}:`)
         || key.startsWith(`${BASE_VERSIONS_KEY}:`)
         || key.startsWith(`${BASE_CHANGES_KEY}:`)
-        || key.startsWith(`${BASE_COVER_KEY}:`);
+        || key.startsWith(`${BASE_COVER_KEY}:`)
+        || isAppStoreKey(key);
 }
 
-function estimateAppStorageBytes() {
-    let total = 0;
-    for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (!isAppStorageKey(key)) continue;
-        const value = localStorage.getItem(key);
+function measureAppStorageKeys() {
+    const sizes = appStorage.keys().filter(isAppStorageKey).map(key => {
+        const value = appStorage.getRawItem(key);
         // Use Blob to approximate real byte size of stored strings
-        total += new Blob([key || '']).size + new Blob([value || '']).size;
+        return { key, bytes: new Blob([key || '']).size + new Blob([value || '']).size };
+    });
+    // Images are stored once however many projects or versions use them
+    const images = appStorage.imageStats();
+    if (images.count) sizes.push({ key: APP_DB_IMAGE_STORE, bytes: images.bytes, count: images.count });
+    return sizes;
+}
+
+function estimateAppStorageBytes() {
+    return measureAppStorageKeys().reduce((total, item) => total + item.bytes, 0);
+}
+
+// localStorage is capped at ~5MB; IndexedDB gets a share of the origin's disk quota
+let appStorageQuotaBytes = 5 * 1024 * 1024;
+async function refreshAppStorageQuota() {
+    try {
+        await appStorage.ready;
+        if (appStorage.backend !== 'indexeddb' || !navigator.storage || !navigator.storage.estimate) return;
+        const { quota } = await navigator.storage.estimate();
+        if (quota) appStorageQuotaBytes = quota;
+        updateStorageUsage();
+    } catch {}
+}
+
+// --- Storage quota recovery ---
+const STORAGE_KEY_LABELS = {
+    [PROJECTS_KEY]: 'Project list',
+    [CURRENT_PROJECT_KEY]: 'Current project',
+    [BASE_STORAGE_KEY]: 'Journey map',
+    [BASE_TOBE_JOURNEY_KEY]: 'To-be journey map',
+    [BASE_VERSIONS_KEY]: 'Version history',
+    [BASE_CHANGES_KEY]: 'Change log',
+    [BASE_COVER_KEY]: 'Cover',
+    [BASE_FLOW_KEY]: 'Flow',
+    [BASE_FLOW_VERSIONS_KEY]: 'Flow versions',
+    [BASE_PERSONAS_KEY]: 'Personas',
+    [BASE_KICKOFF_KEY]: 'Kickoff',
+    [BASE_STAKEHOLDERS_KEY]: 'Stakeholder map',
+    [BASE_INTERVIEWS_KEY]: 'Interviews',
+    [BASE_COMPETITORS_KEY]: 'Competitor analysis',
+    [BASE_BLUEPRINT_KEY]: 'Service blueprint',
+    [BASE_DISCOVERY_SUMMARY_KEY]: 'Discovery summary',
+    [BASE_DEFINE_KEY]: 'Define workspaces',
+    [BASE_LINKS_KEY]: 'Link registry',
+    [BASE_TEST_REPORTS_KEY]: 'Test reports',
+    [BASE_PRIORITIZATION_KEY]: 'Prioritization',
+    [BASE_SNAPSHOTS_KEY]: 'Project snapshots',
+    [BASE_JOURNEY_DRAFTS_KEY]: 'Journey drafts',
+    jmAsIsFlow_boards: 'As-is flow boards',
+    jmToBeFlow_boards: 'To-be flow boards',
+    ihData: 'Information hierarchy'
+};
+const QUOTA_PURGE_KEEP_VERSIONS = 5;
+
+function describeStorageKey(key) {
+    if (key === APP_DB_IMAGE_STORE) return 'Images (shared by all projects)';
+    const [base, projectId] = key.split(':');
+    const label = STORAGE_KEY_LABELS[base] || base;
+    if (!projectId) return label;
+    const project = loadProjects().find(p => p.id === projectId);
+    return `${label} · ${project ? project.name : projectId}`;
+}
+
+function getLargestStorageKeys(limit = 8) {
+    return measureAppStorageKeys()
+        .sort((a, b) => b.bytes - a.bytes)
+        .slice(0, limit);
+}
+
+// Keep the newest versions of each kind (journey, persona, define section, ...) per project
+function purgeOldVersions(keep = QUOTA_PURGE_KEEP_VERSIONS) {
+    let removed = 0;
+    appStorage.keys().forEach(key => {
+        const isJourneyList = key.startsWith(`${BASE_VERSIONS_KEY}:`);
+        const isSnapshotList = key.startsWith(`${BASE_SNAPSHOTS_KEY}:`);
+        if (!isJourneyList && !isSnapshotList && !key.startsWith(`${BASE_FLOW_VERSIONS_KEY}:`)) return;
+        let list;
+        try { list = JSON.parse(appStorage.getItem(key) || '[]'); } catch { return; }
+        if (!Array.isArray(list)) return;
+        const seen = {};
+        // Lists are stored newest first
+        const kept = list.filter(v => {
+            // Milestones are kept no matter how old
+            if (v.milestone) return true;
+            const kind = isJourneyList ? `${v.type || 'journey'}:${v.section || ''}` : (isSnapshotList ? 'snapshot' : 'flow');
+            seen[kind] = (seen[kind] || 0) + 1;
+            return seen[kind] <= keep;
+        });
+        if (kept.length === list.length) return;
+        removed += list.length - kept.length;
+        appStorage.setItem(key, JSON.stringify(kept));
+    });
+    return removed;
+}
+
+function dataUrlToBlob(dataUrl) {
+    const [header, body] = dataUrl.split(',');
+    const mime = (header.match(/data:([^;]+)/) || [])[1] || 'application/octet-stream';
+    const binary = atob(body || '');
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], { type: mime });
+}
+
+// Re-encode every stored data-URL image above the threshold, keeping the smaller result
+async function compressStoredImages({ minLength = 100 * 1024, maxSize = 1000, quality = 0.7 } = {}) {
+    const compressor = window.journey || JourneyMap.prototype;
+    let compressed = 0;
+    let savedBytes = 0;
+    const shrink = async (value) => {
+        if (typeof value === 'string') {
+            if (!value.startsWith('data:image/') || value.length < minLength || value.startsWith('data:image/svg')) return value;
+            try {
+                const format = value.startsWith('data:image/png') ? 'image/webp' : 'image/jpeg';
+                const file = new File([dataUrlToBlob(value)], 'image', { type: value.slice(5, value.indexOf(';')) });
+                const smaller = await compressor.compressImageFile(file, { maxWidth: maxSize, maxHeight: maxSize, quality, format });
+                if (typeof smaller === 'string' && smaller.length < value.length) {
+                    compressed++;
+                    savedBytes += value.length - smaller.length;
+                    return smaller;
+                }
+            } catch (err) {
+                console.warn('Could not compress stored image:', err);
+            }
+            return value;
+        }
+        if (Array.isArray(value)) {
+            for (let i = 0; i < value.length; i++) value[i] = await shrink(value[i]);
+        } else if (value && typeof value === 'object') {
+            for (const k of Object.keys(value)) value[k] = await shrink(value[k]);
+        }
+        return value;
+    };
+    for (const key of appStorage.keys()) {
+        const raw = appStorage.getItem(key);
+        if (!raw || raw.indexOf('data:image/') === -1) continue;
+        let parsed;
+        try { parsed = JSON.parse(raw); } catch { continue; }
+        const before = compressed;
+        const next = await shrink(parsed);
+        if (compressed > before) appStorage.setItem(key, JSON.stringify(next));
+    }
+    return { compressed, savedBytes };
+}
+
+function openStorageQuotaDialog() {
+    const existing = document.getElementById('storageQuotaModal');
+    if (existing) {
+        existing.refresh();
+        return;
     }
-    return total;
+    document.body.insertAdjacentHTML('beforeend', `
+        <div class="modal show" id="storageQuotaModal" role="alertdialog" aria-modal="true" aria-labelledby="storageQuotaTitle">
+            <div class="modal-content sq-modal">
+                <div class="modal-header">
+                    <h3 id="storageQuotaTitle">Storage is full</h3>
+                </div>
+                <div class="modal-body">
+                    <p>Your latest changes could not be saved. They are kept in this tab — free up some space, then retry the save.</p>
+                    <p class="sq-usage" id="sqUsage"></p>
+                    <h4>Largest items</h4>
+                    <ol class="sq-keys" id="sqKeys"></ol>
+                    <div class="sq-actions">
+                        <div class="sq-action">
+                            <button type="button" class="btn btn-secondary" data-action="compress">Compress images</button>
+                            <span>Re-encode stored images at a smaller size</span>
+                        </div>
+                        <div class="sq-action">
+                            <button type="button" class="btn btn-secondary" data-action="purge">Purge old versions</button>
+                            <span>Keep milestones and the ${QUOTA_PURGE_KEEP_VERSIONS} newest versions of each kind in every project</span>
+                        </div>
+                        <div class="sq-action">
+                            <button type="button" class="btn btn-secondary" data-action="export">Export to device</button>
+                            <span>Save a full backup before deleting anything</span>
+                        </div>
+                    </div>
+                    <p class="sq-status" id="sqStatus" role="status"></p>
+                </div>
+                <div class="modal-footer">
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary" data-action="dismiss">Continue without saving</button>
+                        <button type="button" class="btn btn-primary" data-action="retry">Retry save</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `);
+    const modal = document.getElementById('storageQuotaModal');
+    const statusEl = modal.querySelector('#sqStatus');
+    const setStatus = (text, isError = false) => {
+        statusEl.textContent = text;
+        statusEl.classList.toggle('error', isError);
+    };
+    modal.refresh = () => {
+        modal.querySelector('#sqUsage').textContent = `Using ${formatBytes(estimateAppStorageBytes())} of about ${formatBytes(appStorageQuotaBytes)}.`;
+        modal.querySelector('#sqKeys').innerHTML = getLargestStorageKeys().map(item => `
+            <li><span>${escapeHtml(describeStorageKey(item.key))}</span><span class="sq-size">${formatBytes(item.bytes)}</span></li>
+        `).join('');
+    };
+    modal.refresh();
+
+    const runAction = async (action) => {
+        const buttons = modal.querySelectorAll('button');
+        buttons.forEach(b => { b.disabled = true; });
+        try {
+            await action();
+        } catch (err) {
+            console.error('Storage recovery action failed:', err);
+            setStatus('That did not work — try another option.', true);
+        } finally {
+            buttons.forEach(b => { b.disabled = false; });
+            modal.refresh();
+        }
+    };
+
+    modal.querySelector('[data-action="compress"]').addEventListener('click', () => runAction(async () => {
+        setStatus('Compressing images…');
+        const { compressed, savedBytes } = await compressStoredImages();
+        setStatus(compressed
+            ? `Compressed ${compressed} image${compressed === 1 ? '' : 's'}, saving about ${formatBytes(savedBytes)}.`
+            : 'No large images left to compress.');
+    }));
+    modal.querySelector('[data-action="purge"]').addEventListener('click', () => runAction(async () => {
+        if (!confirm(`Delete all but milestones and the ${QUOTA_PURGE_KEEP_VERSIONS} newest versions of each kind in every project?`)) return;
+        const removed = purgeOldVersions();
+        setStatus(removed ? `Removed ${removed} old version${removed === 1 ? '' : 's'}.` : 'No old versions to remove.');
+    }));
+    modal.querySelector('[data-action="export"]').addEventListener('click', () => runAction(async () => {
+        await exportAllAppDataToDevice();
+        setStatus('Backup exported.');
+    }));
+    modal.querySelector('[data-action="retry"]').addEventListener('click', () => runAction(async () => {
+        setStatus('Saving…');
+        if (await appStorage.retry()) {
+            modal.remove();
+            updateStorageUsage();
+            showSuccessToast('Changes saved');
+            return;
+        }
+        setStatus('Still not enough space. Free up more and try again.', true);
+    }));
+    modal.querySelector('[data-action="dismiss"]').addEventListener('click', () => {
+        modal.remove();
+        showToast('Unsaved changes will be saved again on your next edit', 'info', 5000);
+    });
 }
 
 function formatBytes(bytes) {
     if (bytes < 1024) return `${bytes} B`;
     if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
-    return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
 }
 
 function setupStorageUsage() {
     // Even if the top storage element is removed, keep periodic update for bottom meter
     setInterval(updateStorageUsage, 5000);
+    refreshAppStorageQuota();
     window.addEventListener('storage', updateStorageUsage);
 }
 
@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+
+/**
+ * Sync Server for Flowbox
+ * Small self-hosted REST server that lets several machines share projects.
+ * Projects are stored as JSON documents with a revision number; images are
+ * stored once by content hash. See SYNC-SERVER.md for the protocol.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+
+const PROJECT_ID_PATTERN = /^[\w-]{1,100}$/;
+const IMAGE_HASH_PATTERN = /^[0-9a-f]{32}$/;
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+
+// Same 128-bit content hash the app uses for image references (hashImageContent in script.js)
+function hashImageContent(str) {
+  let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+  for (let i = 0, k; i < str.length; i++) {
+    k = str.charCodeAt(i);
+    h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+  }
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+  h1 ^= (h2 ^ h3 ^ h4);
+  h2 ^= h1;
+  h3 ^= h1;
+  h4 ^= h1;
+  return [h1, h2, h3, h4].map(h => (h >>> 0).toString(16).padStart(8, '0')).join('');
+}
+
+class SyncServer {
+  constructor({ port = 8787, host = '127.0.0.1', dataDir = path.join(process.cwd(), 'flowbox-sync-data'), token = '' } = {}) {
+    this.port = port;
+    this.host = host;
+    this.dataDir = dataDir;
+    this.token = token;
+    this.server = null;
+    this.locks = new Map(); // project id -> tail of its write queue
+  }
+
+  projectFile(id) {
+    return path.join(this.dataDir, 'projects', `${id}.json`);
+  }
+
+  imageFile(hash) {
+    return path.join(this.dataDir, 'images', hash);
+  }
+
+  readProject(id) {
+    try {
+      return JSON.parse(fs.readFileSync(this.projectFile(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Write to a temp file first so a crash never leaves half a document behind
+  writeFileAtomic(file, contents) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, contents);
+    fs.renameSync(tmp, file);
+  }
+
+  // Writes to one project run one at a time, so two writers with the same baseRev cannot
+  // both pass the revision check
+  withProjectLock(id, task) {
+    const run = (this.locks.get(id) || Promise.resolve()).then(task);
+    const tail = run.catch(() => {});
+    this.locks.set(id, tail);
+    tail.then(() => {
+      if (this.locks.get(id) === tail) this.locks.delete(id);
+    });
+    return run;
+  }
+
+  listProjects() {
+    const dir = path.join(this.dataDir, 'projects');
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => this.readProject(name.slice(0, -5)))
+      .filter(doc => doc && !doc.deleted)
+      .map(({ id, rev, updatedAt, project }) => ({ id, rev, updatedAt, name: project && project.name }));
+  }
+
+  send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        try {
+          resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+        } catch {
+          reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  async handle(req, res) {
+    // The app is usually served from another port, so allow cross-origin calls
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    if (req.method === 'OPTIONS') return this.send(res, 204);
+
+    if (this.token && req.headers.authorization !== `Bearer ${this.token}`) {
+      return this.send(res, 401, { error: 'unauthorized' });
+    }
+
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const parts = url.pathname.split('/').filter(Boolean);
+    if (parts[0] !== 'api') return this.send(res, 404, { error: 'not-found' });
+
+    if (parts[1] === 'health' && req.method === 'GET') {
+      return this.send(res, 200, { ok: true, app: 'flowbox-sync', version: 1 });
+    }
+
+    if (parts[1] === 'projects' && parts.length === 2 && req.method === 'GET') {
+      return this.send(res, 200, { projects: this.listProjects() });
+    }
+
+    if (parts[1] === 'projects' && parts.length === 3) {
+      const id = parts[2];
+      if (!PROJECT_ID_PATTERN.test(id)) return this.send(res, 400, { error: 'invalid-id' });
+
+      if (req.method === 'GET') {
+        const current = this.readProject(id);
+        if (!current || current.deleted) return this.send(res, 404, { error: 'not-found', rev: current ? current.rev : 0 });
+        return this.send(res, 200, current);
+      }
+
+      if (req.method === 'PUT' || req.method === 'DELETE') {
+        const body = req.method === 'PUT' ? await this.readBody(req) : { baseRev: Number(url.searchParams.get('baseRev')) };
+        return this.withProjectLock(id, () => {
+          // Optimistic concurrency: writers must have seen the latest revision. Read it only
+          // now, after the body arrived and earlier writes to this project finished.
+          const current = this.readProject(id);
+          const currentRev = current ? current.rev : 0;
+          if (Number(body.baseRev) !== currentRev) {
+            return this.send(res, 409, { error: 'conflict', rev: currentRev, updatedAt: current ? current.updatedAt : 0 });
+          }
+          const doc = req.method === 'PUT'
+            ? { id, rev: currentRev + 1, updatedAt: Number(body.updatedAt) || Date.now(), project: body.project || {}, files: body.files || {}, images: body.images || [] }
+            : { id, rev: currentRev + 1, updatedAt: Date.now(), deleted: true };
+          this.writeFileAtomic(this.projectFile(id), JSON.stringify(doc));
+          console.log(`💾 ${req.method === 'PUT' ? 'Saved' : 'Deleted'} project ${id} at rev ${doc.rev}`);
+          return this.send(res, 200, { id, rev: doc.rev, updatedAt: doc.updatedAt });
+        });
+      }
+    }
+
+    if (parts[1] === 'images' && parts[2] === 'missing' && req.method === 'POST') {
+      const { hashes = [] } = await this.readBody(req);
+      if (!Array.isArray(hashes)) return this.send(res, 400, { error: 'invalid-hashes' });
+      const missing = hashes.filter(hash => IMAGE_HASH_PATTERN.test(hash) && !fs.existsSync(this.imageFile(hash)));
+      return this.send(res, 200, { missing });
+    }
+
+    if (parts[1] === 'images' && parts.length === 3) {
+      const hash = parts[2];
+      if (!IMAGE_HASH_PATTERN.test(hash)) return this.send(res, 400, { error: 'invalid-hash' });
+      if (req.method === 'GET') {
+        if (!fs.existsSync(this.imageFile(hash))) return this.send(res, 404, { error: 'not-found' });
+        return this.send(res, 200, { hash, dataUrl: fs.readFileSync(this.imageFile(hash), 'utf8') });
+      }
+      if (req.method === 'PUT') {
+        const { dataUrl } = await this.readBody(req);
+        if (typeof dataUrl !== 'string' || !dataUrl.startsWith('data:image/')) return this.send(res, 400, { error: 'invalid-image' });
+        // Images are content-addressed, so the content must match the hash it is stored under
+        if (hashImageContent(dataUrl) !== hash) return this.send(res, 400, { error: 'hash-mismatch' });
+        // Content-addressed, so an existing file already holds the same image
+        if (!fs.existsSync(this.imageFile(hash))) this.writeFileAtomic(this.imageFile(hash), dataUrl);
+        return this.send(res, 200, { hash });
+      }
+    }
+
+    return this.send(res, 404, { error: 'not-found' });
+  }
+
+  start() {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        console.error('❌ Request failed:', error.message);
+        if (!res.headersSent) this.send(res, error.status || 500, { error: error.message });
+      });
+    });
+    return new Promise(resolve => {
+      this.server.listen(this.port, this.host, () => {
+        const { port } = this.server.address();
+        this.port = port;
+        console.log(`🔄 Flowbox sync server listening on http://${this.host}:${port}`);
+        console.log('📁 Storing projects in:', this.dataDir);
+        resolve(this);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const server = new SyncServer({
+    port: Number(process.env.FLOWBOX_SYNC_PORT) || 8787,
+    host: process.env.FLOWBOX_SYNC_HOST || '127.0.0.1',
+    dataDir: process.env.FLOWBOX_SYNC_DIR || path.join(process.cwd(), 'flowbox-sync-data'),
+    token: process.env.FLOWBOX_SYNC_TOKEN || ''
+  });
+  server.start().catch(console.error);
+  process.on('SIGINT', () => {
+    console.log('\n👋 Stopping sync server...');
+    server.stop().then(() => process.exit(0));
+  });
+}
+
+module.exports = SyncServer;